@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.20;
+
+import {ERC2771Forwarder} from "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+// Trusted forwarder for HambaPortal meta-transactions. Relayers submit
+// EIP-712 signed requests here and pay the gas; the portal sees the signer
+// as the sender. The name is part of the EIP-712 domain clients sign with.
+contract HambaForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("HambaForwarder") {}
+}
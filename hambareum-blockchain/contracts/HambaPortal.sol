@@ -1,46 +1,882 @@
 // SPDX-License-Identifier: UNLICENSED 
-pragma solidity ^0.8.0;
+pragma solidity ^0.8.20;
 
-contract HambaPortal {
+import {ERC2771Context} from "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+
+// Accepts EIP-2771 meta-transactions from a trusted forwarder, so every
+// sender check uses _msgSender() rather than msg.sender.
+contract HambaPortal is ERC2771Context {
     struct Message {
         address sender;
         string content;
         uint timestamp;
+        bool hidden;
+        uint parentId; // NO_PARENT for top-level messages
+        uint replyCount;
+        uint channelId;
+        // sha256 of a long-form body stored off-chain, in which case content
+        // is its preview; zero for regular posts.
+        bytes32 bodyHash;
+        // Set once the author edits the post; earlier revisions are only in
+        // MessageEdited events.
+        bool edited;
+        uint editCount;
+        // Deleted posts keep their place (and replies, reactions and tips)
+        // with content and bodyHash cleared, but take no new ones.
+        bool deleted;
+        // Until when the author may edit or delete the post, fixed by the
+        // editWindow in force when it was posted; zero if editing was off.
+        uint editableUntil;
+    }
+
+    struct Channel {
+        string name;
+        address creator;
+        // Only addresses on the channel's allowlist may post.
+        bool allowlistOnly;
+        // Whether cooldownTime overrides the portal-wide cooldown.
+        bool customCooldown;
+        uint cooldownTime;
+        uint messageCount;
     }
 
+    uint public constant NO_PARENT = type(uint).max;
+
+    // Channel 0 is created with the portal; sendMessage posts there.
+    uint public constant GENERAL_CHANNEL = 0;
+    uint public constant MAX_CHANNEL_NAME_LENGTH = 32;
+
+    // Reaction types are 0..REACTION_TYPES-1; clients decide how to draw them.
+    uint8 public constant REACTION_TYPES = 4;
+
     Message[] public messages;
 
-    mapping(address => uint) public lastMessageTime;
+    // Direct replies to each message, in the order they were posted.
+    mapping(uint => uint[]) private replyIds;
+
+    mapping(uint => uint[REACTION_TYPES]) private reactionCounts;
+
+    // messageId => reactor => reactionType => reacted
+    mapping(uint => mapping(address => mapping(uint8 => bool))) public hasReacted;
+
+    Channel[] private channels;
+
+    // Ids of each channel's messages (replies included), oldest first.
+    mapping(uint => uint[]) private channelMessageIds;
+
+    // channelId => account => allowed to post in an allowlist-only channel
+    mapping(uint => mapping(address => bool)) public channelMembers;
+
+    // Cooldowns run per channel: channelId => sender => last post time.
+    mapping(uint => mapping(address => uint)) public lastMessageTime;
+
+    address public owner;
+
+    mapping(address => bool) public moderators;
+
+    mapping(address => bool) public banned;
+
+    // Both limits start at the original hard-coded values and can be tuned
+    // by the owner without a redeploy.
+    uint public cooldownTime = 30 seconds;
+    uint public maxMessageLength = 280;
+
+    // Boosted messages are pinned for as long as their fee buys at this
+    // price; fees stay in the contract until the owner withdraws them.
+    uint public boostPricePerHour = 0.001 ether;
+    uint public constant MIN_BOOST_DURATION = 1 hours;
+
+    // Authors may edit or delete their own posts for this long after
+    // posting; zero turns editing and deleting off. Changes apply to posts
+    // made afterwards.
+    uint public editWindow = 1 hours;
+
+    mapping(uint => uint) public boostedUntil;
+
+    // Ids whose boost may still be active. Each boost checks the next
+    // BOOST_PRUNE_CHECKS entries from boostPruneCursor and drops the expired
+    // ones; checking more than the one entry it adds keeps this about as
+    // long as the pinned section without any boost paying for all of it.
+    uint[] private boostedIds;
+    uint private constant BOOST_PRUNE_CHECKS = 8;
+    uint private boostPruneCursor;
 
-    uint public constant COOLDOWN_TIME = 30 seconds;
+    // Total ETH tipped to each message's author.
+    mapping(uint => uint) public tipTotals;
+
+    // Direct messages are encrypted by clients to keys their recipients
+    // publish here (compressed secp256k1 points). The ciphertext only ever
+    // appears in DirectMessage events; nothing about it is stored.
+    uint public constant ENCRYPTION_KEY_LENGTH = 33;
+    uint public constant MAX_DIRECT_MESSAGE_LENGTH = 1024;
+
+    mapping(address => bytes) public encryptionKeys;
+    uint public directMessageCount;
+
+    // Direct messages share the portal-wide cooldown, per sender.
+    mapping(address => uint) public lastDirectMessageTime;
+
+    error CooldownActive(uint remainingSeconds);
+    error EmptyMessage();
+    error MessageTooLong(uint length, uint maxLength);
+    error NotOwner();
+    error ZeroAddress();
+    error InvalidMaxMessageLength();
+    error NotModerator();
+    error SenderBanned();
+    error MessageNotFound(uint index);
+    error MessageAlreadyHidden(uint index);
+    error MessageNotHidden(uint index);
+    error InvalidReactionType(uint8 reactionType);
+    error AlreadyReacted(uint messageId, uint8 reactionType);
+    error NotReacted(uint messageId, uint8 reactionType);
+    error BoostTooSmall(uint minimumValue);
+    error InvalidBoostPrice();
+    error EmptyTip();
+    error NothingToWithdraw();
+    error TransferFailed();
+    error ChannelNotFound(uint channelId);
+    error InvalidChannelName();
+    error NotChannelAdmin(uint channelId);
+    error NotChannelMember(uint channelId);
+    error ReplyChannelMismatch(uint parentChannelId);
+    error InvalidEncryptionKey();
+    error NoEncryptionKey(address account);
+    error EmptyBodyHash();
+    error NotMessageSender(uint index);
+    error EditWindowClosed(uint index);
+    error MessageAlreadyDeleted(uint index);
+    error MessageIsDeleted(uint index);
 
     event NewMessage(
         address indexed from, // The sender's address (indexed for easy filtering)
         uint timestamp,
-        string content
+        string content,
+        uint indexed id,
+        uint parentId,
+        uint indexed channelId,
+        bytes32 bodyHash // Zero for regular posts.
+    );
+
+    // Each edit carries the revision it replaces along with the new one, so
+    // a post's full history can be rebuilt from events alone.
+    event MessageEdited(
+        uint indexed id,
+        address indexed sender,
+        uint revision,
+        string previousContent,
+        bytes32 previousBodyHash,
+        string content,
+        bytes32 bodyHash,
+        uint timestamp
+    );
+    event MessageDeleted(
+        uint indexed id,
+        address indexed sender,
+        string previousContent,
+        bytes32 previousBodyHash,
+        uint timestamp
+    );
+
+    event ChannelCreated(uint indexed channelId, address indexed creator, string name);
+    event ChannelUpdated(uint indexed channelId, bool allowlistOnly, bool customCooldown, uint cooldownTime);
+    event ChannelMemberUpdated(uint indexed channelId, address indexed account, bool allowed);
+
+    event Reacted(uint indexed messageId, address indexed account, uint8 reactionType);
+    event ReactionRemoved(uint indexed messageId, address indexed account, uint8 reactionType);
+
+    event MessageBoosted(uint indexed id, address indexed sender, uint value, uint boostedUntil);
+    event Tipped(uint indexed messageId, address indexed from, address indexed author, uint value);
+
+    event EncryptionKeySet(address indexed account, bytes publicKey);
+    event DirectMessage(
+        uint indexed id,
+        address indexed from,
+        address indexed to,
+        bytes ciphertext,
+        uint timestamp
     );
 
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event CooldownTimeUpdated(uint previousCooldownTime, uint newCooldownTime);
+    event MaxMessageLengthUpdated(uint previousMaxLength, uint newMaxLength);
+    event BoostPriceUpdated(uint previousPricePerHour, uint newPricePerHour);
+    event EditWindowUpdated(uint previousEditWindow, uint newEditWindow);
+    event Withdrawn(address indexed to, uint value);
+
+    // Moderation audit trail.
+    event ModeratorAdded(address indexed account);
+    event ModeratorRemoved(address indexed account);
+    event MessageHidden(uint indexed index, address indexed moderator, string reason);
+    event MessageUnhidden(uint indexed index, address indexed moderator);
+    event AddressBanned(address indexed account, address indexed moderator, string reason);
+    event AddressUnbanned(address indexed account, address indexed moderator);
+
+    modifier onlyOwner() {
+        if (_msgSender() != owner) {
+            revert NotOwner();
+        }
+        _;
+    }
+
+    // The owner can always moderate, even without being listed as a moderator.
+    modifier onlyModerator() {
+        if (!isModerator(_msgSender())) {
+            revert NotModerator();
+        }
+        _;
+    }
+
+    modifier messageExists(uint _index) {
+        if (_index >= messages.length) {
+            revert MessageNotFound(_index);
+        }
+        _;
+    }
+
+    // Use after messageExists.
+    modifier notDeleted(uint _index) {
+        if (messages[_index].deleted) {
+            revert MessageIsDeleted(_index);
+        }
+        _;
+    }
+
+    modifier channelExists(uint _channelId) {
+        if (_channelId >= channels.length) {
+            revert ChannelNotFound(_channelId);
+        }
+        _;
+    }
+
+    // A channel's creator and the portal owner administer it.
+    modifier onlyChannelAdmin(uint _channelId) {
+        address sender = _msgSender();
+        if (sender != channels[_channelId].creator && sender != owner) {
+            revert NotChannelAdmin(_channelId);
+        }
+        _;
+    }
+
+    modifier validReaction(uint8 _reactionType) {
+        if (_reactionType >= REACTION_TYPES) {
+            revert InvalidReactionType(_reactionType);
+        }
+        _;
+    }
+
+    // _trustedForwarder may be address(0) to disable meta-transactions.
+    constructor(address _trustedForwarder) ERC2771Context(_trustedForwarder) {
+        owner = _msgSender();
+        emit OwnershipTransferred(address(0), owner);
+        _createChannel("general", false, false, 0);
+    }
+
+    function transferOwnership(address _newOwner) public onlyOwner {
+        if (_newOwner == address(0)) {
+            revert ZeroAddress();
+        }
+        emit OwnershipTransferred(owner, _newOwner);
+        owner = _newOwner;
+    }
+
+    // A cooldown of zero disables rate limiting entirely.
+    function setCooldownTime(uint _cooldownTime) public onlyOwner {
+        emit CooldownTimeUpdated(cooldownTime, _cooldownTime);
+        cooldownTime = _cooldownTime;
+    }
+
+    function setMaxMessageLength(uint _maxMessageLength) public onlyOwner {
+        if (_maxMessageLength == 0) {
+            revert InvalidMaxMessageLength();
+        }
+        emit MaxMessageLengthUpdated(maxMessageLength, _maxMessageLength);
+        maxMessageLength = _maxMessageLength;
+    }
+
+    function setBoostPrice(uint _pricePerHour) public onlyOwner {
+        if (_pricePerHour == 0) {
+            revert InvalidBoostPrice();
+        }
+        emit BoostPriceUpdated(boostPricePerHour, _pricePerHour);
+        boostPricePerHour = _pricePerHour;
+    }
+
+    function setEditWindow(uint _editWindow) public onlyOwner {
+        emit EditWindowUpdated(editWindow, _editWindow);
+        editWindow = _editWindow;
+    }
+
+    // Sends the collected boost fees to the owner. Tips never stay in the
+    // contract, so the whole balance is fees.
+    function withdraw() public onlyOwner {
+        uint balance = address(this).balance;
+        if (balance == 0) {
+            revert NothingToWithdraw();
+        }
+        emit Withdrawn(owner, balance);
+        (bool sent, ) = owner.call{value: balance}("");
+        if (!sent) {
+            revert TransferFailed();
+        }
+    }
+
+    function isModerator(address _account) public view returns (bool) {
+        return _account == owner || moderators[_account];
+    }
+
+    function addModerator(address _account) public onlyOwner {
+        if (_account == address(0)) {
+            revert ZeroAddress();
+        }
+        moderators[_account] = true;
+        emit ModeratorAdded(_account);
+    }
+
+    function removeModerator(address _account) public onlyOwner {
+        moderators[_account] = false;
+        emit ModeratorRemoved(_account);
+    }
+
+    function hideMessage(uint _index, string calldata _reason) public onlyModerator messageExists(_index) {
+        Message storage message = messages[_index];
+        if (message.hidden) {
+            revert MessageAlreadyHidden(_index);
+        }
+        message.hidden = true;
+        emit MessageHidden(_index, _msgSender(), _reason);
+    }
+
+    function unhideMessage(uint _index) public onlyModerator messageExists(_index) {
+        Message storage message = messages[_index];
+        if (!message.hidden) {
+            revert MessageNotHidden(_index);
+        }
+        message.hidden = false;
+        emit MessageUnhidden(_index, _msgSender());
+    }
+
+    function banAddress(address _account, string calldata _reason) public onlyModerator {
+        banned[_account] = true;
+        emit AddressBanned(_account, _msgSender(), _reason);
+    }
+
+    function unbanAddress(address _account) public onlyModerator {
+        banned[_account] = false;
+        emit AddressUnbanned(_account, _msgSender());
+    }
+
+    // Anyone who isn't banned can open a channel and administer it. With
+    // _customCooldown, _cooldownTime replaces the portal-wide cooldown there.
+    function createChannel(
+        string calldata _name,
+        bool _allowlistOnly,
+        bool _customCooldown,
+        uint _cooldownTime
+    ) public returns (uint) {
+        if (banned[_msgSender()]) {
+            revert SenderBanned();
+        }
+        uint nameLength = bytes(_name).length;
+        if (nameLength == 0 || nameLength > MAX_CHANNEL_NAME_LENGTH) {
+            revert InvalidChannelName();
+        }
+        return _createChannel(_name, _allowlistOnly, _customCooldown, _cooldownTime);
+    }
+
+    function _createChannel(
+        string memory _name,
+        bool _allowlistOnly,
+        bool _customCooldown,
+        uint _cooldownTime
+    ) private returns (uint id) {
+        address creator = _msgSender();
+        id = channels.length;
+        channels.push(Channel(_name, creator, _allowlistOnly, _customCooldown, _cooldownTime, 0));
+        emit ChannelCreated(id, creator, _name);
+        emit ChannelUpdated(id, _allowlistOnly, _customCooldown, _cooldownTime);
+        if (_allowlistOnly) {
+            channelMembers[id][creator] = true;
+            emit ChannelMemberUpdated(id, creator, true);
+        }
+    }
+
+    function updateChannel(
+        uint _channelId,
+        bool _allowlistOnly,
+        bool _customCooldown,
+        uint _cooldownTime
+    ) public channelExists(_channelId) onlyChannelAdmin(_channelId) {
+        Channel storage channel = channels[_channelId];
+        channel.allowlistOnly = _allowlistOnly;
+        channel.customCooldown = _customCooldown;
+        channel.cooldownTime = _cooldownTime;
+        emit ChannelUpdated(_channelId, _allowlistOnly, _customCooldown, _cooldownTime);
+    }
+
+    function setChannelMember(uint _channelId, address _account, bool _allowed)
+        public
+        channelExists(_channelId)
+        onlyChannelAdmin(_channelId)
+    {
+        channelMembers[_channelId][_account] = _allowed;
+        emit ChannelMemberUpdated(_channelId, _account, _allowed);
+    }
+
+    // The cooldown that applies to posts in _channelId.
+    function channelCooldown(uint _channelId) public view channelExists(_channelId) returns (uint) {
+        Channel storage channel = channels[_channelId];
+        return channel.customCooldown ? channel.cooldownTime : cooldownTime;
+    }
+
+    function getChannelCount() public view returns (uint) {
+        return channels.length;
+    }
+
+    // Returns up to _limit channels starting at id _offset.
+    function getChannels(uint _offset, uint _limit) public view returns (Channel[] memory page) {
+        uint total = channels.length;
+        if (_offset >= total) {
+            return new Channel[](0);
+        }
+
+        uint end = _limit > total - _offset ? total : _offset + _limit;
+
+        page = new Channel[](end - _offset);
+        for (uint i = _offset; i < end; i++) {
+            page[i - _offset] = channels[i];
+        }
+    }
+
+    // Returns up to _limit of a channel's messages starting at its _offset-th
+    // message (oldest first), along with their message ids.
+    function getChannelMessages(uint _channelId, uint _offset, uint _limit)
+        public
+        view
+        channelExists(_channelId)
+        returns (uint[] memory ids, Message[] memory page)
+    {
+        uint[] storage allIds = channelMessageIds[_channelId];
+        uint total = allIds.length;
+        if (_offset >= total) {
+            return (new uint[](0), new Message[](0));
+        }
+
+        uint end = _limit > total - _offset ? total : _offset + _limit;
+
+        ids = new uint[](end - _offset);
+        page = new Message[](end - _offset);
+        for (uint i = _offset; i < end; i++) {
+            ids[i - _offset] = allIds[i];
+            page[i - _offset] = messages[allIds[i]];
+        }
+    }
+
     function sendMessage(string calldata _message) public {
-        require(
-            block.timestamp >= lastMessageTime[msg.sender] + COOLDOWN_TIME,
-            "Please wait before sending another message. Cooldown is 30 seconds."
+        _post(GENERAL_CHANNEL, _message, NO_PARENT, bytes32(0));
+    }
+
+    // Posts a reply to an existing message, or a top-level message when
+    // _parentId is NO_PARENT.
+    function sendMessage(string calldata _message, uint _parentId) public {
+        _post(GENERAL_CHANNEL, _message, _parentId, bytes32(0));
+    }
+
+    // Posts to _channelId. Replies must be in their parent's channel.
+    function sendChannelMessage(uint _channelId, string calldata _message, uint _parentId) public {
+        _post(_channelId, _message, _parentId, bytes32(0));
+    }
+
+    // Posts a long-form message. The body is kept off-chain under its sha256
+    // digest, _bodyHash, and only _preview (limited like any other post) is
+    // stored here; clients fetch the body and check it against the digest.
+    function sendLongMessage(
+        uint _channelId,
+        string calldata _preview,
+        bytes32 _bodyHash,
+        uint _parentId
+    ) public {
+        if (_bodyHash == bytes32(0)) {
+            revert EmptyBodyHash();
+        }
+        _post(_channelId, _preview, _parentId, _bodyHash);
+    }
+
+    // Replaces the content of one of the sender's own posts, within
+    // editWindow of posting. Edits are held to the same limits as posts; a
+    // long-form post edited this way becomes a regular one.
+    function editMessage(uint _index, string calldata _content) public {
+        _edit(_index, _content, bytes32(0));
+    }
+
+    // Like editMessage, but leaves (or makes) the post long-form with the
+    // body stored under _bodyHash.
+    function editLongMessage(uint _index, string calldata _preview, bytes32 _bodyHash) public {
+        if (_bodyHash == bytes32(0)) {
+            revert EmptyBodyHash();
+        }
+        _edit(_index, _preview, _bodyHash);
+    }
+
+    // Clears one of the sender's own posts, within editWindow of posting.
+    // The post stays as a tombstone so its replies keep their parent; a
+    // boost on it ends.
+    function deleteMessage(uint _index) public {
+        Message storage message = _ownMessage(_index);
+        emit MessageDeleted(_index, message.sender, message.content, message.bodyHash, block.timestamp);
+        message.content = "";
+        message.bodyHash = bytes32(0);
+        message.deleted = true;
+        boostedUntil[_index] = 0;
+    }
+
+    function _edit(uint _index, string calldata _content, bytes32 _bodyHash) private {
+        Message storage message = _ownMessage(_index);
+        if (banned[message.sender]) {
+            revert SenderBanned();
+        }
+        _checkLength(_content);
+
+        message.edited = true;
+        message.editCount++;
+        emit MessageEdited(
+            _index,
+            message.sender,
+            message.editCount,
+            message.content,
+            message.bodyHash,
+            _content,
+            _bodyHash,
+            block.timestamp
         );
+        message.content = _content;
+        message.bodyHash = _bodyHash;
+    }
+
+    // The sender's own post at _index, if it may still be edited or deleted.
+    function _ownMessage(uint _index) private view messageExists(_index) returns (Message storage message) {
+        message = messages[_index];
+        if (message.sender != _msgSender()) {
+            revert NotMessageSender(_index);
+        }
+        if (message.deleted) {
+            revert MessageAlreadyDeleted(_index);
+        }
+        if (block.timestamp > message.editableUntil) {
+            revert EditWindowClosed(_index);
+        }
+    }
 
+    function _checkLength(string calldata _message) private view {
         uint messageLength = bytes(_message).length;
-        require(messageLength > 0, "Message cannot be empty.");
-        require(messageLength <= 280, "Message is too long (Max 280 chars).");
+        if (messageLength == 0) {
+            revert EmptyMessage();
+        }
+        if (messageLength > maxMessageLength) {
+            revert MessageTooLong(messageLength, maxMessageLength);
+        }
+    }
+
+    // Posts a top-level message pinned for msg.value / boostPricePerHour
+    // hours. Boosts shorter than MIN_BOOST_DURATION are rejected.
+    function sendBoostedMessage(uint _channelId, string calldata _message) public payable {
+        uint duration = (msg.value * 1 hours) / boostPricePerHour;
+        if (duration < MIN_BOOST_DURATION) {
+            revert BoostTooSmall((MIN_BOOST_DURATION * boostPricePerHour) / 1 hours);
+        }
 
-        lastMessageTime[msg.sender] = block.timestamp;
+        uint id = _post(_channelId, _message, NO_PARENT, bytes32(0));
+        _pruneBoosts();
+        uint until = block.timestamp + duration;
+        boostedUntil[id] = until;
+        boostedIds.push(id);
+        emit MessageBoosted(id, _msgSender(), msg.value, until);
+    }
+
+    function _pruneBoosts() private {
+        uint checks = boostedIds.length < BOOST_PRUNE_CHECKS ? boostedIds.length : BOOST_PRUNE_CHECKS;
+        uint i = boostPruneCursor;
+        for (; checks > 0; checks--) {
+            if (i >= boostedIds.length) {
+                i = 0;
+            }
+            if (boostedUntil[boostedIds[i]] <= block.timestamp) {
+                boostedIds[i] = boostedIds[boostedIds.length - 1];
+                boostedIds.pop();
+            } else {
+                i++;
+            }
+        }
+        boostPruneCursor = i;
+    }
+
+    // Forwards msg.value to the message's author.
+    function tip(uint _messageId) public payable messageExists(_messageId) notDeleted(_messageId) {
+        if (msg.value == 0) {
+            revert EmptyTip();
+        }
+        address author = messages[_messageId].sender;
+        tipTotals[_messageId] += msg.value;
+        emit Tipped(_messageId, _msgSender(), author, msg.value);
+        (bool sent, ) = author.call{value: msg.value}("");
+        if (!sent) {
+            revert TransferFailed();
+        }
+    }
+
+    function getTipTotals(uint[] calldata _messageIds) public view returns (uint[] memory totals) {
+        totals = new uint[](_messageIds.length);
+        for (uint i = 0; i < _messageIds.length; i++) {
+            uint id = _messageIds[i];
+            if (id >= messages.length) {
+                revert MessageNotFound(id);
+            }
+            totals[i] = tipTotals[id];
+        }
+    }
+
+    // Messages whose boost is still active, in no particular order, with
+    // their ids and when each boost ends.
+    function getBoostedMessages()
+        public
+        view
+        returns (uint[] memory ids, Message[] memory boosted, uint[] memory until)
+    {
+        uint active = 0;
+        for (uint i = 0; i < boostedIds.length; i++) {
+            if (boostedUntil[boostedIds[i]] > block.timestamp) {
+                active++;
+            }
+        }
+
+        ids = new uint[](active);
+        boosted = new Message[](active);
+        until = new uint[](active);
+        uint j = 0;
+        for (uint i = 0; i < boostedIds.length; i++) {
+            uint id = boostedIds[i];
+            if (boostedUntil[id] > block.timestamp) {
+                ids[j] = id;
+                boosted[j] = messages[id];
+                until[j] = boostedUntil[id];
+                j++;
+            }
+        }
+    }
+
+    // Publishes the key others encrypt direct messages to the sender with.
+    // Messages sent to a replaced key can't be read with the new one.
+    function setEncryptionKey(bytes calldata _publicKey) public {
+        if (
+            _publicKey.length != ENCRYPTION_KEY_LENGTH ||
+            (_publicKey[0] != 0x02 && _publicKey[0] != 0x03)
+        ) {
+            revert InvalidEncryptionKey();
+        }
+        address sender = _msgSender();
+        encryptionKeys[sender] = _publicKey;
+        emit EncryptionKeySet(sender, _publicKey);
+    }
+
+    // Emits _ciphertext for _to, who must have published an encryption key.
+    // The contract can't read it, so only its size is checked.
+    function sendDirectMessage(address _to, bytes calldata _ciphertext) public returns (uint id) {
+        address sender = _msgSender();
+        if (banned[sender]) {
+            revert SenderBanned();
+        }
+        if (encryptionKeys[_to].length == 0) {
+            revert NoEncryptionKey(_to);
+        }
+
+        uint nextAllowedTime = lastDirectMessageTime[sender] + cooldownTime;
+        if (block.timestamp < nextAllowedTime) {
+            revert CooldownActive(nextAllowedTime - block.timestamp);
+        }
+
+        if (_ciphertext.length == 0) {
+            revert EmptyMessage();
+        }
+        if (_ciphertext.length > MAX_DIRECT_MESSAGE_LENGTH) {
+            revert MessageTooLong(_ciphertext.length, MAX_DIRECT_MESSAGE_LENGTH);
+        }
+
+        lastDirectMessageTime[sender] = block.timestamp;
+        id = directMessageCount++;
+        emit DirectMessage(id, sender, _to, _ciphertext, block.timestamp);
+    }
+
+    function _post(uint _channelId, string calldata _message, uint _parentId, bytes32 _bodyHash)
+        private
+        channelExists(_channelId)
+        returns (uint id)
+    {
+        address sender = _msgSender();
+        if (banned[sender]) {
+            revert SenderBanned();
+        }
+        Channel storage channel = channels[_channelId];
+        if (channel.allowlistOnly && !channelMembers[_channelId][sender]) {
+            revert NotChannelMember(_channelId);
+        }
+
+        uint cooldown = channel.customCooldown ? channel.cooldownTime : cooldownTime;
+        uint nextAllowedTime = lastMessageTime[_channelId][sender] + cooldown;
+        if (block.timestamp < nextAllowedTime) {
+            revert CooldownActive(nextAllowedTime - block.timestamp);
+        }
+
+        _checkLength(_message);
+
+        lastMessageTime[_channelId][sender] = block.timestamp;
+
+        id = messages.length;
+        if (_parentId != NO_PARENT) {
+            if (_parentId >= id) {
+                revert MessageNotFound(_parentId);
+            }
+            Message storage parent = messages[_parentId];
+            if (parent.deleted) {
+                revert MessageIsDeleted(_parentId);
+            }
+            if (parent.channelId != _channelId) {
+                revert ReplyChannelMismatch(parent.channelId);
+            }
+            parent.replyCount++;
+            replyIds[_parentId].push(id);
+        }
 
         messages.push(Message(
-            msg.sender,
+            sender,
             _message,
-            block.timestamp
+            block.timestamp,
+            false,
+            _parentId,
+            0,
+            _channelId,
+            _bodyHash,
+            false,
+            0,
+            false,
+            editWindow == 0 ? 0 : block.timestamp + editWindow
         ));
+        channelMessageIds[_channelId].push(id);
+        channel.messageCount++;
 
-        emit NewMessage(msg.sender, block.timestamp, _message);
+        emit NewMessage(sender, block.timestamp, _message, id, _parentId, _channelId, _bodyHash);
     }
+
+    // Each address can add every reaction type to a message at most once,
+    // and none to a deleted one (but may still remove its reactions there).
+    function react(uint _messageId, uint8 _reactionType)
+        public
+        messageExists(_messageId)
+        notDeleted(_messageId)
+        validReaction(_reactionType)
+    {
+        address sender = _msgSender();
+        if (banned[sender]) {
+            revert SenderBanned();
+        }
+        if (hasReacted[_messageId][sender][_reactionType]) {
+            revert AlreadyReacted(_messageId, _reactionType);
+        }
+        hasReacted[_messageId][sender][_reactionType] = true;
+        reactionCounts[_messageId][_reactionType]++;
+        emit Reacted(_messageId, sender, _reactionType);
+    }
+
+    function unreact(uint _messageId, uint8 _reactionType)
+        public
+        messageExists(_messageId)
+        validReaction(_reactionType)
+    {
+        address sender = _msgSender();
+        if (!hasReacted[_messageId][sender][_reactionType]) {
+            revert NotReacted(_messageId, _reactionType);
+        }
+        hasReacted[_messageId][sender][_reactionType] = false;
+        reactionCounts[_messageId][_reactionType]--;
+        emit ReactionRemoved(_messageId, sender, _reactionType);
+    }
+
+    function getReactionCounts(uint _messageId)
+        public
+        view
+        messageExists(_messageId)
+        returns (uint[REACTION_TYPES] memory)
+    {
+        return reactionCounts[_messageId];
+    }
+
+    // Batched form for clients rendering a page of messages: the counts for
+    // each id plus which reactions _account has added. Pass the zero address
+    // when there is no connected account.
+    function getReactions(uint[] calldata _messageIds, address _account)
+        public
+        view
+        returns (uint[REACTION_TYPES][] memory counts, bool[REACTION_TYPES][] memory reacted)
+    {
+        counts = new uint[REACTION_TYPES][](_messageIds.length);
+        reacted = new bool[REACTION_TYPES][](_messageIds.length);
+        for (uint i = 0; i < _messageIds.length; i++) {
+            uint id = _messageIds[i];
+            if (id >= messages.length) {
+                revert MessageNotFound(id);
+            }
+            counts[i] = reactionCounts[id];
+            for (uint8 t = 0; t < REACTION_TYPES; t++) {
+                reacted[i][t] = hasReacted[id][_account][t];
+            }
+        }
+    }
+
     function getAllMessages() public view returns (Message[] memory) {
         return messages;
     }
-}
\ No newline at end of file
+
+    function getMessageCount() public view returns (uint) {
+        return messages.length;
+    }
+
+    // Returns up to _limit messages starting at index _offset (oldest first).
+    // Out-of-range offsets return an empty array so clients can page safely.
+    function getMessages(uint _offset, uint _limit) public view returns (Message[] memory) {
+        uint total = messages.length;
+        if (_offset >= total) {
+            return new Message[](0);
+        }
+
+        uint end = _limit > total - _offset ? total : _offset + _limit;
+
+        Message[] memory page = new Message[](end - _offset);
+        for (uint i = _offset; i < end; i++) {
+            page[i - _offset] = messages[i];
+        }
+        return page;
+    }
+
+    // Returns up to _limit direct replies to _parentId, oldest first, along
+    // with their message ids.
+    function getReplies(uint _parentId, uint _offset, uint _limit)
+        public
+        view
+        messageExists(_parentId)
+        returns (uint[] memory ids, Message[] memory replies)
+    {
+        uint[] storage allIds = replyIds[_parentId];
+        uint total = allIds.length;
+        if (_offset >= total) {
+            return (new uint[](0), new Message[](0));
+        }
+
+        uint end = _limit > total - _offset ? total : _offset + _limit;
+
+        ids = new uint[](end - _offset);
+        replies = new Message[](end - _offset);
+        for (uint i = _offset; i < end; i++) {
+            ids[i - _offset] = allIds[i];
+            replies[i - _offset] = messages[allIds[i]];
+        }
+    }
+}
@@ -1,6 +1,38 @@
 require("@nomicfoundation/hardhat-toolbox");
 
+const { SEPOLIA_RPC_URL, DEPLOYER_PRIVATE_KEY, REPORT_GAS } = process.env;
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // OpenZeppelin's metatx contracts use mcopy, introduced in Cancun.
+      evmVersion: "cancun",
+      // Keeps HambaPortal under the 24 KB contract size limit.
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
+  networks: {
+    localhost: {
+      url: "http://127.0.0.1:8545",
+    },
+    // Only configured when both variables are set, so local work never
+    // needs a key.
+    ...(SEPOLIA_RPC_URL && DEPLOYER_PRIVATE_KEY
+      ? {
+          sepolia: {
+            url: SEPOLIA_RPC_URL,
+            accounts: [DEPLOYER_PRIVATE_KEY],
+            chainId: 11155111,
+          },
+        }
+      : {}),
+  },
+  gasReporter: {
+    enabled: REPORT_GAS === "true",
+    currency: "USD",
+    // Keeps CI output readable and avoids fetching prices.
+    offline: true,
+  },
 };
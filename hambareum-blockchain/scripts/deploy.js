@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { exportFrontend } = require("./export-frontend");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+const main = async () => {
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  console.log(`Deploying HambaPortal to ${network.name} (chain ${chainId})`);
+  console.log(`Deployer: ${deployer.address}`);
+
+  // The portal trusts this forwarder for gasless (EIP-2771) posts.
+  const forwarder = await ethers.deployContract("HambaForwarder");
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+  console.log(`HambaForwarder deployed to: ${forwarderAddress}`);
+
+  const HambaContractFactory = await ethers.getContractFactory("HambaPortal");
+  const hambaContract = await HambaContractFactory.deploy(forwarderAddress);
+  await hambaContract.waitForDeployment();
+
+  const address = await hambaContract.getAddress();
+  const deployTx = hambaContract.deploymentTransaction();
+  const receipt = await deployTx.wait();
+  console.log(`HambaPortal deployed to: ${address}`);
+
+  // The in-process network is thrown away when this script exits, so a
+  // record of it would point the frontend at a contract that doesn't exist.
+  if (network.name === "hardhat") {
+    console.log(
+      "Not recording a deployment to the in-process network; " +
+        "use --network localhost with `npx hardhat node` running."
+    );
+    return;
+  }
+
+  const record = {
+    network: network.name,
+    chainId: Number(chainId),
+    address,
+    forwarder: forwarderAddress,
+    deployer: deployer.address,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployedAt: new Date().toISOString(),
+  };
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const recordPath = path.join(DEPLOYMENTS_DIR, `${network.name}.json`);
+  fs.writeFileSync(recordPath, `${JSON.stringify(record, null, 2)}\n`);
+  console.log(
+    `Recorded deployment in ${path.relative(process.cwd(), recordPath)}`
+  );
+
+  await exportFrontend();
+};
+
+const runMain = async () => {
+  try {
+    await main();
+    process.exit(0);
+  } catch (error) {
+    console.error("Deployment failed:", error);
+    process.exit(1);
+  }
+};
+
+runMain();
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const { artifacts } = require("hardhat");
+
+const CONTRACT_NAME = "HambaPortal";
+const FORWARDER_NAME = "HambaForwarder";
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const FRONTEND_MODULE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "hambareum-frontend",
+  "src",
+  "contract",
+  "generated",
+  "hambaPortal.js"
+);
+
+// Reads every per-network record written by deploy.js, keyed by chain id.
+const readDeployments = () => {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) return {};
+
+  const deployments = {};
+  for (const file of fs.readdirSync(DEPLOYMENTS_DIR).sort()) {
+    if (!file.endsWith(".json")) continue;
+    const record = JSON.parse(
+      fs.readFileSync(path.join(DEPLOYMENTS_DIR, file), "utf8")
+    );
+    deployments[record.chainId] = {
+      network: record.network,
+      address: record.address,
+      forwarder: record.forwarder ?? null,
+      blockNumber: record.blockNumber,
+    };
+  }
+  return deployments;
+};
+
+// Regenerates the frontend's contract module from the compiled artifact and
+// the deployment records, so the UI always uses the ABI that was deployed.
+const exportFrontend = async () => {
+  const { abi } = await artifacts.readArtifact(CONTRACT_NAME);
+  const { abi: forwarderAbi } = await artifacts.readArtifact(FORWARDER_NAME);
+  const deployments = readDeployments();
+
+  const source = [
+    `// Generated by hambareum-blockchain/scripts/export-frontend.js - do not edit.`,
+    `// Run \`npm run export-frontend\` (or deploy) in hambareum-blockchain to update.`,
+    ``,
+    `export const DEPLOYMENTS = ${JSON.stringify(deployments, null, 2)};`,
+    ``,
+    `export const ABI = ${JSON.stringify(abi, null, 2)};`,
+    ``,
+    `export const FORWARDER_ABI = ${JSON.stringify(forwarderAbi, null, 2)};`,
+    ``,
+  ].join("\n");
+
+  fs.mkdirSync(path.dirname(FRONTEND_MODULE), { recursive: true });
+  fs.writeFileSync(FRONTEND_MODULE, source);
+  console.log(
+    `Wrote ${path.relative(process.cwd(), FRONTEND_MODULE)} ` +
+      `(${abi.length} ABI entries, ${
+        Object.keys(deployments).length
+      } deployments)`
+  );
+};
+
+module.exports = { exportFrontend };
+
+if (require.main === module) {
+  exportFrontend()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("Failed to export the frontend module:", error);
+      process.exit(1);
+    });
+}
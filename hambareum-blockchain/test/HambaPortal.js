@@ -0,0 +1,1263 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const COOLDOWN = 30;
+const MAX_LENGTH = 280;
+
+describe("HambaPortal", () => {
+  const deployFixture = async () => {
+    const [owner, alice, bob, carol, relayer] = await ethers.getSigners();
+    const forwarder = await ethers.deployContract("HambaForwarder");
+    const HambaPortal = await ethers.getContractFactory("HambaPortal");
+    const hambaPortal = await HambaPortal.deploy(await forwarder.getAddress());
+    return { hambaPortal, forwarder, owner, alice, bob, carol, relayer };
+  };
+
+  // Builds the ERC2771Forwarder request for `signer` calling `method` on the
+  // portal, signed with the forwarder's EIP-712 domain.
+  const signForwardRequest = async (
+    { hambaPortal, forwarder },
+    signer,
+    method,
+    args,
+    { nonce, deadline } = {}
+  ) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      from: signer.address,
+      to: await hambaPortal.getAddress(),
+      value: 0n,
+      gas: 300000n,
+      nonce: nonce ?? (await forwarder.nonces(signer.address)),
+      deadline: deadline ?? (await time.latest()) + 3600,
+      data: hambaPortal.interface.encodeFunctionData(method, args),
+    };
+    const signature = await signer.signTypedData(
+      {
+        name: "HambaForwarder",
+        version: "1",
+        chainId,
+        verifyingContract: await forwarder.getAddress(),
+      },
+      {
+        ForwardRequest: [
+          { name: "from", type: "address" },
+          { name: "to", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "gas", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint48" },
+          { name: "data", type: "bytes" },
+        ],
+      },
+      request
+    );
+    const { nonce: _nonce, ...requestData } = request;
+    return { ...requestData, signature };
+  };
+
+  // Three messages from three senders, one per block.
+  const postedFixture = async () => {
+    const fixture = await deployFixture();
+    const { hambaPortal, owner, alice, bob } = fixture;
+    await hambaPortal.connect(owner).sendMessage("first");
+    await hambaPortal.connect(alice).sendMessage("second");
+    await hambaPortal.connect(bob).sendMessage("third");
+    return fixture;
+  };
+
+  describe("Deployment", () => {
+    it("sets the deployer as owner", async () => {
+      const { hambaPortal, owner } = await loadFixture(deployFixture);
+      expect(await hambaPortal.owner()).to.equal(owner.address);
+    });
+
+    it("starts with the default limits and no messages", async () => {
+      const { hambaPortal } = await loadFixture(deployFixture);
+      expect(await hambaPortal.cooldownTime()).to.equal(COOLDOWN);
+      expect(await hambaPortal.maxMessageLength()).to.equal(MAX_LENGTH);
+      expect(await hambaPortal.getMessageCount()).to.equal(0);
+      expect(await hambaPortal.getAllMessages()).to.deep.equal([]);
+    });
+  });
+
+  describe("sendMessage", () => {
+    it("stores the message with sender and block timestamp", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await hambaPortal.connect(alice).sendMessage("hello");
+      const timestamp = await time.latest();
+
+      const [message] = await hambaPortal.getAllMessages();
+      expect(message.sender).to.equal(alice.address);
+      expect(message.content).to.equal("hello");
+      expect(message.timestamp).to.equal(timestamp);
+      expect(message.hidden).to.equal(false);
+      expect(message.parentId).to.equal(await hambaPortal.NO_PARENT());
+      expect(await hambaPortal.lastMessageTime(0, alice.address)).to.equal(
+        timestamp
+      );
+    });
+
+    it("emits NewMessage with the sender, timestamp, content, id, channel and body hash", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(deployFixture);
+      const noParent = await hambaPortal.NO_PARENT();
+
+      await expect(hambaPortal.connect(alice).sendMessage("hello"))
+        .to.emit(hambaPortal, "NewMessage")
+        .withArgs(
+          alice.address,
+          anyValue,
+          "hello",
+          0,
+          noParent,
+          0,
+          ethers.ZeroHash
+        );
+
+      const next = (await time.latest()) + 10;
+      await time.setNextBlockTimestamp(next);
+      await expect(hambaPortal.connect(bob).sendMessage("world"))
+        .to.emit(hambaPortal, "NewMessage")
+        .withArgs(bob.address, next, "world", 1, noParent, 0, ethers.ZeroHash);
+    });
+
+    it("returns messages oldest first from getAllMessages", async () => {
+      const { hambaPortal, owner, alice, bob } = await loadFixture(
+        postedFixture
+      );
+      const messages = await hambaPortal.getAllMessages();
+      expect(messages.map((m) => m.content)).to.deep.equal([
+        "first",
+        "second",
+        "third",
+      ]);
+      expect(messages.map((m) => m.sender)).to.deep.equal([
+        owner.address,
+        alice.address,
+        bob.address,
+      ]);
+      expect(messages[0].timestamp).to.be.lessThan(messages[1].timestamp);
+      expect(messages[1].timestamp).to.be.lessThan(messages[2].timestamp);
+    });
+  });
+
+  describe("Cooldown", () => {
+    it("rejects a second message 29 seconds later", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await hambaPortal.connect(alice).sendMessage("one");
+      const sentAt = await time.latest();
+
+      await time.setNextBlockTimestamp(sentAt + COOLDOWN - 1);
+      await expect(hambaPortal.connect(alice).sendMessage("two"))
+        .to.be.revertedWithCustomError(hambaPortal, "CooldownActive")
+        .withArgs(1);
+    });
+
+    it("accepts a second message exactly 30 seconds later", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await hambaPortal.connect(alice).sendMessage("one");
+      const sentAt = await time.latest();
+
+      await time.setNextBlockTimestamp(sentAt + COOLDOWN);
+      await expect(hambaPortal.connect(alice).sendMessage("two")).not.to.be
+        .reverted;
+      expect(await hambaPortal.getMessageCount()).to.equal(2);
+    });
+
+    it("reports the remaining seconds in the revert", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await hambaPortal.connect(alice).sendMessage("one");
+      const sentAt = await time.latest();
+
+      await time.setNextBlockTimestamp(sentAt + 10);
+      await expect(hambaPortal.connect(alice).sendMessage("two"))
+        .to.be.revertedWithCustomError(hambaPortal, "CooldownActive")
+        .withArgs(COOLDOWN - 10);
+    });
+
+    it("tracks each sender separately", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(deployFixture);
+      await hambaPortal.connect(alice).sendMessage("alice");
+
+      await expect(hambaPortal.connect(bob).sendMessage("bob")).not.to.be
+        .reverted;
+      await expect(
+        hambaPortal.connect(alice).sendMessage("again")
+      ).to.be.revertedWithCustomError(hambaPortal, "CooldownActive");
+      expect(
+        await hambaPortal.lastMessageTime(0, bob.address)
+      ).to.be.greaterThan(await hambaPortal.lastMessageTime(0, alice.address));
+    });
+
+    it("uses the cooldown the owner configured", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await expect(hambaPortal.setCooldownTime(0))
+        .to.emit(hambaPortal, "CooldownTimeUpdated")
+        .withArgs(COOLDOWN, 0);
+
+      await hambaPortal.connect(alice).sendMessage("one");
+      await expect(hambaPortal.connect(alice).sendMessage("two")).not.to.be
+        .reverted;
+    });
+  });
+
+  describe("Message length", () => {
+    it("rejects empty messages", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await expect(
+        hambaPortal.connect(alice).sendMessage("")
+      ).to.be.revertedWithCustomError(hambaPortal, "EmptyMessage");
+    });
+
+    it("accepts exactly 280 bytes of ASCII", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await expect(hambaPortal.connect(alice).sendMessage("a".repeat(280))).not
+        .to.be.reverted;
+    });
+
+    it("rejects 281 bytes of ASCII", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await expect(hambaPortal.connect(alice).sendMessage("a".repeat(281)))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageTooLong")
+        .withArgs(281, MAX_LENGTH);
+    });
+
+    it("counts UTF-8 bytes rather than characters", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(deployFixture);
+      // 140 two-byte characters = 280 bytes; 70 four-byte emoji = 280 bytes.
+      await expect(hambaPortal.connect(alice).sendMessage("é".repeat(140))).not
+        .to.be.reverted;
+      await expect(hambaPortal.connect(bob).sendMessage("🐮".repeat(70))).not.to
+        .be.reverted;
+
+      const [accented, emoji] = await hambaPortal.getAllMessages();
+      expect(accented.content).to.equal("é".repeat(140));
+      expect(emoji.content).to.equal("🐮".repeat(70));
+    });
+
+    it("rejects multibyte content one byte over the limit", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      // Only 71 characters, but 281 bytes.
+      await expect(
+        hambaPortal.connect(alice).sendMessage("🐮".repeat(70) + "a")
+      )
+        .to.be.revertedWithCustomError(hambaPortal, "MessageTooLong")
+        .withArgs(281, MAX_LENGTH);
+    });
+
+    it("uses the maximum length the owner configured", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await hambaPortal.setMaxMessageLength(4);
+
+      await expect(hambaPortal.connect(alice).sendMessage("🐮🐮"))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageTooLong")
+        .withArgs(8, 4);
+      await expect(
+        hambaPortal.setMaxMessageLength(0)
+      ).to.be.revertedWithCustomError(hambaPortal, "InvalidMaxMessageLength");
+    });
+  });
+
+  describe("Ownership", () => {
+    it("only lets the owner change the limits", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await expect(
+        hambaPortal.connect(alice).setCooldownTime(0)
+      ).to.be.revertedWithCustomError(hambaPortal, "NotOwner");
+      await expect(
+        hambaPortal.connect(alice).setMaxMessageLength(10)
+      ).to.be.revertedWithCustomError(hambaPortal, "NotOwner");
+    });
+
+    it("transfers ownership to a non-zero address", async () => {
+      const { hambaPortal, owner, alice } = await loadFixture(deployFixture);
+      await expect(
+        hambaPortal.transferOwnership(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(hambaPortal, "ZeroAddress");
+
+      await expect(hambaPortal.transferOwnership(alice.address))
+        .to.emit(hambaPortal, "OwnershipTransferred")
+        .withArgs(owner.address, alice.address);
+      expect(await hambaPortal.owner()).to.equal(alice.address);
+      await expect(
+        hambaPortal.setCooldownTime(0)
+      ).to.be.revertedWithCustomError(hambaPortal, "NotOwner");
+    });
+  });
+
+  describe("Moderation", () => {
+    it("lets the owner manage moderators", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(deployFixture);
+      await expect(hambaPortal.addModerator(alice.address))
+        .to.emit(hambaPortal, "ModeratorAdded")
+        .withArgs(alice.address);
+      expect(await hambaPortal.isModerator(alice.address)).to.equal(true);
+
+      await expect(
+        hambaPortal.connect(alice).addModerator(bob.address)
+      ).to.be.revertedWithCustomError(hambaPortal, "NotOwner");
+
+      await expect(hambaPortal.removeModerator(alice.address))
+        .to.emit(hambaPortal, "ModeratorRemoved")
+        .withArgs(alice.address);
+      expect(await hambaPortal.isModerator(alice.address)).to.equal(false);
+    });
+
+    it("hides and unhides messages with a public reason", async () => {
+      const { hambaPortal, owner, alice } = await loadFixture(postedFixture);
+      await hambaPortal.addModerator(alice.address);
+
+      await expect(hambaPortal.connect(alice).hideMessage(1, "spam"))
+        .to.emit(hambaPortal, "MessageHidden")
+        .withArgs(1, alice.address, "spam");
+      expect((await hambaPortal.messages(1)).hidden).to.equal(true);
+      await expect(hambaPortal.hideMessage(1, "again"))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageAlreadyHidden")
+        .withArgs(1);
+
+      await expect(hambaPortal.unhideMessage(1))
+        .to.emit(hambaPortal, "MessageUnhidden")
+        .withArgs(1, owner.address);
+      await expect(hambaPortal.unhideMessage(1))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageNotHidden")
+        .withArgs(1);
+    });
+
+    it("rejects moderation from non-moderators and of missing messages", async () => {
+      const { hambaPortal, alice } = await loadFixture(postedFixture);
+      await expect(
+        hambaPortal.connect(alice).hideMessage(0, "")
+      ).to.be.revertedWithCustomError(hambaPortal, "NotModerator");
+      await expect(hambaPortal.hideMessage(3, ""))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageNotFound")
+        .withArgs(3);
+    });
+
+    it("stops banned addresses from posting until unbanned", async () => {
+      const { hambaPortal, owner, alice } = await loadFixture(deployFixture);
+      await expect(hambaPortal.banAddress(alice.address, "abuse"))
+        .to.emit(hambaPortal, "AddressBanned")
+        .withArgs(alice.address, owner.address, "abuse");
+      await expect(
+        hambaPortal.connect(alice).sendMessage("hi")
+      ).to.be.revertedWithCustomError(hambaPortal, "SenderBanned");
+
+      await expect(hambaPortal.unbanAddress(alice.address))
+        .to.emit(hambaPortal, "AddressUnbanned")
+        .withArgs(alice.address, owner.address);
+      await expect(hambaPortal.connect(alice).sendMessage("hi")).not.to.be
+        .reverted;
+    });
+  });
+
+  describe("Pagination", () => {
+    it("returns a window of messages starting at the offset", async () => {
+      const { hambaPortal } = await loadFixture(postedFixture);
+      const page = await hambaPortal.getMessages(1, 1);
+      expect(page.map((m) => m.content)).to.deep.equal(["second"]);
+    });
+
+    it("clamps the limit to the end of the history", async () => {
+      const { hambaPortal } = await loadFixture(postedFixture);
+      const page = await hambaPortal.getMessages(1, ethers.MaxUint256);
+      expect(page.map((m) => m.content)).to.deep.equal(["second", "third"]);
+    });
+
+    it("returns nothing past the end", async () => {
+      const { hambaPortal } = await loadFixture(postedFixture);
+      expect(await hambaPortal.getMessages(3, 10)).to.deep.equal([]);
+    });
+  });
+
+  describe("Replies", () => {
+    const reply = (hambaPortal, signer, content, parentId) =>
+      hambaPortal
+        .connect(signer)
+        ["sendMessage(string,uint256)"](content, parentId);
+
+    it("links replies to their parent", async () => {
+      const { hambaPortal, carol } = await loadFixture(postedFixture);
+      await expect(reply(hambaPortal, carol, "re: first", 0))
+        .to.emit(hambaPortal, "NewMessage")
+        .withArgs(
+          carol.address,
+          anyValue,
+          "re: first",
+          3,
+          0,
+          0,
+          ethers.ZeroHash
+        );
+
+      expect((await hambaPortal.messages(0)).replyCount).to.equal(1);
+      const [ids, replies] = await hambaPortal.getReplies(0, 0, 10);
+      expect(ids).to.deep.equal([3n]);
+      expect(replies[0].content).to.equal("re: first");
+      expect(replies[0].parentId).to.equal(0);
+    });
+
+    it("rejects replies to messages that don't exist", async () => {
+      const { hambaPortal, carol } = await loadFixture(postedFixture);
+      await expect(reply(hambaPortal, carol, "hello?", 3))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageNotFound")
+        .withArgs(3);
+    });
+
+    it("pages through replies oldest first", async () => {
+      const { hambaPortal, alice, bob, carol } = await loadFixture(
+        postedFixture
+      );
+      await time.increase(COOLDOWN);
+      await reply(hambaPortal, alice, "a", 0);
+      await reply(hambaPortal, bob, "b", 0);
+      await reply(hambaPortal, carol, "c", 0);
+
+      const [ids, replies] = await hambaPortal.getReplies(0, 1, 5);
+      expect(ids).to.deep.equal([4n, 5n]);
+      expect(replies.map((r) => r.content)).to.deep.equal(["b", "c"]);
+    });
+  });
+
+  describe("Reactions", () => {
+    it("counts one reaction of each type per address", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(postedFixture);
+      await expect(hambaPortal.connect(alice).react(0, 1))
+        .to.emit(hambaPortal, "Reacted")
+        .withArgs(0, alice.address, 1);
+      await hambaPortal.connect(bob).react(0, 1);
+      await hambaPortal.connect(bob).react(0, 3);
+
+      await expect(hambaPortal.connect(alice).react(0, 1))
+        .to.be.revertedWithCustomError(hambaPortal, "AlreadyReacted")
+        .withArgs(0, 1);
+      expect(await hambaPortal.getReactionCounts(0)).to.deep.equal([
+        0n,
+        2n,
+        0n,
+        1n,
+      ]);
+      expect(await hambaPortal.hasReacted(0, alice.address, 1)).to.equal(true);
+    });
+
+    it("removes reactions", async () => {
+      const { hambaPortal, alice } = await loadFixture(postedFixture);
+      await hambaPortal.connect(alice).react(2, 0);
+
+      await expect(hambaPortal.connect(alice).unreact(2, 0))
+        .to.emit(hambaPortal, "ReactionRemoved")
+        .withArgs(2, alice.address, 0);
+      await expect(hambaPortal.connect(alice).unreact(2, 0))
+        .to.be.revertedWithCustomError(hambaPortal, "NotReacted")
+        .withArgs(2, 0);
+      expect(await hambaPortal.getReactionCounts(2)).to.deep.equal([
+        0n,
+        0n,
+        0n,
+        0n,
+      ]);
+    });
+
+    it("rejects unknown reaction types and messages", async () => {
+      const { hambaPortal, alice } = await loadFixture(postedFixture);
+      await expect(hambaPortal.connect(alice).react(0, 4))
+        .to.be.revertedWithCustomError(hambaPortal, "InvalidReactionType")
+        .withArgs(4);
+      await expect(hambaPortal.connect(alice).react(3, 0))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageNotFound")
+        .withArgs(3);
+    });
+
+    it("returns counts and the account's reactions in one batch", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(postedFixture);
+      await hambaPortal.connect(alice).react(0, 2);
+      await hambaPortal.connect(bob).react(1, 2);
+
+      const [counts, reacted] = await hambaPortal.getReactions(
+        [0, 1],
+        alice.address
+      );
+      expect(counts.map((c) => c[2])).to.deep.equal([1n, 1n]);
+      expect(reacted.map((r) => r[2])).to.deep.equal([true, false]);
+    });
+  });
+
+  describe("Channels", () => {
+    // Alice opens "dev" with a 5 second cooldown and "core" for members only.
+    const channelsFixture = async () => {
+      const fixture = await deployFixture();
+      const { hambaPortal, alice } = fixture;
+      await hambaPortal.connect(alice).createChannel("dev", false, true, 5);
+      await hambaPortal.connect(alice).createChannel("core", true, false, 0);
+      return fixture;
+    };
+
+    it("starts with the general channel", async () => {
+      const { hambaPortal, owner } = await loadFixture(deployFixture);
+      expect(await hambaPortal.getChannelCount()).to.equal(1);
+      const [general] = await hambaPortal.getChannels(0, 10);
+      expect(general.name).to.equal("general");
+      expect(general.creator).to.equal(owner.address);
+      expect(await hambaPortal.channelCooldown(0)).to.equal(COOLDOWN);
+    });
+
+    it("creates channels with their settings", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await expect(
+        hambaPortal.connect(alice).createChannel("dev", false, true, 5)
+      )
+        .to.emit(hambaPortal, "ChannelCreated")
+        .withArgs(1, alice.address, "dev")
+        .and.to.emit(hambaPortal, "ChannelUpdated")
+        .withArgs(1, false, true, 5);
+
+      const [dev] = await hambaPortal.getChannels(1, 1);
+      expect(dev.name).to.equal("dev");
+      expect(dev.allowlistOnly).to.equal(false);
+      expect(await hambaPortal.channelCooldown(1)).to.equal(5);
+    });
+
+    it("rejects empty and overlong names", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      for (const name of ["", "x".repeat(33)]) {
+        await expect(
+          hambaPortal.connect(alice).createChannel(name, false, false, 0)
+        ).to.be.revertedWithCustomError(hambaPortal, "InvalidChannelName");
+      }
+    });
+
+    it("indexes messages per channel", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(channelsFixture);
+      const noParent = await hambaPortal.NO_PARENT();
+      await hambaPortal.connect(bob).sendMessage("in general");
+      await expect(
+        hambaPortal.connect(bob).sendChannelMessage(1, "in dev", noParent)
+      )
+        .to.emit(hambaPortal, "NewMessage")
+        .withArgs(
+          bob.address,
+          anyValue,
+          "in dev",
+          1,
+          noParent,
+          1,
+          ethers.ZeroHash
+        );
+      await hambaPortal.connect(alice).sendChannelMessage(1, "re", 1);
+
+      const [ids, page] = await hambaPortal.getChannelMessages(1, 0, 10);
+      expect(ids).to.deep.equal([1n, 2n]);
+      expect(page.map((m) => m.content)).to.deep.equal(["in dev", "re"]);
+      expect(page[0].channelId).to.equal(1);
+      expect(
+        (await hambaPortal.getChannels(0, 2)).map((c) => c.messageCount)
+      ).to.deep.equal([1n, 2n]);
+      await expect(hambaPortal.getChannelMessages(3, 0, 10))
+        .to.be.revertedWithCustomError(hambaPortal, "ChannelNotFound")
+        .withArgs(3);
+    });
+
+    it("keeps replies in their parent's channel", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(channelsFixture);
+      await hambaPortal.connect(alice).sendMessage("general post");
+      await expect(hambaPortal.connect(bob).sendChannelMessage(1, "re", 0))
+        .to.be.revertedWithCustomError(hambaPortal, "ReplyChannelMismatch")
+        .withArgs(0);
+    });
+
+    it("runs cooldowns per channel", async () => {
+      const { hambaPortal, bob } = await loadFixture(channelsFixture);
+      const noParent = await hambaPortal.NO_PARENT();
+      await hambaPortal.connect(bob).sendMessage("general");
+      await hambaPortal.connect(bob).sendChannelMessage(1, "dev", noParent);
+
+      await expect(
+        hambaPortal.connect(bob).sendChannelMessage(1, "too soon", noParent)
+      ).to.be.revertedWithCustomError(hambaPortal, "CooldownActive");
+      await time.increase(5);
+      await hambaPortal.connect(bob).sendChannelMessage(1, "ok", noParent);
+      await expect(
+        hambaPortal.connect(bob).sendMessage("general again")
+      ).to.be.revertedWithCustomError(hambaPortal, "CooldownActive");
+    });
+
+    it("only lets allowlisted addresses post in allowlist-only channels", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(channelsFixture);
+      const noParent = await hambaPortal.NO_PARENT();
+      expect(await hambaPortal.channelMembers(2, alice.address)).to.equal(true);
+
+      await expect(
+        hambaPortal.connect(bob).sendChannelMessage(2, "let me in", noParent)
+      )
+        .to.be.revertedWithCustomError(hambaPortal, "NotChannelMember")
+        .withArgs(2);
+
+      await expect(hambaPortal.connect(alice).setChannelMember(2, bob, true))
+        .to.emit(hambaPortal, "ChannelMemberUpdated")
+        .withArgs(2, bob.address, true);
+      await hambaPortal.connect(bob).sendChannelMessage(2, "thanks", noParent);
+    });
+
+    it("lets the creator and the owner administer a channel", async () => {
+      const { hambaPortal, owner, alice, bob } = await loadFixture(
+        channelsFixture
+      );
+      await expect(hambaPortal.connect(bob).updateChannel(1, true, false, 0))
+        .to.be.revertedWithCustomError(hambaPortal, "NotChannelAdmin")
+        .withArgs(1);
+      await expect(hambaPortal.connect(bob).setChannelMember(1, bob, true))
+        .to.be.revertedWithCustomError(hambaPortal, "NotChannelAdmin")
+        .withArgs(1);
+
+      await expect(hambaPortal.connect(alice).updateChannel(1, true, false, 0))
+        .to.emit(hambaPortal, "ChannelUpdated")
+        .withArgs(1, true, false, 0);
+      expect(await hambaPortal.channelCooldown(1)).to.equal(COOLDOWN);
+      await hambaPortal.connect(owner).setChannelMember(1, bob, true);
+      expect(await hambaPortal.channelMembers(1, bob.address)).to.equal(true);
+    });
+  });
+
+  describe("Boosts", () => {
+    const PRICE = ethers.parseEther("0.001");
+    const HOUR = 3600;
+
+    it("pins a boosted message for as long as its fee buys", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      const value = PRICE * 3n;
+
+      const tx = hambaPortal
+        .connect(alice)
+        .sendBoostedMessage(0, "look at me", { value });
+      await expect(tx).to.changeEtherBalances(
+        [alice, hambaPortal],
+        [-value, value]
+      );
+      const until = (await time.latest()) + 3 * HOUR;
+      await expect(tx)
+        .to.emit(hambaPortal, "MessageBoosted")
+        .withArgs(0, alice.address, value, until);
+
+      const [ids, boosted, boostedUntil] =
+        await hambaPortal.getBoostedMessages();
+      expect(ids).to.deep.equal([0n]);
+      expect(boosted[0].content).to.equal("look at me");
+      expect(boostedUntil).to.deep.equal([BigInt(until)]);
+      expect(await hambaPortal.boostedUntil(0)).to.equal(until);
+    });
+
+    it("drops expired boosts from the pinned list", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(deployFixture);
+      await hambaPortal
+        .connect(alice)
+        .sendBoostedMessage(0, "short", { value: PRICE });
+      await hambaPortal
+        .connect(bob)
+        .sendBoostedMessage(0, "long", { value: PRICE * 2n });
+
+      await time.increase(HOUR);
+      const [ids] = await hambaPortal.getBoostedMessages();
+      expect(ids).to.deep.equal([1n]);
+
+      // The next boost prunes the expired entry.
+      await hambaPortal
+        .connect(alice)
+        .sendBoostedMessage(0, "again", { value: PRICE });
+      const [idsAfter] = await hambaPortal.getBoostedMessages();
+      expect([...idsAfter].sort()).to.deep.equal([1n, 2n]);
+    });
+
+    it("prunes a bounded number of expired boosts per boost", async () => {
+      // Gas of a boost made after `count` others have expired.
+      const boostAfterExpired = async (count) => {
+        const { hambaPortal, owner, alice } = await loadFixture(deployFixture);
+        await hambaPortal.connect(owner).setCooldownTime(0);
+        for (let i = 0; i < count; i++) {
+          await hambaPortal
+            .connect(alice)
+            .sendBoostedMessage(0, "short", { value: PRICE });
+        }
+        await time.increase(HOUR);
+        const tx = await hambaPortal
+          .connect(alice)
+          .sendBoostedMessage(0, "new", { value: PRICE });
+        const [ids] = await hambaPortal.getBoostedMessages();
+        expect(ids).to.deep.equal([BigInt(count)]);
+        return (await tx.wait()).gasUsed;
+      };
+
+      const gas = [await boostAfterExpired(8), await boostAfterExpired(40)];
+      // Pruning all 40 would cost hundreds of thousands more.
+      expect(gas[1]).to.be.closeTo(gas[0], 20000n);
+    });
+
+    it("rejects boosts shorter than the minimum duration", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      await expect(
+        hambaPortal
+          .connect(alice)
+          .sendBoostedMessage(0, "cheap", { value: PRICE - 1n })
+      )
+        .to.be.revertedWithCustomError(hambaPortal, "BoostTooSmall")
+        .withArgs(PRICE);
+    });
+
+    it("applies the usual posting rules", async () => {
+      const { hambaPortal, owner, alice } = await loadFixture(deployFixture);
+      await hambaPortal.connect(alice).sendMessage("hi");
+      await expect(
+        hambaPortal.connect(alice).sendBoostedMessage(0, "hi", { value: PRICE })
+      ).to.be.revertedWithCustomError(hambaPortal, "CooldownActive");
+
+      await hambaPortal.connect(owner).banAddress(alice.address, "spam");
+      await time.increase(COOLDOWN);
+      await expect(
+        hambaPortal.connect(alice).sendBoostedMessage(0, "hi", { value: PRICE })
+      ).to.be.revertedWithCustomError(hambaPortal, "SenderBanned");
+    });
+
+    it("lets the owner set the price and withdraw the fees", async () => {
+      const { hambaPortal, owner, alice } = await loadFixture(deployFixture);
+      const newPrice = PRICE * 2n;
+      await expect(
+        hambaPortal.connect(alice).setBoostPrice(newPrice)
+      ).to.be.revertedWithCustomError(hambaPortal, "NotOwner");
+      await expect(
+        hambaPortal.connect(owner).setBoostPrice(0)
+      ).to.be.revertedWithCustomError(hambaPortal, "InvalidBoostPrice");
+      await expect(hambaPortal.connect(owner).setBoostPrice(newPrice))
+        .to.emit(hambaPortal, "BoostPriceUpdated")
+        .withArgs(PRICE, newPrice);
+
+      await hambaPortal
+        .connect(alice)
+        .sendBoostedMessage(0, "paid", { value: newPrice });
+
+      await expect(
+        hambaPortal.connect(alice).withdraw()
+      ).to.be.revertedWithCustomError(hambaPortal, "NotOwner");
+      const withdrawal = hambaPortal.connect(owner).withdraw();
+      await expect(withdrawal)
+        .to.emit(hambaPortal, "Withdrawn")
+        .withArgs(owner.address, newPrice);
+      await expect(withdrawal).to.changeEtherBalances(
+        [owner, hambaPortal],
+        [newPrice, -newPrice]
+      );
+      await expect(
+        hambaPortal.connect(owner).withdraw()
+      ).to.be.revertedWithCustomError(hambaPortal, "NothingToWithdraw");
+    });
+  });
+
+  describe("Tips", () => {
+    it("forwards tips to the author and totals them", async () => {
+      const { hambaPortal, alice, bob, carol } = await loadFixture(
+        postedFixture
+      );
+      const value = ethers.parseEther("0.01");
+
+      const tx = hambaPortal.connect(carol).tip(1, { value });
+      await expect(tx)
+        .to.emit(hambaPortal, "Tipped")
+        .withArgs(1, carol.address, alice.address, value);
+      await expect(tx).to.changeEtherBalances(
+        [carol, alice, hambaPortal],
+        [-value, value, 0]
+      );
+      await hambaPortal.connect(bob).tip(1, { value });
+
+      expect(await hambaPortal.tipTotals(1)).to.equal(value * 2n);
+      expect(await hambaPortal.getTipTotals([0, 1])).to.deep.equal([
+        0n,
+        value * 2n,
+      ]);
+    });
+
+    it("rejects empty tips and missing messages", async () => {
+      const { hambaPortal, carol } = await loadFixture(postedFixture);
+      await expect(
+        hambaPortal.connect(carol).tip(0)
+      ).to.be.revertedWithCustomError(hambaPortal, "EmptyTip");
+      await expect(hambaPortal.connect(carol).tip(3, { value: 1 }))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageNotFound")
+        .withArgs(3);
+    });
+  });
+
+  describe("Direct messages", () => {
+    // Any compressed secp256k1 point will do; the contract only checks shape.
+    const publicKey = (signer) =>
+      ethers.SigningKey.computePublicKey(
+        ethers.keccak256(ethers.toUtf8Bytes(signer.address)),
+        true
+      );
+
+    const keyedFixture = async () => {
+      const fixture = await deployFixture();
+      const { hambaPortal, alice, bob } = fixture;
+      await hambaPortal.connect(alice).setEncryptionKey(publicKey(alice));
+      await hambaPortal.connect(bob).setEncryptionKey(publicKey(bob));
+      return fixture;
+    };
+
+    it("publishes encryption keys", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      const key = publicKey(alice);
+
+      await expect(hambaPortal.connect(alice).setEncryptionKey(key))
+        .to.emit(hambaPortal, "EncryptionKeySet")
+        .withArgs(alice.address, key);
+      expect(await hambaPortal.encryptionKeys(alice.address)).to.equal(key);
+    });
+
+    it("rejects malformed keys", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      const uncompressed = ethers.SigningKey.computePublicKey(
+        publicKey(alice),
+        false
+      );
+
+      for (const key of ["0x", uncompressed, "0x04" + "11".repeat(32)]) {
+        await expect(
+          hambaPortal.connect(alice).setEncryptionKey(key)
+        ).to.be.revertedWithCustomError(hambaPortal, "InvalidEncryptionKey");
+      }
+    });
+
+    it("emits ciphertext addressed to the recipient", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(keyedFixture);
+
+      const tx = hambaPortal.connect(alice).sendDirectMessage(bob, "0x1234");
+      await expect(tx)
+        .to.emit(hambaPortal, "DirectMessage")
+        .withArgs(0, alice.address, bob.address, "0x1234", anyValue);
+      await expect(hambaPortal.connect(bob).sendDirectMessage(alice, "0x56"))
+        .to.emit(hambaPortal, "DirectMessage")
+        .withArgs(1, bob.address, alice.address, "0x56", anyValue);
+      expect(await hambaPortal.directMessageCount()).to.equal(2);
+      expect(await hambaPortal.getMessageCount()).to.equal(0);
+    });
+
+    it("requires the recipient to have published a key", async () => {
+      const { hambaPortal, alice, carol } = await loadFixture(keyedFixture);
+      await expect(hambaPortal.connect(alice).sendDirectMessage(carol, "0x12"))
+        .to.be.revertedWithCustomError(hambaPortal, "NoEncryptionKey")
+        .withArgs(carol.address);
+    });
+
+    it("enforces size, cooldown and bans", async () => {
+      const { hambaPortal, owner, alice, bob } = await loadFixture(
+        keyedFixture
+      );
+      const tooLong = "0x" + "00".repeat(1025);
+
+      await expect(
+        hambaPortal.connect(alice).sendDirectMessage(bob, "0x")
+      ).to.be.revertedWithCustomError(hambaPortal, "EmptyMessage");
+      await expect(hambaPortal.connect(alice).sendDirectMessage(bob, tooLong))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageTooLong")
+        .withArgs(1025, 1024);
+
+      await hambaPortal.connect(alice).sendDirectMessage(bob, "0x12");
+      await expect(hambaPortal.connect(alice).sendDirectMessage(bob, "0x34"))
+        .to.be.revertedWithCustomError(hambaPortal, "CooldownActive")
+        .withArgs(COOLDOWN - 1);
+      // Public posts keep their own cooldown.
+      await hambaPortal.connect(alice).sendMessage("still allowed");
+
+      await hambaPortal.connect(owner).banAddress(bob, "spam");
+      await expect(
+        hambaPortal.connect(bob).sendDirectMessage(alice, "0x12")
+      ).to.be.revertedWithCustomError(hambaPortal, "SenderBanned");
+    });
+  });
+
+  describe("Long-form messages", () => {
+    const body = "A long body. ".repeat(100);
+    const bodyHash = ethers.sha256(ethers.toUtf8Bytes(body));
+
+    it("stores the preview and body hash", async () => {
+      const { hambaPortal, alice } = await loadFixture(deployFixture);
+      const noParent = await hambaPortal.NO_PARENT();
+
+      await expect(
+        hambaPortal
+          .connect(alice)
+          .sendLongMessage(0, "A long body…", bodyHash, noParent)
+      )
+        .to.emit(hambaPortal, "NewMessage")
+        .withArgs(
+          alice.address,
+          anyValue,
+          "A long body…",
+          0,
+          noParent,
+          0,
+          bodyHash
+        );
+
+      const [message] = await hambaPortal.getMessages(0, 1);
+      expect(message.content).to.equal("A long body…");
+      expect(message.bodyHash).to.equal(bodyHash);
+    });
+
+    it("leaves the body hash of regular posts empty", async () => {
+      const { hambaPortal } = await loadFixture(postedFixture);
+      const [message] = await hambaPortal.getMessages(0, 1);
+      expect(message.bodyHash).to.equal(ethers.ZeroHash);
+    });
+
+    it("can reply, and holds the preview to the usual rules", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(deployFixture);
+
+      await hambaPortal.connect(alice).sendMessage("parent");
+      await hambaPortal.connect(bob).sendLongMessage(0, "re", bodyHash, 0);
+      expect((await hambaPortal.messages(0)).replyCount).to.equal(1);
+
+      await time.increase(COOLDOWN);
+      await expect(
+        hambaPortal.connect(bob).sendLongMessage(0, "", bodyHash, 0)
+      ).to.be.revertedWithCustomError(hambaPortal, "EmptyMessage");
+      await expect(
+        hambaPortal.connect(bob).sendLongMessage(0, body, bodyHash, 0)
+      ).to.be.revertedWithCustomError(hambaPortal, "MessageTooLong");
+      await expect(
+        hambaPortal.connect(bob).sendLongMessage(0, "re", ethers.ZeroHash, 0)
+      ).to.be.revertedWithCustomError(hambaPortal, "EmptyBodyHash");
+    });
+  });
+
+  describe("Edits and deletions", () => {
+    const EDIT_WINDOW = 3600;
+
+    it("replaces the content and emits both revisions", async () => {
+      const { hambaPortal, alice } = await loadFixture(postedFixture);
+      const bodyHash = ethers.sha256(ethers.toUtf8Bytes("full body"));
+
+      await expect(hambaPortal.connect(alice).editMessage(1, "second, fixed"))
+        .to.emit(hambaPortal, "MessageEdited")
+        .withArgs(
+          1,
+          alice.address,
+          1,
+          "second",
+          ethers.ZeroHash,
+          "second, fixed",
+          ethers.ZeroHash,
+          anyValue
+        );
+      await expect(
+        hambaPortal.connect(alice).editLongMessage(1, "full…", bodyHash)
+      )
+        .to.emit(hambaPortal, "MessageEdited")
+        .withArgs(
+          1,
+          alice.address,
+          2,
+          "second, fixed",
+          ethers.ZeroHash,
+          "full…",
+          bodyHash,
+          anyValue
+        );
+
+      const message = await hambaPortal.messages(1);
+      expect(message.content).to.equal("full…");
+      expect(message.bodyHash).to.equal(bodyHash);
+      expect(message.edited).to.equal(true);
+      expect(message.editCount).to.equal(2);
+    });
+
+    it("leaves a tombstone when a post is deleted", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(postedFixture);
+      await time.increase(COOLDOWN);
+      await hambaPortal.connect(bob).sendChannelMessage(0, "reply", 1);
+
+      await expect(hambaPortal.connect(alice).deleteMessage(1))
+        .to.emit(hambaPortal, "MessageDeleted")
+        .withArgs(1, alice.address, "second", ethers.ZeroHash, anyValue);
+
+      const message = await hambaPortal.messages(1);
+      expect(message.content).to.equal("");
+      expect(message.deleted).to.equal(true);
+      expect(message.replyCount).to.equal(1);
+      await expect(hambaPortal.connect(alice).editMessage(1, "back"))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageAlreadyDeleted")
+        .withArgs(1);
+      await expect(hambaPortal.connect(alice).deleteMessage(1))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageAlreadyDeleted")
+        .withArgs(1);
+    });
+
+    it("only lets the author change their post", async () => {
+      const { hambaPortal, owner, bob } = await loadFixture(postedFixture);
+
+      await expect(hambaPortal.connect(bob).editMessage(1, "mine now"))
+        .to.be.revertedWithCustomError(hambaPortal, "NotMessageSender")
+        .withArgs(1);
+      await expect(hambaPortal.connect(owner).deleteMessage(1))
+        .to.be.revertedWithCustomError(hambaPortal, "NotMessageSender")
+        .withArgs(1);
+      await expect(hambaPortal.connect(bob).deleteMessage(9))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageNotFound")
+        .withArgs(9);
+    });
+
+    it("holds edits to the posting rules", async () => {
+      const { hambaPortal, owner, alice } = await loadFixture(postedFixture);
+
+      await expect(
+        hambaPortal.connect(alice).editMessage(1, "")
+      ).to.be.revertedWithCustomError(hambaPortal, "EmptyMessage");
+      await expect(hambaPortal.connect(alice).editMessage(1, "a".repeat(281)))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageTooLong")
+        .withArgs(281, MAX_LENGTH);
+      await expect(
+        hambaPortal.connect(alice).editLongMessage(1, "x", ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(hambaPortal, "EmptyBodyHash");
+
+      await hambaPortal.connect(owner).banAddress(alice, "spam");
+      await expect(
+        hambaPortal.connect(alice).editMessage(1, "still here")
+      ).to.be.revertedWithCustomError(hambaPortal, "SenderBanned");
+      // Banned authors can still take their posts down.
+      await hambaPortal.connect(alice).deleteMessage(1);
+    });
+
+    it("closes edits after the configured window", async () => {
+      const { hambaPortal, owner, alice, bob } = await loadFixture(
+        postedFixture
+      );
+      expect(await hambaPortal.editWindow()).to.equal(EDIT_WINDOW);
+
+      const [, second] = await hambaPortal.getMessages(0, 3);
+      await time.setNextBlockTimestamp(second.timestamp + BigInt(EDIT_WINDOW));
+      await hambaPortal.connect(alice).editMessage(1, "just in time");
+      await expect(hambaPortal.connect(alice).deleteMessage(1))
+        .to.be.revertedWithCustomError(hambaPortal, "EditWindowClosed")
+        .withArgs(1);
+
+      await expect(
+        hambaPortal.connect(alice).setEditWindow(0)
+      ).to.be.revertedWithCustomError(hambaPortal, "NotOwner");
+      await expect(hambaPortal.connect(owner).setEditWindow(0))
+        .to.emit(hambaPortal, "EditWindowUpdated")
+        .withArgs(EDIT_WINDOW, 0);
+      await hambaPortal.connect(bob).sendChannelMessage(0, "fresh", 1);
+      await expect(hambaPortal.connect(bob).editMessage(3, "too late"))
+        .to.be.revertedWithCustomError(hambaPortal, "EditWindowClosed")
+        .withArgs(3);
+    });
+
+    it("keeps the edit window a post was made under", async () => {
+      const { hambaPortal, owner, alice, bob } = await loadFixture(
+        postedFixture
+      );
+      const [, second] = await hambaPortal.getMessages(0, 3);
+      const deadline = second.timestamp + BigInt(EDIT_WINDOW);
+      expect(second.editableUntil).to.equal(deadline);
+
+      // Shortening the window doesn't cut older posts off...
+      await hambaPortal.connect(owner).setEditWindow(60);
+      await time.setNextBlockTimestamp(deadline);
+      await hambaPortal.connect(alice).editMessage(1, "still mine");
+
+      // ...and lengthening it doesn't reopen them.
+      await hambaPortal.connect(owner).setEditWindow(EDIT_WINDOW * 2);
+      await expect(hambaPortal.connect(alice).deleteMessage(1))
+        .to.be.revertedWithCustomError(hambaPortal, "EditWindowClosed")
+        .withArgs(1);
+      await hambaPortal.connect(bob).sendMessage("later");
+      const later = await hambaPortal.messages(3);
+      expect(later.editableUntil).to.equal(
+        later.timestamp + BigInt(EDIT_WINDOW * 2)
+      );
+    });
+
+    it("takes no replies, reactions, tips or boost on a deleted post", async () => {
+      const { hambaPortal, alice, bob } = await loadFixture(deployFixture);
+      const price = await hambaPortal.boostPricePerHour();
+      await hambaPortal
+        .connect(alice)
+        .sendBoostedMessage(0, "pinned", { value: price });
+      await hambaPortal.connect(bob).react(0, 0);
+
+      await hambaPortal.connect(alice).deleteMessage(0);
+      const [ids] = await hambaPortal.getBoostedMessages();
+      expect(ids).to.deep.equal([]);
+      expect(await hambaPortal.boostedUntil(0)).to.equal(0);
+
+      await expect(hambaPortal.connect(bob).sendChannelMessage(0, "re", 0))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageIsDeleted")
+        .withArgs(0);
+      await expect(hambaPortal.connect(bob).react(0, 1))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageIsDeleted")
+        .withArgs(0);
+      await expect(hambaPortal.connect(bob).tip(0, { value: 1n }))
+        .to.be.revertedWithCustomError(hambaPortal, "MessageIsDeleted")
+        .withArgs(0);
+      // Earlier reactions can still be taken back.
+      await hambaPortal.connect(bob).unreact(0, 0);
+    });
+  });
+
+  describe("Meta-transactions", () => {
+    const SEND_MESSAGE = "sendMessage(string,uint256)";
+    const NO_PARENT = ethers.MaxUint256;
+
+    it("trusts only its forwarder", async () => {
+      const { hambaPortal, forwarder, relayer } = await loadFixture(
+        deployFixture
+      );
+      expect(await hambaPortal.trustedForwarder()).to.equal(
+        await forwarder.getAddress()
+      );
+      expect(await hambaPortal.isTrustedForwarder(relayer.address)).to.equal(
+        false
+      );
+    });
+
+    it("attributes relayed posts to the signer", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { hambaPortal, forwarder, alice, relayer } = fixture;
+      const request = await signForwardRequest(fixture, alice, SEND_MESSAGE, [
+        "gasless",
+        NO_PARENT,
+      ]);
+
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.emit(hambaPortal, "NewMessage")
+        .withArgs(
+          alice.address,
+          anyValue,
+          "gasless",
+          0,
+          NO_PARENT,
+          0,
+          ethers.ZeroHash
+        );
+      const [message] = await hambaPortal.getAllMessages();
+      expect(message.sender).to.equal(alice.address);
+      expect(await hambaPortal.lastMessageTime(0, relayer.address)).to.equal(0);
+    });
+
+    it("applies the cooldown to the signer, not the relayer", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { hambaPortal, forwarder, alice, bob, relayer } = fixture;
+      await forwarder
+        .connect(relayer)
+        .execute(
+          await signForwardRequest(fixture, alice, SEND_MESSAGE, [
+            "one",
+            NO_PARENT,
+          ])
+        );
+
+      // The forwarder reports the portal's revert as FailedCall.
+      await expect(
+        forwarder
+          .connect(relayer)
+          .execute(
+            await signForwardRequest(fixture, alice, SEND_MESSAGE, [
+              "two",
+              NO_PARENT,
+            ])
+          )
+      ).to.be.revertedWithCustomError(forwarder, "FailedCall");
+      await expect(
+        hambaPortal.connect(alice).sendMessage("direct")
+      ).to.be.revertedWithCustomError(hambaPortal, "CooldownActive");
+
+      // Other signers are unaffected by sharing the relayer.
+      await forwarder
+        .connect(relayer)
+        .execute(
+          await signForwardRequest(fixture, bob, SEND_MESSAGE, [
+            "three",
+            NO_PARENT,
+          ])
+        );
+      expect(await hambaPortal.getMessageCount()).to.equal(2);
+    });
+
+    it("applies bans to relayed posts", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { hambaPortal, forwarder, owner, alice, relayer } = fixture;
+      await hambaPortal.connect(owner).banAddress(alice.address, "spam");
+
+      await expect(
+        forwarder
+          .connect(relayer)
+          .execute(
+            await signForwardRequest(fixture, alice, SEND_MESSAGE, [
+              "banned",
+              NO_PARENT,
+            ])
+          )
+      ).to.be.revertedWithCustomError(forwarder, "FailedCall");
+    });
+
+    it("rejects forged, replayed and expired requests", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { forwarder, alice, bob, relayer } = fixture;
+
+      const forged = {
+        ...(await signForwardRequest(fixture, bob, SEND_MESSAGE, [
+          "forged",
+          NO_PARENT,
+        ])),
+        from: alice.address,
+      };
+      await expect(
+        forwarder.connect(relayer).execute(forged)
+      ).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderInvalidSigner"
+      );
+
+      const request = await signForwardRequest(fixture, alice, SEND_MESSAGE, [
+        "once",
+        NO_PARENT,
+      ]);
+      await forwarder.connect(relayer).execute(request);
+      await expect(
+        forwarder.connect(relayer).execute(request)
+      ).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderInvalidSigner"
+      );
+
+      const expired = await signForwardRequest(
+        fixture,
+        bob,
+        SEND_MESSAGE,
+        ["late", NO_PARENT],
+        { deadline: (await time.latest()) - 1 }
+      );
+      await expect(
+        forwarder.connect(relayer).execute(expired)
+      ).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderExpiredRequest"
+      );
+    });
+
+    it("lets relayed moderators moderate", async () => {
+      const fixture = await loadFixture(postedFixture);
+      const { hambaPortal, forwarder, owner, relayer } = fixture;
+      const request = await signForwardRequest(fixture, owner, "hideMessage", [
+        1,
+        "off-topic",
+      ]);
+
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.emit(hambaPortal, "MessageHidden")
+        .withArgs(1, owner.address, "off-topic");
+    });
+  });
+});
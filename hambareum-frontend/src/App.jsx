@@ -1,81 +1,278 @@
-import { useState, useEffect, useCallback } from "react";
-import { ABI } from "./contract/contractABI.js";
+import { useState, useEffect, useCallback, useRef } from "react";
+import { formatEther, isAddress, parseEther } from "ethers";
+import { decodeContractError } from "./contract/contractErrors.js";
+import { GENERAL_CHANNEL, REACTIONS } from "./contract/constants.js";
+import {
+  DEFAULT_CHAIN_ID,
+  explorerLink,
+  getChain,
+  supportedChains,
+} from "./contract/chains.js";
+import { switchChain } from "./services/wallet.js";
+import { DELETED_FIELDS, editedFields } from "./services/hambaPortal.js";
+import { saveProfile } from "./services/profiles.js";
+import { canRelay, relaySendMessage } from "./services/relayer.js";
+import {
+  getMentions,
+  hasFormatting,
+  mentionsAccount,
+} from "./services/richText.js";
+import {
+  MAX_BODY_LENGTH,
+  canStoreBodies,
+  fetchBody,
+  makePreview,
+  storeBody,
+} from "./services/storage.js";
+import AdminPanel from "./components/AdminPanel.jsx";
+import ChannelSidebar from "./components/ChannelSidebar.jsx";
+import DirectMessages from "./components/DirectMessages.jsx";
+import LongFormBody from "./components/LongFormBody.jsx";
+import MentionTextarea from "./components/MentionTextarea.jsx";
+import RevisionHistory from "./components/RevisionHistory.jsx";
+import RichText from "./components/RichText.jsx";
+import ProfileEditor from "./components/ProfileEditor.jsx";
+import SearchBar from "./components/SearchBar.jsx";
+import WalletPicker from "./components/WalletPicker.jsx";
+import { useHambaPortal } from "./hooks/useHambaPortal.js";
+import { useEnsNames } from "./hooks/useEnsNames.js";
+import { useProfiles } from "./hooks/useProfiles.js";
+import { useReactions } from "./hooks/useReactions.js";
+import { useTips } from "./hooks/useTips.js";
+import { useBoostedMessages } from "./hooks/useBoostedMessages.js";
+import { useChannels } from "./hooks/useChannels.js";
+import { useDirectMessages } from "./hooks/useDirectMessages.js";
+import { useMessageSearch } from "./hooks/useMessageSearch.js";
+import { useMessage } from "./hooks/useMessage.js";
+import { useSenderMessages } from "./hooks/useSenderMessages.js";
+import { useMentionNotifications } from "./hooks/useMentionNotifications.js";
+import {
+  channelPath,
+  messagePath,
+  senderPath,
+  useHashRoute,
+} from "./hooks/useHashRoute.js";
+import { useWallet } from "./hooks/useWallet.js";
+import {
+  useTransactionTracker,
+  CONFIRMATION_TARGET,
+} from "./hooks/useTransactionTracker.js";
 
-const CONTRACT_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
-const COOLDOWN_SECONDS = 30;
-
-const CONTRACT_ABI = ABI;
+const PAGE_SIZE = 20;
+const REPLY_PAGE_SIZE = 50;
+// How close (in px) to the bottom of the history the user must scroll before
+// the next page of older messages is requested.
+const LOAD_OLDER_THRESHOLD_PX = 120;
+// Allowance for the gap between the browser clock and block timestamps when
+// matching a pending transaction to the message it produced.
+const CLOCK_SKEW_MS = 60 * 1000;
 
 // Utility function remains outside
 const formatAddress = (address) =>
   `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
 
+// Parses an ETH amount typed by the user into wei; null when it isn't one.
+const parseEthAmount = (text) => {
+  try {
+    const value = parseEther(text.trim());
+    return value >= 0n ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+// "3h" or "2.5 days"; boosts are priced per hour.
+const formatDuration = (seconds) => {
+  const hours = seconds / 3600;
+  return hours < 48
+    ? `${Math.round(hours * 10) / 10}h`
+    : `${Math.round((hours / 24) * 10) / 10} days`;
+};
+
+// The contract limits messages by UTF-8 byte length, not by characters.
+const textEncoder = new TextEncoder();
+const byteLength = (text) => textEncoder.encode(text).length;
+
+// Adds newly fetched messages to the ones already loaded, dropping duplicates
+// and keeping the list newest first.
+const mergeMessages = (current, incoming) => {
+  const byId = new Map(current.map((message) => [message.id, message]));
+  incoming.forEach((message) => byId.set(message.id, message));
+  return [...byId.values()].sort((a, b) => b.id - a.id);
+};
+
+// A reply synced after its parent was loaded isn't reflected in the parent's
+// stored replyCount, so bump the count locally. Messages already loaded (e.g.
+// through a thread) were counted before and are skipped.
+const countNewReplies = (current, fetched) => {
+  const fetchedIds = new Set(fetched.map((message) => message.id));
+  const currentIds = new Set(current.map((message) => message.id));
+  const added = new Map();
+  fetched.forEach((message) => {
+    if (
+      message.parentId !== null &&
+      !fetchedIds.has(message.parentId) &&
+      !currentIds.has(message.id)
+    ) {
+      added.set(message.parentId, (added.get(message.parentId) ?? 0) + 1);
+    }
+  });
+  return current.map((message) =>
+    added.has(message.id)
+      ? { ...message, replyCount: message.replyCount + added.get(message.id) }
+      : message
+  );
+};
+
+// Groups loaded replies under their parent id, oldest first.
+const groupReplies = (messages) => {
+  const replies = new Map();
+  [...messages]
+    .sort((a, b) => a.id - b.id)
+    .forEach((message) => {
+      if (message.parentId === null) return;
+      if (!replies.has(message.parentId)) replies.set(message.parentId, []);
+      replies.get(message.parentId).push(message);
+    });
+  return replies;
+};
+
+const totalReactions = ({ counts }) =>
+  counts.reduce((sum, count) => sum + count, 0);
+
+// "newest" keeps the feed's id order; "reactions" puts the most reacted
+// loaded messages first, newest first among ties. Only loaded pages are
+// sorted, which the sort menu says.
+const sortMessages = (messages, sortOrder, getReactions) =>
+  sortOrder === "reactions"
+    ? [...messages].sort(
+        (a, b) =>
+          totalReactions(getReactions(b.id)) -
+            totalReactions(getReactions(a.id)) || b.id - a.id
+      )
+    : messages;
+
+// Pairs tracked transactions with the on-chain messages they produced. Those
+// without a match yet are returned separately so they can be shown as
+// pending entries above the history.
+//
+// Confirmed transactions know the id of their message, which stays matched
+// through edits. The feed can show a post a few seconds before the tracker
+// sees its receipt, so until then it is matched by sender and content.
+const attachTransactions = (messages, transactions) => {
+  const matched = new Map();
+  const pendingMessages = [];
+
+  transactions.forEach((tx) => {
+    const mayHavePosted = tx.status !== "failed" && tx.status !== "dropped";
+    const match =
+      mayHavePosted &&
+      messages.find((message) =>
+        Number.isInteger(tx.messageId)
+          ? message.id === tx.messageId
+          : !matched.has(message.id) &&
+            message.sender.toLowerCase() === tx.from &&
+            message.content === tx.content &&
+            message.timestamp * 1000 >= tx.submittedAt - CLOCK_SKEW_MS
+      );
+    if (match) {
+      matched.set(match.id, tx);
+    } else {
+      pendingMessages.push(tx);
+    }
+  });
+
+  return {
+    pendingMessages,
+    messages: messages.map((message) =>
+      matched.has(message.id)
+        ? { ...message, transaction: matched.get(message.id) }
+        : message
+    ),
+  };
+};
+
 // --- Component Definitions Moved Outside of App ---
 
-const ConnectButton = ({ connectWallet, loading }) => (
-  <button
-    onClick={connectWallet}
-    disabled={loading}
-    className="group relative w-full md:w-auto px-8 py-4 bg-gradient-to-r from-cyan-500 to-purple-600 text-white font-bold rounded-xl shadow-2xl hover:shadow-cyan-500/30 hover:shadow-lg transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center overflow-hidden"
-  >
-    <div className="absolute inset-0 bg-gradient-to-r from-purple-600 to-cyan-500 opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
-    {loading ? (
-      <>
-        <svg
-          className="animate-spin -ml-1 mr-3 h-5 w-5 text-white relative z-10"
-          xmlns="http://www.w3.org/2000/svg"
-          fill="none"
-          viewBox="0 0 24 24"
-        >
-          <circle
-            className="opacity-25"
-            cx="12"
-            cy="12"
-            r="10"
-            stroke="currentColor"
-            strokeWidth="4"
-          ></circle>
-          <path
-            className="opacity-75"
-            fill="currentColor"
-            d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-          ></path>
-        </svg>
-        <span className="relative z-10">Connecting...</span>
-      </>
-    ) : (
-      <>
-        <span className="relative z-10">Connect Wallet</span>
-        <svg
-          className="ml-3 relative z-10 w-5 h-5"
-          fill="none"
-          stroke="currentColor"
-          viewBox="0 0 24 24"
-          xmlns="http://www.w3.org/2000/svg"
-        >
-          <path
-            strokeLinecap="round"
-            strokeLinejoin="round"
-            strokeWidth="2"
-            d="M13 10V3L4 14h7v7l9-11h-7z"
-          ></path>
-        </svg>
-      </>
-    )}
-  </button>
-);
+// Optional boost fee for a top-level post, with how long it would pin the
+// message. `boost` is the parsed fee in wei, or null if it doesn't parse.
+const BoostField = ({
+  boost,
+  boostInput,
+  setBoostInput,
+  pricePerHour,
+  minDuration,
+  disabled,
+}) => {
+  const seconds =
+    boost > 0n && pricePerHour ? Number((boost * 3600n) / pricePerHour) : 0;
+
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-400">
+      📌 Boost
+      <input
+        type="text"
+        inputMode="decimal"
+        value={boostInput}
+        onChange={(e) => setBoostInput(e.target.value)}
+        placeholder="0"
+        disabled={disabled}
+        className="w-24 px-2 py-1 bg-gray-800/50 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:ring-1 focus:ring-amber-500 disabled:opacity-50"
+      />
+      ETH
+      {boost === null ? (
+        <span className="text-red-300">invalid amount</span>
+      ) : (
+        boost > 0n &&
+        pricePerHour !== null &&
+        (seconds < minDuration ? (
+          <span className="text-red-300">
+            min {formatEther((pricePerHour * BigInt(minDuration)) / 3600n)} ETH
+          </span>
+        ) : (
+          <span className="text-amber-300">
+            pinned ~{formatDuration(seconds)}
+          </span>
+        ))
+      )}
+    </label>
+  );
+};
 
 const MessageForm = ({
   currentAccount,
+  canConnect,
   sendHambaMessage,
+  replyTo,
+  cancelReply,
   newMessage,
   setNewMessage,
+  messageBytes,
+  maxMessageLength,
+  isTooLong,
+  isBanned,
+  notMember,
   loading,
   isOnCooldown,
   formattedTimeRemaining,
   formatAddress,
+  mentionCandidates,
+  relayAvailable,
+  canPostLongForm,
+  longForm,
+  setLongForm,
+  gasless,
+  setGasless,
+  boost,
+  boostInput,
+  setBoostInput,
+  boostPricePerHour,
+  minBoostDuration,
 }) => (
-  <div className="relative bg-gradient-to-br from-gray-900 to-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-700 transition-all duration-300 hover:shadow-cyan-500/20">
+  <div
+    id="message-form"
+    className="relative bg-gradient-to-br from-gray-900 to-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-700 transition-all duration-300 hover:shadow-cyan-500/20"
+  >
     <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-cyan-500 to-purple-600 rounded-t-2xl"></div>
     <h2 className="text-2xl font-bold text-white mb-4 pb-4 border-b border-gray-700 flex items-center">
       <svg
@@ -92,7 +289,7 @@ const MessageForm = ({
           d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z"
         ></path>
       </svg>
-      Send a Message (Max 280 Chars)
+      Send a Message (Max {maxMessageLength ?? "…"} Bytes)
     </h2>
 
     {currentAccount && (
@@ -145,40 +342,124 @@ const MessageForm = ({
     )}
 
     <form onSubmit={sendHambaMessage} className="space-y-4">
+      {replyTo && (
+        <div className="flex items-start justify-between gap-3 p-3 bg-purple-900/20 rounded-xl border border-purple-700/40">
+          <div className="min-w-0 text-sm">
+            <p className="text-purple-300 font-medium">
+              Replying to #{replyTo.id} by {formatAddress(replyTo.sender)}
+            </p>
+            <p className="text-gray-400 truncate">{replyTo.content}</p>
+          </div>
+          <button
+            type="button"
+            onClick={cancelReply}
+            className="text-xs px-3 py-1 rounded-lg border border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
       <div className="relative">
-        <textarea
+        <MentionTextarea
           value={newMessage}
-          onChange={(e) => setNewMessage(e.target.value)}
+          onChange={setNewMessage}
+          candidates={mentionCandidates}
           placeholder={
-            currentAccount
-              ? "Type your message to the blockchain..."
-              : "Connect wallet to send messages..."
+            !currentAccount
+              ? canConnect
+                ? "Connect wallet to send messages..."
+                : "Browsing read-only. Install a wallet such as MetaMask to post..."
+              : isBanned
+              ? "This address has been banned from posting."
+              : notMember
+              ? "Only addresses on this channel's allowlist can post here."
+              : replyTo
+              ? "Write your reply..."
+              : "Type your message to the blockchain..."
           }
-          maxLength="280"
-          rows="4"
+          maxLength={maxMessageLength ?? undefined}
+          rows={longForm ? 10 : 4}
           // Crucial fix: The MessageForm is now a static component type,
           // so React can preserve focus on the textarea.
-          disabled={loading || isOnCooldown || !currentAccount}
+          disabled={
+            loading || isOnCooldown || isBanned || notMember || !currentAccount
+          }
           className="w-full p-4 bg-gray-800/50 border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:ring-2 focus:ring-cyan-500 focus:border-transparent transition-all duration-300 disabled:opacity-50 resize-none backdrop-blur-sm"
         />
         <div className="absolute bottom-3 right-3">
           <div className="w-8 h-8 rounded-full bg-gradient-to-br from-cyan-500/20 to-purple-500/20 flex items-center justify-center">
-            <span className="text-xs font-bold text-cyan-300">
-              {newMessage.length}
+            <span
+              className={`text-xs font-bold ${
+                isTooLong ? "text-red-300" : "text-cyan-300"
+              }`}
+            >
+              {messageBytes}
             </span>
           </div>
         </div>
       </div>
-      <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
-        <p className="text-sm text-gray-400">
-          Characters: {newMessage.length}/280
+      {longForm && (
+        <p className="text-xs text-gray-500">
+          The full text is stored off-chain; only a short preview and its sha256
+          hash are posted on chain.
         </p>
+      )}
+      {hasFormatting(newMessage) && (
+        <div className="p-4 bg-gray-800/30 rounded-xl border border-gray-700/50">
+          <p className="text-xs text-gray-500 mb-2">Preview</p>
+          <p className="leading-relaxed break-words whitespace-pre-wrap text-gray-200">
+            <RichText text={newMessage} />
+          </p>
+        </div>
+      )}
+      <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
+        <div className="flex flex-col sm:flex-row items-center gap-4">
+          <p className="text-sm text-gray-400">
+            Bytes: {messageBytes}/{maxMessageLength ?? "…"}
+          </p>
+          {canPostLongForm && !(boost > 0n) && (
+            <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={longForm}
+                onChange={(e) => setLongForm(e.target.checked)}
+                disabled={!currentAccount}
+                className="accent-cyan-500"
+              />
+              Long-form post
+            </label>
+          )}
+          {relayAvailable && !(boost > 0n) && !longForm && (
+            <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={gasless}
+                onChange={(e) => setGasless(e.target.checked)}
+                className="accent-cyan-500"
+              />
+              Post without gas
+            </label>
+          )}
+          {!replyTo && !longForm && (
+            <BoostField
+              boost={boost}
+              boostInput={boostInput}
+              setBoostInput={setBoostInput}
+              pricePerHour={boostPricePerHour}
+              minDuration={minBoostDuration}
+              disabled={!currentAccount}
+            />
+          )}
+        </div>
         <button
           type="submit"
           disabled={
             loading ||
             isOnCooldown ||
+            isBanned ||
+            notMember ||
             newMessage.trim().length === 0 ||
+            isTooLong ||
             !currentAccount
           }
           className="group relative w-full sm:w-auto px-8 py-3 bg-gradient-to-r from-cyan-600 to-purple-600 text-white font-bold rounded-xl shadow-lg hover:shadow-cyan-500/30 hover:scale-[1.02] transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
@@ -210,7 +491,9 @@ const MessageForm = ({
             </div>
           ) : (
             <div className="flex items-center justify-center relative z-10">
-              <span>Broadcast Message</span>
+              <span>
+                {boost > 0n ? "Broadcast & Pin" : "Broadcast Message"}
+              </span>
               <svg
                 className="ml-2 w-5 h-5"
                 fill="none"
@@ -233,12 +516,720 @@ const MessageForm = ({
   </div>
 );
 
+const TX_STATUS_STYLES = {
+  pending: "text-amber-300 border-amber-700/50 bg-amber-900/20",
+  confirmed: "text-emerald-300 border-emerald-700/50 bg-emerald-900/20",
+  failed: "text-red-300 border-red-700/50 bg-red-900/20",
+  replaced: "text-red-300 border-red-700/50 bg-red-900/20",
+  dropped: "text-red-300 border-red-700/50 bg-red-900/20",
+};
+
+const describeTxStatus = (tx) => {
+  switch (tx.status) {
+    case "pending":
+      return tx.stuck ? "Pending (stuck)" : "Pending";
+    case "confirmed":
+      return `Confirmed · ${tx.confirmations}/${CONFIRMATION_TARGET} confirmations`;
+    case "failed":
+      return "Failed";
+    case "replaced":
+      return "Replaced";
+    default:
+      return "Dropped";
+  }
+};
+
+// Shows the mined transaction or, while pending, the latest one sent.
+const TransactionBadge = ({ transaction }) => {
+  const hash =
+    transaction.minedHash ?? transaction.hashes?.at(-1) ?? transaction.hash;
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <span
+        className={`px-2 py-0.5 rounded-full border font-medium ${
+          TX_STATUS_STYLES[transaction.status]
+        }`}
+      >
+        {describeTxStatus(transaction)}
+      </span>
+      <span className="font-mono text-gray-500" title={hash}>
+        tx {formatAddress(hash)}
+      </span>
+    </div>
+  );
+};
+
+const PendingMessage = ({
+  transaction,
+  onSpeedUp,
+  onRetry,
+  onDismiss,
+  busy,
+}) => (
+  <div className="p-5 rounded-xl border border-dashed border-cyan-700/40 bg-cyan-900/10">
+    <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-3 gap-2">
+      <div className="flex items-center">
+        <div className="w-2 h-2 rounded-full mr-3 bg-amber-300 animate-pulse"></div>
+        <p className="font-bold text-sm text-transparent bg-clip-text bg-gradient-to-r from-cyan-300 to-cyan-200">
+          👤 You
+        </p>
+      </div>
+      <TransactionBadge transaction={transaction} />
+    </div>
+    {transaction.parentId != null && (
+      <p className="mb-2 pl-5 text-xs text-purple-300">
+        ↩ Reply to #{transaction.parentId}
+      </p>
+    )}
+    {transaction.value && transaction.value !== "0" && (
+      <p className="mb-2 pl-5 text-xs text-amber-300">
+        📌 Boosted with {formatEther(transaction.value)} ETH
+      </p>
+    )}
+    <p className="text-gray-300 leading-relaxed break-words whitespace-pre-wrap pl-5 border-l-2 border-amber-500/30">
+      {transaction.content}
+    </p>
+    {transaction.error && (
+      <p className="mt-3 pl-5 text-sm text-red-300">{transaction.error}</p>
+    )}
+    {/* Only the relayer can speed up a gasless post. */}
+    {((transaction.stuck && !transaction.relayedBy) ||
+      transaction.status !== "pending") &&
+      transaction.status !== "confirmed" && (
+        <div className="mt-3 pl-5 flex gap-2">
+          {transaction.status === "pending" ? (
+            <button
+              onClick={() => onSpeedUp(transaction.hash)}
+              disabled={busy}
+              className="text-xs px-3 py-1 rounded-lg border border-amber-700/50 text-amber-300 hover:text-white hover:border-amber-500 transition-all duration-300 disabled:opacity-50"
+            >
+              Speed up
+            </button>
+          ) : (
+            <>
+              <button
+                onClick={() => onRetry(transaction)}
+                disabled={busy}
+                className="text-xs px-3 py-1 rounded-lg border border-cyan-700/50 text-cyan-300 hover:text-white hover:border-cyan-500 transition-all duration-300 disabled:opacity-50"
+              >
+                Retry
+              </button>
+              <button
+                onClick={() => onDismiss(transaction.hash)}
+                className="text-xs px-3 py-1 rounded-lg border border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+              >
+                Dismiss
+              </button>
+            </>
+          )}
+        </div>
+      )}
+  </div>
+);
+
+const ReactionBar = ({ reactions, onToggle, isToggling, disabled }) => (
+  <div className="flex flex-wrap gap-2">
+    {REACTIONS.map((reaction, type) => (
+      <button
+        key={reaction.label}
+        onClick={() => onToggle(type)}
+        disabled={disabled || isToggling(type)}
+        title={reaction.label}
+        className={`px-2 py-0.5 rounded-full border transition-all duration-300 disabled:cursor-not-allowed ${
+          reactions.mine[type]
+            ? "border-cyan-500/60 bg-cyan-900/30 text-cyan-200"
+            : "border-gray-700/50 text-gray-400 hover:border-gray-500 hover:text-white"
+        } ${isToggling(type) ? "animate-pulse" : ""}`}
+      >
+        {reaction.emoji}
+        {reactions.counts[type] > 0 && (
+          <span className="ml-1">{reactions.counts[type]}</span>
+        )}
+      </button>
+    ))}
+  </div>
+);
+
+// Shown instead of failing silently when the wallet is on a chain without a
+// HambaPortal deployment.
+const NetworkNotice = ({ chainId, onSwitch, switching }) => (
+  <div className="relative p-4 bg-gradient-to-r from-amber-900/30 to-amber-800/20 border border-amber-700/50 rounded-xl backdrop-blur-sm">
+    <p className="text-amber-200 mb-3">
+      <strong className="font-bold text-amber-300">
+        Unsupported network.{" "}
+      </strong>
+      Hambareum isn't deployed on chain {Number(chainId)}. Switch to one of the
+      supported networks to continue.
+    </p>
+    <div className="flex flex-wrap gap-2">
+      {supportedChains().map((chain) => (
+        <button
+          key={chain.id}
+          onClick={() => onSwitch(chain.id)}
+          disabled={switching}
+          className="text-sm px-4 py-2 rounded-lg border border-amber-700/50 text-amber-300 hover:text-white hover:border-amber-500 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Switch to {chain.name}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+// A sender's display name and avatar when they have set a profile, then
+// their primary ENS name, falling back to the shortened address.
+const SenderName = ({ address, identity, formatAddress }) => {
+  const { profile, ens } = identity;
+  if (!profile && ens) {
+    return (
+      <span className="inline-flex items-center gap-2 text-gray-300">
+        {ens.avatar && (
+          <img
+            src={ens.avatar}
+            alt=""
+            className="w-5 h-5 rounded-full object-cover"
+          />
+        )}
+        {ens.name}
+      </span>
+    );
+  }
+  if (!profile) {
+    return <span className="text-gray-300">{formatAddress(address)}</span>;
+  }
+  return (
+    <span className="inline-flex items-center gap-2 text-gray-300">
+      {profile.avatarUrl && (
+        <img
+          src={profile.avatarUrl}
+          alt=""
+          className="w-5 h-5 rounded-full object-cover"
+        />
+      )}
+      {profile.displayName}
+      {profile.verified ? (
+        <span
+          title="Profile signed by this address"
+          className="text-[10px] px-1.5 py-0.5 rounded-full bg-emerald-900/40 border border-emerald-700/50 text-emerald-300 font-normal"
+        >
+          ✓ verified signature
+        </span>
+      ) : (
+        <span
+          title="The profile's signature doesn't match this address"
+          className="text-[10px] px-1.5 py-0.5 rounded-full bg-red-900/40 border border-red-700/50 text-red-300 font-normal"
+        >
+          unverified
+        </span>
+      )}
+    </span>
+  );
+};
+
+const MessageItem = ({
+  message,
+  currentAccount,
+  formatAddress,
+  getIdentity,
+  isModerator,
+  onModerate,
+  moderating,
+  repliesByParent,
+  onReply,
+  fetchReplies,
+  getReactions,
+  onToggleReaction,
+  isTogglingReaction,
+  getTipTotal,
+  onTip,
+  isTipping,
+  canChange,
+  onEdit,
+  onDelete,
+  changing,
+  getRevisions,
+  pinnedUntil = null,
+  // Links a reply to its parent, for replies shown outside their thread.
+  showParent = false,
+}) => {
+  const [revealed, setRevealed] = useState(false);
+  // null while the edit form is closed, otherwise the text being edited.
+  const [editText, setEditText] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // null while the hide form is closed, otherwise the reason being typed.
+  const [hideReason, setHideReason] = useState(null);
+  // null while the tip form is closed, otherwise the amount being typed.
+  const [tipAmount, setTipAmount] = useState(null);
+  const [threadOpen, setThreadOpen] = useState(false);
+  const [loadingThread, setLoadingThread] = useState(false);
+
+  const replies = repliesByParent.get(message.id) ?? [];
+  const replyCount = Math.max(message.replyCount, replies.length);
+  const isOwn = message.sender.toLowerCase() === currentAccount?.toLowerCase();
+  const mentionsMe =
+    !isOwn &&
+    mentionsAccount(
+      message.content,
+      currentAccount,
+      currentAccount ? getIdentity(currentAccount).ens?.name : null
+    );
+  const tipTotal = getTipTotal(message.id);
+  const changeable = canChange(message);
+
+  // Long-form messages are edited in full, so fetch the body first; the
+  // preview stands in when storage can't be reached.
+  const startEdit = async () => {
+    if (!message.bodyHash) {
+      setEditText(message.content);
+      return;
+    }
+    try {
+      setEditText((await fetchBody(message.bodyHash)).text);
+    } catch (e) {
+      console.error("Error fetching long-form body:", e);
+      setEditText(message.content);
+    }
+  };
+
+  const toggleThread = async () => {
+    if (threadOpen) {
+      setThreadOpen(false);
+      return;
+    }
+    setThreadOpen(true);
+    setLoadingThread(true);
+    await fetchReplies(message.id);
+    setLoadingThread(false);
+  };
+
+  return (
+    <div
+      className={`p-5 rounded-xl transition-all duration-300 border ${
+        pinnedUntil !== null
+          ? "bg-gradient-to-r from-amber-900/20 to-amber-800/10 border-amber-700/40 shadow-lg shadow-amber-500/10"
+          : mentionsMe
+          ? "bg-gradient-to-r from-fuchsia-900/20 to-fuchsia-800/10 border-fuchsia-700/40 shadow-lg shadow-fuchsia-500/10"
+          : isOwn
+          ? "bg-gradient-to-r from-cyan-900/20 to-cyan-800/10 border-cyan-700/30 shadow-lg shadow-cyan-500/10"
+          : "bg-gray-800/30 border-gray-700/50 hover:border-gray-600/50"
+      }`}
+    >
+      <div className="flex flex-col sm:flex-row sm:items-start justify-between mb-3 gap-2">
+        <div className="flex items-center">
+          <div
+            className={`w-2 h-2 rounded-full mr-3 ${
+              isOwn
+                ? "bg-gradient-to-r from-cyan-400 to-cyan-300 animate-pulse"
+                : "bg-gradient-to-r from-purple-400 to-pink-300"
+            }`}
+          ></div>
+          <div>
+            <p className="font-bold text-sm">
+              {isOwn ? (
+                <span className="text-transparent bg-clip-text bg-gradient-to-r from-cyan-300 to-cyan-200">
+                  👤 You
+                </span>
+              ) : (
+                <SenderName
+                  address={message.sender}
+                  identity={getIdentity(message.sender)}
+                  formatAddress={formatAddress}
+                />
+              )}
+            </p>
+            <a
+              href={senderPath(message.sender)}
+              className="text-xs text-gray-500 font-mono hover:text-white transition-colors duration-300"
+            >
+              {message.sender}
+            </a>
+          </div>
+        </div>
+        <div className="flex items-center px-3 py-1 bg-gray-900/50 rounded-full border border-gray-700/50">
+          <svg
+            className="w-3 h-3 mr-2 text-gray-400"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+            xmlns="http://www.w3.org/2000/svg"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+            ></path>
+          </svg>
+          <p className="text-xs text-gray-400">
+            {pinnedUntil !== null && (
+              <span
+                title={`Pinned until ${new Date(
+                  pinnedUntil * 1000
+                ).toLocaleString()}`}
+                className="text-amber-300"
+              >
+                📌 Pinned{" · "}
+              </span>
+            )}
+            <a
+              href={messagePath(message.id)}
+              title="Link to this message"
+              className="hover:text-white transition-colors duration-300"
+            >
+              <span className="font-mono text-gray-500">#{message.id}</span>
+              {" · "}
+              {new Date(message.timestamp * 1000).toLocaleString()}
+            </a>
+            {message.edited && !message.deleted && (
+              <>
+                {" · "}
+                <button
+                  onClick={() => setHistoryOpen((open) => !open)}
+                  title={`Edited ${message.editCount} ${
+                    message.editCount === 1 ? "time" : "times"
+                  }; show earlier versions`}
+                  className="italic hover:text-white underline decoration-dotted transition-colors duration-300"
+                >
+                  edited
+                </button>
+              </>
+            )}
+            {showParent && message.parentId !== null && (
+              <>
+                {" · "}
+                <a
+                  href={messagePath(message.parentId)}
+                  className="text-purple-300 hover:text-white"
+                >
+                  ↩ #{message.parentId}
+                </a>
+              </>
+            )}
+          </p>
+        </div>
+      </div>
+      {message.deleted ? (
+        <div className="flex flex-wrap items-center gap-3 pl-5 border-l-2 border-gray-600/30 text-sm text-gray-500 italic">
+          🗑 Deleted by its author
+          <button
+            onClick={() => setHistoryOpen((open) => !open)}
+            className="not-italic text-xs text-gray-400 hover:text-white underline"
+          >
+            {historyOpen ? "Hide history" : "Show history"}
+          </button>
+        </div>
+      ) : editText !== null ? (
+        <form
+          onSubmit={async (e) => {
+            e.preventDefault();
+            if (await onEdit(message, editText)) setEditText(null);
+          }}
+          className="pl-5 space-y-2"
+        >
+          <textarea
+            value={editText}
+            onChange={(e) => setEditText(e.target.value)}
+            rows={message.bodyHash ? 10 : 4}
+            autoFocus
+            className="w-full p-3 bg-gray-800/50 border border-gray-700 rounded-xl text-white focus:ring-2 focus:ring-cyan-500 focus:border-transparent resize-none"
+          />
+          <div className="flex items-center gap-2 text-xs">
+            <button
+              type="submit"
+              disabled={changing || editText.trim() === ""}
+              className="px-3 py-1 rounded-lg border border-cyan-700/50 text-cyan-300 hover:text-white hover:border-cyan-500 transition-all duration-300 disabled:opacity-50"
+            >
+              Save edit
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditText(null)}
+              className="px-3 py-1 rounded-lg border border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+            >
+              Cancel
+            </button>
+            <span className="text-gray-500">
+              Earlier versions stay public in the history.
+            </span>
+          </div>
+        </form>
+      ) : message.hidden && !revealed ? (
+        <div className="flex flex-wrap items-center gap-3 pl-5 border-l-2 border-gray-600/30 text-sm text-gray-500 italic">
+          Hidden by moderator
+          <button
+            onClick={() => setRevealed(true)}
+            className="not-italic text-xs text-gray-400 hover:text-white underline"
+          >
+            Show anyway
+          </button>
+        </div>
+      ) : message.bodyHash ? (
+        <LongFormBody
+          message={message}
+          className={`pl-5 border-l-2 ${
+            message.hidden
+              ? "text-gray-500 border-gray-600/30"
+              : "text-gray-200 border-cyan-500/30"
+          }`}
+        />
+      ) : (
+        <p
+          className={`leading-relaxed break-words whitespace-pre-wrap pl-5 border-l-2 ${
+            message.hidden
+              ? "text-gray-500 border-gray-600/30"
+              : "text-gray-200 border-cyan-500/30"
+          }`}
+        >
+          <RichText text={message.content} />
+        </p>
+      )}
+      {historyOpen && (
+        <RevisionHistory message={message} getRevisions={getRevisions} />
+      )}
+      {message.transaction && (
+        <div className="mt-3 pl-5">
+          <TransactionBadge transaction={message.transaction} />
+        </div>
+      )}
+      <div className="mt-3 pl-5 flex flex-wrap items-center gap-3 text-xs">
+        <ReactionBar
+          reactions={getReactions(message.id)}
+          onToggle={(type) => onToggleReaction(message.id, type)}
+          isToggling={(type) => isTogglingReaction(message.id, type)}
+          disabled={!currentAccount || message.deleted}
+        />
+        {currentAccount && onReply && !message.deleted && (
+          <button
+            onClick={() => onReply(message)}
+            className="text-purple-300 hover:text-white transition-colors duration-300"
+          >
+            ↩ Reply
+          </button>
+        )}
+        {replyCount > 0 && (
+          <button
+            onClick={toggleThread}
+            className="text-gray-400 hover:text-white transition-colors duration-300"
+          >
+            💬 {replyCount} {replyCount === 1 ? "reply" : "replies"}{" "}
+            {threadOpen ? "▲" : "▼"}
+          </button>
+        )}
+        {tipTotal > 0n && (
+          <span className="text-amber-300" title="Tipped to the author">
+            💸 {formatEther(tipTotal)} ETH
+          </span>
+        )}
+        {changeable && editText === null && !confirmingDelete && (
+          <>
+            <button
+              onClick={startEdit}
+              className="text-cyan-300 hover:text-white transition-colors duration-300"
+            >
+              ✎ Edit
+            </button>
+            <button
+              onClick={() => setConfirmingDelete(true)}
+              className="text-red-300 hover:text-white transition-colors duration-300"
+            >
+              Delete
+            </button>
+          </>
+        )}
+        {changeable && confirmingDelete && (
+          <span className="flex flex-wrap items-center gap-2">
+            <span className="text-gray-400">
+              Delete this message? It stays readable in its history.
+            </span>
+            <button
+              onClick={async () => {
+                if (await onDelete(message)) setConfirmingDelete(false);
+              }}
+              disabled={changing}
+              className="px-3 py-1 rounded-lg border border-red-700/50 text-red-300 hover:text-white hover:border-red-500 transition-all duration-300 disabled:opacity-50"
+            >
+              Confirm delete
+            </button>
+            <button
+              onClick={() => setConfirmingDelete(false)}
+              className="px-3 py-1 rounded-lg border border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+            >
+              Cancel
+            </button>
+          </span>
+        )}
+        {currentAccount && !isOwn && !message.deleted && tipAmount === null && (
+          <button
+            onClick={() => setTipAmount("")}
+            className="text-amber-300 hover:text-white transition-colors duration-300"
+          >
+            Tip
+          </button>
+        )}
+        {tipAmount !== null && (
+          <form
+            onSubmit={async (e) => {
+              e.preventDefault();
+              if (await onTip(message.id, tipAmount)) {
+                setTipAmount(null);
+              }
+            }}
+            className="flex flex-wrap items-center gap-2"
+          >
+            <input
+              type="text"
+              inputMode="decimal"
+              value={tipAmount}
+              onChange={(e) => setTipAmount(e.target.value)}
+              placeholder="ETH"
+              autoFocus
+              className="w-24 px-2 py-1 bg-gray-800/50 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:ring-1 focus:ring-amber-500"
+            />
+            <button
+              type="submit"
+              disabled={isTipping(message.id) || tipAmount.trim() === ""}
+              className={`px-3 py-1 rounded-lg border border-amber-700/50 text-amber-300 hover:text-white hover:border-amber-500 transition-all duration-300 disabled:opacity-50 ${
+                isTipping(message.id) ? "animate-pulse" : ""
+              }`}
+            >
+              Send tip
+            </button>
+            <button
+              type="button"
+              onClick={() => setTipAmount(null)}
+              className="px-3 py-1 rounded-lg border border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+            >
+              Cancel
+            </button>
+          </form>
+        )}
+      </div>
+      {threadOpen && (
+        <div className="mt-4 ml-5 pl-4 border-l border-purple-700/30 space-y-3">
+          {loadingThread && replies.length === 0 ? (
+            <p className="text-sm text-gray-400">Loading replies...</p>
+          ) : (
+            replies.map((reply) => (
+              <MessageItem
+                key={reply.id}
+                message={reply}
+                currentAccount={currentAccount}
+                formatAddress={formatAddress}
+                getIdentity={getIdentity}
+                isModerator={isModerator}
+                onModerate={onModerate}
+                moderating={moderating}
+                repliesByParent={repliesByParent}
+                onReply={onReply}
+                fetchReplies={fetchReplies}
+                getReactions={getReactions}
+                onToggleReaction={onToggleReaction}
+                isTogglingReaction={isTogglingReaction}
+                getTipTotal={getTipTotal}
+                onTip={onTip}
+                isTipping={isTipping}
+                canChange={canChange}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                changing={changing}
+                getRevisions={getRevisions}
+              />
+            ))
+          )}
+        </div>
+      )}
+      {isModerator && (
+        <div className="mt-3 pl-5 flex flex-wrap items-center gap-2">
+          {message.hidden ? (
+            <button
+              onClick={() => onModerate("unhideMessage", message.id)}
+              disabled={moderating}
+              className="text-xs px-3 py-1 rounded-lg border border-emerald-700/50 text-emerald-300 hover:text-white hover:border-emerald-500 transition-all duration-300 disabled:opacity-50"
+            >
+              Unhide
+            </button>
+          ) : hideReason === null ? (
+            <button
+              onClick={() => setHideReason("")}
+              className="text-xs px-3 py-1 rounded-lg border border-red-700/50 text-red-300 hover:text-white hover:border-red-500 transition-all duration-300"
+            >
+              Hide
+            </button>
+          ) : (
+            <form
+              onSubmit={async (e) => {
+                e.preventDefault();
+                if (await onModerate("hideMessage", message.id, hideReason)) {
+                  setHideReason(null);
+                }
+              }}
+              className="flex flex-wrap items-center gap-2"
+            >
+              <input
+                value={hideReason}
+                onChange={(e) => setHideReason(e.target.value)}
+                placeholder="Reason (public)"
+                className="text-xs px-3 py-1 bg-gray-800/50 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:ring-1 focus:ring-red-500"
+              />
+              <button
+                type="submit"
+                disabled={moderating}
+                className="text-xs px-3 py-1 rounded-lg border border-red-700/50 text-red-300 hover:text-white hover:border-red-500 transition-all duration-300 disabled:opacity-50"
+              >
+                Confirm hide
+              </button>
+              <button
+                type="button"
+                onClick={() => setHideReason(null)}
+                className="text-xs px-3 py-1 rounded-lg border border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+              >
+                Cancel
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const MessageList = ({
+  channel,
   messages,
-  fetchAllMessages,
+  boostedMessages,
+  pendingMessages,
+  onSpeedUp,
+  onRetry,
+  onDismiss,
+  fetchLatestMessages,
+  fetchOlderMessages,
+  hasOlderMessages,
+  loadingOlder,
   loading,
   currentAccount,
   formatAddress,
+  getIdentity,
+  isModerator,
+  onModerate,
+  moderating,
+  repliesByParent,
+  onReply,
+  fetchReplies,
+  getReactions,
+  onToggleReaction,
+  isTogglingReaction,
+  getTipTotal,
+  onTip,
+  isTipping,
+  canChange,
+  onEdit,
+  onDelete,
+  changing,
+  getRevisions,
+  sortOrder,
+  setSortOrder,
+  search,
 }) => (
   <div className="relative bg-gradient-to-br from-gray-900 to-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-700">
     <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-purple-500 to-pink-600 rounded-t-2xl"></div>
@@ -259,59 +1250,86 @@ const MessageList = ({
           ></path>
         </svg>
         Message History
+        {channel && (
+          <span className="ml-2 text-purple-300 font-normal">
+            {channel.allowlistOnly ? "🔒" : "#"}
+            {channel.name}
+          </span>
+        )}
       </div>
-      <button
-        onClick={fetchAllMessages}
-        className="group text-sm bg-gradient-to-r from-purple-600/20 to-pink-600/20 text-purple-300 hover:text-white px-4 py-2 rounded-lg border border-purple-700/50 hover:border-purple-500 transition-all duration-300 disabled:opacity-50 flex items-center"
-        disabled={loading}
-      >
-        {loading ? (
-          <>
-            <svg
-              className="animate-spin h-4 w-4 mr-2"
-              xmlns="http://www.w3.org/2000/svg"
-              fill="none"
-              viewBox="0 0 24 24"
-            >
-              <circle
-                className="opacity-25"
-                cx="12"
-                cy="12"
-                r="10"
+      <div className="flex items-center gap-2">
+        <select
+          value={sortOrder}
+          onChange={(e) => setSortOrder(e.target.value)}
+          title={
+            sortOrder === "reactions"
+              ? "Sorts the messages loaded so far; load older ones to include them."
+              : undefined
+          }
+          className="text-sm bg-gray-800/50 text-gray-300 px-3 py-2 rounded-lg border border-gray-700 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        >
+          <option value="newest">Newest</option>
+          <option value="reactions">Most reacted (loaded)</option>
+        </select>
+        <button
+          onClick={fetchLatestMessages}
+          className="group text-sm bg-gradient-to-r from-purple-600/20 to-pink-600/20 text-purple-300 hover:text-white px-4 py-2 rounded-lg border border-purple-700/50 hover:border-purple-500 transition-all duration-300 disabled:opacity-50 flex items-center"
+          disabled={loading}
+        >
+          {loading ? (
+            <>
+              <svg
+                className="animate-spin h-4 w-4 mr-2"
+                xmlns="http://www.w3.org/2000/svg"
+                fill="none"
+                viewBox="0 0 24 24"
+              >
+                <circle
+                  className="opacity-25"
+                  cx="12"
+                  cy="12"
+                  r="10"
+                  stroke="currentColor"
+                  strokeWidth="4"
+                ></circle>
+                <path
+                  className="opacity-75"
+                  fill="currentColor"
+                  d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                ></path>
+              </svg>
+              Refreshing...
+            </>
+          ) : (
+            <>
+              Refresh
+              <svg
+                className="ml-2 w-4 h-4 group-hover:rotate-180 transition-transform duration-300"
+                fill="none"
                 stroke="currentColor"
-                strokeWidth="4"
-              ></circle>
-              <path
-                className="opacity-75"
-                fill="currentColor"
-                d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-              ></path>
-            </svg>
-            Refreshing...
-          </>
-        ) : (
-          <>
-            Refresh
-            <svg
-              className="ml-2 w-4 h-4 group-hover:rotate-180 transition-transform duration-300"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
-              xmlns="http://www.w3.org/2000/svg"
-            >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth="2"
-                d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
-              ></path>
-            </svg>
-          </>
-        )}
-      </button>
+                viewBox="0 0 24 24"
+                xmlns="http://www.w3.org/2000/svg"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth="2"
+                  d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
+                ></path>
+              </svg>
+            </>
+          )}
+        </button>
+      </div>
     </h2>
 
-    {messages.length === 0 ? (
+    {search.available && (
+      <SearchBar search={search} currentAccount={currentAccount} />
+    )}
+
+    {messages.length === 0 &&
+    boostedMessages.length === 0 &&
+    pendingMessages.length === 0 ? (
       <div className="text-center py-12">
         <div className="w-24 h-24 mx-auto mb-6 opacity-20">
           <svg
@@ -328,167 +1346,669 @@ const MessageList = ({
             ></path>
           </svg>
         </div>
-        <p className="text-gray-400 text-lg mb-2">The portal is quiet...</p>
-        <p className="text-gray-500">Be the first to send a message!</p>
+        {search.active ? (
+          <p className="text-gray-400 text-lg">
+            {search.loading ? "Searching..." : "No messages match."}
+          </p>
+        ) : (
+          <>
+            <p className="text-gray-400 text-lg mb-2">The portal is quiet...</p>
+            <p className="text-gray-500">Be the first to send a message!</p>
+          </>
+        )}
       </div>
     ) : (
-      <div className="space-y-4 max-h-[60vh] overflow-y-auto pr-2 scrollbar-thin scrollbar-thumb-gray-700 scrollbar-track-gray-900">
-        {messages.map((message, index) => (
-          <div
-            key={index}
-            className={`p-5 rounded-xl transition-all duration-300 border ${
-              message.sender.toLowerCase() === currentAccount?.toLowerCase()
-                ? "bg-gradient-to-r from-cyan-900/20 to-cyan-800/10 border-cyan-700/30 shadow-lg shadow-cyan-500/10"
-                : "bg-gray-800/30 border-gray-700/50 hover:border-gray-600/50"
-            }`}
-          >
-            <div className="flex flex-col sm:flex-row sm:items-start justify-between mb-3 gap-2">
-              <div className="flex items-center">
-                <div
-                  className={`w-2 h-2 rounded-full mr-3 ${
-                    message.sender.toLowerCase() ===
-                    currentAccount?.toLowerCase()
-                      ? "bg-gradient-to-r from-cyan-400 to-cyan-300 animate-pulse"
-                      : "bg-gradient-to-r from-purple-400 to-pink-300"
-                  }`}
-                ></div>
-                <div>
-                  <p className="font-bold text-sm">
-                    {message.sender.toLowerCase() ===
-                    currentAccount?.toLowerCase() ? (
-                      <span className="text-transparent bg-clip-text bg-gradient-to-r from-cyan-300 to-cyan-200">
-                        👤 You
-                      </span>
-                    ) : (
-                      <span className="text-gray-300">
-                        {formatAddress(message.sender)}
-                      </span>
-                    )}
-                  </p>
-                  <p className="text-xs text-gray-500 font-mono">
-                    {message.sender}
-                  </p>
-                </div>
-              </div>
-              <div className="flex items-center px-3 py-1 bg-gray-900/50 rounded-full border border-gray-700/50">
-                <svg
-                  className="w-3 h-3 mr-2 text-gray-400"
-                  fill="none"
+      <div
+        onScroll={(e) => {
+          const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+          if (
+            hasOlderMessages &&
+            !loadingOlder &&
+            scrollHeight - scrollTop - clientHeight < LOAD_OLDER_THRESHOLD_PX
+          ) {
+            fetchOlderMessages();
+          }
+        }}
+        className="space-y-4 max-h-[60vh] overflow-y-auto pr-2 scrollbar-thin scrollbar-thumb-gray-700 scrollbar-track-gray-900"
+      >
+        {pendingMessages.map((transaction) => (
+          <PendingMessage
+            key={transaction.hash}
+            transaction={transaction}
+            onSpeedUp={onSpeedUp}
+            onRetry={onRetry}
+            onDismiss={onDismiss}
+            busy={loading}
+          />
+        ))}
+        {boostedMessages.length > 0 && (
+          <div className="space-y-4 pb-4 border-b border-amber-700/30">
+            {boostedMessages.map((message) => (
+              <MessageItem
+                key={message.id}
+                message={message}
+                pinnedUntil={message.boostedUntil}
+                currentAccount={currentAccount}
+                formatAddress={formatAddress}
+                getIdentity={getIdentity}
+                isModerator={isModerator}
+                onModerate={onModerate}
+                moderating={moderating}
+                repliesByParent={repliesByParent}
+                onReply={onReply}
+                fetchReplies={fetchReplies}
+                getReactions={getReactions}
+                onToggleReaction={onToggleReaction}
+                isTogglingReaction={isTogglingReaction}
+                getTipTotal={getTipTotal}
+                onTip={onTip}
+                isTipping={isTipping}
+                canChange={canChange}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                changing={changing}
+                getRevisions={getRevisions}
+              />
+            ))}
+          </div>
+        )}
+        {messages.map((message) => (
+          <MessageItem
+            key={message.id}
+            message={message}
+            currentAccount={currentAccount}
+            formatAddress={formatAddress}
+            getIdentity={getIdentity}
+            isModerator={isModerator}
+            onModerate={onModerate}
+            moderating={moderating}
+            repliesByParent={repliesByParent}
+            onReply={onReply}
+            fetchReplies={fetchReplies}
+            getReactions={getReactions}
+            onToggleReaction={onToggleReaction}
+            isTogglingReaction={isTogglingReaction}
+            getTipTotal={getTipTotal}
+            onTip={onTip}
+            isTipping={isTipping}
+            canChange={canChange}
+            onEdit={onEdit}
+            onDelete={onDelete}
+            changing={changing}
+            getRevisions={getRevisions}
+          />
+        ))}
+        <div className="pt-2 pb-1 text-center">
+          {loadingOlder ? (
+            <p className="text-sm text-gray-400 flex items-center justify-center">
+              <svg
+                className="animate-spin h-4 w-4 mr-2"
+                xmlns="http://www.w3.org/2000/svg"
+                fill="none"
+                viewBox="0 0 24 24"
+              >
+                <circle
+                  className="opacity-25"
+                  cx="12"
+                  cy="12"
+                  r="10"
                   stroke="currentColor"
-                  viewBox="0 0 24 24"
-                  xmlns="http://www.w3.org/2000/svg"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth="2"
-                    d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
-                  ></path>
-                </svg>
-                <p className="text-xs text-gray-400">
-                  {new Date(message.timestamp * 1000).toLocaleString()}
-                </p>
-              </div>
-            </div>
-            <p className="text-gray-200 leading-relaxed break-words whitespace-pre-wrap pl-5 border-l-2 border-cyan-500/30">
-              {message.content}
+                  strokeWidth="4"
+                ></circle>
+                <path
+                  className="opacity-75"
+                  fill="currentColor"
+                  d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                ></path>
+              </svg>
+              {search.active ? "Loading more..." : "Loading older messages..."}
             </p>
-          </div>
+          ) : hasOlderMessages ? (
+            // Fallback for when the first page is too short to scroll.
+            <button
+              onClick={fetchOlderMessages}
+              className="text-sm text-purple-300 hover:text-white px-4 py-2 rounded-lg border border-purple-700/50 hover:border-purple-500 transition-all duration-300"
+            >
+              {search.active ? "Load more results" : "Load older messages"}
+            </button>
+          ) : (
+            <p className="text-xs text-gray-600">
+              {search.active
+                ? "That's every match."
+                : "You've reached the first message."}
+            </p>
+          )}
+        </div>
+      </div>
+    )}
+  </div>
+);
+
+// Frame shared by the message and address pages, with a link back to the
+// channel the user came from.
+const PagePanel = ({ title, channel, channelId, children }) => (
+  <div className="relative bg-gradient-to-br from-gray-900 to-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-700">
+    <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-purple-500 to-pink-600 rounded-t-2xl"></div>
+    <div className="mb-4 pb-4 border-b border-gray-700 flex flex-wrap justify-between items-center gap-2">
+      <h2 className="text-2xl font-bold text-white min-w-0">{title}</h2>
+      <a
+        href={channelPath(channelId)}
+        className="text-sm text-purple-300 hover:text-white transition-colors duration-300"
+      >
+        ← Back to {channel ? `#${channel.name}` : "the feed"}
+      </a>
+    </div>
+    {children}
+  </div>
+);
+
+// A single message by its on-chain index, with its thread. `page` comes
+// from useMessage; the rest is passed through to MessageItem.
+const MessagePage = ({
+  messageId,
+  page,
+  channels,
+  channel,
+  channelId,
+  ...itemProps
+}) => {
+  const postedIn = page.message
+    ? channels.find((c) => c.id === page.message.channelId)
+    : null;
+  return (
+    <PagePanel
+      title={`Message #${messageId}`}
+      channel={channel}
+      channelId={channelId}
+    >
+      {page.loading ? (
+        <p className="text-gray-400">Loading message...</p>
+      ) : page.error || !page.message ? (
+        <p className="text-gray-400">
+          {page.error ?? `There is no message #${messageId} on this chain.`}
+        </p>
+      ) : (
+        <>
+          {postedIn && (
+            <p className="mb-4 text-sm text-gray-400">
+              Posted in{" "}
+              <a
+                href={channelPath(postedIn.id)}
+                className="text-purple-300 hover:text-white"
+              >
+                {postedIn.allowlistOnly ? "🔒" : "#"}
+                {postedIn.name}
+              </a>
+            </p>
+          )}
+          <MessageItem message={page.message} showParent {...itemProps} />
+        </>
+      )}
+    </PagePanel>
+  );
+};
+
+// Everything one address has posted, newest first. `page` comes from
+// useSenderMessages; the rest is passed through to MessageItem.
+const SenderPage = ({ sender, page, channel, channelId, ...itemProps }) => {
+  // An ENS name in the route shows as typed until it resolves.
+  const address = page.address ?? (isAddress(sender) ? sender : null);
+  return (
+    <PagePanel
+      title={
+        address ? (
+          <SenderName
+            address={address}
+            identity={itemProps.getIdentity(address)}
+            formatAddress={itemProps.formatAddress}
+          />
+        ) : (
+          <span className="text-gray-300">{sender}</span>
+        )
+      }
+      channel={channel}
+      channelId={channelId}
+    >
+      <p className="text-xs text-gray-500 font-mono break-all">
+        {address ?? sender}
+      </p>
+      <p className="mt-1 mb-4 text-sm text-gray-400">
+        {page.loading
+          ? "Loading messages..."
+          : page.error ??
+            (page.total === 0
+              ? "Hasn't posted yet."
+              : `${page.total} ${
+                  page.total === 1 ? "message" : "messages"
+                } · first seen ${new Date(
+                  page.firstSeen * 1000
+                ).toLocaleString()}`)}
+      </p>
+      <div className="space-y-4">
+        {page.messages.map((message) => (
+          <MessageItem
+            key={message.id}
+            message={message}
+            showParent
+            {...itemProps}
+          />
         ))}
       </div>
-    )}
-  </div>
-);
+      {page.hasMore && (
+        <div className="pt-4 text-center">
+          <button
+            onClick={page.loadMore}
+            disabled={page.loadingMore}
+            className="text-sm text-purple-300 hover:text-white px-4 py-2 rounded-lg border border-purple-700/50 hover:border-purple-500 transition-all duration-300 disabled:opacity-50"
+          >
+            {page.loadingMore ? "Loading..." : "Load older messages"}
+          </button>
+        </div>
+      )}
+    </PagePanel>
+  );
+};
 
 // --- App Component Definition ---
 
 const App = () => {
-  const [currentAccount, setCurrentAccount] = useState(null);
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState("");
+  const [replyTo, setReplyTo] = useState(null);
+  const [sortOrder, setSortOrder] = useState("newest");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
   const [lastMessageTime, setLastMessageTime] = useState(0);
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [switchingChain, setSwitchingChain] = useState(false);
+  const [moderating, setModerating] = useState(false);
+  const [changingMessage, setChangingMessage] = useState(false);
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [gasless, setGasless] = useState(true);
+  // Boost fee typed into the form, in ETH; empty for a normal post.
+  const [boostInput, setBoostInput] = useState("");
+  // Whether the form posts its text as a long-form body stored off-chain.
+  const [longForm, setLongForm] = useState(false);
+  // Roles of `account` on the contract; ignored once the account changes.
+  const [roles, setRoles] = useState({
+    account: null,
+    isOwner: false,
+    isModerator: false,
+    isBanned: false,
+  });
+  // Limits enforced by the contract; null until read from the chain.
+  const [limits, setLimits] = useState({
+    cooldownTime: null,
+    maxMessageLength: null,
+    boostPricePerHour: null,
+    minBoostDuration: null,
+    editWindow: null,
+  });
+
+  // Half-open range [start, end) of on-chain message indexes held in
+  // `messages`. `start` is null until the first page has been loaded.
+  const loadedRangeRef = useRef({ start: null, end: 0 });
+  const loadingOlderRef = useRef(false);
+
+  const resetMessages = useCallback(() => {
+    loadedRangeRef.current = { start: null, end: 0 };
+    setMessages([]);
+    setHasOlderMessages(false);
+  }, []);
+
+  // Everything keyed on the contract (messages, roles, limits, reactions)
+  // reloads from the new chain's deployment without a page reload, and the
+  // feed reloads when the user opens another channel. The history doesn't
+  // depend on the account, so an account switch only reloads per-account
+  // state (roles, reactions, cooldown).
+  const resetFeed = useCallback(() => {
+    setReplyTo(null);
+    resetMessages();
+  }, [resetMessages]);
+
+  const {
+    channelId,
+    messageId,
+    sender: routeSender,
+  } = useHashRoute({ onChange: resetFeed });
+  // The message and address pages stand in for the form and the feed.
+  const showFeed = messageId === null && routeSender === null;
+
+  const {
+    wallets,
+    wallet,
+    account: currentAccount,
+    chainId,
+    connect,
+    disconnect,
+  } = useWallet({ onChainChanged: resetFeed });
+
+  const chain = getChain(chainId);
+  // null while the wallet is on a chain without a deployment, so every
+  // effect that needs the contract simply waits for a supported chain.
+  const portal = useHambaPortal(chainId, wallet);
+  const [relayAvailability, setRelayAvailability] = useState({
+    chainId: null,
+    available: false,
+  });
+  useEffect(() => {
+    let active = true;
+    canRelay(getChain(chainId)).then((available) => {
+      if (active) setRelayAvailability({ chainId, available });
+    });
+    return () => {
+      active = false;
+    };
+  }, [chainId]);
+  const relayAvailable =
+    relayAvailability.chainId === chainId && relayAvailability.available;
+  const { channels, getUnreadCount, markRead } = useChannels({
+    chainId,
+    portal,
+  });
+  // null until the channels load, or if the route names a missing channel.
+  const channel = channels.find((c) => c.id === channelId) ?? null;
+  // Boost fee in wei: 0n for replies and when the field is empty, null when
+  // it doesn't parse.
+  const boost = replyTo || longForm ? 0n : parseEthAmount(boostInput || "0");
+  // Long-form bodies are held to the storage limit, not the contract's.
+  const maxMessageLength = longForm ? MAX_BODY_LENGTH : limits.maxMessageLength;
+
+  const {
+    transactions,
+    trackTransaction,
+    removeTransaction,
+    speedUpTransaction,
+  } = useTransactionTracker({ account: currentAccount, chainId, portal });
+
+  // While a search is active its results stand in for the feed.
+  const search = useMessageSearch({
+    chainId,
+    channelId,
+    account: currentAccount,
+  });
+  const permalink = useMessage({ portal, messageId });
+  const senderPage = useSenderMessages({ portal, sender: routeSender });
+  const pageMessages = [
+    ...(permalink.message ? [permalink.message] : []),
+    ...senderPage.messages,
+  ];
+
+  const {
+    getReactions,
+    toggleReaction,
+    isToggling: isTogglingReaction,
+  } = useReactions({
+    account: currentAccount,
+    chainId,
+    portal,
+    messageIds: [...messages, ...search.results, ...pageMessages].map(
+      (message) => message.id
+    ),
+  });
+
+  const boostedMessages = useBoostedMessages({ portal }).filter(
+    (message) => message.channelId === channelId
+  );
+  const { getTipTotal, tip, isTipping } = useTips({
+    chainId,
+    portal,
+    messageIds: [
+      ...boostedMessages,
+      ...messages,
+      ...search.results,
+      ...pageMessages,
+    ].map((message) => message.id),
+  });
+
+  const directMessages = useDirectMessages({
+    chainId,
+    portal,
+    account: currentAccount,
+  });
+
+  const shownMessages = [
+    ...boostedMessages,
+    ...messages,
+    ...search.results,
+    ...pageMessages,
+  ];
+  // Mentioned addresses get names too; ENS mentions already have one.
+  const mentioned = shownMessages.flatMap((message) =>
+    getMentions(message.content).filter((target) => isAddress(target))
+  );
+  const senders = [
+    ...shownMessages.map((message) => message.sender),
+    ...mentioned,
+    ...(senderPage.address ? [senderPage.address] : []),
+    ...(currentAccount ? [currentAccount] : []),
+  ];
+  const { getProfile, updateProfile } = useProfiles({ addresses: senders });
+  const { getEnsName } = useEnsNames({ portal, addresses: senders });
+  const getIdentity = useCallback(
+    (address) => ({ profile: getProfile(address), ens: getEnsName(address) }),
+    [getProfile, getEnsName]
+  );
+
+  const mentionAlerts = useMentionNotifications({
+    portal,
+    account: currentAccount,
+    ensName: currentAccount ? getEnsName(currentAccount)?.name ?? null : null,
+  });
+
+  // Everyone who posted in this channel lately except the user, most recent
+  // first (messages are newest first), as @mention suggestions.
+  const mentionCandidates = [
+    ...new Map(
+      messages.map((message) => [message.sender.toLowerCase(), message.sender])
+    ).values(),
+  ]
+    .filter(
+      (address) => address.toLowerCase() !== currentAccount?.toLowerCase()
+    )
+    .map((address) => {
+      const { profile, ens } = getIdentity(address);
+      return {
+        address,
+        label: profile?.displayName ?? ens?.name ?? formatAddress(address),
+      };
+    });
+
+  // Loads the newest page on first call, and afterwards only the messages
+  // posted since the last load.
+  const fetchLatestMessages = useCallback(async () => {
+    if (!portal) return;
+    setError(null);
+    try {
+      const total = await portal.getChannelMessageCount(channelId);
+      const range = loadedRangeRef.current;
+      const firstLoad = range.start === null;
+      const start = firstLoad ? Math.max(0, total - PAGE_SIZE) : range.end;
+
+      const fetched = [];
+      for (let offset = start; offset < total; offset += PAGE_SIZE) {
+        fetched.push(
+          ...(await portal.getChannelMessages(channelId, offset, PAGE_SIZE))
+        );
+      }
+
+      // The feed may have been reset (another chain or channel) while we
+      // were waiting on the node.
+      if (loadedRangeRef.current !== range) return;
 
-  const getContract = useCallback((signerOrProvider) => {
-    if (typeof window.ethers === "undefined") {
-      console.error(
-        "Ethers.js is not loaded. Please ensure it's available in the global scope."
+      if (firstLoad) {
+        range.start = start;
+        setHasOlderMessages(start > 0);
+      }
+      range.end = Math.max(range.end, start + fetched.length);
+      setMessages((current) =>
+        mergeMessages(countNewReplies(current, fetched), fetched)
       );
-      return null;
+    } catch (e) {
+      console.error("Error fetching messages:", e);
+      setError("Failed to fetch messages. Check console for details.");
     }
+  }, [portal, channelId]);
+
+  const fetchOlderMessages = useCallback(async () => {
+    const range = loadedRangeRef.current;
+    if (loadingOlderRef.current || !range.start || !portal) return;
+
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
     try {
-      return new window.ethers.Contract(
-        CONTRACT_ADDRESS,
-        CONTRACT_ABI,
-        signerOrProvider
+      const start = Math.max(0, range.start - PAGE_SIZE);
+      const page = await portal.getChannelMessages(
+        channelId,
+        start,
+        range.start - start
       );
+
+      if (loadedRangeRef.current !== range) return;
+
+      range.start = start;
+      setHasOlderMessages(start > 0);
+      setMessages((current) => mergeMessages(current, page));
     } catch (e) {
-      console.error("Failed to create contract instance:", e);
-      return null;
+      console.error("Error fetching older messages:", e);
+      setError("Failed to load older messages. Check console for details.");
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
     }
-  }, []);
+  }, [portal, channelId]);
 
-  const fetchAllMessages = useCallback(async () => {
+  // Loads every direct reply to a message into `messages`; the thread view
+  // reads them back from there so live updates reach open threads too.
+  const fetchReplies = useCallback(
+    async (parentId) => {
+      const range = loadedRangeRef.current;
+      if (!portal) return;
+      try {
+        const fetched = [];
+        for (let offset = 0; ; offset += REPLY_PAGE_SIZE) {
+          const replies = await portal.getReplies(
+            parentId,
+            offset,
+            REPLY_PAGE_SIZE
+          );
+          fetched.push(...replies);
+          if (replies.length < REPLY_PAGE_SIZE) break;
+        }
+
+        if (loadedRangeRef.current !== range) return;
+        setMessages((current) => mergeMessages(current, fetched));
+      } catch (e) {
+        console.error("Error fetching replies:", e);
+        setError("Failed to load replies. Check console for details.");
+      }
+    },
+    [portal]
+  );
+
+  const connectWallet = async (connector) => {
+    setLoading(true);
     setError(null);
     try {
-      if (
-        typeof window.ethereum === "undefined" ||
-        typeof window.ethers === "undefined"
-      ) {
-        setError(
-          "MetaMask or Ethers.js not detected. Please install and connect."
-        );
-        return;
+      const walletChainId = await connect(connector);
+      if (!getChain(walletChainId)) {
+        await switchNetwork(DEFAULT_CHAIN_ID, connector);
       }
+    } catch (e) {
+      console.error("Connection failed:", e);
+      setError(
+        e?.code === 4001
+          ? "Connection was rejected in the wallet."
+          : "Wallet connection failed. See console."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      const provider = new window.ethers.BrowserProvider(window.ethereum);
-      const hambaContract = getContract(provider);
-      if (!hambaContract) return;
-
-      const allMessages = await hambaContract.getAllMessages();
-
-      const formattedMessages = allMessages
-        .map((message) => ({
-          sender: message.sender,
-          content: message.content,
-          timestamp: Number(message.timestamp),
-        }))
-        .sort((a, b) => b.timestamp - a.timestamp);
+  const disconnectWallet = async () => {
+    setError(null);
+    await disconnect();
+  };
 
-      setMessages(formattedMessages);
+  // The chainChanged listener picks up the switch and reloads everything.
+  // `connector` defaults to the connected wallet; connectWallet passes the
+  // one it just connected, which isn't in `wallet` until the next render.
+  const switchNetwork = async (targetChainId, connector = wallet) => {
+    setSwitchingChain(true);
+    setError(null);
+    try {
+      await switchChain(connector.provider, targetChainId);
     } catch (e) {
-      console.error("Error fetching messages:", e);
-      setError("Failed to fetch messages. Check console for details.");
+      console.error("Network switch failed:", e);
+      setError(
+        e?.code === 4001
+          ? "Network switch was rejected in the wallet."
+          : "Could not switch networks. Switch manually in your wallet."
+      );
+    } finally {
+      setSwitchingChain(false);
     }
-  }, [getContract]);
+  };
 
-  const connectWallet = async () => {
+  // Submits the transaction and hands it to the tracker; the UI is only
+  // blocked while the wallet prompt is open, not until the tx is mined.
+  // `post` is `{ channelId, content, parentId, value, bodyHash }`. With
+  // `relayed`, the post is signed and sent through the relayer, which pays
+  // the gas; a non-zero `value` (the boost fee, in wei) pins it instead, and
+  // a `bodyHash` makes it a long-form post whose `content` is the preview.
+  const submitMessage = async (post, relayed = false) => {
+    const {
+      channelId,
+      content,
+      parentId = null,
+      value = 0n,
+      bodyHash = null,
+    } = post;
     setLoading(true);
     setError(null);
+    setSuccessMessage(null);
+
     try {
-      if (typeof window.ethereum === "undefined") {
-        setError(
-          "MetaMask is not installed. Please install it to use this app."
-        );
-        setLoading(false);
-        return;
-      }
+      if (!portal) return false;
 
-      const accounts = await window.ethereum.request({
-        method: "eth_requestAccounts",
-      });
-      if (accounts.length > 0) {
-        setCurrentAccount(accounts[0]);
-      } else {
-        setError("No authorized accounts found.");
-      }
+      const tx = bodyHash
+        ? await portal.sendLongMessage(channelId, content, bodyHash, parentId)
+        : value > 0n
+        ? await portal.sendBoostedMessage(channelId, content, value)
+        : relayed
+        ? await relaySendMessage(portal, channelId, content, parentId)
+        : await portal.sendMessage(channelId, content, parentId);
+      trackTransaction(tx, { channelId, content, parentId, bodyHash });
+
+      setSuccessMessage(
+        value > 0n
+          ? "Boosted message submitted! It will be pinned once confirmed."
+          : relayed
+          ? "Message relayed without gas! Waiting for confirmation..."
+          : "Message submitted! Waiting for confirmation..."
+      );
+      // Start the cooldown right away; checkCooldown picks up the block
+      // timestamp once the transaction is mined.
+      setLastMessageTime(Math.floor(Date.now() / 1000));
+      return true;
     } catch (e) {
-      console.error("Connection failed:", e);
-      setError("Wallet connection failed. See console.");
+      console.error("Error sending message:", e);
+
+      const contractError = decodeContractError(e);
+      if (contractError.code === "COOLDOWN_ACTIVE") {
+        checkCooldown();
+      }
+      setError(contractError.message);
+      return false;
     } finally {
       setLoading(false);
+      setTimeout(() => {
+        setSuccessMessage(null);
+        setError(null);
+      }, 5000);
     }
   };
 
@@ -498,105 +2018,456 @@ const App = () => {
       setError("Please connect your wallet first.");
       return;
     }
-    if (newMessage.trim().length === 0 || newMessage.trim().length > 280) {
-      setError("Message must be between 1 and 280 characters.");
+    const content = newMessage.trim();
+    const contentBytes = byteLength(content);
+    if (
+      contentBytes === 0 ||
+      (maxMessageLength !== null && contentBytes > maxMessageLength)
+    ) {
+      setError(`Message must be between 1 and ${maxMessageLength} bytes.`);
       return;
     }
 
-    setLoading(true);
+    if (boost === null) {
+      setError("Enter the boost as an amount of ETH, e.g. 0.01.");
+      return;
+    }
+
+    let post = { channelId, content, parentId: replyTo?.id, value: boost };
+    if (longForm) {
+      // The body has to be in storage before its hash goes on chain.
+      setLoading(true);
+      setError(null);
+      try {
+        post = {
+          ...post,
+          content: makePreview(content, limits.maxMessageLength),
+          bodyHash: await storeBody(content),
+        };
+      } catch (e) {
+        console.error("Error storing long-form body:", e);
+        setError(`Couldn't store the post: ${e.message}`);
+        return;
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    if (
+      await submitMessage(
+        post,
+        relayAvailable && gasless && boost === 0n && !longForm
+      )
+    ) {
+      setNewMessage("");
+      setBoostInput("");
+      setLongForm(false);
+      setReplyTo(null);
+    }
+  };
+
+  const retryMessage = async (transaction) => {
+    const relayed = Boolean(transaction.relayedBy) && relayAvailable;
+    if (
+      await submitMessage(
+        {
+          channelId: transaction.channelId ?? GENERAL_CHANNEL,
+          content: transaction.content,
+          parentId: transaction.parentId,
+          value: BigInt(transaction.value ?? "0"),
+          bodyHash: transaction.bodyHash ?? null,
+        },
+        relayed
+      )
+    ) {
+      removeTransaction(transaction.hash);
+    }
+  };
+
+  const startReply = (message) => {
+    setReplyTo(message);
+    document
+      .getElementById("message-form")
+      ?.scrollIntoView({ behavior: "smooth" });
+  };
+
+  const speedUpMessage = async (hash) => {
+    setError(null);
+    try {
+      await speedUpTransaction(hash);
+      setSuccessMessage("Replacement transaction submitted with higher fees.");
+    } catch (e) {
+      console.error("Error speeding up transaction:", e);
+      setError(decodeContractError(e).message);
+    }
+  };
+
+  const toggleMessageReaction = async (id, type) => {
+    setError(null);
+    try {
+      await toggleReaction(id, type);
+    } catch (e) {
+      console.error("Error toggling reaction:", e);
+      setError(decodeContractError(e).message);
+    }
+  };
+
+  // Resolves to whether the tip went through, so the tip form knows to close.
+  const tipMessage = async (id, amount) => {
+    setError(null);
+    setSuccessMessage(null);
+    const value = parseEthAmount(amount);
+    if (!value) {
+      setError("Enter the tip as an amount of ETH, e.g. 0.01.");
+      return false;
+    }
+    try {
+      await tip(id, value);
+      setSuccessMessage(`Sent ${formatEther(value)} ETH to the author.`);
+      return true;
+    } catch (e) {
+      console.error("Error sending tip:", e);
+      setError(decodeContractError(e).message);
+      return false;
+    }
+  };
+
+  // Runs a wallet prompt or transaction for the direct message inbox and
+  // reports how it went; resolves to whether it succeeded.
+  const runDirectMessageAction = async (action, successText = null) => {
     setError(null);
     setSuccessMessage(null);
+    try {
+      await action();
+      if (successText) setSuccessMessage(successText);
+      return true;
+    } catch (e) {
+      console.error("Error with direct messages:", e);
+      setError(decodeContractError(e).message);
+      return false;
+    }
+  };
 
+  // Sends an owner, moderator or channel admin transaction and waits for it,
+  // so the caller can clear its form once the action is on chain.
+  const runAdminAction = async (method, ...args) => {
+    setModerating(true);
+    setError(null);
+    setSuccessMessage(null);
     try {
-      const provider = new window.ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const hambaContract = getContract(signer);
+      if (!portal) return false;
+
+      const tx = await portal.send(method, ...args);
+      await tx.wait();
+      setSuccessMessage("Action confirmed on chain.");
+      return true;
+    } catch (e) {
+      console.error(`Error running ${method}:`, e);
+      setError(decodeContractError(e).message);
+      return false;
+    } finally {
+      setModerating(false);
+    }
+  };
 
-      if (!hambaContract) return;
+  // Edits or deletes one of the user's own messages and waits for it, so
+  // the message can close its form once the change is on chain.
+  const runAuthorAction = async (action, successText) => {
+    setChangingMessage(true);
+    setError(null);
+    setSuccessMessage(null);
+    try {
+      if (!portal) return false;
 
-      const tx = await hambaContract.sendMessage(newMessage.trim());
+      const tx = await action();
       await tx.wait();
+      setSuccessMessage(successText);
+      return true;
+    } catch (e) {
+      console.error("Error changing message:", e);
+      setError(decodeContractError(e).message);
+      return false;
+    } finally {
+      setChangingMessage(false);
+    }
+  };
 
-      setNewMessage("");
-      setSuccessMessage("Message sent successfully! Refreshing history...");
+  // A long-form message keeps its form: the new body is stored first and
+  // its preview goes on chain, as when posting.
+  const editMessage = (message, text) =>
+    runAuthorAction(async () => {
+      if (!message.bodyHash) return portal.editMessage(message.id, text);
+      const bodyHash = await storeBody(text);
+      return portal.editMessage(
+        message.id,
+        makePreview(text, limits.maxMessageLength),
+        bodyHash
+      );
+    }, "Message edited.");
 
-      const block = await provider.getBlock("latest");
-      setLastMessageTime(Number(block.timestamp)); // Ensure timestamp is a number
+  const deleteMessage = (message) =>
+    runAuthorAction(() => portal.deleteMessage(message.id), "Message deleted.");
 
-      // Refresh messages after a short delay
-      setTimeout(() => {
-        fetchAllMessages();
-        checkCooldown(); // Update cooldown status after successful send
-      }, 3000);
+  const getRevisions = useCallback(
+    (message) => portal.getRevisions(message),
+    [portal]
+  );
+
+  // Opens a channel and navigates to it once it exists. An empty
+  // `cooldownInput` keeps the portal-wide cooldown.
+  const createChannel = async (name, allowlistOnly, cooldownInput) => {
+    setModerating(true);
+    setError(null);
+    setSuccessMessage(null);
+    try {
+      if (!portal) return false;
+
+      const customCooldown = cooldownInput !== "";
+      const id = await portal.createChannel(
+        name,
+        allowlistOnly,
+        customCooldown,
+        customCooldown ? cooldownInput : 0
+      );
+      window.location.hash = channelPath(id);
+      setSuccessMessage(`Channel #${name} created.`);
+      return true;
     } catch (e) {
-      console.error("Error sending message:", e);
+      console.error("Error creating channel:", e);
+      setError(decodeContractError(e).message);
+      return false;
+    } finally {
+      setModerating(false);
+    }
+  };
 
-      let errorMessage = "Transaction failed. See console for details.";
-      if (e.message && e.message.includes("CoOLDOWN_TIME")) {
-        errorMessage =
-          "Cooldown active. You must wait 30 seconds between messages.";
-      } else if (e.message && e.message.includes("Message is too long")) {
-        errorMessage = "Message too long (Max 280 chars).";
-      }
-      setError(errorMessage);
+  // Signs and saves the connected account's profile; resolves to whether it
+  // was saved so the editor knows to close.
+  const saveAccountProfile = async (fields) => {
+    setSavingProfile(true);
+    setError(null);
+    setSuccessMessage(null);
+    try {
+      updateProfile(await saveProfile(await portal.getSigner(), fields));
+      setSuccessMessage("Profile saved.");
+      return true;
+    } catch (e) {
+      console.error("Error saving profile:", e);
+      setError(decodeContractError(e).message);
+      return false;
     } finally {
-      setLoading(false);
-      setTimeout(() => {
-        setSuccessMessage(null);
-        setError(null);
-      }, 5000);
+      setSavingProfile(false);
     }
   };
 
   const checkCooldown = useCallback(async () => {
-    if (!currentAccount) return;
+    if (!currentAccount || !portal) return;
     try {
-      const provider = new window.ethers.BrowserProvider(window.ethereum);
-      const hambaContract = getContract(provider);
-
-      const lastTimeBigInt = await hambaContract.lastMessageTime(
-        currentAccount
+      setLastMessageTime(
+        await portal.getLastMessageTime(channelId, currentAccount)
       );
-      const lastTime = Number(lastTimeBigInt);
-      setLastMessageTime(lastTime);
     } catch (e) {
       console.error("Error checking cooldown:", e);
     }
-  }, [currentAccount, getContract]);
+  }, [currentAccount, portal, channelId]);
 
+  // Reads the owner-configurable limits and keeps them current as the owner
+  // changes them.
   useEffect(() => {
-    const checkIfWalletIsConnected = async () => {
+    if (!portal) return;
+
+    let active = true;
+    const loadLimits = async () => {
       try {
-        if (typeof window.ethereum === "undefined") {
-          setError("MetaMask not detected.");
-          return;
-        }
+        const limits = await portal.getLimits();
+        if (active) setLimits(limits);
+      } catch (e) {
+        console.error("Error loading contract limits:", e);
+      }
+    };
 
-        const accounts = await window.ethereum.request({
-          method: "eth_accounts",
-        });
-        if (accounts.length > 0) {
-          setCurrentAccount(accounts[0]);
-        }
+    const handleCooldownTimeUpdated = (_previous, newCooldownTime) => {
+      setLimits((current) => ({
+        ...current,
+        cooldownTime: Number(newCooldownTime),
+      }));
+    };
+    const handleMaxMessageLengthUpdated = (_previous, newMaxLength) => {
+      setLimits((current) => ({
+        ...current,
+        maxMessageLength: Number(newMaxLength),
+      }));
+    };
+
+    const handleBoostPriceUpdated = (_previous, newPricePerHour) => {
+      setLimits((current) => ({
+        ...current,
+        boostPricePerHour: newPricePerHour,
+      }));
+    };
+    const handleEditWindowUpdated = (_previous, newEditWindow) => {
+      setLimits((current) => ({
+        ...current,
+        editWindow: Number(newEditWindow),
+      }));
+    };
+
+    loadLimits();
+    const unsubscribe = portal.subscribe({
+      CooldownTimeUpdated: handleCooldownTimeUpdated,
+      MaxMessageLengthUpdated: handleMaxMessageLengthUpdated,
+      BoostPriceUpdated: handleBoostPriceUpdated,
+      EditWindowUpdated: handleEditWindowUpdated,
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [portal]);
 
-        // Removed redundant fetchAllMessages here, it's handled in the next useEffect
-        // based on currentAccount change, which happens right above this.
+  // Keeps the connected account's owner/moderator/banned status current.
+  useEffect(() => {
+    if (!currentAccount || !portal) return;
+
+    let active = true;
+    const loadRoles = async () => {
+      try {
+        const roles = await portal.getRoles(currentAccount);
+        if (active) setRoles({ account: currentAccount, ...roles });
+      } catch (e) {
+        console.error("Error loading account roles:", e);
+      }
+    };
+
+    loadRoles();
+    const unsubscribe = portal.subscribe({
+      OwnershipTransferred: loadRoles,
+      ModeratorAdded: loadRoles,
+      ModeratorRemoved: loadRoles,
+      AddressBanned: loadRoles,
+      AddressUnbanned: loadRoles,
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [currentAccount, portal]);
+
+  // Whether the connected account may post in the current channel, when it
+  // is allowlist-only; kept current as its allowlist changes.
+  const [membership, setMembership] = useState({ key: null, isMember: false });
+  const membershipKey = `${channelId}:${currentAccount}`;
+  const allowlistOnly = channel?.allowlistOnly ?? false;
+  useEffect(() => {
+    if (!currentAccount || !portal || !allowlistOnly) return;
 
-        window.ethereum.on("accountsChanged", (newAccounts) => {
-          setCurrentAccount(newAccounts.length > 0 ? newAccounts[0] : null);
-          setMessages([]);
-        });
+    let active = true;
+    const loadMembership = async () => {
+      try {
+        const isMember = await portal.isChannelMember(
+          channelId,
+          currentAccount
+        );
+        if (active) setMembership({ key: membershipKey, isMember });
       } catch (e) {
-        console.error("Setup error:", e);
-        setError("Initial setup failed. Check connection.");
+        console.error("Error loading channel membership:", e);
+      }
+    };
+
+    loadMembership();
+    const unsubscribe = portal.subscribe({
+      ChannelMemberUpdated: (updatedChannelId) => {
+        if (Number(updatedChannelId) === channelId) loadMembership();
+      },
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [currentAccount, portal, channelId, allowlistOnly, membershipKey]);
+
+  // Live feed: every NewMessage event triggers a sync of the messages posted
+  // since the last load. Reading them back by index (rather than from the
+  // event payload) keeps the loaded range contiguous and drops duplicates.
+  useEffect(() => {
+    if (!portal) return;
+
+    // Coalesce bursts of events into one sync at a time.
+    let syncing = false;
+    let syncQueued = false;
+    const syncLatestMessages = async () => {
+      if (syncing) {
+        syncQueued = true;
+        return;
+      }
+      syncing = true;
+      try {
+        await fetchLatestMessages();
+      } finally {
+        syncing = false;
+        if (syncQueued) {
+          syncQueued = false;
+          syncLatestMessages();
+        }
+      }
+    };
+
+    // Background tabs get their timers throttled and may miss events, so
+    // catch up on whatever was posted as soon as the tab is visible again.
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible") {
+        syncLatestMessages();
       }
     };
-    checkIfWalletIsConnected();
-  }, []); // Depend only on initial mounting
+
+    const updateMessage = (index, change) => {
+      setMessages((current) =>
+        current.map((message) =>
+          message.id === Number(index) ? { ...message, ...change } : message
+        )
+      );
+    };
+
+    const unsubscribe = portal.subscribe({
+      NewMessage: (
+        _from,
+        _timestamp,
+        _content,
+        _id,
+        _parentId,
+        postChannel
+      ) => {
+        if (Number(postChannel) === channelId) syncLatestMessages();
+      },
+      MessageHidden: (index) => updateMessage(index, { hidden: true }),
+      MessageUnhidden: (index) => updateMessage(index, { hidden: false }),
+      MessageEdited: (id, _sender, revision, _prev, _prevHash, content, hash) =>
+        updateMessage(id, editedFields(revision, content, hash)),
+      MessageDeleted: (id) => updateMessage(id, DELETED_FIELDS),
+    });
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      unsubscribe();
+    };
+  }, [portal, channelId, fetchLatestMessages]);
+
+  // The open channel counts as read up to its latest message.
+  useEffect(() => {
+    if (channel) markRead(channel);
+  }, [channel, markRead]);
+
+  // Anyone can browse; only the cooldown needs a connected account.
+  useEffect(() => {
+    fetchLatestMessages();
+  }, [fetchLatestMessages]);
 
   useEffect(() => {
     if (currentAccount) {
-      fetchAllMessages();
       checkCooldown();
       // Set up a periodic check for cooldown status while connected
       const intervalId = setInterval(() => {
@@ -605,17 +2476,81 @@ const App = () => {
 
       return () => clearInterval(intervalId);
     }
-  }, [currentAccount, fetchAllMessages, checkCooldown]); // Run when account changes
+  }, [currentAccount, checkCooldown]); // Run when account or network changes
 
-  // Cooldown calculation
+  // Cooldown calculation; channels may override the portal-wide cooldown.
+  const cooldownTime = channel?.customCooldown
+    ? channel.cooldownTime
+    : limits.cooldownTime;
   const now = Math.floor(Date.now() / 1000);
   const timeElapsed = now - lastMessageTime;
-  const timeRemaining = COOLDOWN_SECONDS - timeElapsed;
+  const timeRemaining = (cooldownTime ?? 0) - timeElapsed;
   const isOnCooldown = lastMessageTime > 0 && timeRemaining > 0;
 
   const formattedTimeRemaining =
     timeRemaining > 0 ? `${Math.ceil(timeRemaining)}s` : "Ready";
 
+  // Authors may edit or delete their messages until the deadline set when
+  // they posted. Search results don't carry it, so those assume the
+  // current editWindow.
+  const canChangeMessage = (message) =>
+    Boolean(currentAccount) &&
+    message.sender.toLowerCase() === currentAccount.toLowerCase() &&
+    !message.deleted &&
+    now <=
+      (message.editableUntil ??
+        (limits.editWindow > 0 ? message.timestamp + limits.editWindow : 0));
+
+  const accountRoles =
+    roles.account === currentAccount
+      ? roles
+      : { isOwner: false, isModerator: false, isBanned: false };
+  const notMember =
+    allowlistOnly && !(membership.key === membershipKey && membership.isMember);
+
+  const messageBytes = byteLength(newMessage);
+  const isTooLong =
+    maxMessageLength !== null && messageBytes > maxMessageLength;
+
+  const { pendingMessages, messages: displayedMessages } = attachTransactions(
+    messages,
+    transactions.filter((tx) => (tx.channelId ?? GENERAL_CHANNEL) === channelId)
+  );
+  // Boosted posts show only in the pinned section while their boost lasts.
+  const pinnedIds = new Set(boostedMessages.map((message) => message.id));
+  const rootMessages = sortMessages(
+    displayedMessages.filter(
+      (message) => message.parentId === null && !pinnedIds.has(message.id)
+    ),
+    sortOrder,
+    getReactions
+  );
+  const repliesByParent = groupReplies(displayedMessages);
+  const contractLink = explorerLink(chain, `address/${chain?.contractAddress}`);
+  // Shared by the messages on the message and address pages, which offer
+  // no replies: those are posted from the message's channel.
+  const messageItemProps = {
+    currentAccount,
+    formatAddress,
+    getIdentity,
+    isModerator: accountRoles.isModerator,
+    onModerate: runAdminAction,
+    moderating,
+    repliesByParent,
+    fetchReplies,
+    getReactions,
+    onToggleReaction: toggleMessageReaction,
+    isTogglingReaction,
+    getTipTotal,
+    onTip: tipMessage,
+    isTipping,
+    canChange: canChangeMessage,
+    onEdit: editMessage,
+    onDelete: deleteMessage,
+    changing: changingMessage,
+    getRevisions,
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-950 via-gray-900 to-gray-950 py-10 px-4 sm:px-6 lg:px-8 font-[Inter]">
       {/* Animated Background Elements */}
@@ -624,7 +2559,7 @@ const App = () => {
         <div className="absolute -bottom-40 -left-40 w-80 h-80 bg-purple-500/10 rounded-full blur-3xl"></div>
       </div>
 
-      <div className="max-w-4xl mx-auto relative">
+      <div className="max-w-6xl mx-auto relative">
         {/* Header */}
         <header className="text-center mb-10 relative">
           <div className="mb-8">
@@ -640,36 +2575,57 @@ const App = () => {
           </div>
 
           <div className="mt-8 flex flex-col sm:flex-row justify-center items-center space-y-4 sm:space-y-0 sm:space-x-6">
-            {currentAccount ? (
-              <div className="group relative">
-                <div className="absolute -inset-0.5 bg-gradient-to-r from-green-500 to-emerald-400 rounded-xl blur opacity-30 group-hover:opacity-50 transition duration-300"></div>
-                <div className="relative px-6 py-3 bg-gray-900 rounded-xl border border-emerald-700/50">
-                  <p className="text-emerald-300 font-medium flex items-center">
-                    <span className="w-2 h-2 rounded-full bg-emerald-400 mr-3 animate-pulse"></span>
-                    Connected:{" "}
-                    <span className="font-mono ml-2 text-emerald-200">
-                      {formatAddress(currentAccount)}
+            <WalletPicker
+              wallets={wallets}
+              wallet={wallet}
+              account={currentAccount}
+              identity={getIdentity(currentAccount)}
+              onConnect={connectWallet}
+              onDisconnect={disconnectWallet}
+              loading={loading}
+              formatAddress={formatAddress}
+            />
+            {chain && (
+              <div className="px-4 py-3 bg-gray-900/50 backdrop-blur-sm rounded-xl border border-gray-700/50">
+                <p className="text-xs font-mono text-gray-400">
+                  {chain.name} · Contract:{" "}
+                  {contractLink ? (
+                    <a
+                      href={contractLink}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-cyan-300 hover:text-white underline"
+                    >
+                      {formatAddress(chain.contractAddress)}
+                    </a>
+                  ) : (
+                    <span className="text-cyan-300">
+                      {formatAddress(chain.contractAddress)}
                     </span>
-                  </p>
-                </div>
+                  )}
+                </p>
               </div>
-            ) : (
-              // Use the imported ConnectButton component
-              <ConnectButton connectWallet={connectWallet} loading={loading} />
             )}
-            <div className="px-4 py-3 bg-gray-900/50 backdrop-blur-sm rounded-xl border border-gray-700/50">
-              <p className="text-xs font-mono text-gray-400">
-                Contract:{" "}
-                <span className="text-cyan-300">
-                  {formatAddress(CONTRACT_ADDRESS)}
-                </span>
-              </p>
-            </div>
+            {currentAccount && mentionAlerts.permission === "default" && (
+              <button
+                onClick={mentionAlerts.enable}
+                className="text-sm px-4 py-3 rounded-xl border border-fuchsia-700/50 text-fuchsia-300 hover:text-white hover:border-fuchsia-500 transition-all duration-300"
+              >
+                🔔 Notify me of mentions
+              </button>
+            )}
           </div>
         </header>
 
         {/* Status Messages */}
         <div className="mb-8 space-y-4">
+          {wallet && !chain && (
+            <NetworkNotice
+              chainId={chainId}
+              onSwitch={switchNetwork}
+              switching={switchingChain}
+            />
+          )}
           {error && (
             <div className="relative p-4 bg-gradient-to-r from-red-900/30 to-red-800/20 border border-red-700/50 rounded-xl backdrop-blur-sm">
               <div className="flex items-center">
@@ -728,26 +2684,167 @@ const App = () => {
           )}
         </div>
 
-        <div className="grid grid-cols-1 gap-8">
-          {/* Use the imported MessageForm, passing props */}
-          <MessageForm
-            currentAccount={currentAccount}
-            sendHambaMessage={sendHambaMessage}
-            newMessage={newMessage}
-            setNewMessage={setNewMessage}
-            loading={loading}
-            isOnCooldown={isOnCooldown}
-            formattedTimeRemaining={formattedTimeRemaining}
-            formatAddress={formatAddress}
-          />
-          {/* Use the imported MessageList, passing props */}
-          <MessageList
-            messages={messages}
-            fetchAllMessages={fetchAllMessages}
-            loading={loading}
+        <div className="grid grid-cols-1 md:grid-cols-[14rem_1fr] gap-8 items-start">
+          <ChannelSidebar
+            channels={channels}
+            currentChannelId={channelId}
+            getUnreadCount={getUnreadCount}
             currentAccount={currentAccount}
-            formatAddress={formatAddress}
+            isOwner={accountRoles.isOwner}
+            onCreate={createChannel}
+            onUpdate={(...args) => runAdminAction("updateChannel", ...args)}
+            onSetMember={(...args) =>
+              runAdminAction("setChannelMember", ...args)
+            }
+            busy={moderating}
           />
+          <div className="grid grid-cols-1 gap-8 min-w-0">
+            {currentAccount && portal && (
+              <ProfileEditor
+                key={`${currentAccount}:${
+                  getProfile(currentAccount)?.issuedAt ?? 0
+                }`}
+                profile={getProfile(currentAccount)}
+                onSave={saveAccountProfile}
+                saving={savingProfile}
+              />
+            )}
+            {showFeed ? (
+              <>
+                {/* Use the imported MessageForm, passing props */}
+                <MessageForm
+                  currentAccount={currentAccount}
+                  canConnect={wallets.length > 0}
+                  sendHambaMessage={sendHambaMessage}
+                  replyTo={replyTo}
+                  cancelReply={() => setReplyTo(null)}
+                  newMessage={newMessage}
+                  setNewMessage={setNewMessage}
+                  messageBytes={messageBytes}
+                  maxMessageLength={maxMessageLength}
+                  isTooLong={isTooLong}
+                  isBanned={accountRoles.isBanned}
+                  notMember={Boolean(currentAccount) && notMember}
+                  loading={loading}
+                  isOnCooldown={isOnCooldown}
+                  formattedTimeRemaining={formattedTimeRemaining}
+                  formatAddress={formatAddress}
+                  mentionCandidates={mentionCandidates}
+                  relayAvailable={relayAvailable}
+                  canPostLongForm={canStoreBodies()}
+                  longForm={longForm}
+                  setLongForm={setLongForm}
+                  gasless={gasless}
+                  setGasless={setGasless}
+                  boost={boost}
+                  boostInput={boostInput}
+                  setBoostInput={setBoostInput}
+                  boostPricePerHour={limits.boostPricePerHour}
+                  minBoostDuration={limits.minBoostDuration}
+                />
+                {/* Use the imported MessageList, passing props */}
+                <MessageList
+                  channel={channel}
+                  messages={search.active ? search.results : rootMessages}
+                  boostedMessages={search.active ? [] : boostedMessages}
+                  pendingMessages={search.active ? [] : pendingMessages}
+                  onSpeedUp={speedUpMessage}
+                  onRetry={retryMessage}
+                  onDismiss={removeTransaction}
+                  fetchLatestMessages={fetchLatestMessages}
+                  fetchOlderMessages={
+                    search.active ? search.loadMore : fetchOlderMessages
+                  }
+                  hasOlderMessages={
+                    search.active ? search.hasMore : hasOlderMessages
+                  }
+                  loadingOlder={
+                    search.active ? search.loadingMore : loadingOlder
+                  }
+                  loading={loading}
+                  currentAccount={currentAccount}
+                  formatAddress={formatAddress}
+                  getIdentity={getIdentity}
+                  isModerator={accountRoles.isModerator}
+                  onModerate={runAdminAction}
+                  moderating={moderating}
+                  repliesByParent={repliesByParent}
+                  onReply={startReply}
+                  fetchReplies={fetchReplies}
+                  getReactions={getReactions}
+                  onToggleReaction={toggleMessageReaction}
+                  isTogglingReaction={isTogglingReaction}
+                  getTipTotal={getTipTotal}
+                  onTip={tipMessage}
+                  isTipping={isTipping}
+                  canChange={canChangeMessage}
+                  onEdit={editMessage}
+                  onDelete={deleteMessage}
+                  changing={changingMessage}
+                  getRevisions={getRevisions}
+                  sortOrder={sortOrder}
+                  setSortOrder={setSortOrder}
+                  search={search}
+                />
+              </>
+            ) : messageId !== null ? (
+              <MessagePage
+                messageId={messageId}
+                page={permalink}
+                channels={channels}
+                channel={channel}
+                channelId={channelId}
+                {...messageItemProps}
+              />
+            ) : (
+              <SenderPage
+                sender={routeSender}
+                page={senderPage}
+                channel={channel}
+                channelId={channelId}
+                {...messageItemProps}
+              />
+            )}
+            {currentAccount && portal && (
+              <DirectMessages
+                account={currentAccount}
+                conversations={directMessages.conversations}
+                unlocked={directMessages.unlocked}
+                keyPublished={directMessages.keyPublished}
+                keyMismatch={directMessages.keyMismatch}
+                onUnlock={() => runDirectMessageAction(directMessages.unlock)}
+                onPublishKey={() =>
+                  runDirectMessageAction(
+                    directMessages.publishKey,
+                    "Encryption key published. Others can now message you."
+                  )
+                }
+                onSend={(to, text) =>
+                  runDirectMessageAction(
+                    () => directMessages.send(to, text),
+                    "Direct message sent."
+                  )
+                }
+                hasOlder={directMessages.hasOlder}
+                loadingOlder={directMessages.loadingOlder}
+                onLoadOlder={() =>
+                  runDirectMessageAction(directMessages.loadOlder)
+                }
+                busy={directMessages.busy}
+                formatAddress={formatAddress}
+              />
+            )}
+            {accountRoles.isModerator && (
+              <AdminPanel
+                portal={portal}
+                isOwner={accountRoles.isOwner}
+                limits={limits}
+                runAdminAction={runAdminAction}
+                busy={moderating}
+                formatAddress={formatAddress}
+              />
+            )}
+          </div>
         </div>
 
         <footer className="mt-12 pt-8 border-t border-gray-800 text-center">
@@ -771,7 +2868,7 @@ const App = () => {
               <p>
                 Cooldown:{" "}
                 <span className="text-cyan-300 font-bold">
-                  {COOLDOWN_SECONDS}s
+                  {cooldownTime ?? "…"}s
                 </span>
               </p>
             </div>
@@ -0,0 +1,470 @@
+import { useState, useEffect } from "react";
+import { formatEther, parseEther } from "ethers";
+
+// Every event that makes up the on-chain moderation audit trail.
+const MODERATION_EVENTS = [
+  "MessageHidden",
+  "MessageUnhidden",
+  "AddressBanned",
+  "AddressUnbanned",
+  "ModeratorAdded",
+  "ModeratorRemoved",
+];
+
+// `newer` log entries followed by the `older` ones not among them.
+const mergeLog = (newer, older) => [
+  ...newer,
+  ...older.filter((entry) => !newer.some(({ key }) => key === entry.key)),
+];
+
+const describeLogEntry = (entry, formatAddress) => {
+  const { args } = entry;
+  switch (entry.name) {
+    case "MessageHidden":
+      return `${formatAddress(args.moderator)} hid message #${args.index}`;
+    case "MessageUnhidden":
+      return `${formatAddress(args.moderator)} unhid message #${args.index}`;
+    case "AddressBanned":
+      return `${formatAddress(args.moderator)} banned ${formatAddress(
+        args.account
+      )}`;
+    case "AddressUnbanned":
+      return `${formatAddress(args.moderator)} unbanned ${formatAddress(
+        args.account
+      )}`;
+    case "ModeratorAdded":
+      return `${formatAddress(args.account)} was made a moderator`;
+    default:
+      return `${formatAddress(args.account)} is no longer a moderator`;
+  }
+};
+
+const inputClassName =
+  "flex-1 min-w-0 px-3 py-2 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-amber-500 focus:border-transparent";
+const buttonClassName =
+  "px-4 py-2 text-sm font-bold rounded-lg border transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed";
+
+const AdminSection = ({ title, children }) => (
+  <div className="p-4 bg-gray-800/30 rounded-xl border border-gray-700/50 space-y-3">
+    <h3 className="text-sm font-bold text-gray-300 uppercase tracking-wide">
+      {title}
+    </h3>
+    {children}
+  </div>
+);
+
+const AdminPanel = ({
+  portal,
+  isOwner,
+  limits,
+  runAdminAction,
+  busy,
+  formatAddress,
+}) => {
+  const [banTarget, setBanTarget] = useState("");
+  const [banReason, setBanReason] = useState("");
+  const [messageIndex, setMessageIndex] = useState("");
+  const [hideReason, setHideReason] = useState("");
+  const [moderatorAddress, setModeratorAddress] = useState("");
+  const [cooldownInput, setCooldownInput] = useState("");
+  const [maxLengthInput, setMaxLengthInput] = useState("");
+  const [editWindowInput, setEditWindowInput] = useState("");
+  const [boostPriceInput, setBoostPriceInput] = useState("");
+  const [feeBalance, setFeeBalance] = useState(null);
+  const [log, setLog] = useState({ portal: null, entries: [] });
+  const [logError, setLogError] = useState(null);
+
+  // Loads the moderation log from past events (starting at the deployment
+  // block) once, then adds each new moderation event as it is emitted.
+  useEffect(() => {
+    if (!portal) return;
+
+    let active = true;
+    // Adds entries to the log, leaving out any from another portal.
+    const addEntries = (merge) =>
+      setLog((current) => ({
+        portal,
+        entries: merge(current.portal === portal ? current.entries : []),
+      }));
+
+    const loadLog = async () => {
+      try {
+        const entries = await portal.getEvents(
+          MODERATION_EVENTS,
+          portal.chain.deployBlock
+        );
+        if (active) {
+          // Keep anything that arrived by event while the history loaded.
+          addEntries((live) => mergeLog(live, entries));
+          setLogError(null);
+        }
+      } catch (e) {
+        console.error("Error loading moderation log:", e);
+        if (active) setLogError("Failed to load the moderation log.");
+      }
+    };
+
+    loadLog();
+    const unsubscribe = portal.subscribeEvents(MODERATION_EVENTS, (entry) => {
+      // Live events are newer than anything already in the log.
+      if (active) addEntries((entries) => mergeLog([entry], entries));
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [portal]);
+
+  // Boost fees awaiting withdrawal; they only change on boosts and
+  // withdrawals.
+  useEffect(() => {
+    if (!portal || !isOwner) return;
+
+    let active = true;
+    const loadBalance = async () => {
+      try {
+        const balance = await portal.getBalance();
+        if (active) setFeeBalance(balance);
+      } catch (e) {
+        console.error("Error loading boost fees:", e);
+      }
+    };
+
+    loadBalance();
+    const unsubscribe = portal.subscribe({
+      MessageBoosted: loadBalance,
+      Withdrawn: loadBalance,
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [portal, isOwner]);
+
+  const logEntries = log.portal === portal ? log.entries : [];
+
+  // The price is entered in ETH; Save stays disabled until it's positive.
+  let boostPrice = null;
+  try {
+    const value = parseEther(boostPriceInput.trim());
+    if (value > 0n) boostPrice = value;
+  } catch {
+    // Not a number (yet).
+  }
+
+  const submit = (method, args, reset) => async (e) => {
+    e.preventDefault();
+    if (await runAdminAction(method, ...args)) {
+      reset();
+    }
+  };
+
+  return (
+    <div className="relative bg-gradient-to-br from-gray-900 to-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-700">
+      <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-amber-500 to-red-600 rounded-t-2xl"></div>
+      <h2 className="text-2xl font-bold text-white mb-4 pb-4 border-b border-gray-700 flex justify-between items-center">
+        <div className="flex items-center">
+          <svg
+            className="w-6 h-6 mr-2 text-amber-400"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+            xmlns="http://www.w3.org/2000/svg"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth="2"
+              d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
+            ></path>
+          </svg>
+          Moderation
+        </div>
+        <span className="text-xs px-3 py-1 rounded-full border border-amber-700/50 text-amber-300 bg-amber-900/20">
+          {isOwner ? "Owner" : "Moderator"}
+        </span>
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <AdminSection title="Messages">
+          <form
+            onSubmit={submit("hideMessage", [messageIndex, hideReason], () => {
+              setMessageIndex("");
+              setHideReason("");
+            })}
+            className="space-y-2"
+          >
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                value={messageIndex}
+                onChange={(e) => setMessageIndex(e.target.value)}
+                placeholder="Message #"
+                className={inputClassName}
+              />
+              <input
+                value={hideReason}
+                onChange={(e) => setHideReason(e.target.value)}
+                placeholder="Reason (public)"
+                className={inputClassName}
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={busy || messageIndex === ""}
+                className={`${buttonClassName} border-red-700/50 text-red-300 hover:text-white hover:border-red-500`}
+              >
+                Hide
+              </button>
+              <button
+                type="button"
+                onClick={submit("unhideMessage", [messageIndex], () =>
+                  setMessageIndex("")
+                )}
+                disabled={busy || messageIndex === ""}
+                className={`${buttonClassName} border-emerald-700/50 text-emerald-300 hover:text-white hover:border-emerald-500`}
+              >
+                Unhide
+              </button>
+            </div>
+          </form>
+        </AdminSection>
+
+        <AdminSection title="Bans">
+          <form
+            onSubmit={submit("banAddress", [banTarget, banReason], () => {
+              setBanTarget("");
+              setBanReason("");
+            })}
+            className="space-y-2"
+          >
+            <div className="flex gap-2">
+              <input
+                value={banTarget}
+                onChange={(e) => setBanTarget(e.target.value)}
+                placeholder="0x address"
+                className={`${inputClassName} font-mono`}
+              />
+              <input
+                value={banReason}
+                onChange={(e) => setBanReason(e.target.value)}
+                placeholder="Reason (public)"
+                className={inputClassName}
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={busy || !banTarget}
+                className={`${buttonClassName} border-red-700/50 text-red-300 hover:text-white hover:border-red-500`}
+              >
+                Ban
+              </button>
+              <button
+                type="button"
+                onClick={submit("unbanAddress", [banTarget], () =>
+                  setBanTarget("")
+                )}
+                disabled={busy || !banTarget}
+                className={`${buttonClassName} border-emerald-700/50 text-emerald-300 hover:text-white hover:border-emerald-500`}
+              >
+                Unban
+              </button>
+            </div>
+          </form>
+        </AdminSection>
+
+        {isOwner && (
+          <>
+            <AdminSection title="Moderators">
+              <form
+                onSubmit={submit("addModerator", [moderatorAddress], () =>
+                  setModeratorAddress("")
+                )}
+                className="space-y-2"
+              >
+                <input
+                  value={moderatorAddress}
+                  onChange={(e) => setModeratorAddress(e.target.value)}
+                  placeholder="0x address"
+                  className={`${inputClassName} w-full font-mono`}
+                />
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    disabled={busy || !moderatorAddress}
+                    className={`${buttonClassName} border-amber-700/50 text-amber-300 hover:text-white hover:border-amber-500`}
+                  >
+                    Add
+                  </button>
+                  <button
+                    type="button"
+                    onClick={submit("removeModerator", [moderatorAddress], () =>
+                      setModeratorAddress("")
+                    )}
+                    disabled={busy || !moderatorAddress}
+                    className={`${buttonClassName} border-gray-700/50 text-gray-300 hover:text-white hover:border-gray-500`}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </form>
+            </AdminSection>
+
+            <AdminSection title="Limits">
+              <form
+                onSubmit={submit("setCooldownTime", [cooldownInput], () =>
+                  setCooldownInput("")
+                )}
+                className="flex gap-2"
+              >
+                <input
+                  type="number"
+                  min="0"
+                  value={cooldownInput}
+                  onChange={(e) => setCooldownInput(e.target.value)}
+                  placeholder={`Cooldown (now ${limits.cooldownTime ?? "…"}s)`}
+                  className={inputClassName}
+                />
+                <button
+                  type="submit"
+                  disabled={busy || cooldownInput === ""}
+                  className={`${buttonClassName} border-amber-700/50 text-amber-300 hover:text-white hover:border-amber-500`}
+                >
+                  Save
+                </button>
+              </form>
+              <form
+                onSubmit={submit("setMaxMessageLength", [maxLengthInput], () =>
+                  setMaxLengthInput("")
+                )}
+                className="flex gap-2"
+              >
+                <input
+                  type="number"
+                  min="1"
+                  value={maxLengthInput}
+                  onChange={(e) => setMaxLengthInput(e.target.value)}
+                  placeholder={`Max bytes (now ${
+                    limits.maxMessageLength ?? "…"
+                  })`}
+                  className={inputClassName}
+                />
+                <button
+                  type="submit"
+                  disabled={busy || maxLengthInput === ""}
+                  className={`${buttonClassName} border-amber-700/50 text-amber-300 hover:text-white hover:border-amber-500`}
+                >
+                  Save
+                </button>
+              </form>
+              <form
+                onSubmit={submit("setEditWindow", [editWindowInput], () =>
+                  setEditWindowInput("")
+                )}
+                className="flex gap-2"
+              >
+                <input
+                  type="number"
+                  min="0"
+                  value={editWindowInput}
+                  onChange={(e) => setEditWindowInput(e.target.value)}
+                  placeholder={`Edit window (now ${limits.editWindow ?? "…"}s)`}
+                  className={inputClassName}
+                />
+                <button
+                  type="submit"
+                  disabled={busy || editWindowInput === ""}
+                  className={`${buttonClassName} border-amber-700/50 text-amber-300 hover:text-white hover:border-amber-500`}
+                >
+                  Save
+                </button>
+              </form>
+            </AdminSection>
+
+            <AdminSection title="Boosts">
+              <form
+                onSubmit={submit("setBoostPrice", [boostPrice], () =>
+                  setBoostPriceInput("")
+                )}
+                className="flex gap-2"
+              >
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={boostPriceInput}
+                  onChange={(e) => setBoostPriceInput(e.target.value)}
+                  placeholder={`ETH per hour (now ${
+                    limits.boostPricePerHour === null
+                      ? "…"
+                      : formatEther(limits.boostPricePerHour)
+                  })`}
+                  className={inputClassName}
+                />
+                <button
+                  type="submit"
+                  disabled={busy || boostPrice === null}
+                  className={`${buttonClassName} border-amber-700/50 text-amber-300 hover:text-white hover:border-amber-500`}
+                >
+                  Save
+                </button>
+              </form>
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-sm text-gray-400">
+                  Collected fees:{" "}
+                  <span className="text-amber-300 font-mono">
+                    {feeBalance === null ? "…" : formatEther(feeBalance)} ETH
+                  </span>
+                </p>
+                <button
+                  onClick={() => runAdminAction("withdraw")}
+                  disabled={busy || !feeBalance}
+                  className={`${buttonClassName} border-emerald-700/50 text-emerald-300 hover:text-white hover:border-emerald-500`}
+                >
+                  Withdraw
+                </button>
+              </div>
+            </AdminSection>
+          </>
+        )}
+      </div>
+
+      <h3 className="text-sm font-bold text-gray-300 uppercase tracking-wide mb-3">
+        Moderation Log
+      </h3>
+      {logError && <p className="text-sm text-red-300 mb-3">{logError}</p>}
+      {logEntries.length === 0 ? (
+        <p className="text-sm text-gray-500">No moderation actions yet.</p>
+      ) : (
+        <ul className="space-y-2 max-h-80 overflow-y-auto pr-2">
+          {logEntries.map((entry) => (
+            <li
+              key={entry.key}
+              className="p-3 bg-gray-800/30 rounded-lg border border-gray-700/50 text-sm"
+            >
+              <div className="flex flex-col sm:flex-row sm:justify-between gap-1">
+                <span className="text-gray-200">
+                  {describeLogEntry(entry, formatAddress)}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {new Date(entry.timestamp * 1000).toLocaleString()}
+                </span>
+              </div>
+              {entry.args.reason && (
+                <p className="mt-1 text-xs text-gray-400 italic">
+                  “{entry.args.reason}”
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,237 @@
+import { useState } from "react";
+import { isAddress } from "ethers";
+import { channelPath } from "../hooks/useHashRoute.js";
+
+// Mirrors HambaPortal.MAX_CHANNEL_NAME_LENGTH, in UTF-8 bytes.
+const MAX_CHANNEL_NAME_LENGTH = 32;
+
+const textEncoder = new TextEncoder();
+
+const inputClassName =
+  "w-full px-3 py-2 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-purple-500 focus:border-transparent";
+const buttonClassName =
+  "px-3 py-1 text-xs rounded-lg border transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed";
+
+// Allowlist and cooldown settings for a channel's creator and the owner.
+// Render with a `key` that changes with the channel's settings to reset it.
+const ChannelSettings = ({ channel, onUpdate, onSetMember, busy }) => {
+  const [allowlistOnly, setAllowlistOnly] = useState(channel.allowlistOnly);
+  const [cooldownInput, setCooldownInput] = useState(
+    channel.customCooldown ? String(channel.cooldownTime) : ""
+  );
+  const [memberAddress, setMemberAddress] = useState("");
+
+  const saveSettings = (e) => {
+    e.preventDefault();
+    const custom = cooldownInput.trim() !== "";
+    onUpdate(channel.id, allowlistOnly, custom, custom ? cooldownInput : 0);
+  };
+
+  const setMember = async (allowed) => {
+    if (await onSetMember(channel.id, memberAddress, allowed)) {
+      setMemberAddress("");
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-700 space-y-3">
+      <h3 className="text-xs font-bold text-gray-400 uppercase tracking-wide">
+        #{channel.name} settings
+      </h3>
+      <form onSubmit={saveSettings} className="space-y-2">
+        <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={allowlistOnly}
+            onChange={(e) => setAllowlistOnly(e.target.checked)}
+            className="accent-purple-500"
+          />
+          Allowlist only
+        </label>
+        <input
+          type="number"
+          min="0"
+          value={cooldownInput}
+          onChange={(e) => setCooldownInput(e.target.value)}
+          placeholder="Cooldown (default)"
+          className={inputClassName}
+        />
+        <button
+          type="submit"
+          disabled={busy}
+          className={`${buttonClassName} border-purple-700/50 text-purple-300 hover:text-white hover:border-purple-500`}
+        >
+          Save
+        </button>
+      </form>
+      {allowlistOnly && channel.allowlistOnly && (
+        <div className="space-y-2">
+          <input
+            value={memberAddress}
+            onChange={(e) => setMemberAddress(e.target.value)}
+            placeholder="Member address (0x...)"
+            className={inputClassName}
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={() => setMember(true)}
+              disabled={busy || !isAddress(memberAddress)}
+              className={`${buttonClassName} border-emerald-700/50 text-emerald-300 hover:text-white hover:border-emerald-500`}
+            >
+              Allow
+            </button>
+            <button
+              onClick={() => setMember(false)}
+              disabled={busy || !isAddress(memberAddress)}
+              className={`${buttonClassName} border-red-700/50 text-red-300 hover:text-white hover:border-red-500`}
+            >
+              Remove
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Lists the portal's channels with unread counts and links to each one's
+ * route, and lets connected accounts open new channels. `onCreate` resolves
+ * to whether the channel was created, so the form knows to reset; the
+ * creator and the owner also get the current channel's settings.
+ */
+const ChannelSidebar = ({
+  channels,
+  currentChannelId,
+  getUnreadCount,
+  currentAccount,
+  isOwner,
+  onCreate,
+  onUpdate,
+  onSetMember,
+  busy,
+}) => {
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState("");
+  const [allowlistOnly, setAllowlistOnly] = useState(false);
+  const [cooldownInput, setCooldownInput] = useState("");
+
+  const nameBytes = textEncoder.encode(name.trim()).length;
+  const current = channels.find((channel) => channel.id === currentChannelId);
+  const isAdmin =
+    current &&
+    currentAccount &&
+    (isOwner || current.creator.toLowerCase() === currentAccount.toLowerCase());
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await onCreate(name.trim(), allowlistOnly, cooldownInput.trim())) {
+      setCreating(false);
+      setName("");
+      setAllowlistOnly(false);
+      setCooldownInput("");
+    }
+  };
+
+  return (
+    <nav className="relative bg-gradient-to-br from-gray-900 to-gray-800 p-4 rounded-2xl shadow-2xl border border-gray-700 h-fit">
+      <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-purple-500 to-cyan-500 rounded-t-2xl"></div>
+      <h2 className="text-sm font-bold text-gray-300 uppercase tracking-wide mb-3">
+        Channels
+      </h2>
+      <ul className="space-y-1">
+        {channels.map((channel) => {
+          const unread =
+            channel.id === currentChannelId ? 0 : getUnreadCount(channel);
+          return (
+            <li key={channel.id}>
+              <a
+                href={channelPath(channel.id)}
+                className={`flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-sm transition-all duration-300 ${
+                  channel.id === currentChannelId
+                    ? "bg-purple-900/30 text-white border border-purple-700/50"
+                    : "text-gray-400 hover:text-white hover:bg-gray-800/50 border border-transparent"
+                }`}
+              >
+                <span className="truncate">
+                  {channel.allowlistOnly ? "🔒" : "#"} {channel.name}
+                </span>
+                {unread > 0 && (
+                  <span className="text-[10px] font-bold px-1.5 py-0.5 rounded-full bg-cyan-600 text-white">
+                    {unread}
+                  </span>
+                )}
+              </a>
+            </li>
+          );
+        })}
+      </ul>
+
+      {currentAccount &&
+        (creating ? (
+          <form onSubmit={handleCreate} className="mt-4 space-y-2">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Channel name"
+              className={inputClassName}
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={allowlistOnly}
+                onChange={(e) => setAllowlistOnly(e.target.checked)}
+                className="accent-purple-500"
+              />
+              Allowlist only
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={cooldownInput}
+              onChange={(e) => setCooldownInput(e.target.value)}
+              placeholder="Cooldown (default)"
+              className={inputClassName}
+            />
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={
+                  busy || nameBytes === 0 || nameBytes > MAX_CHANNEL_NAME_LENGTH
+                }
+                className={`${buttonClassName} border-purple-700/50 text-purple-300 hover:text-white hover:border-purple-500`}
+              >
+                Create
+              </button>
+              <button
+                type="button"
+                onClick={() => setCreating(false)}
+                className={`${buttonClassName} border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500`}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            onClick={() => setCreating(true)}
+            className="mt-4 w-full text-sm px-3 py-2 rounded-lg border border-dashed border-gray-700 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+          >
+            + New channel
+          </button>
+        ))}
+
+      {isAdmin && (
+        <ChannelSettings
+          key={`${current.id}:${current.allowlistOnly}:${current.customCooldown}:${current.cooldownTime}`}
+          channel={current}
+          onUpdate={onUpdate}
+          onSetMember={onSetMember}
+          busy={busy}
+        />
+      )}
+    </nav>
+  );
+};
+
+export default ChannelSidebar;
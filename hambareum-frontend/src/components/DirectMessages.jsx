@@ -0,0 +1,294 @@
+import { useState } from "react";
+import { isAddress } from "ethers";
+import { MAX_PLAINTEXT_LENGTH } from "../services/encryption.js";
+
+const textEncoder = new TextEncoder();
+
+const inputClassName =
+  "flex-1 min-w-0 px-3 py-2 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-emerald-500 focus:border-transparent";
+const buttonClassName =
+  "px-4 py-2 text-sm font-bold rounded-lg border transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed";
+const primaryButtonClassName = `${buttonClassName} border-emerald-700/50 text-emerald-300 hover:text-white hover:border-emerald-500`;
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+// One thread, oldest first, with a form to write to `counterparty`. Render
+// with a `key` per counterparty so the draft doesn't follow you around.
+const Conversation = ({
+  account,
+  counterparty,
+  messages,
+  onSend,
+  onBack,
+  busy,
+  formatAddress,
+}) => {
+  const [text, setText] = useState("");
+  const bytes = textEncoder.encode(text.trim()).length;
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (await onSend(counterparty, text.trim())) {
+      setText("");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-sm text-gray-300">
+          With{" "}
+          <span className="font-mono text-emerald-300">
+            {formatAddress(counterparty)}
+          </span>
+        </p>
+        <button
+          onClick={onBack}
+          className="text-xs px-3 py-1 rounded-lg border border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+        >
+          Back to inbox
+        </button>
+      </div>
+
+      <ul className="space-y-2 max-h-96 overflow-y-auto">
+        {messages.length === 0 && (
+          <li className="text-sm text-gray-500">
+            No messages yet. Only the two of you can read what you send.
+          </li>
+        )}
+        {messages.map((message) => {
+          const isOwn = sameAddress(message.from, account);
+          return (
+            <li
+              key={message.id}
+              className={`max-w-[80%] p-3 rounded-xl text-sm ${
+                isOwn
+                  ? "ml-auto bg-emerald-900/30 border border-emerald-700/40"
+                  : "bg-gray-800/50 border border-gray-700/50"
+              }`}
+            >
+              {message.text === undefined ? (
+                <p className="text-gray-500 italic">Decrypting…</p>
+              ) : message.text === null ? (
+                <p className="text-gray-500 italic">
+                  🔒 This message can't be decrypted with your current key.
+                </p>
+              ) : (
+                <p className="text-gray-200 whitespace-pre-wrap break-words">
+                  {message.text}
+                </p>
+              )}
+              <p className="mt-1 text-[10px] text-gray-500">
+                {formatTime(message.timestamp)}
+              </p>
+            </li>
+          );
+        })}
+      </ul>
+
+      <form onSubmit={handleSend} className="space-y-2">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Write an encrypted message..."
+          rows="3"
+          disabled={busy}
+          className="w-full p-3 bg-gray-800/50 border border-gray-700 rounded-xl text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-emerald-500 focus:border-transparent disabled:opacity-50 resize-none"
+        />
+        <div className="flex items-center justify-between gap-3">
+          <p
+            className={`text-xs ${
+              bytes > MAX_PLAINTEXT_LENGTH ? "text-red-300" : "text-gray-500"
+            }`}
+          >
+            Bytes: {bytes}/{MAX_PLAINTEXT_LENGTH}
+          </p>
+          <button
+            type="submit"
+            disabled={busy || bytes === 0 || bytes > MAX_PLAINTEXT_LENGTH}
+            className={primaryButtonClassName}
+          >
+            {busy ? "Sending..." : "Send"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+/**
+ * End-to-end encrypted direct messages for the connected account: an inbox
+ * of conversations and the selected conversation. Everything is decrypted
+ * in the browser once the user unlocks the inbox. `onSend` resolves to
+ * whether the message was sent, so the draft knows to clear. Older history
+ * loads page by page with `onLoadOlder` while `hasOlder`.
+ */
+const DirectMessages = ({
+  account,
+  conversations,
+  unlocked,
+  keyPublished,
+  keyMismatch,
+  onUnlock,
+  onPublishKey,
+  onSend,
+  hasOlder,
+  loadingOlder,
+  onLoadOlder,
+  busy,
+  formatAddress,
+}) => {
+  const [selected, setSelected] = useState(null);
+  const [recipient, setRecipient] = useState("");
+
+  const openConversation = (e) => {
+    e.preventDefault();
+    setSelected(recipient);
+    setRecipient("");
+  };
+
+  const conversation =
+    selected &&
+    (conversations.find((c) => sameAddress(c.counterparty, selected)) ?? {
+      counterparty: selected,
+      messages: [],
+    });
+
+  return (
+    <div className="relative bg-gradient-to-br from-gray-900 to-gray-800 p-6 rounded-2xl shadow-2xl border border-emerald-900/50 space-y-4">
+      <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-emerald-500 to-cyan-500 rounded-t-2xl"></div>
+      <h2 className="text-2xl font-bold text-white pb-4 border-b border-gray-700">
+        🔒 Direct Messages
+      </h2>
+
+      {!unlocked ? (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-400">
+            Direct messages are encrypted in your browser, so only you and the
+            other participant can read them. Sign a message in your wallet to
+            derive your key; it's never stored or sent anywhere.
+          </p>
+          <button onClick={onUnlock} className={primaryButtonClassName}>
+            Unlock inbox
+          </button>
+        </div>
+      ) : (
+        <>
+          {!keyPublished && (
+            <div className="p-3 bg-amber-900/20 rounded-xl border border-amber-700/40 space-y-2">
+              {keyMismatch ? (
+                <p className="text-sm text-amber-200">
+                  Your wallet derived a different key from the one you
+                  published, so messages sent to you so far can't be read here.
+                  Some wallets don't sign the same way twice; if unlocking again
+                  doesn't help, publish this key so new messages use it.
+                </p>
+              ) : (
+                <p className="text-sm text-amber-200">
+                  Publish your encryption key so others can write to you.
+                </p>
+              )}
+              <div className="flex gap-2">
+                <button
+                  onClick={onPublishKey}
+                  disabled={busy}
+                  className={`${buttonClassName} border-amber-700/50 text-amber-300 hover:text-white hover:border-amber-500`}
+                >
+                  {keyMismatch ? "Publish this key" : "Publish key"}
+                </button>
+                {keyMismatch && (
+                  <button
+                    onClick={onUnlock}
+                    disabled={busy}
+                    className={primaryButtonClassName}
+                  >
+                    Unlock again
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {conversation ? (
+            <Conversation
+              key={conversation.counterparty.toLowerCase()}
+              account={account}
+              counterparty={conversation.counterparty}
+              messages={conversation.messages}
+              onSend={onSend}
+              onBack={() => setSelected(null)}
+              busy={busy}
+              formatAddress={formatAddress}
+            />
+          ) : (
+            <>
+              <form onSubmit={openConversation} className="flex gap-2">
+                <input
+                  value={recipient}
+                  onChange={(e) => setRecipient(e.target.value)}
+                  placeholder="Recipient address (0x...)"
+                  className={inputClassName}
+                />
+                <button
+                  type="submit"
+                  disabled={!isAddress(recipient)}
+                  className={primaryButtonClassName}
+                >
+                  New message
+                </button>
+              </form>
+
+              <ul className="space-y-2">
+                {conversations.length === 0 && (
+                  <li className="text-sm text-gray-500">
+                    No direct messages yet.
+                  </li>
+                )}
+                {conversations.map(({ counterparty, messages }) => {
+                  const last = messages.at(-1);
+                  return (
+                    <li key={counterparty.toLowerCase()}>
+                      <button
+                        onClick={() => setSelected(counterparty)}
+                        className="w-full text-left p-3 rounded-xl bg-gray-800/30 border border-gray-700/50 hover:border-emerald-700/50 transition-all duration-300"
+                      >
+                        <div className="flex items-center justify-between gap-3">
+                          <span className="font-mono text-sm text-emerald-300">
+                            {formatAddress(counterparty)}
+                          </span>
+                          <span className="text-[10px] text-gray-500">
+                            {formatTime(last.timestamp)}
+                          </span>
+                        </div>
+                        <p className="mt-1 text-sm text-gray-400 truncate">
+                          {sameAddress(last.from, account) && "You: "}
+                          {last.text ?? "🔒 Encrypted message"}
+                        </p>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </>
+          )}
+
+          {hasOlder && (
+            <div className="text-center">
+              <button
+                onClick={onLoadOlder}
+                disabled={loadingOlder}
+                className={primaryButtonClassName}
+              >
+                {loadingOlder ? "Loading..." : "Load older messages"}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DirectMessages;
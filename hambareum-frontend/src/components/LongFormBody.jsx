@@ -0,0 +1,100 @@
+import { useState, useEffect } from "react";
+import { canReadBodies, fetchBody } from "../services/storage.js";
+import RichText from "./RichText.jsx";
+
+/**
+ * Text of a long-form message: its on-chain preview, expandable to the full
+ * body fetched from storage. The body is checked against the message's
+ * `bodyHash`; one that doesn't match is flagged and only shown on request.
+ */
+const LongFormBody = ({ message, className }) => {
+  const { bodyHash } = message;
+  // `{ hash, text, verified }` once fetched, `{ hash, error }` if that failed.
+  const [body, setBody] = useState({ hash: null });
+  const [expanded, setExpanded] = useState(false);
+  const [showUnverified, setShowUnverified] = useState(false);
+
+  useEffect(() => {
+    if (!canReadBodies()) return;
+
+    let active = true;
+    fetchBody(bodyHash)
+      .then(({ text, verified }) => {
+        if (active) setBody({ hash: bodyHash, text, verified, error: null });
+      })
+      .catch((e) => {
+        console.error("Error fetching long-form body:", e);
+        if (active) setBody({ hash: bodyHash, error: e.message });
+      });
+    return () => {
+      active = false;
+    };
+  }, [bodyHash]);
+
+  const current = body.hash === bodyHash ? body : null;
+  const failed = current && !current.error && !current.verified;
+  const shortHash = `${bodyHash.slice(0, 10)}…`;
+
+  return (
+    <div className={className}>
+      <p className="leading-relaxed break-words whitespace-pre-wrap">
+        <RichText
+          text={
+            expanded &&
+            current?.text !== undefined &&
+            (!failed || showUnverified)
+              ? current.text
+              : message.content
+          }
+        />
+      </p>
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-xs not-italic">
+        {!canReadBodies() ? (
+          <span className="text-gray-500" title={bodyHash}>
+            Long-form post stored off-chain ({shortHash})
+          </span>
+        ) : !current ? (
+          <span className="text-gray-500">Fetching full post...</span>
+        ) : current.error ? (
+          <span className="text-amber-300" title={current.error}>
+            Full post unavailable ({shortHash})
+          </span>
+        ) : failed ? (
+          <>
+            <span
+              title={`Expected sha256 ${bodyHash}`}
+              className="px-1.5 py-0.5 rounded-full bg-red-900/40 border border-red-700/50 text-red-300"
+            >
+              ⚠ Doesn't match its on-chain hash
+            </span>
+            {expanded && !showUnverified && (
+              <button
+                onClick={() => setShowUnverified(true)}
+                className="text-gray-400 hover:text-white underline"
+              >
+                Show anyway
+              </button>
+            )}
+          </>
+        ) : (
+          <span
+            title={`sha256 ${bodyHash}`}
+            className="px-1.5 py-0.5 rounded-full bg-emerald-900/40 border border-emerald-700/50 text-emerald-300"
+          >
+            ✓ matches on-chain hash
+          </span>
+        )}
+        {current && !current.error && (
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="text-cyan-300 hover:text-white transition-colors duration-300"
+          >
+            {expanded ? "Show preview" : "Read full post"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LongFormBody;
@@ -0,0 +1,110 @@
+import { useState, useRef } from "react";
+
+// An `@` at the start of a word, followed by what has been typed of the
+// mention so far, right before the caret.
+const MENTION_QUERY = /(?:^|\s)@([a-zA-Z0-9.-]*)$/;
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * A textarea that suggests `candidates` (`{ address, label }`, best first)
+ * while an @mention is typed and completes the picked one to `@0x...`.
+ * Arrow keys move through the suggestions, Enter or Tab picks one and
+ * Escape closes them. Other props go to the textarea; `onChange` gets the
+ * new text rather than the event.
+ */
+const MentionTextarea = ({ value, onChange, candidates, ...props }) => {
+  const textareaRef = useRef(null);
+  // Caret position while the textarea has focus, otherwise null.
+  const [caret, setCaret] = useState(null);
+  const [selected, setSelected] = useState(0);
+  // Caret position the suggestions were closed at with Escape.
+  const [dismissedAt, setDismissedAt] = useState(null);
+
+  const query =
+    caret === null ? null : MENTION_QUERY.exec(value.slice(0, caret))?.[1];
+  const search = query?.toLowerCase();
+  const suggestions =
+    search === undefined || caret === dismissedAt
+      ? []
+      : candidates
+          .filter(
+            ({ address, label }) =>
+              address.toLowerCase().includes(search) ||
+              label.toLowerCase().includes(search)
+          )
+          .slice(0, MAX_SUGGESTIONS);
+  const active = Math.min(selected, suggestions.length - 1);
+
+  const trackCaret = (e) => setCaret(e.target.selectionStart);
+
+  const complete = ({ address }) => {
+    const start = caret - query.length - 1;
+    const position = start + address.length + 2;
+    onChange(`${value.slice(0, start)}@${address} ${value.slice(caret)}`);
+    setCaret(position);
+    setSelected(0);
+    // Restore the caret once React has rendered the new value.
+    requestAnimationFrame(() =>
+      textareaRef.current?.setSelectionRange(position, position)
+    );
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setSelected((active + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      complete(suggestions[active]);
+    } else if (e.key === "Escape") {
+      setDismissedAt(caret);
+    }
+  };
+
+  return (
+    <>
+      <textarea
+        {...props}
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          trackCaret(e);
+          setSelected(0);
+        }}
+        onSelect={trackCaret}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setCaret(null)}
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute left-4 right-4 top-full mt-1 z-10 bg-gray-900 border border-gray-700 rounded-xl shadow-2xl overflow-hidden">
+          {suggestions.map((candidate, i) => (
+            <li key={candidate.address}>
+              <button
+                type="button"
+                // Keep focus (and the caret) in the textarea.
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => complete(candidate)}
+                className={`w-full flex items-center justify-between gap-3 px-4 py-2 text-left text-sm transition-colors duration-300 ${
+                  i === active
+                    ? "bg-purple-900/40 text-white"
+                    : "text-gray-300 hover:bg-gray-800"
+                }`}
+              >
+                <span className="truncate">{candidate.label}</span>
+                <span className="font-mono text-xs text-gray-500">
+                  {candidate.address.slice(0, 6)}...
+                  {candidate.address.slice(-4)}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+};
+
+export default MentionTextarea;
@@ -0,0 +1,88 @@
+import { useState } from "react";
+import { MAX_DISPLAY_NAME_LENGTH } from "../services/profiles.js";
+
+const inputClassName =
+  "w-full px-3 py-2 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-cyan-500 focus:border-transparent";
+
+/**
+ * Lets the connected account set the display name and avatar shown next to
+ * its messages. Saving signs the profile in the wallet (and signs in to the
+ * profile service the first time), so `onSave` resolves to whether it
+ * went through. Render with a `key` that changes with `profile` to reset
+ * the form.
+ */
+const ProfileEditor = ({ profile, onSave, saving }) => {
+  const [open, setOpen] = useState(false);
+  const [displayName, setDisplayName] = useState(profile?.displayName ?? "");
+  const [avatarUrl, setAvatarUrl] = useState(profile?.avatarUrl ?? "");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await onSave({ displayName, avatarUrl })) {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative bg-gradient-to-br from-gray-900 to-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-700">
+      <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-cyan-500 to-emerald-500 rounded-t-2xl"></div>
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-3 min-w-0">
+          {profile?.avatarUrl ? (
+            <img
+              src={profile.avatarUrl}
+              alt=""
+              className="w-10 h-10 rounded-full object-cover border border-gray-700"
+            />
+          ) : (
+            <div className="w-10 h-10 rounded-full bg-gray-700/50 border border-gray-700"></div>
+          )}
+          <div className="min-w-0">
+            <h2 className="text-lg font-bold text-white truncate">
+              {profile?.displayName ?? "No profile yet"}
+            </h2>
+            <p className="text-xs text-gray-500">
+              Shown next to your messages instead of your address.
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setOpen((current) => !current)}
+          className="text-xs px-3 py-1 rounded-lg border border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+        >
+          {open ? "Cancel" : "Edit profile"}
+        </button>
+      </div>
+
+      {open && (
+        <form onSubmit={handleSubmit} className="mt-4 space-y-3">
+          <input
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            placeholder="Display name"
+            maxLength={MAX_DISPLAY_NAME_LENGTH}
+            required
+            className={inputClassName}
+          />
+          <input
+            value={avatarUrl}
+            onChange={(e) => setAvatarUrl(e.target.value)}
+            placeholder="Avatar URL (optional)"
+            type="url"
+            className={inputClassName}
+          />
+          <button
+            type="submit"
+            disabled={saving || !displayName.trim()}
+            className="px-4 py-2 text-sm font-bold rounded-lg border border-cyan-700/50 text-cyan-300 hover:text-white hover:border-cyan-500 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? "Signing..." : "Sign & save"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ProfileEditor;
@@ -0,0 +1,69 @@
+import { useState, useEffect } from "react";
+import LongFormBody from "./LongFormBody.jsx";
+import RichText from "./RichText.jsx";
+
+const formatTime = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+/**
+ * Every earlier version of an edited or deleted `message`, oldest first,
+ * loaded with `getRevisions` (see services/hambaPortal.js). Reloads when
+ * the message changes again while open.
+ */
+const RevisionHistory = ({ message, getRevisions }) => {
+  const { id, timestamp, editCount, deleted } = message;
+  const key = `${id}:${editCount}:${deleted}`;
+  // `{ key, revisions }` once loaded, `{ key, error }` if that failed.
+  const [state, setState] = useState({ key: null });
+
+  useEffect(() => {
+    let active = true;
+    getRevisions({ id, timestamp, editCount, deleted })
+      .then((revisions) => {
+        if (active) setState({ key, revisions, error: null });
+      })
+      .catch((e) => {
+        console.error("Error loading revisions:", e);
+        if (active) setState({ key, error: "Failed to load the history." });
+      });
+    return () => {
+      active = false;
+    };
+  }, [getRevisions, id, timestamp, editCount, deleted, key]);
+
+  const current = state.key === key ? state : null;
+
+  return (
+    <div className="mt-3 ml-5 p-4 bg-gray-900/40 rounded-xl border border-gray-700/50 space-y-3 text-sm">
+      {!current ? (
+        <p className="text-gray-400">Loading history...</p>
+      ) : current.error ? (
+        <p className="text-red-300">{current.error}</p>
+      ) : (
+        current.revisions.map((revision, i) => (
+          <div key={i}>
+            <p className="text-xs text-gray-500 mb-1">
+              {i === 0 ? "Original" : `Revision ${i}`} ·{" "}
+              {formatTime(
+                i === 0
+                  ? message.timestamp
+                  : current.revisions[i - 1].replacedAt
+              )}
+            </p>
+            {revision.bodyHash ? (
+              <LongFormBody
+                message={revision}
+                className="pl-3 border-l-2 border-gray-600/30 text-gray-300"
+              />
+            ) : (
+              <p className="pl-3 border-l-2 border-gray-600/30 text-gray-300 leading-relaxed break-words whitespace-pre-wrap">
+                <RichText text={revision.content} />
+              </p>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,61 @@
+import { senderPath } from "../hooks/useHashRoute.js";
+import { parseRichText } from "../services/richText.js";
+
+const shortTarget = (target) =>
+  target.startsWith("0x")
+    ? `${target.slice(0, 6)}...${target.slice(-4)}`
+    : target;
+
+const renderNodes = (nodes) =>
+  nodes.map((node, i) => {
+    switch (node.type) {
+      case "code":
+        return (
+          <code
+            key={i}
+            className="px-1 py-0.5 rounded bg-gray-900/70 text-pink-200 font-mono text-[0.9em]"
+          >
+            {node.text}
+          </code>
+        );
+      case "bold":
+        return <strong key={i}>{renderNodes(node.children)}</strong>;
+      case "italic":
+        return <em key={i}>{renderNodes(node.children)}</em>;
+      case "link":
+        return (
+          <a
+            key={i}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer nofollow"
+            className="text-cyan-300 hover:text-white underline break-all"
+          >
+            {node.text}
+          </a>
+        );
+      case "mention":
+        return (
+          <a
+            key={i}
+            href={senderPath(node.target)}
+            title={node.target}
+            className="text-purple-300 hover:text-white font-medium"
+          >
+            @{shortTarget(node.target)}
+          </a>
+        );
+      default:
+        return node.text;
+    }
+  });
+
+/**
+ * Message text with the markdown subset from services/richText.js: bold,
+ * italic, code, links with safe schemes, bare URLs and mentions, which link
+ * to the mentioned address's page. Built from React elements only, so
+ * nothing in a message is ever treated as HTML.
+ */
+const RichText = ({ text }) => <>{renderNodes(parseRichText(text))}</>;
+
+export default RichText;
@@ -0,0 +1,62 @@
+import { SEARCH_PERIODS } from "../hooks/useMessageSearch.js";
+
+const chipClassName = (on) =>
+  `text-xs px-3 py-1 rounded-full border transition-all duration-300 ${
+    on
+      ? "bg-purple-900/40 border-purple-500 text-white"
+      : "border-gray-700 text-gray-400 hover:text-white hover:border-gray-500"
+  }`;
+
+/**
+ * Search box and filter chips for the message history, driven by
+ * useMessageSearch. "From me" only shows with a connected account.
+ */
+const SearchBar = ({ search, currentAccount }) => (
+  <div className="mb-4 space-y-3">
+    <input
+      type="search"
+      value={search.query}
+      onChange={(e) => search.setQuery(e.target.value)}
+      placeholder="Search messages in this channel..."
+      className="w-full px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+    />
+    <div className="flex flex-wrap items-center gap-2">
+      {currentAccount && (
+        <button
+          onClick={() => search.setFromMe(!search.fromMe)}
+          className={chipClassName(search.fromMe)}
+        >
+          From me
+        </button>
+      )}
+      {SEARCH_PERIODS.map((period) => (
+        <button
+          key={period.id}
+          onClick={() =>
+            search.setPeriodId(search.periodId === period.id ? null : period.id)
+          }
+          className={chipClassName(search.periodId === period.id)}
+        >
+          {period.label}
+        </button>
+      ))}
+      {search.active && (
+        <>
+          <span className="text-xs text-gray-500">
+            {search.loading
+              ? "Searching..."
+              : search.error ?? `${search.total} matching`}
+          </span>
+          <button
+            onClick={search.clear}
+            className="text-xs text-purple-300 hover:text-white"
+          >
+            Clear
+          </button>
+        </>
+      )}
+    </div>
+  </div>
+);
+
+export default SearchBar;
@@ -0,0 +1,169 @@
+import { useState } from "react";
+
+const ConnectButton = ({ onClick, loading }) => (
+  <button
+    onClick={onClick}
+    disabled={loading}
+    className="group relative w-full md:w-auto px-8 py-4 bg-gradient-to-r from-cyan-500 to-purple-600 text-white font-bold rounded-xl shadow-2xl hover:shadow-cyan-500/30 hover:shadow-lg transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center overflow-hidden"
+  >
+    <div className="absolute inset-0 bg-gradient-to-r from-purple-600 to-cyan-500 opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
+    {loading ? (
+      <>
+        <svg
+          className="animate-spin -ml-1 mr-3 h-5 w-5 text-white relative z-10"
+          xmlns="http://www.w3.org/2000/svg"
+          fill="none"
+          viewBox="0 0 24 24"
+        >
+          <circle
+            className="opacity-25"
+            cx="12"
+            cy="12"
+            r="10"
+            stroke="currentColor"
+            strokeWidth="4"
+          ></circle>
+          <path
+            className="opacity-75"
+            fill="currentColor"
+            d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+          ></path>
+        </svg>
+        <span className="relative z-10">Connecting...</span>
+      </>
+    ) : (
+      <>
+        <span className="relative z-10">Connect Wallet</span>
+        <svg
+          className="ml-3 relative z-10 w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+          xmlns="http://www.w3.org/2000/svg"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M13 10V3L4 14h7v7l9-11h-7z"
+          ></path>
+        </svg>
+      </>
+    )}
+  </button>
+);
+
+const WalletIcon = ({ wallet }) =>
+  wallet.info.icon ? (
+    <img src={wallet.info.icon} alt="" className="w-6 h-6 rounded" />
+  ) : (
+    <span className="w-6 h-6 rounded bg-gray-700 flex items-center justify-center text-xs text-gray-300">
+      {wallet.info.name.charAt(0)}
+    </span>
+  );
+
+/**
+ * Connect button that lets the user choose between the wallets discovered
+ * through EIP-6963, and the connected account (by primary ENS name when it
+ * has one) with a Disconnect action once one is picked. With a single
+ * wallet installed it connects straight away.
+ */
+const WalletPicker = ({
+  wallets,
+  wallet,
+  account,
+  identity,
+  onConnect,
+  onDisconnect,
+  loading,
+  formatAddress,
+}) => {
+  const [open, setOpen] = useState(false);
+
+  if (account) {
+    return (
+      <div className="group relative">
+        <div className="absolute -inset-0.5 bg-gradient-to-r from-green-500 to-emerald-400 rounded-xl blur opacity-30 group-hover:opacity-50 transition duration-300"></div>
+        <div className="relative px-6 py-3 bg-gray-900 rounded-xl border border-emerald-700/50 flex items-center gap-4">
+          <p className="text-emerald-300 font-medium flex items-center">
+            <span className="w-2 h-2 rounded-full bg-emerald-400 mr-3 animate-pulse"></span>
+            {wallet.info.name}:{" "}
+            {identity.ens?.avatar && (
+              <img
+                src={identity.ens.avatar}
+                alt=""
+                className="w-5 h-5 rounded-full object-cover ml-2"
+              />
+            )}
+            <span
+              className={`ml-2 text-emerald-200 ${
+                identity.ens ? "" : "font-mono"
+              }`}
+              title={account}
+            >
+              {identity.ens?.name ?? formatAddress(account)}
+            </span>
+          </p>
+          <button
+            type="button"
+            onClick={onDisconnect}
+            className="text-xs px-3 py-1 rounded-lg border border-gray-700/50 text-gray-400 hover:text-white hover:border-gray-500 transition-all duration-300"
+          >
+            Disconnect
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const choose = (connector) => {
+    setOpen(false);
+    onConnect(connector);
+  };
+
+  const handleClick = () => {
+    if (wallets.length === 1) {
+      choose(wallets[0]);
+    } else {
+      setOpen((current) => !current);
+    }
+  };
+
+  return (
+    <div className="relative w-full md:w-auto">
+      <ConnectButton onClick={handleClick} loading={loading} />
+      {open && (
+        <div className="absolute z-20 mt-2 w-full min-w-[16rem] bg-gray-900 border border-gray-700 rounded-xl shadow-2xl overflow-hidden">
+          {wallets.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-400">
+              No wallet found. Install one such as{" "}
+              <a
+                href="https://metamask.io/download/"
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-cyan-300 hover:text-white underline"
+              >
+                MetaMask
+              </a>{" "}
+              to post.
+            </p>
+          ) : (
+            wallets.map((connector) => (
+              <button
+                key={connector.info.uuid}
+                type="button"
+                onClick={() => choose(connector)}
+                className="w-full px-4 py-3 flex items-center gap-3 text-left text-white hover:bg-gray-800 transition-colors duration-200"
+              >
+                <WalletIcon wallet={connector} />
+                <span className="font-medium">{connector.info.name}</span>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WalletPicker;
@@ -0,0 +1,51 @@
+import { DEPLOYMENTS } from "./generated/hambaPortal.js";
+
+// Every network the app knows how to talk to, keyed by chain id. `rpcUrls`,
+// `nativeCurrency` and `explorerUrl` are what wallet_addEthereumChain needs
+// when the wallet doesn't know the network yet. Contract addresses come from
+// the deployment records exported by hambareum-blockchain/scripts/deploy.js.
+export const CHAINS = {
+  31337: {
+    name: "Hardhat Local",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    explorerUrl: null,
+  },
+  11155111: {
+    name: "Sepolia",
+    rpcUrls: ["https://rpc.sepolia.org"],
+    nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    explorerUrl: "https://sepolia.etherscan.io",
+  },
+};
+
+export const DEFAULT_CHAIN_ID = 31337;
+
+// Wallets report chain ids as hex strings ("0x7a69").
+export const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+/**
+ * Returns the registry entry for `chainId` (hex string or number) along with
+ * its `contractAddress`, `forwarderAddress` (null without a trusted
+ * forwarder) and `deployBlock`, or null when HambaPortal has no deployment on
+ * that chain.
+ */
+export const getChain = (chainId) => {
+  if (chainId === null || chainId === undefined) return null;
+  const chain = CHAINS[Number(chainId)];
+  const deployment = DEPLOYMENTS[Number(chainId)];
+  if (!chain || !deployment) return null;
+  return {
+    id: Number(chainId),
+    ...chain,
+    contractAddress: deployment.address,
+    forwarderAddress: deployment.forwarder ?? null,
+    deployBlock: deployment.blockNumber,
+  };
+};
+
+export const supportedChains = () =>
+  Object.keys(CHAINS).map(getChain).filter(Boolean);
+
+export const explorerLink = (chain, path) =>
+  chain?.explorerUrl ? `${chain.explorerUrl}/${path}` : null;
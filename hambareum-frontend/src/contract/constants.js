@@ -0,0 +1,19 @@
+// Mirrors HambaPortal.NO_PARENT (type(uint256).max), the parentId of
+// top-level messages.
+export const NO_PARENT = 2n ** 256n - 1n;
+
+// Mirrors HambaPortal.GENERAL_CHANNEL, the channel created with the portal.
+export const GENERAL_CHANNEL = 0;
+
+// The frontend always posts through sendChannelMessage, which takes the
+// channel and a parent id (NO_PARENT for top-level posts).
+export const SEND_MESSAGE = "sendChannelMessage";
+
+// How each HambaPortal reaction type is drawn, indexed by type. The contract
+// accepts REACTION_TYPES (4) types.
+export const REACTIONS = [
+  { emoji: "👍", label: "Like" },
+  { emoji: "❤️", label: "Love" },
+  { emoji: "😂", label: "Laugh" },
+  { emoji: "🔥", label: "Fire" },
+];
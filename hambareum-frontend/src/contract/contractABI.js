@@ -1,47 +0,0 @@
-export const ABI = [
-  {
-    inputs: [{ internalType: "string", name: "_message", type: "string" }],
-    name: "sendMessage",
-    outputs: [],
-    stateMutability: "nonpayable",
-    type: "function",
-  },
-  {
-    inputs: [],
-    name: "getAllMessages",
-    outputs: [
-      {
-        components: [
-          { internalType: "address", name: "sender", type: "address" },
-          { internalType: "string", name: "content", type: "string" },
-          { internalType: "uint256", name: "timestamp", type: "uint256" },
-        ],
-        internalType: "struct HambaPortal.Message[]",
-        name: "",
-        type: "tuple[]",
-      },
-    ],
-    stateMutability: "view",
-    type: "function",
-  },
-  {
-    anonymous: false,
-    inputs: [
-      { indexed: true, internalType: "address", name: "from", type: "address" },
-      {
-        indexed: false,
-        internalType: "uint256",
-        name: "timestamp",
-        type: "uint256",
-      },
-      {
-        indexed: false,
-        internalType: "string",
-        name: "content",
-        type: "string",
-      },
-    ],
-    name: "NewMessage",
-    type: "event",
-  },
-];
@@ -0,0 +1,243 @@
+import { Interface, formatEther } from "ethers";
+import { ABI } from "./generated/hambaPortal.js";
+
+// Ethers wraps provider errors a few levels deep (error.info.error,
+// error.error, error.cause...), so the raw revert data may be anywhere.
+const MAX_SEARCH_DEPTH = 6;
+const REVERT_DATA_PATTERN = /^0x[0-9a-fA-F]{8}/;
+
+const findRevertData = (error, depth = 0) => {
+  if (!error || typeof error !== "object" || depth > MAX_SEARCH_DEPTH) {
+    return null;
+  }
+  if (typeof error.data === "string" && REVERT_DATA_PATTERN.test(error.data)) {
+    return error.data;
+  }
+  for (const key of ["error", "info", "cause", "data"]) {
+    const data = findRevertData(error[key], depth + 1);
+    if (data) return data;
+  }
+  return null;
+};
+
+const contractInterface = new Interface(ABI);
+const MAX_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER);
+
+// Describes each HambaPortal custom error; `args` is the decoded error
+// arguments with bigints converted to numbers where they fit (wei amounts
+// stay bigints).
+const CONTRACT_ERRORS = {
+  CooldownActive: ({ remainingSeconds }) => ({
+    code: "COOLDOWN_ACTIVE",
+    message: `Cooldown active. You can send another message in ${remainingSeconds}s.`,
+  }),
+  EmptyMessage: () => ({
+    code: "EMPTY_MESSAGE",
+    message: "Message cannot be empty.",
+  }),
+  MessageTooLong: ({ length, maxLength }) => ({
+    code: "MESSAGE_TOO_LONG",
+    message: `Message is too long (${length}/${maxLength} bytes).`,
+  }),
+  NotOwner: () => ({
+    code: "NOT_OWNER",
+    message: "Only the contract owner can do that.",
+  }),
+  ZeroAddress: () => ({
+    code: "ZERO_ADDRESS",
+    message: "The zero address is not allowed.",
+  }),
+  InvalidMaxMessageLength: () => ({
+    code: "INVALID_MAX_MESSAGE_LENGTH",
+    message: "The maximum message length must be at least 1 byte.",
+  }),
+  NotModerator: () => ({
+    code: "NOT_MODERATOR",
+    message: "Only moderators can do that.",
+  }),
+  SenderBanned: () => ({
+    code: "SENDER_BANNED",
+    message: "This address has been banned from posting.",
+  }),
+  MessageNotFound: ({ index }) => ({
+    code: "MESSAGE_NOT_FOUND",
+    message: `Message #${index} does not exist.`,
+  }),
+  MessageAlreadyHidden: ({ index }) => ({
+    code: "MESSAGE_ALREADY_HIDDEN",
+    message: `Message #${index} is already hidden.`,
+  }),
+  MessageNotHidden: ({ index }) => ({
+    code: "MESSAGE_NOT_HIDDEN",
+    message: `Message #${index} is not hidden.`,
+  }),
+  InvalidReactionType: ({ reactionType }) => ({
+    code: "INVALID_REACTION_TYPE",
+    message: `Unknown reaction type ${reactionType}.`,
+  }),
+  AlreadyReacted: ({ messageId }) => ({
+    code: "ALREADY_REACTED",
+    message: `You already added that reaction to message #${messageId}.`,
+  }),
+  NotReacted: ({ messageId }) => ({
+    code: "NOT_REACTED",
+    message: `You haven't added that reaction to message #${messageId}.`,
+  }),
+  BoostTooSmall: ({ minimumValue }) => ({
+    code: "BOOST_TOO_SMALL",
+    message: `Boosts start at ${formatEther(minimumValue)} ETH.`,
+  }),
+  InvalidBoostPrice: () => ({
+    code: "INVALID_BOOST_PRICE",
+    message: "The boost price must be more than zero.",
+  }),
+  EmptyTip: () => ({
+    code: "EMPTY_TIP",
+    message: "Enter a tip amount.",
+  }),
+  NothingToWithdraw: () => ({
+    code: "NOTHING_TO_WITHDRAW",
+    message: "There are no boost fees to withdraw.",
+  }),
+  TransferFailed: () => ({
+    code: "TRANSFER_FAILED",
+    message: "The recipient didn't accept the payment.",
+  }),
+  ChannelNotFound: ({ channelId }) => ({
+    code: "CHANNEL_NOT_FOUND",
+    message: `Channel #${channelId} does not exist.`,
+  }),
+  InvalidChannelName: () => ({
+    code: "INVALID_CHANNEL_NAME",
+    message: "Channel names must be 1 to 32 bytes long.",
+  }),
+  NotChannelAdmin: () => ({
+    code: "NOT_CHANNEL_ADMIN",
+    message: "Only the channel's creator or the owner can do that.",
+  }),
+  NotChannelMember: () => ({
+    code: "NOT_CHANNEL_MEMBER",
+    message: "Only addresses on this channel's allowlist can post here.",
+  }),
+  ReplyChannelMismatch: () => ({
+    code: "REPLY_CHANNEL_MISMATCH",
+    message: "Replies must be posted in the same channel as their parent.",
+  }),
+  InvalidEncryptionKey: () => ({
+    code: "INVALID_ENCRYPTION_KEY",
+    message: "That isn't a valid encryption key.",
+  }),
+  NoEncryptionKey: ({ account }) => ({
+    code: "NO_ENCRYPTION_KEY",
+    message: `${account} hasn't published an encryption key yet.`,
+  }),
+  EmptyBodyHash: () => ({
+    code: "EMPTY_BODY_HASH",
+    message: "Long-form posts need the hash of their stored body.",
+  }),
+  NotMessageSender: ({ index }) => ({
+    code: "NOT_MESSAGE_SENDER",
+    message: `Only the author of message #${index} can change it.`,
+  }),
+  EditWindowClosed: ({ index }) => ({
+    code: "EDIT_WINDOW_CLOSED",
+    message: `Message #${index} can no longer be edited or deleted.`,
+  }),
+  MessageAlreadyDeleted: ({ index }) => ({
+    code: "MESSAGE_ALREADY_DELETED",
+    message: `Message #${index} has been deleted.`,
+  }),
+  MessageIsDeleted: ({ index }) => ({
+    code: "MESSAGE_DELETED",
+    message: `Message #${index} has been deleted.`,
+  }),
+};
+
+const toPlainArgs = (fragment, args) =>
+  Object.fromEntries(
+    fragment.inputs.map((input, i) => [
+      input.name,
+      typeof args[i] === "bigint" && args[i] <= MAX_SAFE_BIGINT
+        ? Number(args[i])
+        : args[i],
+    ])
+  );
+
+const decodeRevert = (data) => {
+  let parsed;
+  try {
+    parsed = contractInterface.parseError(data);
+  } catch {
+    return null;
+  }
+  if (!parsed) return null;
+
+  const args = toPlainArgs(parsed.fragment, parsed.args);
+  const describe = CONTRACT_ERRORS[parsed.name];
+  if (describe) {
+    return { name: parsed.name, args, ...describe(args) };
+  }
+  // Built-in Error(string) and Panic(uint256).
+  return {
+    code: "REVERTED",
+    name: parsed.name,
+    args,
+    message:
+      parsed.name === "Error"
+        ? args.message
+        : `Transaction reverted (${parsed.signature}).`,
+  };
+};
+
+/**
+ * Turns anything thrown while calling HambaPortal - a sent transaction, a
+ * `staticCall` simulation or a gas estimate - into a structured error:
+ * `{ code, name, args, message }`.
+ *
+ * `code` is the SCREAMING_CASE name of a HambaPortal custom error (e.g.
+ * COOLDOWN_ACTIVE, MESSAGE_TOO_LONG), or one of REVERTED, USER_REJECTED,
+ * INSUFFICIENT_FUNDS, NETWORK_ERROR or UNKNOWN. `message` is ready to show
+ * to the user.
+ */
+export const decodeContractError = (error) => {
+  const revertData = findRevertData(error);
+  const decoded = revertData && decodeRevert(revertData);
+  if (decoded) return decoded;
+
+  if (error?.code === "ACTION_REJECTED" || error?.info?.error?.code === 4001) {
+    return {
+      code: "USER_REJECTED",
+      name: null,
+      args: {},
+      message: "Transaction was rejected in the wallet.",
+    };
+  }
+  if (error?.code === "INSUFFICIENT_FUNDS") {
+    return {
+      code: "INSUFFICIENT_FUNDS",
+      name: null,
+      args: {},
+      message: "Insufficient funds for the amount plus gas.",
+    };
+  }
+  if (error?.code === "NETWORK_ERROR" || error?.code === "TIMEOUT") {
+    return {
+      code: "NETWORK_ERROR",
+      name: null,
+      args: {},
+      message: "Network error. Check your connection and try again.",
+    };
+  }
+  if (error?.code === "CALL_EXCEPTION" && error.reason) {
+    return { code: "REVERTED", name: "Error", args: {}, message: error.reason };
+  }
+  return {
+    code: "UNKNOWN",
+    name: null,
+    args: {},
+    message:
+      error?.shortMessage ??
+      error?.message ??
+      "Transaction failed. See console for details.",
+  };
+};
@@ -0,0 +1,59 @@
+import { useState, useEffect } from "react";
+
+/**
+ * The messages currently pinned by a boost, longest-running boost first.
+ * Reloads when a message is boosted, hidden, unhidden, edited or deleted,
+ * and drops each boost from the list once it expires.
+ */
+export const useBoostedMessages = ({ portal }) => {
+  const [state, setState] = useState({ portal, messages: [] });
+
+  useEffect(() => {
+    if (!portal) return;
+
+    let active = true;
+    let expiryTimer = null;
+
+    // Shows `messages` and wakes up when the next boost runs out, rather
+    // than polling.
+    const show = (messages) => {
+      setState({ portal, messages });
+      clearTimeout(expiryTimer);
+      if (messages.length === 0) return;
+
+      const next = Math.min(...messages.map((m) => m.boostedUntil));
+      expiryTimer = setTimeout(() => {
+        const now = Math.floor(Date.now() / 1000);
+        show(messages.filter((message) => message.boostedUntil > now));
+      }, Math.max(0, next * 1000 - Date.now()));
+    };
+
+    const loadBoosted = async () => {
+      try {
+        const messages = (await portal.getBoostedMessages()).sort(
+          (a, b) => b.boostedUntil - a.boostedUntil || b.id - a.id
+        );
+        if (active) show(messages);
+      } catch (e) {
+        console.error("Error loading boosted messages:", e);
+      }
+    };
+
+    loadBoosted();
+    const unsubscribe = portal.subscribe({
+      MessageBoosted: loadBoosted,
+      MessageHidden: loadBoosted,
+      MessageUnhidden: loadBoosted,
+      MessageEdited: loadBoosted,
+      MessageDeleted: loadBoosted,
+    });
+
+    return () => {
+      active = false;
+      clearTimeout(expiryTimer);
+      unsubscribe();
+    };
+  }, [portal]);
+
+  return state.portal === portal ? state.messages : [];
+};
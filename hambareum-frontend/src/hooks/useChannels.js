@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback } from "react";
+
+const STORAGE_KEY = "hambareum.channelReads";
+const PAGE_SIZE = 100;
+
+// How many of each channel's messages have been seen, per chain:
+// `{ [chainId]: { [channelId]: count } }`.
+const loadReads = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const saveReads = (reads) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(reads));
+  } catch {
+    // Storage full or unavailable; unread counts just reset next visit.
+  }
+};
+
+/**
+ * Loads every channel on `chainId` and keeps them current from
+ * ChannelCreated, ChannelUpdated and NewMessage events.
+ *
+ * Unread counts compare each channel's messageCount with how many messages
+ * had been posted when it was last viewed; `markRead(channel)` records that
+ * the channel has been seen up to its current count. Channels seen for the
+ * first time start out read.
+ */
+export const useChannels = ({ chainId, portal }) => {
+  const key = String(chainId);
+  const [state, setState] = useState({ key, channels: [] });
+  const [reads, setReads] = useState(loadReads);
+
+  useEffect(() => {
+    saveReads(reads);
+  }, [reads]);
+
+  // Gives channels without a read count a baseline at their current count.
+  const baselineReads = useCallback(
+    (channels) => {
+      setReads((current) => {
+        const chainReads = current[key] ?? {};
+        const missing = channels.filter((c) => !(c.id in chainReads));
+        if (missing.length === 0) return current;
+        return {
+          ...current,
+          [key]: {
+            ...chainReads,
+            ...Object.fromEntries(missing.map((c) => [c.id, c.messageCount])),
+          },
+        };
+      });
+    },
+    [key]
+  );
+
+  const setChannels = useCallback(
+    (update) => {
+      setState((current) => ({
+        key,
+        channels: update(current.key === key ? current.channels : []),
+      }));
+    },
+    [key]
+  );
+
+  useEffect(() => {
+    if (!portal) return;
+
+    let active = true;
+    const loadChannels = async () => {
+      try {
+        const total = await portal.getChannelCount();
+        const channels = [];
+        for (let offset = 0; offset < total; offset += PAGE_SIZE) {
+          channels.push(...(await portal.getChannels(offset, PAGE_SIZE)));
+        }
+        if (!active) return;
+        baselineReads(channels);
+        setChannels(() => channels);
+      } catch (e) {
+        console.error("Error loading channels:", e);
+      }
+    };
+
+    // Re-read one channel rather than patching it from the event, so a
+    // full reload racing with an event can't count a message twice.
+    const reloadChannel = async (channelId) => {
+      try {
+        const [channel] = await portal.getChannels(Number(channelId), 1);
+        if (!active || !channel) return;
+        baselineReads([channel]);
+        setChannels((channels) =>
+          channels.some((c) => c.id === channel.id)
+            ? channels.map((c) => (c.id === channel.id ? channel : c))
+            : [...channels, channel].sort((a, b) => a.id - b.id)
+        );
+      } catch (e) {
+        console.error("Error loading channel:", e);
+      }
+    };
+
+    loadChannels();
+    const unsubscribe = portal.subscribe({
+      ChannelCreated: reloadChannel,
+      ChannelUpdated: reloadChannel,
+      NewMessage: (_from, _timestamp, _content, _id, _parentId, channelId) =>
+        reloadChannel(channelId),
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [portal, baselineReads, setChannels]);
+
+  const channels = state.key === key ? state.channels : [];
+  const chainReads = reads[key] ?? {};
+
+  const getUnreadCount = (channel) =>
+    Math.max(0, channel.messageCount - (chainReads[channel.id] ?? 0));
+
+  const markRead = useCallback(
+    (channel) => {
+      setReads((current) =>
+        current[key]?.[channel.id] === channel.messageCount
+          ? current
+          : {
+              ...current,
+              [key]: { ...current[key], [channel.id]: channel.messageCount },
+            }
+      );
+    },
+    [key]
+  );
+
+  return { channels, getUnreadCount, markRead };
+};
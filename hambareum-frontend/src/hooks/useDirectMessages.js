@@ -0,0 +1,288 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import {
+  decryptDirectMessage,
+  deriveEncryptionKey,
+  encryptDirectMessage,
+} from "../services/encryption.js";
+
+/**
+ * @typedef {object} Conversation
+ * @property {string} counterparty
+ * @property {(import("../services/hambaPortal.js").DirectMessage & {
+ *   text: string | null | undefined })[]} messages Oldest first. `text` is
+ *   undefined until decrypted and null when this key can't open it.
+ */
+
+// At least this many messages are loaded per page of history.
+const PAGE_SIZE = 20;
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// `loaded` plus whichever of `messages` it lacks, oldest first.
+const mergeMessages = (messages, loaded) =>
+  [
+    ...loaded,
+    ...messages.filter((m) => !loaded.some((l) => l.id === m.id)),
+  ].sort((a, b) => a.id - b.id);
+
+/**
+ * Direct messages to and from `account`, grouped into conversations with
+ * the most recently active first, kept current from DirectMessage events.
+ * The newest page of history loads first; `loadOlder()` fetches the next
+ * one while `hasOlder`.
+ *
+ * Messages stay encrypted until `unlock()` has the wallet sign the key
+ * derivation message; the derived key lives in memory only, so each session
+ * unlocks again. `keyPublished` says whether the portal has the matching
+ * public key, which others need to write to the account; `publishKey()`
+ * sends it. `keyMismatch` says the account published a different key, as
+ * happens with wallets that don't sign deterministically: messages sent to
+ * that key can't be read with this one until it is published instead.
+ * `send(to, text)` encrypts to the recipient's published key and resolves
+ * once the transaction is mined. Errors are left to the caller.
+ */
+export const useDirectMessages = ({ chainId, portal, account }) => {
+  const key = `${chainId}:${account?.toLowerCase()}`;
+  const [state, setState] = useState({
+    key,
+    messages: [],
+    publishedKey: null,
+    nextBlock: null,
+  });
+  // The derived key, for the account that signed it.
+  const [unlocked, setUnlocked] = useState({ account: null, privateKey: null });
+  const [texts, setTexts] = useState({ privateKey: null, byId: {} });
+  const [busy, setBusy] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const loadingOlderRef = useRef(false);
+  // Ids already decrypted (or being decrypted) with the current key.
+  const decryptedRef = useRef({ privateKey: null, ids: new Set() });
+
+  const privateKey =
+    account && unlocked.account && sameAddress(unlocked.account, account)
+      ? unlocked.privateKey
+      : null;
+
+  useEffect(() => {
+    if (!portal || !account) return;
+
+    let active = true;
+    const update = (change) =>
+      setState((current) =>
+        change(
+          current.key === key
+            ? current
+            : { key, messages: [], publishedKey: null, nextBlock: null }
+        )
+      );
+
+    const load = async () => {
+      try {
+        const [page, publishedKey] = await Promise.all([
+          portal.getDirectMessages(account, PAGE_SIZE),
+          portal.getEncryptionKey(account),
+        ]);
+        if (!active) return;
+        // Keep anything that arrived by event while the history loaded.
+        update((current) => ({
+          key,
+          publishedKey,
+          messages: mergeMessages(current.messages, page.messages),
+          nextBlock: page.nextBlock,
+        }));
+      } catch (e) {
+        console.error("Error loading direct messages:", e);
+      }
+    };
+
+    load();
+    const unsubscribe = portal.subscribe({
+      DirectMessage: (id, from, to, ciphertext, timestamp) => {
+        if (!sameAddress(from, account) && !sameAddress(to, account)) return;
+        const message = {
+          id: Number(id),
+          from,
+          to,
+          ciphertext,
+          timestamp: Number(timestamp),
+        };
+        update((current) =>
+          current.messages.some((m) => m.id === message.id)
+            ? current
+            : { ...current, messages: [...current.messages, message] }
+        );
+      },
+      EncryptionKeySet: (owner, publicKey) => {
+        if (sameAddress(owner, account)) {
+          update((current) => ({ ...current, publishedKey: publicKey }));
+        }
+      },
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [portal, account, key]);
+
+  const current = state.key === key ? state : null;
+  const messages = useMemo(() => current?.messages ?? [], [current]);
+  const nextBlock = current?.nextBlock ?? null;
+
+  const loadOlder = useCallback(async () => {
+    if (!portal || !account || nextBlock === null) return;
+    if (loadingOlderRef.current) return;
+
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      const page = await portal.getDirectMessages(
+        account,
+        PAGE_SIZE,
+        nextBlock
+      );
+      setState((current) =>
+        current.key === key
+          ? {
+              ...current,
+              messages: mergeMessages(current.messages, page.messages),
+              nextBlock: page.nextBlock,
+            }
+          : current
+      );
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  }, [portal, account, key, nextBlock]);
+
+  // Decrypts each message once per key, in the background.
+  useEffect(() => {
+    if (!privateKey) return;
+
+    if (decryptedRef.current.privateKey !== privateKey) {
+      decryptedRef.current = { privateKey, ids: new Set() };
+    }
+    const decrypted = decryptedRef.current.ids;
+    const pending = messages.filter((message) => !decrypted.has(message.id));
+    if (pending.length === 0) return;
+    pending.forEach((message) => decrypted.add(message.id));
+
+    Promise.all(
+      pending.map(async (message) => [
+        message.id,
+        await decryptDirectMessage(privateKey, message.ciphertext),
+      ])
+    ).then((entries) => {
+      // The account may have unlocked with another key in the meantime.
+      if (decryptedRef.current.privateKey !== privateKey) return;
+      setTexts((current) => ({
+        privateKey,
+        byId: {
+          ...(current.privateKey === privateKey ? current.byId : {}),
+          ...Object.fromEntries(entries),
+        },
+      }));
+    });
+  }, [privateKey, messages]);
+
+  const byId = texts.privateKey === privateKey ? texts.byId : {};
+
+  /** @type {Conversation[]} */
+  const conversations = [];
+  if (account) {
+    const byCounterparty = new Map();
+    messages.forEach((message) => {
+      const counterparty = sameAddress(message.from, account)
+        ? message.to
+        : message.from;
+      const id = counterparty.toLowerCase();
+      if (!byCounterparty.has(id)) {
+        byCounterparty.set(id, { counterparty, messages: [] });
+      }
+      byCounterparty.get(id).messages.push({
+        ...message,
+        text: privateKey ? byId[message.id] : undefined,
+      });
+    });
+    conversations.push(
+      ...[...byCounterparty.values()].sort(
+        (a, b) => b.messages.at(-1).id - a.messages.at(-1).id
+      )
+    );
+  }
+
+  const unlock = useCallback(async () => {
+    if (!portal || !account) return;
+    const derived = await deriveEncryptionKey(await portal.getSigner());
+    // Compare against the key on chain now, not whatever loaded earlier.
+    const publishedKey = await portal.getEncryptionKey(account);
+    setState((current) =>
+      current.key === key ? { ...current, publishedKey } : current
+    );
+    setUnlocked({ account, privateKey: derived });
+  }, [portal, account, key]);
+
+  const publishKey = useCallback(async () => {
+    if (!portal || !privateKey) return;
+
+    setBusy(true);
+    try {
+      const tx = await portal.setEncryptionKey(privateKey.compressedPublicKey);
+      await tx.wait();
+      setState((current) =>
+        current.key === key
+          ? { ...current, publishedKey: privateKey.compressedPublicKey }
+          : current
+      );
+    } finally {
+      setBusy(false);
+    }
+  }, [portal, privateKey, key]);
+
+  const send = useCallback(
+    async (to, text) => {
+      if (!portal || !privateKey) return;
+
+      setBusy(true);
+      try {
+        const recipientKey = await portal.getEncryptionKey(to);
+        if (!recipientKey) {
+          throw new Error(
+            "That address hasn't set up direct messages yet, so there's no key to encrypt to."
+          );
+        }
+        const ciphertext = await encryptDirectMessage(
+          privateKey,
+          recipientKey,
+          text
+        );
+        const tx = await portal.sendDirectMessage(to, ciphertext);
+        await tx.wait();
+      } finally {
+        setBusy(false);
+      }
+    },
+    [portal, privateKey]
+  );
+
+  return {
+    conversations,
+    unlocked: Boolean(privateKey),
+    keyPublished: Boolean(
+      privateKey && current?.publishedKey === privateKey.compressedPublicKey
+    ),
+    keyMismatch: Boolean(
+      privateKey &&
+        current?.publishedKey &&
+        current.publishedKey !== privateKey.compressedPublicKey
+    ),
+    hasOlder: nextBlock !== null,
+    loadingOlder,
+    loadOlder,
+    unlock,
+    publishKey,
+    send,
+    busy,
+  };
+};
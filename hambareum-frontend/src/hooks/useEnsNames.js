@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { resolveEnsNames, supportsEns } from "../services/ens.js";
+
+/**
+ * Resolves `addresses` to primary ENS names and avatars when `portal`'s
+ * chain has ENS, each at most once per chain. `getEnsName(address)` returns
+ * the EnsIdentity or null (no name, not resolved yet, or no ENS).
+ */
+export const useEnsNames = ({ portal, addresses }) => {
+  const chainId = portal?.chain.id ?? null;
+  const enabled = chainId !== null && supportsEns(chainId);
+  const [state, setState] = useState({ chainId, byAddress: {} });
+  // Lowercase addresses already requested for `chainId`.
+  const requestedRef = useRef({ chainId, addresses: new Set() });
+
+  // addresses is rebuilt on every render, so compare by value.
+  const addressesKey = [
+    ...new Set(addresses.map((address) => address.toLowerCase())),
+  ].join(",");
+  useEffect(() => {
+    if (!enabled) return;
+
+    if (requestedRef.current.chainId !== chainId) {
+      requestedRef.current = { chainId, addresses: new Set() };
+    }
+    const requested = requestedRef.current.addresses;
+    const missing = (addressesKey ? addressesKey.split(",") : []).filter(
+      (address) => !requested.has(address)
+    );
+    if (missing.length === 0) return;
+    missing.forEach((address) => requested.add(address));
+
+    const loadNames = async () => {
+      const resolved = await resolveEnsNames(portal.provider, chainId, missing);
+      // Retry failed lookups the next time the addresses change.
+      missing
+        .filter((address) => !(address in resolved))
+        .forEach((address) => requested.delete(address));
+      setState((current) =>
+        current.chainId === chainId
+          ? { chainId, byAddress: { ...current.byAddress, ...resolved } }
+          : { chainId, byAddress: resolved }
+      );
+    };
+    loadNames();
+  }, [enabled, chainId, portal, addressesKey]);
+
+  const getEnsName = useCallback(
+    (address) =>
+      (state.chainId === chainId && state.byAddress[address?.toLowerCase()]) ||
+      null,
+    [state, chainId]
+  );
+
+  return { getEnsName };
+};
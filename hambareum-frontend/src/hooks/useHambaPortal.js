@@ -0,0 +1,10 @@
+import { useMemo } from "react";
+import { getHambaPortal } from "../services/hambaPortal.js";
+
+/**
+ * The HambaPortal service for `chainId` and the connected `wallet`, or null
+ * while the chain has no deployment. The service is stable per chain and
+ * wallet, so it is safe to use as an effect dependency.
+ */
+export const useHambaPortal = (chainId, wallet) =>
+  useMemo(() => getHambaPortal(chainId, wallet), [chainId, wallet]);
@@ -0,0 +1,55 @@
+import { useState, useEffect } from "react";
+import { getAddress } from "ethers";
+import { GENERAL_CHANNEL } from "../contract/constants.js";
+
+// Routes live in the URL hash, so the static build needs no server rewrites
+// and links can be shared:
+//   #/channel/<id>        a channel's feed (the general channel when empty)
+//   #/message/<id>        a single message, by its on-chain index
+//   #/address/<address>   everything one address has posted; an ENS name
+//                         can stand in for the address
+// Message and address pages keep the channel the user came from, so going
+// back to it doesn't reload the feed.
+const parseHash = (hash, channelId) => {
+  const route = { channelId, messageId: null, sender: null };
+  let match;
+  if ((match = /^#\/message\/(\d+)$/.exec(hash))) {
+    return { ...route, messageId: Number(match[1]) };
+  }
+  if ((match = /^#\/address\/(0x[0-9a-fA-F]{40})$/.exec(hash))) {
+    return { ...route, sender: getAddress(match[1].toLowerCase()) };
+  }
+  if ((match = /^#\/address\/([a-zA-Z0-9.-]+\.eth)$/.exec(hash))) {
+    return { ...route, sender: match[1].toLowerCase() };
+  }
+  match = /^#\/channel\/(\d+)$/.exec(hash);
+  return { ...route, channelId: match ? Number(match[1]) : GENERAL_CHANNEL };
+};
+
+export const channelPath = (channelId) => `#/channel/${channelId}`;
+export const messagePath = (messageId) => `#/message/${messageId}`;
+export const senderPath = (address) => `#/address/${address}`;
+
+/**
+ * The current route, `{ channelId, messageId, sender }`, kept in sync with
+ * the URL hash. `messageId` and `sender` (a checksummed address or an ENS
+ * name) are null outside their pages. `onChange` is called whenever the
+ * user opens another channel.
+ */
+export const useHashRoute = ({ onChange }) => {
+  const [route, setRoute] = useState(() =>
+    parseHash(window.location.hash, GENERAL_CHANNEL)
+  );
+
+  useEffect(() => {
+    const handleHashChange = () => {
+      const next = parseHash(window.location.hash, route.channelId);
+      setRoute(next);
+      if (next.channelId !== route.channelId) onChange();
+    };
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, [route.channelId, onChange]);
+
+  return route;
+};
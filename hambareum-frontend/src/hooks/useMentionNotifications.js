@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from "react";
+import { messagePath } from "./useHashRoute.js";
+import { mentionsAccount } from "../services/richText.js";
+
+const supported = typeof Notification !== "undefined";
+
+/**
+ * Shows a browser notification whenever someone else posts a message, in
+ * any channel, that mentions `account` by address or by its `ensName`.
+ * Clicking it opens the message. Nothing is shown while the page has
+ * focus, since the post is highlighted in the feed anyway.
+ *
+ * `permission` is the browser's notification permission ("default",
+ * "granted" or "denied"), or "unsupported"; `enable()` asks for it.
+ */
+export const useMentionNotifications = ({ portal, account, ensName }) => {
+  const [permission, setPermission] = useState(() =>
+    supported ? Notification.permission : "unsupported"
+  );
+
+  useEffect(() => {
+    if (!portal || !account || permission !== "granted") return;
+
+    return portal.subscribe({
+      NewMessage: (from, _timestamp, content, id) => {
+        if (from.toLowerCase() === account.toLowerCase()) return;
+        if (!mentionsAccount(content, account, ensName)) return;
+        if (document.visibilityState === "visible" && document.hasFocus()) {
+          return;
+        }
+
+        const notification = new Notification(
+          `${from.slice(0, 6)}...${from.slice(-4)} mentioned you`,
+          { body: content, tag: `hambareum-mention-${id}` }
+        );
+        notification.onclick = () => {
+          window.focus();
+          window.location.hash = messagePath(Number(id));
+          notification.close();
+        };
+      },
+    });
+  }, [portal, account, ensName, permission]);
+
+  const enable = useCallback(async () => {
+    if (!supported) return;
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  return { permission, enable };
+};
@@ -0,0 +1,63 @@
+import { useState, useEffect } from "react";
+
+/**
+ * Message `messageId` for its permalink page, kept current as it is hidden,
+ * unhidden, edited, deleted or replied to. `message` is null while it loads
+ * and when there is no such message; `loading` tells the two apart.
+ */
+export const useMessage = ({ portal, messageId }) => {
+  const [state, setState] = useState({
+    portal: null,
+    messageId: null,
+    message: null,
+    error: null,
+  });
+
+  useEffect(() => {
+    if (!portal || messageId === null) return;
+
+    let active = true;
+    const load = async () => {
+      try {
+        const message = await portal.getMessage(messageId);
+        if (active) setState({ portal, messageId, message, error: null });
+      } catch (e) {
+        console.error("Error loading message:", e);
+        if (active) {
+          setState({
+            portal,
+            messageId,
+            message: null,
+            error: "Failed to load the message.",
+          });
+        }
+      }
+    };
+
+    const reloadIf = (id) => {
+      if (Number(id) === messageId) load();
+    };
+
+    load();
+    const unsubscribe = portal.subscribe({
+      NewMessage: (_from, _timestamp, _content, _id, parentId) =>
+        reloadIf(parentId),
+      MessageHidden: reloadIf,
+      MessageUnhidden: reloadIf,
+      MessageEdited: reloadIf,
+      MessageDeleted: reloadIf,
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [portal, messageId]);
+
+  const current = state.portal === portal && state.messageId === messageId;
+  return {
+    message: current ? state.message : null,
+    error: current ? state.error : null,
+    loading: Boolean(portal) && messageId !== null && !current,
+  };
+};
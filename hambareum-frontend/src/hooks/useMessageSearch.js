@@ -0,0 +1,148 @@
+import { useState, useEffect, useCallback } from "react";
+import { getChain } from "../contract/chains.js";
+import { canSearch, searchMessages } from "../services/indexer.js";
+
+const PAGE_SIZE = 20;
+// Waits for a pause in typing before querying the indexer.
+const DEBOUNCE_MS = 300;
+
+// Date filter chips, in seconds back from now.
+export const SEARCH_PERIODS = [
+  { id: "day", label: "Past day", seconds: 24 * 60 * 60 },
+  { id: "week", label: "Past week", seconds: 7 * 24 * 60 * 60 },
+];
+
+/**
+ * Full-text search and filter chips over `channelId`, backed by the
+ * hambareum-indexer. `available` is false while the indexer isn't
+ * configured for `chainId`, in which case nothing else does anything.
+ *
+ * A search is `active` whenever there's query text or a chip is on; its
+ * first page loads automatically and `loadMore()` appends the next one.
+ */
+export const useMessageSearch = ({ chainId, channelId, account }) => {
+  const [availability, setAvailability] = useState({
+    chainId: null,
+    available: false,
+  });
+  const [query, setQuery] = useState("");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
+  const [fromMe, setFromMe] = useState(false);
+  const [periodId, setPeriodId] = useState(null);
+  const [results, setResults] = useState({ key: null });
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    canSearch(getChain(chainId)).then((available) => {
+      if (active) setAvailability({ chainId, available });
+    });
+    return () => {
+      active = false;
+    };
+  }, [chainId]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const available = availability.chainId === chainId && availability.available;
+  const q = debouncedQuery.trim();
+  const sender = fromMe && account ? account : null;
+  const active = available && Boolean(q || sender || periodId);
+  const key = JSON.stringify([chainId, channelId, q, sender, periodId]);
+
+  useEffect(() => {
+    if (!active) return;
+
+    let cancelled = false;
+    const period = SEARCH_PERIODS.find((p) => p.id === periodId);
+    const filters = {
+      q: q || null,
+      sender,
+      channelId,
+      // Fixed when the search starts, so later pages line up.
+      since: period ? Math.floor(Date.now() / 1000) - period.seconds : null,
+    };
+    searchMessages({ ...filters, offset: 0, limit: PAGE_SIZE })
+      .then(({ messages, total }) => {
+        if (!cancelled) {
+          setResults({ key, filters, messages, total, error: null });
+        }
+      })
+      .catch((e) => {
+        console.error("Error searching messages:", e);
+        if (!cancelled) {
+          setResults({
+            key,
+            filters,
+            messages: [],
+            total: 0,
+            error: e.message,
+          });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [active, key, q, sender, channelId, periodId]);
+
+  const current = active && results.key === key ? results : null;
+
+  const loadMore = useCallback(async () => {
+    if (!current || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const page = await searchMessages({
+        ...current.filters,
+        offset: current.messages.length,
+        limit: PAGE_SIZE,
+      });
+      setResults((latest) => {
+        if (latest.key !== current.key) return latest;
+        const seen = new Set(latest.messages.map((m) => m.id));
+        return {
+          ...latest,
+          messages: [
+            ...latest.messages,
+            ...page.messages.filter((m) => !seen.has(m.id)),
+          ],
+          total: page.total,
+        };
+      });
+    } catch (e) {
+      console.error("Error loading more results:", e);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [current, loadingMore]);
+
+  const clear = () => {
+    setQuery("");
+    setDebouncedQuery("");
+    setFromMe(false);
+    setPeriodId(null);
+  };
+
+  return {
+    available,
+    active,
+    query,
+    setQuery,
+    fromMe,
+    setFromMe,
+    periodId,
+    setPeriodId,
+    clear,
+    results: current?.messages ?? [],
+    total: current?.total ?? 0,
+    error: current?.error ?? null,
+    // The first page of a new search is on its way.
+    loading: active && !current,
+    loadingMore,
+    hasMore: Boolean(current && current.messages.length < current.total),
+    loadMore,
+  };
+};
@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { fetchProfiles } from "../services/profiles.js";
+
+/**
+ * Loads the off-chain profiles of `addresses`, each at most once per page
+ * load. `getProfile(address)` returns the Profile or null when none is set
+ * (or the profile service is unreachable); `updateProfile(profile)` stores
+ * one the user just saved.
+ */
+export const useProfiles = ({ addresses }) => {
+  const [profiles, setProfiles] = useState({});
+  // Lowercase addresses already requested.
+  const requestedRef = useRef(new Set());
+
+  // addresses is rebuilt on every render, so compare by value.
+  const addressesKey = [
+    ...new Set(addresses.map((address) => address.toLowerCase())),
+  ].join(",");
+  useEffect(() => {
+    const requested = requestedRef.current;
+    const missing = (addressesKey ? addressesKey.split(",") : []).filter(
+      (address) => !requested.has(address)
+    );
+    if (missing.length === 0) return;
+    missing.forEach((address) => requested.add(address));
+
+    const loadProfiles = async () => {
+      try {
+        const loaded = await fetchProfiles(missing);
+        setProfiles((current) => ({ ...current, ...loaded }));
+      } catch (e) {
+        // Profiles are cosmetic; senders fall back to their address.
+        console.error("Error loading profiles:", e);
+      }
+    };
+    loadProfiles();
+  }, [addressesKey]);
+
+  const getProfile = useCallback(
+    (address) => profiles[address?.toLowerCase()] ?? null,
+    [profiles]
+  );
+
+  const updateProfile = useCallback((profile) => {
+    setProfiles((current) => ({
+      ...current,
+      [profile.account.toLowerCase()]: profile,
+    }));
+  }, []);
+
+  return { getProfile, updateProfile };
+};
@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { REACTIONS } from "../contract/constants.js";
+
+// Keeps getReactions calls well under node response limits.
+const BATCH_SIZE = 100;
+
+const emptyReactions = () => ({
+  counts: REACTIONS.map(() => 0),
+  mine: REACTIONS.map(() => false),
+});
+
+/**
+ * Loads reaction counts for `messageIds`, plus which reactions `account` has
+ * added, and keeps them current from Reacted/ReactionRemoved events.
+ *
+ * `getReactions(id)` returns `{ counts, mine }`, both indexed by reaction
+ * type. `toggleReaction(id, type)` adds or removes the account's reaction
+ * and resolves once the transaction is mined; errors are left to the caller.
+ */
+export const useReactions = ({ account, chainId, portal, messageIds }) => {
+  const key = `${chainId}:${account?.toLowerCase() ?? ""}`;
+  const [state, setState] = useState({ key, byId: {} });
+  const [toggling, setToggling] = useState(null);
+  // Ids already requested for the current key, so each is loaded only once.
+  const requestedRef = useRef({ key, ids: new Set() });
+
+  const loadReactions = useCallback(
+    async (ids) => {
+      if (ids.length === 0 || !portal) return;
+
+      try {
+        const byId = {};
+        for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+          const batch = ids.slice(i, i + BATCH_SIZE);
+          const reactions = await portal.getReactions(batch, account);
+          batch.forEach((id, j) => {
+            byId[id] = reactions[j];
+          });
+        }
+        setState((current) =>
+          current.key === key
+            ? { key, byId: { ...current.byId, ...byId } }
+            : { key, byId }
+        );
+      } catch (e) {
+        console.error("Error loading reactions:", e);
+      }
+    },
+    [account, key, portal]
+  );
+
+  // messageIds is rebuilt on every render, so compare by value.
+  const idsKey = messageIds.join(",");
+  useEffect(() => {
+    if (!portal) return;
+
+    if (requestedRef.current.key !== key) {
+      requestedRef.current = { key, ids: new Set() };
+    }
+    const requested = requestedRef.current.ids;
+    const missing = (idsKey ? idsKey.split(",").map(Number) : []).filter(
+      (id) => !requested.has(id)
+    );
+    missing.forEach((id) => requested.add(id));
+    loadReactions(missing);
+  }, [portal, key, idsKey, loadReactions]);
+
+  // Re-read a message's reactions whenever they change rather than applying
+  // the event, so a reload racing with an event can't count it twice.
+  useEffect(() => {
+    if (!portal) return;
+
+    const handleReactionChange = (messageId) => {
+      const id = Number(messageId);
+      if (requestedRef.current.ids.has(id)) {
+        loadReactions([id]);
+      }
+    };
+
+    return portal.subscribe({
+      Reacted: handleReactionChange,
+      ReactionRemoved: handleReactionChange,
+    });
+  }, [portal, loadReactions]);
+
+  const byId = useMemo(
+    () => (state.key === key ? state.byId : {}),
+    [state, key]
+  );
+
+  const getReactions = useCallback(
+    (id) => byId[id] ?? emptyReactions(),
+    [byId]
+  );
+
+  const toggleReaction = useCallback(
+    async (id, type) => {
+      if (!portal) return;
+
+      const method = byId[id]?.mine[type] ? "unreact" : "react";
+      setToggling(`${id}:${type}`);
+      try {
+        const tx = await portal.send(method, id, type);
+        await tx.wait();
+        await loadReactions([id]);
+      } finally {
+        setToggling(null);
+      }
+    },
+    [byId, portal, loadReactions]
+  );
+
+  const isToggling = (id, type) => toggling === `${id}:${type}`;
+
+  return { getReactions, toggleReaction, isToggling };
+};
@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from "react";
+import { getAddress, isAddress } from "ethers";
+import { resolveEnsAddress } from "../services/ens.js";
+import { DELETED_FIELDS, editedFields } from "../services/hambaPortal.js";
+
+const PAGE_SIZE = 20;
+
+const loadMessages = (portal, posts) =>
+  Promise.all(posts.map((post) => portal.getMessage(post.id)));
+
+/**
+ * Everything `sender` (an address or ENS name) has posted, replies
+ * included, newest first, for their address page. `address` is who that
+ * is, `total` how many messages they have posted and `firstSeen` when the
+ * first was, in seconds; all three are null while loading.
+ *
+ * The first page loads automatically and `loadMore()` appends the next one.
+ * New posts from `sender` are added as they arrive and loaded messages
+ * follow hides, unhides, edits and deletions.
+ */
+export const useSenderMessages = ({ portal, sender }) => {
+  const key = sender?.toLowerCase() ?? null;
+  // `posts` are `{ id, timestamp }` for every message, newest first;
+  // `messages` the loaded prefix of them.
+  const [state, setState] = useState({
+    portal: null,
+    key: null,
+    address: null,
+    posts: [],
+    messages: [],
+    error: null,
+  });
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  useEffect(() => {
+    if (!portal || !key) return;
+
+    let active = true;
+    // Lowercase address once `key` is resolved, for matching new posts.
+    let resolved = null;
+    const update = (change) =>
+      setState((current) =>
+        current.portal === portal && current.key === key
+          ? { ...current, ...change(current) }
+          : current
+      );
+
+    const fail = (error) =>
+      setState({ portal, key, address: null, posts: [], messages: [], error });
+
+    const load = async () => {
+      try {
+        const address = isAddress(key)
+          ? key
+          : await resolveEnsAddress(portal.provider, portal.chain.id, key);
+        if (!active) return;
+        if (!address) {
+          fail(`${key} doesn't resolve to an address.`);
+          return;
+        }
+
+        const posts = (await portal.getSenderMessageIds(address)).reverse();
+        const messages = await loadMessages(portal, posts.slice(0, PAGE_SIZE));
+        if (!active) return;
+        resolved = address.toLowerCase();
+        setState({
+          portal,
+          key,
+          address: getAddress(address),
+          posts,
+          messages,
+          error: null,
+        });
+      } catch (e) {
+        console.error("Error loading sender messages:", e);
+        if (active) fail("Failed to load this address's messages.");
+      }
+    };
+
+    const addPost = async (id, timestamp) => {
+      try {
+        const message = await portal.getMessage(id);
+        if (!active || !message) return;
+        update(({ posts, messages }) =>
+          posts.some((post) => post.id === id)
+            ? {}
+            : {
+                posts: [{ id, timestamp }, ...posts],
+                messages: [message, ...messages],
+              }
+        );
+      } catch (e) {
+        console.error("Error loading new message:", e);
+      }
+    };
+
+    const updateMessage = (index, change) => {
+      const id = Number(index);
+      update(({ messages }) => ({
+        messages: messages.map((message) =>
+          message.id === id ? { ...message, ...change } : message
+        ),
+      }));
+    };
+
+    load();
+    const unsubscribe = portal.subscribe({
+      NewMessage: (from, timestamp, _content, id) => {
+        if (from.toLowerCase() === resolved) {
+          addPost(Number(id), Number(timestamp));
+        }
+      },
+      MessageHidden: (index) => updateMessage(index, { hidden: true }),
+      MessageUnhidden: (index) => updateMessage(index, { hidden: false }),
+      MessageEdited: (id, _sender, revision, _prev, _prevHash, content, hash) =>
+        updateMessage(id, editedFields(revision, content, hash)),
+      MessageDeleted: (id) => updateMessage(id, DELETED_FIELDS),
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [portal, key]);
+
+  const current = state.portal === portal && state.key === key ? state : null;
+
+  const loadMore = useCallback(async () => {
+    if (!current || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const { posts, messages } = current;
+      const page = await loadMessages(
+        portal,
+        posts.slice(messages.length, messages.length + PAGE_SIZE)
+      );
+      setState((latest) => {
+        if (latest.portal !== current.portal || latest.key !== current.key) {
+          return latest;
+        }
+        const seen = new Set(latest.messages.map((m) => m.id));
+        return {
+          ...latest,
+          messages: [
+            ...latest.messages,
+            ...page.filter((m) => m && !seen.has(m.id)),
+          ],
+        };
+      });
+    } catch (e) {
+      console.error("Error loading more messages:", e);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [portal, current, loadingMore]);
+
+  return {
+    address: current?.address ?? null,
+    messages: current?.messages ?? [],
+    total: current && !current.error ? current.posts.length : null,
+    firstSeen: current?.posts.at(-1)?.timestamp ?? null,
+    error: current?.error ?? null,
+    loading: Boolean(portal && key) && !current,
+    loadingMore,
+    hasMore: Boolean(current && current.messages.length < current.posts.length),
+    loadMore,
+  };
+};
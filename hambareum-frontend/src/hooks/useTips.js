@@ -0,0 +1,103 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+
+// Keeps getTipTotals calls well under node response limits.
+const BATCH_SIZE = 100;
+
+/**
+ * Loads how much each of `messageIds` has been tipped and keeps the totals
+ * current from Tipped events.
+ *
+ * `getTipTotal(id)` returns the total in wei. `tip(id, value)` sends `value`
+ * wei to the message's author and resolves once the transaction is mined;
+ * errors are left to the caller.
+ */
+export const useTips = ({ chainId, portal, messageIds }) => {
+  const key = String(chainId);
+  const [state, setState] = useState({ key, byId: {} });
+  const [tipping, setTipping] = useState(null);
+  // Ids already requested for the current chain, so each is loaded only once.
+  const requestedRef = useRef({ key, ids: new Set() });
+
+  const loadTotals = useCallback(
+    async (ids) => {
+      if (ids.length === 0 || !portal) return;
+
+      try {
+        const byId = {};
+        for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+          const batch = ids.slice(i, i + BATCH_SIZE);
+          const totals = await portal.getTipTotals(batch);
+          batch.forEach((id, j) => {
+            byId[id] = totals[j];
+          });
+        }
+        setState((current) =>
+          current.key === key
+            ? { key, byId: { ...current.byId, ...byId } }
+            : { key, byId }
+        );
+      } catch (e) {
+        console.error("Error loading tips:", e);
+      }
+    },
+    [key, portal]
+  );
+
+  // messageIds is rebuilt on every render, so compare by value.
+  const idsKey = messageIds.join(",");
+  useEffect(() => {
+    if (!portal) return;
+
+    if (requestedRef.current.key !== key) {
+      requestedRef.current = { key, ids: new Set() };
+    }
+    const requested = requestedRef.current.ids;
+    const missing = (idsKey ? idsKey.split(",").map(Number) : []).filter(
+      (id) => !requested.has(id)
+    );
+    missing.forEach((id) => requested.add(id));
+    loadTotals(missing);
+  }, [portal, key, idsKey, loadTotals]);
+
+  // Re-read the total rather than adding the event's value, so a reload
+  // racing with an event can't count a tip twice.
+  useEffect(() => {
+    if (!portal) return;
+
+    return portal.subscribe({
+      Tipped: (messageId) => {
+        const id = Number(messageId);
+        if (requestedRef.current.ids.has(id)) {
+          loadTotals([id]);
+        }
+      },
+    });
+  }, [portal, loadTotals]);
+
+  const byId = useMemo(
+    () => (state.key === key ? state.byId : {}),
+    [state, key]
+  );
+
+  const getTipTotal = useCallback((id) => byId[id] ?? 0n, [byId]);
+
+  const tip = useCallback(
+    async (id, value) => {
+      if (!portal) return;
+
+      setTipping(id);
+      try {
+        const tx = await portal.tip(id, value);
+        await tx.wait();
+        await loadTotals([id]);
+      } finally {
+        setTipping(null);
+      }
+    },
+    [portal, loadTotals]
+  );
+
+  const isTipping = (id) => tipping === id;
+
+  return { getTipTotal, tip, isTipping };
+};
@@ -0,0 +1,310 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { decodeContractError } from "../contract/contractErrors.js";
+import { GENERAL_CHANNEL } from "../contract/constants.js";
+
+const STORAGE_KEY = "hambareum.transactions";
+const POLL_INTERVAL_MS = 4000;
+// Pending transactions older than this are flagged as stuck and offered a speed-up.
+const STUCK_AFTER_MS = 60 * 1000;
+// A transaction the node has forgotten about is reported as dropped after this long.
+const DROP_AFTER_MS = 5 * 60 * 1000;
+// Settled entries (failed, replaced, dropped) are forgotten after a day.
+const SETTLED_TTL_MS = 24 * 60 * 60 * 1000;
+// Confirmed entries stop being tracked once they are this deep.
+export const CONFIRMATION_TARGET = 3;
+// Nodes require replacements to outbid the original by at least 10%.
+const SPEED_UP_PERCENT = 125n;
+
+// Only entries the user may still act on are persisted; confirmed ones are
+// already part of the on-chain history after a reload.
+const loadTransactions = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+    return stored.filter(
+      (tx) =>
+        tx.status === "pending" || Date.now() - tx.submittedAt < SETTLED_TTL_MS
+    );
+  } catch {
+    return [];
+  }
+};
+
+const saveTransactions = (transactions) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify(transactions.filter((tx) => tx.status !== "confirmed"))
+    );
+  } catch {
+    // Storage full or unavailable; tracking just doesn't survive a reload.
+  }
+};
+
+// Entries saved before speed-ups kept every hash only have the one.
+const sentHashes = (entry) => entry.hashes ?? [entry.hash];
+
+const bump = (value) => (value * SPEED_UP_PERCENT) / 100n;
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+/**
+ * Tracks the lifecycle of posts (sendMessage and sendBoostedMessage
+ * transactions) sent by `account` on `chainId`:
+ * pending -> confirmed | failed | replaced | dropped.
+ *
+ * Each entry is a plain object so it can be persisted in localStorage:
+ * `{ hash, hashes, from, chainId, nonce, relayedBy, value, channelId,
+ *    content, parentId, bodyHash, submittedAt, status, confirmations,
+ *    blockNumber, blockTimestamp, minedHash, messageId, error }`,
+ * where `hash` (the first transaction sent) identifies the entry, `hashes`
+ * are all the transactions sent for it, speed-ups included, `minedHash` is
+ * whichever of them was mined, `value` is the boost fee in wei as a decimal
+ * string ("0" if none), `bodyHash` is set for long-form posts, whose
+ * `content` is the preview, and `messageId` is the id of the posted message
+ * once confirmed.
+ *
+ * Gasless posts are tracked the same way: `from` is still the signer, while
+ * `relayedBy` and `nonce` belong to the relayer that sent the transaction.
+ */
+export const useTransactionTracker = ({ account, chainId, portal }) => {
+  const [transactions, setTransactions] = useState(loadTransactions);
+  const [now, setNow] = useState(() => Date.now());
+  const transactionsRef = useRef(transactions);
+
+  useEffect(() => {
+    transactionsRef.current = transactions;
+    saveTransactions(transactions);
+  }, [transactions]);
+
+  const updateTransaction = useCallback((hash, changes) => {
+    setTransactions((current) =>
+      current.map((tx) => (tx.hash === hash ? { ...tx, ...changes } : tx))
+    );
+  }, []);
+
+  // `post` is what was sent: `{ channelId, content, parentId, bodyHash }`.
+  const trackTransaction = useCallback(
+    (tx, { channelId, content, parentId = null, bodyHash = null }) => {
+      setTransactions((current) => [
+        {
+          hash: tx.hash,
+          hashes: [tx.hash],
+          from: tx.from.toLowerCase(),
+          chainId,
+          nonce: tx.nonce,
+          relayedBy: tx.relayedBy?.toLowerCase() ?? null,
+          value: (tx.value ?? 0n).toString(),
+          channelId,
+          content,
+          parentId,
+          bodyHash,
+          submittedAt: Date.now(),
+          status: "pending",
+          confirmations: 0,
+        },
+        ...current,
+      ]);
+    },
+    [chainId]
+  );
+
+  const removeTransaction = useCallback((hash) => {
+    setTransactions((current) => current.filter((tx) => tx.hash !== hash));
+  }, []);
+
+  // Re-sends a stuck transaction with the same nonce and data but higher fees.
+  // The original stays tracked too, since either one may end up mined.
+  const speedUpTransaction = useCallback(
+    async (hash) => {
+      const { provider } = portal;
+      const entry = transactionsRef.current.find((tx) => tx.hash === hash);
+      const tx = await provider.getTransaction(sentHashes(entry).at(-1));
+      if (!tx || tx.blockNumber !== null) {
+        throw new Error("Transaction is no longer pending.");
+      }
+
+      const feeData = await provider.getFeeData();
+      const fees =
+        tx.maxFeePerGas !== null
+          ? {
+              maxFeePerGas: maxBigInt(
+                bump(tx.maxFeePerGas),
+                feeData.maxFeePerGas ?? 0n
+              ),
+              maxPriorityFeePerGas: maxBigInt(
+                bump(tx.maxPriorityFeePerGas),
+                feeData.maxPriorityFeePerGas ?? 0n
+              ),
+            }
+          : { gasPrice: maxBigInt(bump(tx.gasPrice), feeData.gasPrice ?? 0n) };
+
+      const signer = await portal.getSigner();
+      const replacement = await signer.sendTransaction({
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        nonce: tx.nonce,
+        gasLimit: tx.gasLimit,
+        ...fees,
+      });
+
+      if (replacement.nonce !== tx.nonce) {
+        // Track it anyway: it is a second post of the same message.
+        trackTransaction(replacement, entry);
+        throw new Error(
+          "Your wallet refused to replace the transaction and sent a new one " +
+            "instead, so the message may be posted twice."
+        );
+      }
+
+      updateTransaction(hash, {
+        hashes: [...sentHashes(entry), replacement.hash],
+        submittedAt: Date.now(),
+      });
+    },
+    [portal, trackTransaction, updateTransaction]
+  );
+
+  // Polls the node for every pending or not-yet-final entry. Polling (rather
+  // than tx.wait()) lets entries restored from localStorage resume tracking.
+  useEffect(() => {
+    if (!account || !portal) return;
+
+    const { provider } = portal;
+    let active = true;
+
+    // Looks for a receipt among all the transactions sent for the entry; at
+    // most one of them can be mined, as they share a nonce.
+    const findReceipt = async (entry) => {
+      for (const hash of sentHashes(entry)) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+      }
+      return null;
+    };
+
+    const checkTransaction = async (entry, blockNumber) => {
+      const receipt = await findReceipt(entry);
+
+      if (receipt) {
+        const confirmations = blockNumber - receipt.blockNumber + 1;
+        if (entry.status === "confirmed") {
+          return confirmations >= CONFIRMATION_TARGET
+            ? null
+            : { confirmations };
+        }
+        if (receipt.status === 1) {
+          const block = await provider.getBlock(receipt.blockNumber);
+          return {
+            status: "confirmed",
+            confirmations,
+            minedHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            blockTimestamp: block.timestamp,
+            messageId: portal.getPostedMessageId(receipt),
+          };
+        }
+
+        // Replay the call against the block it was mined in to recover the
+        // revert reason, which receipts don't include.
+        let error = "Transaction reverted.";
+        try {
+          await portal.replaySendMessage(
+            {
+              // Entries saved before channels existed were general posts.
+              channelId: entry.channelId ?? GENERAL_CHANNEL,
+              content: entry.content,
+              parentId: entry.parentId,
+              value: BigInt(entry.value ?? "0"),
+              bodyHash: entry.bodyHash ?? null,
+            },
+            entry.from,
+            receipt.blockNumber
+          );
+        } catch (e) {
+          error = decodeContractError(e).message;
+        }
+        return {
+          status: "failed",
+          blockNumber: receipt.blockNumber,
+          minedHash: receipt.hash,
+          error,
+        };
+      }
+
+      for (const hash of sentHashes(entry)) {
+        if (await provider.getTransaction(hash)) return {};
+      }
+
+      // Unknown to the node: either another transaction used the nonce, or
+      // the transaction was evicted from the mempool.
+      const nonce = await provider.getTransactionCount(
+        entry.relayedBy ?? entry.from,
+        "latest"
+      );
+      if (nonce > entry.nonce) {
+        return {
+          status: "replaced",
+          error: "Replaced by another transaction with the same nonce.",
+        };
+      }
+      if (Date.now() - entry.submittedAt > DROP_AFTER_MS) {
+        return {
+          status: "dropped",
+          error: "Dropped from the mempool before it was mined.",
+        };
+      }
+      return {};
+    };
+
+    const poll = async () => {
+      const tracked = transactionsRef.current.filter(
+        (tx) =>
+          tx.from === account.toLowerCase() &&
+          tx.chainId === chainId &&
+          (tx.status === "pending" || tx.status === "confirmed")
+      );
+      setNow(Date.now());
+      if (tracked.length === 0) return;
+
+      try {
+        const blockNumber = await provider.getBlockNumber();
+        for (const entry of tracked) {
+          const changes = await checkTransaction(entry, blockNumber);
+          if (!active) return;
+          if (changes === null) {
+            removeTransaction(entry.hash);
+          } else if (Object.keys(changes).length > 0) {
+            updateTransaction(entry.hash, changes);
+          }
+        }
+      } catch (e) {
+        console.error("Error tracking transactions:", e);
+      }
+    };
+
+    poll();
+    const intervalId = setInterval(poll, POLL_INTERVAL_MS);
+
+    return () => {
+      active = false;
+      clearInterval(intervalId);
+    };
+  }, [account, chainId, portal, updateTransaction, removeTransaction]);
+
+  const accountTransactions = transactions
+    .filter(
+      (tx) =>
+        account && tx.from === account.toLowerCase() && tx.chainId === chainId
+    )
+    .map((tx) => ({
+      ...tx,
+      stuck: tx.status === "pending" && now - tx.submittedAt > STUCK_AFTER_MS,
+    }));
+
+  return {
+    transactions: accountTransactions,
+    trackTransaction,
+    removeTransaction,
+    speedUpTransaction,
+  };
+};
@@ -0,0 +1,148 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { toHexChainId } from "../contract/chains.js";
+import { READ_ONLY_CHAIN_ID } from "../services/hambaPortal.js";
+import {
+  discoverWallets,
+  forgetWallet,
+  getAccounts,
+  getRememberedWallet,
+  getWalletChainId,
+  rememberWallet,
+  requestAccounts,
+  revokeAccounts,
+  subscribeWallet,
+} from "../services/wallet.js";
+
+const DISCONNECTED = { wallet: null, account: null, chainId: null };
+
+// Without a wallet the board is read-only, served by a JSON-RPC endpoint for
+// READ_ONLY_CHAIN_ID.
+const effectiveChainId = (connection) =>
+  connection.chainId ?? toHexChainId(READ_ONLY_CHAIN_ID);
+
+const sameChain = (a, b) => Number(a) === Number(b);
+
+/**
+ * Discovers installed wallets (EIP-6963) and tracks the one the user
+ * connected: its account and chain, kept current from that wallet's own
+ * events. The choice is remembered and silently restored on the next visit
+ * if the wallet still has the site authorised.
+ *
+ * `chainId` is the connected wallet's chain, or the read-only chain while no
+ * wallet is connected. `onChainChanged` is called whenever it changes, so
+ * chain-specific state can be dropped; pass a stable callback.
+ */
+export const useWallet = ({ onChainChanged }) => {
+  const [wallets, setWallets] = useState([]);
+  const [connection, setConnection] = useState(DISCONNECTED);
+  // Mirrors `connection` for event handlers, which would otherwise compare
+  // against the state from when they were created.
+  const connectionRef = useRef(DISCONNECTED);
+  const restoreAttemptedRef = useRef(false);
+
+  const updateConnection = useCallback(
+    (next) => {
+      const previous = connectionRef.current;
+      connectionRef.current = next;
+      setConnection(next);
+      if (!sameChain(effectiveChainId(previous), effectiveChainId(next))) {
+        onChainChanged();
+      }
+    },
+    [onChainChanged]
+  );
+
+  useEffect(() => discoverWallets(setWallets), []);
+
+  // Reconnects the remembered wallet once it has announced itself, without
+  // prompting; a wallet that no longer has the site authorised stays
+  // disconnected.
+  useEffect(() => {
+    if (restoreAttemptedRef.current) return;
+    const rdns = getRememberedWallet();
+    const remembered = rdns && wallets.find((w) => w.info.rdns === rdns);
+    if (!remembered) return;
+
+    restoreAttemptedRef.current = true;
+    const restore = async () => {
+      try {
+        const [accounts, chainId] = await Promise.all([
+          getAccounts(remembered.provider),
+          getWalletChainId(remembered.provider),
+        ]);
+        // The user may have picked a wallet in the meantime.
+        if (accounts.length === 0 || connectionRef.current.wallet) return;
+        updateConnection({ wallet: remembered, account: accounts[0], chainId });
+      } catch (e) {
+        console.error("Error restoring wallet:", e);
+      }
+    };
+    restore();
+  }, [wallets, updateConnection]);
+
+  const { wallet } = connection;
+  useEffect(() => {
+    if (!wallet) return;
+
+    // Events from a wallet the user has since switched away from are stale.
+    const isCurrent = () => connectionRef.current.wallet === wallet;
+
+    return subscribeWallet(wallet.provider, {
+      // An empty list means the user disconnected the site in the wallet.
+      onAccountsChanged: (accounts) => {
+        if (!isCurrent()) return;
+        if (accounts.length === 0) {
+          forgetWallet();
+          updateConnection(DISCONNECTED);
+        } else {
+          updateConnection({ ...connectionRef.current, account: accounts[0] });
+        }
+      },
+      onChainChanged: (chainId) => {
+        if (!isCurrent()) return;
+        updateConnection({ ...connectionRef.current, chainId });
+      },
+      // The wallet lost its connection to every chain. Keep the choice so it
+      // is restored on reload once the wallet is back.
+      onDisconnect: () => {
+        if (!isCurrent()) return;
+        updateConnection(DISCONNECTED);
+      },
+    });
+  }, [wallet, updateConnection]);
+
+  /**
+   * Prompts `connector` to connect, remembers it and resolves to its chain
+   * id. Throws if the wallet rejects or authorises no accounts.
+   */
+  const connect = useCallback(
+    async (connector) => {
+      const accounts = await requestAccounts(connector.provider);
+      if (accounts.length === 0) {
+        throw new Error("No authorized accounts found.");
+      }
+      const chainId = await getWalletChainId(connector.provider);
+
+      rememberWallet(connector.info.rdns);
+      updateConnection({ wallet: connector, account: accounts[0], chainId });
+      return chainId;
+    },
+    [updateConnection]
+  );
+
+  const disconnect = useCallback(async () => {
+    const current = connectionRef.current.wallet;
+    forgetWallet();
+    updateConnection(DISCONNECTED);
+    if (current) await revokeAccounts(current.provider);
+  }, [updateConnection]);
+
+  return {
+    wallets,
+    wallet,
+    account: connection.account,
+    chainId: effectiveChainId(connection),
+    connect,
+    disconnect,
+  };
+};
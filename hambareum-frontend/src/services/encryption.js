@@ -0,0 +1,118 @@
+import {
+  SigningKey,
+  concat,
+  getBytes,
+  hexlify,
+  keccak256,
+  toUtf8Bytes,
+  toUtf8String,
+} from "ethers";
+
+// Signed to derive the account's direct message key, so the key is never
+// stored anywhere.
+const KEY_DERIVATION_MESSAGE = [
+  "Unlock your Hambareum direct messages.",
+  "",
+  "Signing this derives your encryption key. Only sign it on Hambareum:",
+  "anyone holding this signature can read your direct messages.",
+].join("\n");
+
+// Envelope layout, in bytes:
+//   version (1) | sender key (33) | recipient key (33) | IV (12) | AES-GCM
+// Both public keys travel with each message, so either participant can
+// still read it after the other publishes a new key. The header is bound to
+// the ciphertext as additional authenticated data.
+const VERSION = 1;
+const KEY_LENGTH = 33;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = 1 + 2 * KEY_LENGTH + IV_LENGTH;
+
+// Mirrors HambaPortal.MAX_DIRECT_MESSAGE_LENGTH, in bytes of envelope.
+const MAX_DIRECT_MESSAGE_LENGTH = 1024;
+
+// Longest plaintext that fits in an envelope, in UTF-8 bytes.
+export const MAX_PLAINTEXT_LENGTH =
+  MAX_DIRECT_MESSAGE_LENGTH - HEADER_LENGTH - TAG_LENGTH;
+
+/**
+ * Asks `signer` to sign KEY_DERIVATION_MESSAGE and returns the SigningKey
+ * derived from the signature. Publish its `compressedPublicKey` so others
+ * can write to the account; keep the key itself in memory only.
+ *
+ * The same key only comes back each session if the wallet signs
+ * deterministically (RFC 6979), as most do. One that randomizes signatures
+ * derives a new key every time, so compare the result with the account's
+ * published key before trusting it to read older messages.
+ */
+export const deriveEncryptionKey = async (signer) =>
+  new SigningKey(keccak256(await signer.signMessage(KEY_DERIVATION_MESSAGE)));
+
+// ECDH gives both sides the same point; its hash is the AES-256 key.
+const importSharedKey = (privateKey, publicKey) =>
+  crypto.subtle.importKey(
+    "raw",
+    getBytes(keccak256(privateKey.computeSharedSecret(publicKey))),
+    "AES-GCM",
+    false,
+    ["encrypt", "decrypt"]
+  );
+
+/**
+ * Encrypts `text` from `privateKey` to `recipientKey` (a compressed public
+ * key) and returns the envelope as a hex string.
+ */
+export const encryptDirectMessage = async (privateKey, recipientKey, text) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const header = getBytes(
+    concat([
+      new Uint8Array([VERSION]),
+      privateKey.compressedPublicKey,
+      recipientKey,
+      iv,
+    ])
+  );
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: header },
+    await importSharedKey(privateKey, recipientKey),
+    toUtf8Bytes(text)
+  );
+  return concat([header, new Uint8Array(ciphertext)]);
+};
+
+/**
+ * Decrypts an envelope with the key of either participant. Resolves to
+ * null when the envelope is malformed, was sealed for another key or has
+ * been tampered with.
+ */
+export const decryptDirectMessage = async (privateKey, envelope) => {
+  const bytes = getBytes(envelope);
+  if (bytes.length < HEADER_LENGTH + TAG_LENGTH || bytes[0] !== VERSION) {
+    return null;
+  }
+
+  const header = bytes.slice(0, HEADER_LENGTH);
+  const senderKey = hexlify(bytes.slice(1, 1 + KEY_LENGTH));
+  const recipientKey = hexlify(bytes.slice(1 + KEY_LENGTH, 1 + 2 * KEY_LENGTH));
+  const iv = bytes.slice(1 + 2 * KEY_LENGTH, HEADER_LENGTH);
+
+  const ownKey = privateKey.compressedPublicKey;
+  const otherKey =
+    senderKey === ownKey
+      ? recipientKey
+      : recipientKey === ownKey
+      ? senderKey
+      : null;
+  if (!otherKey) return null;
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv, additionalData: header },
+      await importSharedKey(privateKey, otherKey),
+      bytes.slice(HEADER_LENGTH)
+    );
+    return toUtf8String(new Uint8Array(plaintext));
+  } catch {
+    return null;
+  }
+};
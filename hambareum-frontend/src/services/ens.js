@@ -0,0 +1,112 @@
+import { Network } from "ethers";
+
+// localStorage key holding resolved names keyed by "<chainId>:<address>".
+const STORAGE_KEY = "hambareum.ens";
+const NAME_TTL_MS = 24 * 60 * 60 * 1000;
+// Addresses without a name are re-checked sooner, so a newly set primary
+// name shows up the same day.
+const MISSING_TTL_MS = 60 * 60 * 1000;
+// Lookups run this many at a time; ethers folds concurrent calls into
+// JSON-RPC batches.
+const CONCURRENCY = 10;
+
+const ENS_PLUGIN = "org.ethers.plugins.network.Ens";
+
+/**
+ * @typedef {object} EnsIdentity
+ * @property {string} name Primary ENS name, forward-verified.
+ * @property {string | null} avatar Resolved avatar URL.
+ */
+
+/** Whether ENS is deployed on `chainId` (mainnet and its testnets). */
+export const supportsEns = (chainId) =>
+  Network.from(Number(chainId)).getPlugin(ENS_PLUGIN) !== null;
+
+const readCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const writeCache = (cache) => {
+  const now = Date.now();
+  const fresh = Object.fromEntries(
+    Object.entries(cache).filter(([, entry]) => entry.expiresAt > now)
+  );
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(fresh));
+  } catch {
+    // Storage full or unavailable; names are just looked up again.
+  }
+};
+
+/** @returns {Promise<EnsIdentity | null>} */
+const lookup = async (provider, address) => {
+  const name = await provider.lookupAddress(address);
+  if (!name) return null;
+
+  // Anyone can point their reverse record at any name, so only trust it if
+  // the name resolves back to the same address.
+  const resolved = await provider.resolveName(name);
+  if (resolved?.toLowerCase() !== address.toLowerCase()) return null;
+
+  let avatar = null;
+  try {
+    avatar = await provider.getAvatar(name);
+  } catch (e) {
+    console.error(`Error resolving avatar for ${name}:`, e);
+  }
+  return { name, avatar };
+};
+
+/**
+ * Resolves `addresses` to their primary ENS names and avatars on `chainId`
+ * through `provider`, serving what it can from the localStorage cache.
+ * Resolves to `{ [lowercase address]: EnsIdentity | null }`; addresses whose
+ * lookup failed are left out so they are retried later.
+ */
+export const resolveEnsNames = async (provider, chainId, addresses) => {
+  const cache = readCache();
+  const now = Date.now();
+  const results = {};
+  const missing = [];
+
+  for (const address of addresses) {
+    const entry = cache[`${Number(chainId)}:${address.toLowerCase()}`];
+    if (entry && entry.expiresAt > now) {
+      results[address.toLowerCase()] = entry.identity;
+    } else {
+      missing.push(address);
+    }
+  }
+
+  for (let i = 0; i < missing.length; i += CONCURRENCY) {
+    const batch = missing.slice(i, i + CONCURRENCY);
+    await Promise.all(
+      batch.map(async (address) => {
+        try {
+          const identity = await lookup(provider, address);
+          results[address.toLowerCase()] = identity;
+          cache[`${Number(chainId)}:${address.toLowerCase()}`] = {
+            identity,
+            expiresAt: Date.now() + (identity ? NAME_TTL_MS : MISSING_TTL_MS),
+          };
+        } catch (e) {
+          console.error(`Error resolving ENS name for ${address}:`, e);
+        }
+      })
+    );
+  }
+
+  if (missing.length > 0) writeCache(cache);
+  return results;
+};
+
+/**
+ * The address `name` resolves to on `chainId`, or null when it doesn't
+ * resolve or the chain has no ENS.
+ */
+export const resolveEnsAddress = async (provider, chainId, name) =>
+  supportsEns(chainId) ? provider.resolveName(name) : null;
@@ -0,0 +1,683 @@
+import {
+  Contract,
+  JsonRpcProvider,
+  Network,
+  ZeroAddress,
+  ZeroHash,
+} from "ethers";
+import { ABI } from "../contract/generated/hambaPortal.js";
+import { DEFAULT_CHAIN_ID, getChain } from "../contract/chains.js";
+import { NO_PARENT, SEND_MESSAGE } from "../contract/constants.js";
+import { canSearch, searchMessages } from "./indexer.js";
+import { getSigner, getWalletProvider } from "./wallet.js";
+
+// Chain shown to visitors without a wallet; VITE_CHAIN_ID overrides it.
+export const READ_ONLY_CHAIN_ID = Number(
+  import.meta.env.VITE_CHAIN_ID ?? DEFAULT_CHAIN_ID
+);
+
+// Public RPCs cap how many blocks one eth_getLogs call may span, so log
+// scans go this many blocks at a time.
+const LOG_BLOCK_RANGE = 5000;
+
+// Largest page the indexer serves.
+const INDEXER_PAGE_SIZE = 100;
+
+/**
+ * @typedef {object} Message
+ * @property {number} id Index in the on-chain `messages` array.
+ * @property {string} sender
+ * @property {string} content
+ * @property {number} timestamp Block timestamp, in seconds.
+ * @property {boolean} hidden
+ * @property {number | null} parentId null for top-level messages.
+ * @property {number} replyCount
+ * @property {number} channelId
+ * @property {string | null} bodyHash sha256 of a long-form body stored
+ *   off-chain (see services/storage.js), in which case `content` is its
+ *   preview; null for regular posts.
+ * @property {boolean} edited
+ * @property {number} editCount
+ * @property {boolean} deleted Deleted posts keep their place with empty
+ *   `content`; what they said is still in their revisions.
+ * @property {number} [editableUntil] Until when the author may edit or
+ *   delete the post, in seconds; 0 if never. Missing on search results.
+ */
+
+/**
+ * @typedef {object} Revision A version of a message later replaced by an
+ *   edit or cleared by its deletion.
+ * @property {string} content
+ * @property {string | null} bodyHash
+ * @property {number} replacedAt Block timestamp of the edit or deletion.
+ */
+
+/**
+ * @typedef {object} Channel
+ * @property {number} id
+ * @property {string} name
+ * @property {string} creator Administers the channel, along with the owner.
+ * @property {boolean} allowlistOnly
+ * @property {boolean} customCooldown Whether cooldownTime replaces the
+ *   portal-wide cooldown in this channel.
+ * @property {number} cooldownTime In seconds.
+ * @property {number} messageCount Including replies.
+ */
+
+/**
+ * @typedef {object} Post
+ * @property {number} channelId
+ * @property {string} content
+ * @property {number | null} [parentId]
+ * @property {bigint} [value] Boost fee in wei; boosted posts are top-level.
+ * @property {string | null} [bodyHash] Set for long-form posts, whose
+ *   `content` is the preview.
+ */
+
+/**
+ * @typedef {Message & { boostedUntil: number }} BoostedMessage
+ * `boostedUntil` is when the pin expires, in seconds.
+ */
+
+/**
+ * @typedef {object} DirectMessage
+ * @property {number} id
+ * @property {string} from
+ * @property {string} to
+ * @property {string} ciphertext Hex; see services/encryption.js.
+ * @property {number} timestamp Block timestamp, in seconds.
+ */
+
+/**
+ * @typedef {object} Limits
+ * @property {number} cooldownTime Seconds between messages from one sender.
+ * @property {number} maxMessageLength In UTF-8 bytes.
+ * @property {bigint} boostPricePerHour In wei; boosts must buy at least
+ *   minBoostDuration seconds.
+ * @property {number} minBoostDuration In seconds.
+ * @property {number} editWindow Seconds after posting that authors may
+ *   edit or delete new messages; 0 when they can't.
+ */
+
+/**
+ * @typedef {object} Roles
+ * @property {boolean} isOwner
+ * @property {boolean} isModerator
+ * @property {boolean} isBanned
+ */
+
+/**
+ * @typedef {object} Reactions
+ * @property {number[]} counts Indexed by reaction type.
+ * @property {boolean[]} mine Whether the account added each type.
+ */
+
+/**
+ * @typedef {object} LogEntry A contract event, for audit logs.
+ * @property {string} key Unique per event.
+ * @property {string} name The event's name.
+ * @property {import("ethers").Result} args
+ * @property {number} blockNumber
+ * @property {number} timestamp Block timestamp, in seconds.
+ */
+
+/** @returns {Message} */
+const formatMessage = (message, id) => ({
+  id,
+  sender: message.sender,
+  content: message.content,
+  timestamp: Number(message.timestamp),
+  hidden: message.hidden,
+  parentId: message.parentId === NO_PARENT ? null : Number(message.parentId),
+  replyCount: Number(message.replyCount),
+  channelId: Number(message.channelId),
+  bodyHash: message.bodyHash === ZeroHash ? null : message.bodyHash,
+  edited: message.edited,
+  editCount: Number(message.editCount),
+  deleted: message.deleted,
+  editableUntil: Number(message.editableUntil),
+});
+
+/**
+ * The fields of a loaded {@link Message} that a MessageEdited event
+ * changes, from the event's `revision`, `content` and `bodyHash`.
+ */
+export const editedFields = (revision, content, bodyHash) => ({
+  content,
+  bodyHash: bodyHash === ZeroHash ? null : bodyHash,
+  edited: true,
+  editCount: Number(revision),
+});
+
+/** The fields of a loaded {@link Message} that a MessageDeleted changes. */
+export const DELETED_FIELDS = { content: "", bodyHash: null, deleted: true };
+
+/** @returns {Channel} */
+const formatChannel = (channel, id) => ({
+  id,
+  name: channel.name,
+  creator: channel.creator,
+  allowlistOnly: channel.allowlistOnly,
+  customCooldown: channel.customCooldown,
+  cooldownTime: Number(channel.cooldownTime),
+  messageCount: Number(channel.messageCount),
+});
+
+/** @returns {DirectMessage} */
+const formatDirectMessage = ({ id, from, to, ciphertext, timestamp }) => ({
+  id: Number(id),
+  from,
+  to,
+  ciphertext,
+  timestamp: Number(timestamp),
+});
+
+// Reads go through the connected wallet when there is one (so they follow
+// the network the user picked), otherwise through VITE_RPC_URL or the
+// chain's first public RPC URL.
+const createReadProvider = (chain, wallet) => {
+  if (wallet) return getWalletProvider(wallet.provider, chain.id);
+
+  const url = import.meta.env.VITE_RPC_URL ?? chain.rpcUrls[0];
+  // The network is fixed, so skip ethers' chain id detection on every call.
+  return new JsonRpcProvider(url, chain.id, {
+    staticNetwork: Network.from(chain.id),
+  });
+};
+
+const createService = (chain, wallet) => {
+  const provider = createReadProvider(chain, wallet);
+  const contract = new Contract(chain.contractAddress, ABI, provider);
+
+  const getWalletSigner = () => {
+    if (!wallet) throw new Error("Connect a wallet first.");
+    return getSigner(wallet.provider, chain.id);
+  };
+
+  // Simulates `method` from the connected wallet, so reverts surface before
+  // the wallet prompt opens, then sends it.
+  const send = async (method, ...args) => {
+    const signed = contract.connect(await getWalletSigner());
+    await signed[method].staticCall(...args);
+    return signed[method](...args);
+  };
+
+  // Logs matching `filter` from `fromBlock` to the latest block, oldest
+  // first, fetched newest window first.
+  const queryLogs = async (filter, fromBlock = chain.deployBlock) => {
+    const pages = [];
+    for (
+      let toBlock = await provider.getBlockNumber();
+      toBlock >= fromBlock;
+      toBlock -= LOG_BLOCK_RANGE
+    ) {
+      const from = Math.max(fromBlock, toBlock - LOG_BLOCK_RANGE + 1);
+      pages.unshift(await contract.queryFilter(filter, from, toBlock));
+    }
+    return pages.flat();
+  };
+
+  /**
+   * Calls `handlers[eventName](...args)` for every new contract event and
+   * returns a function that stops listening. All subscriptions share the
+   * service's provider, so there is one polling loop per chain; each
+   * listener is wrapped so unsubscribing removes only its own.
+   */
+  const subscribe = (handlers) => {
+    const listeners = Object.entries(handlers).map(([name, handler]) => [
+      name,
+      (...args) => handler(...args),
+    ]);
+    listeners.forEach(([name, listener]) => contract.on(name, listener));
+    return () => {
+      listeners.forEach(([name, listener]) => contract.off(name, listener));
+    };
+  };
+
+  // Block timestamps by number, for log entries; blocks don't change once
+  // their events are seen.
+  const blockTimes = new Map();
+  const getBlockTime = async (blockNumber) => {
+    if (!blockTimes.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      blockTimes.set(blockNumber, block.timestamp);
+    }
+    return blockTimes.get(blockNumber);
+  };
+
+  /** @returns {Promise<LogEntry>} */
+  const toLogEntry = async (event) => ({
+    key: `${event.transactionHash}-${event.index}`,
+    name: event.eventName,
+    args: event.args,
+    blockNumber: event.blockNumber,
+    timestamp: await getBlockTime(event.blockNumber),
+  });
+
+  return {
+    chain,
+    provider,
+
+    getChannelCount: async () => Number(await contract.getChannelCount()),
+
+    /** @returns {Promise<Channel[]>} By id. */
+    getChannels: async (offset, limit) =>
+      (await contract.getChannels(offset, limit)).map((channel, i) =>
+        formatChannel(channel, offset + i)
+      ),
+
+    /**
+     * `offset` and `limit` count the channel's own messages (replies
+     * included), not message ids.
+     * @returns {Promise<Message[]>} Oldest first.
+     */
+    getChannelMessages: async (channelId, offset, limit) => {
+      const [ids, page] = await contract.getChannelMessages(
+        channelId,
+        offset,
+        limit
+      );
+      return page.map((message, i) => formatMessage(message, Number(ids[i])));
+    },
+
+    /** @returns {Promise<number>} 0 for channels that don't exist. */
+    getChannelMessageCount: async (channelId) => {
+      const [channel] = await contract.getChannels(channelId, 1);
+      return Number(channel?.messageCount ?? 0);
+    },
+
+    /** Whether `account` is on an allowlist-only channel's allowlist. */
+    isChannelMember: (channelId, account) =>
+      contract.channelMembers(channelId, account),
+
+    /** @returns {Promise<Message | null>} null if there's no message `id`. */
+    getMessage: async (id) => {
+      const [message] = await contract.getMessages(id, 1);
+      return message ? formatMessage(message, id) : null;
+    },
+
+    /**
+     * Ids and post times of every message `sender` has posted since the
+     * deployment, replies included. Asks the indexer when it follows this
+     * deployment, since scanning the logs takes a call per block window.
+     * @returns {Promise<{ id: number, timestamp: number }[]>} Oldest first.
+     */
+    getSenderMessageIds: async (sender) => {
+      if (await canSearch(chain)) {
+        const messages = [];
+        let total = Infinity;
+        while (messages.length < total) {
+          const page = await searchMessages({
+            sender,
+            offset: messages.length,
+            limit: INDEXER_PAGE_SIZE,
+          });
+          if (page.messages.length === 0) break;
+          messages.push(...page.messages);
+          total = page.total;
+        }
+        return messages
+          .map(({ id, timestamp }) => ({ id, timestamp }))
+          .sort((a, b) => a.id - b.id);
+      }
+
+      const events = await queryLogs(contract.filters.NewMessage(sender));
+      return events
+        .map(({ args }) => ({
+          id: Number(args.id),
+          timestamp: Number(args.timestamp),
+        }))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    /**
+     * Every earlier version of `message`, rebuilt from its MessageEdited and
+     * MessageDeleted events. The scan starts at the block the message was
+     * posted in and stops once its `editCount` edits (and its deletion, if
+     * `deleted`) have turned up.
+     * @param {Pick<Message, "id" | "timestamp" | "editCount" | "deleted">} message
+     * @returns {Promise<Revision[]>} Oldest first.
+     */
+    getRevisions: async ({ id, timestamp, editCount, deleted }) => {
+      const expected = editCount + (deleted ? 1 : 0);
+      if (expected === 0) return [];
+
+      // Messages don't record their block, so binary search for the first
+      // block at or after their timestamp.
+      const head = await provider.getBlockNumber();
+      let low = chain.deployBlock;
+      let high = head;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        const block = await provider.getBlock(middle);
+        if (block.timestamp < timestamp) low = middle + 1;
+        else high = middle;
+      }
+
+      const { MessageEdited, MessageDeleted } = contract.filters;
+      const events = [];
+      for (
+        let fromBlock = low;
+        fromBlock <= head && events.length < expected;
+        fromBlock += LOG_BLOCK_RANGE
+      ) {
+        const toBlock = Math.min(head, fromBlock + LOG_BLOCK_RANGE - 1);
+        const pages = await Promise.all([
+          contract.queryFilter(MessageEdited(id), fromBlock, toBlock),
+          contract.queryFilter(MessageDeleted(id), fromBlock, toBlock),
+        ]);
+        events.push(...pages.flat());
+      }
+      return events
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+        .map(({ args }) => ({
+          content: args.previousContent,
+          bodyHash:
+            args.previousBodyHash === ZeroHash ? null : args.previousBodyHash,
+          replacedAt: Number(args.timestamp),
+        }));
+    },
+
+    /** @returns {Promise<Message[]>} Direct replies, oldest first. */
+    getReplies: async (parentId, offset, limit) => {
+      const [ids, replies] = await contract.getReplies(parentId, offset, limit);
+      return replies.map((reply, i) => formatMessage(reply, Number(ids[i])));
+    },
+
+    /** @returns {Promise<Limits>} */
+    getLimits: async () => {
+      const [
+        cooldownTime,
+        maxMessageLength,
+        boostPricePerHour,
+        minDuration,
+        editWindow,
+      ] = await Promise.all([
+        contract.cooldownTime(),
+        contract.maxMessageLength(),
+        contract.boostPricePerHour(),
+        contract.MIN_BOOST_DURATION(),
+        contract.editWindow(),
+      ]);
+      return {
+        cooldownTime: Number(cooldownTime),
+        maxMessageLength: Number(maxMessageLength),
+        boostPricePerHour,
+        minBoostDuration: Number(minDuration),
+        editWindow: Number(editWindow),
+      };
+    },
+
+    /** @returns {Promise<Roles>} */
+    getRoles: async (account) => {
+      const [owner, isModerator, isBanned] = await Promise.all([
+        contract.owner(),
+        contract.isModerator(account),
+        contract.banned(account),
+      ]);
+      return {
+        isOwner: owner.toLowerCase() === account.toLowerCase(),
+        isModerator,
+        isBanned,
+      };
+    },
+
+    /**
+     * When `account` last posted in the channel, for its cooldown.
+     * @returns {Promise<number>} Seconds since the epoch; 0 if never.
+     */
+    getLastMessageTime: async (channelId, account) =>
+      Number(await contract.lastMessageTime(channelId, account)),
+
+    /**
+     * @param {number[]} ids
+     * @param {string | null} account
+     * @returns {Promise<Reactions[]>} In the order of `ids`.
+     */
+    getReactions: async (ids, account) => {
+      const [counts, reacted] = await contract.getReactions(
+        ids,
+        account ?? ZeroAddress
+      );
+      return ids.map((_id, i) => ({
+        counts: counts[i].map(Number),
+        mine: [...reacted[i]],
+      }));
+    },
+
+    /** @returns {Promise<BoostedMessage[]>} Active boosts, unordered. */
+    getBoostedMessages: async () => {
+      const [ids, boosted, until] = await contract.getBoostedMessages();
+      return boosted.map((message, i) => ({
+        ...formatMessage(message, Number(ids[i])),
+        boostedUntil: Number(until[i]),
+      }));
+    },
+
+    /**
+     * @param {number[]} ids
+     * @returns {Promise<bigint[]>} Wei tipped to each message's author.
+     */
+    getTipTotals: (ids) => contract.getTipTotals(ids),
+
+    /**
+     * The key `account` receives direct messages with, as a compressed
+     * public key, or null if it hasn't published one.
+     */
+    getEncryptionKey: async (account) => {
+      const key = await contract.encryptionKeys(account);
+      return key === "0x" ? null : key;
+    },
+
+    /**
+     * A page of direct messages sent or received by `account`, scanning
+     * back from block `toBlock` (the latest by default) one block window at
+     * a time until at least `limit` have turned up.
+     * @returns {Promise<{ messages: DirectMessage[], nextBlock: number | null }>}
+     *   Messages oldest first; `nextBlock` is where the next older page
+     *   starts, null once the scan has reached the deployment.
+     */
+    getDirectMessages: async (account, limit, toBlock = null) => {
+      const { DirectMessage } = contract.filters;
+      // Messages to yourself match both filters.
+      const byId = new Map();
+      let to = toBlock ?? (await provider.getBlockNumber());
+      while (to >= chain.deployBlock && byId.size < limit) {
+        const from = Math.max(chain.deployBlock, to - LOG_BLOCK_RANGE + 1);
+        const events = await Promise.all([
+          contract.queryFilter(DirectMessage(null, account), from, to),
+          contract.queryFilter(DirectMessage(null, null, account), from, to),
+        ]);
+        events.flat().forEach((event) => {
+          const message = formatDirectMessage(event.args);
+          byId.set(message.id, message);
+        });
+        to = from - 1;
+      }
+      return {
+        messages: [...byId.values()].sort((a, b) => a.id - b.id),
+        nextBlock: to >= chain.deployBlock ? to : null,
+      };
+    },
+
+    /** @returns {Promise<bigint>} Boost fees awaiting withdrawal, in wei. */
+    getBalance: () => provider.getBalance(chain.contractAddress),
+
+    /**
+     * Past events named in `eventNames` since `fromBlock`, newest first, as
+     * {@link LogEntry} objects.
+     * @returns {Promise<LogEntry[]>}
+     */
+    getEvents: async (eventNames, fromBlock) => {
+      const results = await Promise.all(
+        eventNames.map((name) => queryLogs(name, fromBlock))
+      );
+      return Promise.all(
+        results
+          .flat()
+          .sort((a, b) => b.blockNumber - a.blockNumber || b.index - a.index)
+          .map(toLogEntry)
+      );
+    },
+
+    /**
+     * Calls `onEntry(entry)` with a {@link LogEntry} for every new event
+     * named in `eventNames`; returns a function that stops listening.
+     */
+    subscribeEvents: (eventNames, onEntry) =>
+      subscribe(
+        Object.fromEntries(
+          eventNames.map((name) => [
+            name,
+            // ethers passes the event's payload last.
+            (...args) =>
+              toLogEntry(args.at(-1).log)
+                .then(onEntry)
+                .catch((e) => console.error(`Error reading ${name}:`, e)),
+          ])
+        )
+      ),
+
+    subscribe,
+
+    /** Signer for the connected wallet; throws without one. */
+    getSigner: getWalletSigner,
+
+    /** Resolves to the sent transaction; requires a wallet. */
+    send,
+
+    /**
+     * Opens a channel administered by the connected account; resolves to
+     * its id once the transaction is mined. With `customCooldown`,
+     * `cooldownTime` replaces the portal-wide cooldown there.
+     */
+    createChannel: async (
+      name,
+      allowlistOnly,
+      customCooldown,
+      cooldownTime
+    ) => {
+      const tx = await send(
+        "createChannel",
+        name,
+        allowlistOnly,
+        customCooldown,
+        cooldownTime
+      );
+      const receipt = await tx.wait();
+      const created = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event?.name === "ChannelCreated");
+      return Number(created.args.channelId);
+    },
+
+    /** Posts a message to a channel, or a reply when `parentId` is set. */
+    sendMessage: (channelId, content, parentId = null) =>
+      send(SEND_MESSAGE, channelId, content, parentId ?? NO_PARENT),
+
+    /**
+     * Posts a long-form message: `preview` goes on chain along with
+     * `bodyHash`, the digest of a body already in storage.
+     */
+    sendLongMessage: (channelId, preview, bodyHash, parentId = null) =>
+      send(
+        "sendLongMessage",
+        channelId,
+        preview,
+        bodyHash,
+        parentId ?? NO_PARENT
+      ),
+
+    /**
+     * Replaces the content of one of the connected account's messages. With
+     * `bodyHash` the message becomes (or stays) long-form with `content` as
+     * its preview; without it, a regular post.
+     */
+    editMessage: (id, content, bodyHash = null) =>
+      bodyHash
+        ? send("editLongMessage", id, content, bodyHash)
+        : send("editMessage", id, content),
+
+    /** Clears one of the connected account's messages, leaving a tombstone. */
+    deleteMessage: (id) => send("deleteMessage", id),
+
+    /** Posts a top-level message pinned for as long as `value` wei buys. */
+    sendBoostedMessage: (channelId, content, value) =>
+      send("sendBoostedMessage", channelId, content, { value }),
+
+    /** Sends `value` wei to the author of message `id`. */
+    tip: (id, value) => send("tip", id, { value }),
+
+    /** Publishes the connected account's direct message key. */
+    setEncryptionKey: (publicKey) => send("setEncryptionKey", publicKey),
+
+    /** Sends a direct message already encrypted for `to`. */
+    sendDirectMessage: (to, ciphertext) =>
+      send("sendDirectMessage", to, ciphertext),
+
+    /**
+     * Id of the message a mined post created, read from the NewMessage log
+     * in its `receipt`; null if there is none.
+     */
+    getPostedMessageId: (receipt) => {
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== chain.contractAddress.toLowerCase()) {
+          continue;
+        }
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.name === "NewMessage") return Number(parsed.args.id);
+      }
+      return null;
+    },
+
+    /**
+     * Replays a {@link Post} as `from` against `blockTag` and throws its
+     * revert, which transaction receipts don't include.
+     */
+    replaySendMessage: (
+      { channelId, content, parentId = null, value = 0n, bodyHash = null },
+      from,
+      blockTag
+    ) =>
+      bodyHash
+        ? contract.sendLongMessage.staticCall(
+            channelId,
+            content,
+            bodyHash,
+            parentId ?? NO_PARENT,
+            { from, blockTag }
+          )
+        : value > 0n
+        ? contract.sendBoostedMessage.staticCall(channelId, content, {
+            from,
+            blockTag,
+            value,
+          })
+        : contract[SEND_MESSAGE].staticCall(
+            channelId,
+            content,
+            parentId ?? NO_PARENT,
+            { from, blockTag }
+          ),
+  };
+};
+
+const services = new Map();
+
+/**
+ * Returns the HambaPortal service for `chainId` (hex string or number), or
+ * null when there is no deployment on that chain. With `wallet` (a
+ * WalletConnector) reads and transactions go through that wallet; without
+ * one the service is read-only. Services are cached per chain and wallet
+ * and live for the whole session.
+ */
+export const getHambaPortal = (chainId, wallet = null) => {
+  const chain = getChain(chainId);
+  if (!chain) return null;
+
+  const key = `${chain.id}:${wallet?.info.uuid ?? "rpc"}`;
+  if (!services.has(key)) {
+    services.set(key, createService(chain, wallet));
+  }
+  return services.get(key);
+};
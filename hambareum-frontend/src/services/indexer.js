@@ -0,0 +1,64 @@
+// Base URL of the hambareum-indexer service; search is off without it.
+const INDEXER_URL = import.meta.env.VITE_INDEXER_URL ?? null;
+
+const request = async (path) => {
+  const res = await fetch(`${INDEXER_URL}${path}`);
+  const json = await res.json();
+  if (!res.ok) {
+    const error = new Error(json.error?.message ?? "Indexer error.");
+    error.code = json.error?.code;
+    throw error;
+  }
+  return json;
+};
+
+// The indexer follows a single deployment and says which in /status. A
+// failed lookup isn't cached, so search comes back once the indexer does.
+let statusRequest = null;
+const getStatus = () => {
+  statusRequest ??= request("/status").catch((e) => {
+    statusRequest = null;
+    throw e;
+  });
+  return statusRequest;
+};
+
+/**
+ * Resolves to whether messages on `chain` can be searched: the indexer is
+ * configured, reachable and indexes this chain's deployment.
+ */
+export const canSearch = async (chain) => {
+  if (!INDEXER_URL || !chain) return false;
+  try {
+    const status = await getStatus();
+    return (
+      status.chainId === chain.id &&
+      status.portal.toLowerCase() === chain.contractAddress.toLowerCase()
+    );
+  } catch (e) {
+    console.error("Indexer unavailable:", e);
+    return false;
+  }
+};
+
+/**
+ * Searches indexed messages, newest first. Every filter is optional: `q` is
+ * free text (each word must match), `sender` an address, `since` a time in
+ * seconds. Resolves to `{ messages, total }`, where `total` counts every
+ * match and messages have the same shape as the portal service's.
+ */
+export const searchMessages = async ({
+  q = null,
+  sender = null,
+  channelId = null,
+  since = null,
+  offset = 0,
+  limit,
+}) => {
+  const params = new URLSearchParams({ offset, limit });
+  if (q) params.set("q", q);
+  if (sender) params.set("sender", sender);
+  if (channelId !== null) params.set("channel", channelId);
+  if (since !== null) params.set("since", since);
+  return request(`/messages?${params}`);
+};
@@ -0,0 +1,196 @@
+import { verifyTypedData } from "ethers";
+
+// Base URL of the hambareum-profiles service.
+const PROFILES_URL =
+  import.meta.env.VITE_PROFILES_URL ?? "http://localhost:8787";
+
+// sessionStorage key holding sign-in tokens keyed by lowercase address.
+const SESSION_STORAGE_KEY = "hambareum.profileSessions";
+
+// Must match hambareum-profiles/src/profile.js.
+const PROFILE_DOMAIN = { name: "Hambareum Profiles", version: "1" };
+const PROFILE_TYPES = {
+  Profile: [
+    { name: "account", type: "address" },
+    { name: "displayName", type: "string" },
+    { name: "avatarUrl", type: "string" },
+    { name: "issuedAt", type: "uint256" },
+  ],
+};
+
+export const MAX_DISPLAY_NAME_LENGTH = 32;
+// The service accepts at most this many addresses per lookup.
+const BATCH_SIZE = 100;
+
+/**
+ * @typedef {object} Profile
+ * @property {string} account
+ * @property {string} displayName
+ * @property {string} avatarUrl Empty when no avatar is set.
+ * @property {number} issuedAt Seconds since the epoch.
+ * @property {boolean} verified Whether the signature checks out against
+ *   `account`; the service isn't trusted to have done it.
+ */
+
+const request = async (method, path, { body, token } = {}) => {
+  const res = await fetch(`${PROFILES_URL}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  const json = await res.json();
+  if (!res.ok) {
+    const error = new Error(json.error?.message ?? "Profile service error.");
+    error.code = json.error?.code;
+    throw error;
+  }
+  return json;
+};
+
+/** @returns {Profile} */
+const checkProfile = ({ signature, ...profile }) => {
+  let verified = false;
+  try {
+    const { account, displayName, avatarUrl, issuedAt } = profile;
+    verified =
+      verifyTypedData(
+        PROFILE_DOMAIN,
+        PROFILE_TYPES,
+        { account, displayName, avatarUrl, issuedAt },
+        signature
+      ).toLowerCase() === account.toLowerCase();
+  } catch {
+    // A malformed signature just leaves the profile unverified.
+  }
+  return { ...profile, verified };
+};
+
+/**
+ * Looks up profiles for `addresses` and resolves to those that exist, keyed
+ * by lowercase address. Each one is checked against its signature.
+ */
+export const fetchProfiles = async (addresses) => {
+  const profiles = {};
+  for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
+    const batch = addresses.slice(i, i + BATCH_SIZE);
+    const result = await request(
+      "GET",
+      `/profiles?addresses=${batch.join(",")}`
+    );
+    for (const [address, profile] of Object.entries(result.profiles)) {
+      // Ignore anything filed under an address other than its own.
+      if (profile.account.toLowerCase() === address) {
+        profiles[address] = checkProfile(profile);
+      }
+    }
+  }
+  return profiles;
+};
+
+const readSessions = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const writeSessions = (sessions) => {
+  try {
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessions));
+  } catch {
+    // Storage unavailable; the user just signs in again next time.
+  }
+};
+
+const storedToken = (address) => {
+  const session = readSessions()[address.toLowerCase()];
+  return session && session.expiresAt > Date.now() ? session.token : null;
+};
+
+const storeToken = (address, session) =>
+  writeSessions({ ...readSessions(), [address.toLowerCase()]: session });
+
+const clearToken = (address) => {
+  const sessions = readSessions();
+  delete sessions[address.toLowerCase()];
+  writeSessions(sessions);
+};
+
+// Builds an EIP-4361 message for the current page.
+const buildSignInMessage = ({ address, chainId, nonce }) =>
+  [
+    `${window.location.host} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Sign in to edit your Hambareum profile.",
+    "",
+    `URI: ${window.location.origin}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+  ].join("\n");
+
+/**
+ * Signs in to the profile service with Sign-In with Ethereum, prompting the
+ * wallet for a signature, and resolves to the session token. The token is
+ * kept for the browser session, so later saves don't prompt again.
+ */
+const signIn = async (signer) => {
+  const address = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const { nonce } = await request("GET", "/auth/nonce");
+
+  const message = buildSignInMessage({
+    address,
+    chainId: Number(chainId),
+    nonce,
+  });
+  const signature = await signer.signMessage(message);
+  const session = await request("POST", "/auth/sign-in", {
+    body: { message, signature },
+  });
+  storeToken(address, { token: session.token, expiresAt: session.expiresAt });
+  return session.token;
+};
+
+/**
+ * Signs `{ displayName, avatarUrl }` as the signer's profile and saves it,
+ * signing in first if needed. Resolves to the saved, verified profile.
+ */
+export const saveProfile = async (signer, { displayName, avatarUrl }) => {
+  const account = await signer.getAddress();
+  const profile = {
+    account,
+    displayName: displayName.trim(),
+    avatarUrl: avatarUrl.trim(),
+    issuedAt: Math.floor(Date.now() / 1000),
+  };
+  const signature = await signer.signTypedData(
+    PROFILE_DOMAIN,
+    PROFILE_TYPES,
+    profile
+  );
+
+  const put = async (token) =>
+    request("PUT", `/profiles/${account}`, {
+      body: { profile, signature },
+      token,
+    });
+
+  let saved;
+  const token = storedToken(account);
+  try {
+    saved = await put(token ?? (await signIn(signer)));
+  } catch (e) {
+    // Sessions don't survive a service restart; sign in again once.
+    if (!token || e.code !== "NOT_SIGNED_IN") throw e;
+    clearToken(account);
+    saved = await put(await signIn(signer));
+  }
+  return checkProfile(saved);
+};
@@ -0,0 +1,146 @@
+import { Contract, Interface, concat } from "ethers";
+import { ABI, FORWARDER_ABI } from "../contract/generated/hambaPortal.js";
+import { NO_PARENT, SEND_MESSAGE } from "../contract/constants.js";
+
+// Base URL of the hambareum-relayer service; gasless posting is off without it.
+const RELAYER_URL = import.meta.env.VITE_RELAYER_URL ?? null;
+
+// How long the relayer has to submit a signed request.
+const REQUEST_TTL_SECONDS = 10 * 60;
+// Headroom over the estimated gas, since state may change before it's mined.
+const GAS_MARGIN_PERCENT = 130n;
+
+// Must match ERC2771Forwarder's EIP-712 type.
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+const portalInterface = new Interface(ABI);
+
+// The relayer serves a single deployment and says which in /config. A failed
+// lookup isn't cached, so gasless posting comes back once the relayer does.
+let configRequest = null;
+const getConfig = () => {
+  configRequest ??= fetch(`${RELAYER_URL}/config`)
+    .then((res) => {
+      if (!res.ok) throw new Error(`Relayer answered ${res.status}.`);
+      return res.json();
+    })
+    .catch((e) => {
+      configRequest = null;
+      throw e;
+    });
+  return configRequest;
+};
+
+/**
+ * Resolves to whether posts on `chain` can be relayed without gas: the
+ * relayer is configured, reachable and relays to this chain's portal
+ * through its forwarder.
+ */
+export const canRelay = async (chain) => {
+  if (!RELAYER_URL || !chain?.forwarderAddress) return false;
+  try {
+    const config = await getConfig();
+    return (
+      config.chainId === chain.id &&
+      config.portal.toLowerCase() === chain.contractAddress.toLowerCase() &&
+      config.forwarder.toLowerCase() === chain.forwarderAddress.toLowerCase()
+    );
+  } catch (e) {
+    console.error("Relayer unavailable:", e);
+    return false;
+  }
+};
+
+/**
+ * Signs a post to `channelId` as an EIP-2771 forward request and hands it to
+ * the relayer, which pays the gas. Resolves to a transaction-like object
+ * for the tracker: `{ hash, from, nonce, relayedBy }`, where `from` is the
+ * signer and `nonce`/`relayedBy` belong to the relayer's transaction.
+ *
+ * Reverts (cooldown, ban, ...) surface before the signature prompt, and
+ * relayer rejections are thrown with the relayer's message; both decode
+ * with decodeContractError.
+ */
+export const relaySendMessage = async (
+  portal,
+  channelId,
+  content,
+  parentId = null
+) => {
+  const { chain, provider } = portal;
+  const signer = await portal.getSigner();
+  const from = await signer.getAddress();
+  const forwarder = new Contract(
+    chain.forwarderAddress,
+    FORWARDER_ABI,
+    provider
+  );
+
+  const data = portalInterface.encodeFunctionData(SEND_MESSAGE, [
+    channelId,
+    content,
+    parentId ?? NO_PARENT,
+  ]);
+  // The forwarder appends the signer to the calldata; estimating the same
+  // call from the forwarder also surfaces reverts before anything is signed.
+  const gas = await provider.estimateGas({
+    from: chain.forwarderAddress,
+    to: chain.contractAddress,
+    data: concat([data, from]),
+  });
+
+  const request = {
+    from,
+    to: chain.contractAddress,
+    value: 0n,
+    gas: (gas * GAS_MARGIN_PERCENT) / 100n,
+    nonce: await forwarder.nonces(from),
+    deadline: Math.floor(Date.now() / 1000) + REQUEST_TTL_SECONDS,
+    data,
+  };
+  const signature = await signer.signTypedData(
+    {
+      name: "HambaForwarder",
+      version: "1",
+      chainId: chain.id,
+      verifyingContract: chain.forwarderAddress,
+    },
+    FORWARD_REQUEST_TYPES,
+    request
+  );
+
+  const res = await fetch(`${RELAYER_URL}/relay`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      request: {
+        from,
+        to: request.to,
+        value: "0",
+        gas: request.gas.toString(),
+        deadline: String(request.deadline),
+        data,
+        signature,
+      },
+    }),
+  });
+  const body = await res.json();
+  if (!res.ok) {
+    const error = new Error(body.error?.message ?? "Relayer error.");
+    error.code = body.error?.code;
+    // Revert data from the relayer's simulation, for decodeContractError.
+    error.data = body.error?.data;
+    throw error;
+  }
+  return { hash: body.hash, from, nonce: body.nonce, relayedBy: body.relayer };
+};
@@ -0,0 +1,117 @@
+// Parses the small markdown subset messages may use into a tree the
+// RichText component renders as React elements, so message text is never
+// interpreted as HTML:
+//   **bold**, *italic* or _italic_, `code`, [label](https://...),
+//   bare http(s) URLs, and @0x... / @name.eth mentions.
+// Anything else, including links with other schemes, stays plain text.
+
+/**
+ * @typedef {(
+ *   | { type: "text", text: string }
+ *   | { type: "code", text: string }
+ *   | { type: "bold" | "italic", children: RichTextNode[] }
+ *   | { type: "link", href: string, text: string }
+ *   | { type: "mention", target: string, text: string }
+ * )} RichTextNode
+ * A mention's `target` is the lowercase address or ENS name.
+ */
+
+const SAFE_SCHEMES = new Set(["http:", "https:", "mailto:"]);
+
+// Alternatives are tried at each position in this order, so code spans win
+// over the markup inside them.
+const INLINE = new RegExp(
+  [
+    /`(?<code>[^`\n]+)`/,
+    /\[(?<label>[^\]\n]+)\]\((?<href>[^)\s]+)\)/,
+    /\*\*(?<bold>[^*\n]+)\*\*/,
+    /\*(?<italic>[^*\n]+)\*/,
+    /(?<![\w])_(?<underscored>[^_\n]+)_(?![\w])/,
+    /(?<url>https?:\/\/[^\s<>()]+)/,
+    /(?<![\w@])@(?<address>0x[0-9a-fA-F]{40})(?![0-9a-zA-Z])/,
+    /(?<![\w@])@(?<name>[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*\.eth)(?![\w.-])/,
+  ]
+    .map((pattern) => pattern.source)
+    .join("|"),
+  "g"
+);
+
+// Sentence punctuation right after a bare URL isn't part of it.
+const TRAILING_PUNCTUATION = /[.,;:!?'"]+$/;
+
+const safeHref = (href) => {
+  try {
+    return SAFE_SCHEMES.has(new URL(href).protocol) ? href : null;
+  } catch {
+    return null;
+  }
+};
+
+/** @returns {RichTextNode[]} */
+export const parseRichText = (text) => {
+  const nodes = [];
+  const pushText = (value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === "text") last.text += value;
+    else nodes.push({ type: "text", text: value });
+  };
+
+  let index = 0;
+  for (const match of text.matchAll(INLINE)) {
+    const { code, label, href, bold, italic, underscored, url, address, name } =
+      match.groups;
+    pushText(text.slice(index, match.index));
+    index = match.index + match[0].length;
+
+    if (code !== undefined) {
+      nodes.push({ type: "code", text: code });
+    } else if (label !== undefined) {
+      const safe = safeHref(href);
+      if (safe) nodes.push({ type: "link", href: safe, text: label });
+      else pushText(match[0]);
+    } else if (bold !== undefined) {
+      nodes.push({ type: "bold", children: parseRichText(bold) });
+    } else if (italic !== undefined || underscored !== undefined) {
+      nodes.push({
+        type: "italic",
+        children: parseRichText(italic ?? underscored),
+      });
+    } else if (url !== undefined) {
+      const trimmed = url.replace(TRAILING_PUNCTUATION, "");
+      const safe = safeHref(trimmed);
+      if (safe) nodes.push({ type: "link", href: safe, text: trimmed });
+      else pushText(trimmed);
+      // Give the trimmed punctuation back to the text that follows.
+      index -= url.length - trimmed.length;
+    } else {
+      const target = (address ?? name).toLowerCase();
+      nodes.push({ type: "mention", target, text: match[0] });
+    }
+  }
+  pushText(text.slice(index));
+  return nodes;
+};
+
+/** Whether `text` renders as anything other than plain text. */
+export const hasFormatting = (text) =>
+  parseRichText(text).some((node) => node.type !== "text");
+
+/** Lowercase addresses and ENS names mentioned in `text`, deduplicated. */
+export const getMentions = (text) => {
+  const mentions = new Set();
+  const visit = (nodes) =>
+    nodes.forEach((node) => {
+      if (node.type === "mention") mentions.add(node.target);
+      if (node.children) visit(node.children);
+    });
+  visit(parseRichText(text));
+  return [...mentions];
+};
+
+/** Whether `text` mentions `account`, by address or by its `ensName`. */
+export const mentionsAccount = (text, account, ensName = null) => {
+  if (!account) return false;
+  const targets = [account.toLowerCase(), ensName?.toLowerCase()];
+  return getMentions(text).some((target) => targets.includes(target));
+};
@@ -0,0 +1,160 @@
+import { getBytes, sha256, toUtf8Bytes } from "ethers";
+
+// Where long-form bodies are stored: an IPFS gateway (plus a Kubo RPC API
+// for posting) when configured, otherwise the hambareum-storage service.
+// Without either, long-form posts can't be written or read.
+const IPFS_GATEWAY = import.meta.env.VITE_IPFS_GATEWAY ?? null;
+const IPFS_API = import.meta.env.VITE_IPFS_API ?? null;
+const STORAGE_URL = import.meta.env.VITE_STORAGE_URL ?? null;
+
+// Matches hambareum-storage's default limit, and keeps bodies a single raw
+// block on IPFS so their CID follows from the digest.
+export const MAX_BODY_LENGTH = 64 * 1024;
+// Longest preview put on chain, in UTF-8 bytes.
+const PREVIEW_LENGTH = 140;
+
+/**
+ * A body store. Bodies are addressed by the 0x-prefixed sha256 digest of
+ * their UTF-8 bytes, which is what long-form posts record on chain.
+ * @typedef {object} BodyStorage
+ * @property {((bytes: Uint8Array, hash: string) => Promise<void>) | null} put
+ *   null when the store is read-only.
+ * @property {(hash: string) => Promise<Uint8Array>} get Resolves to the bytes
+ *   served for `hash`, unverified.
+ */
+
+const fetchBytes = async (url) => {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Storage responded ${res.status}.`);
+  return new Uint8Array(await res.arrayBuffer());
+};
+
+/** @returns {BodyStorage} backed by the hambareum-storage service. */
+export const createHttpStorage = (baseUrl) => ({
+  put: async (bytes, hash) => {
+    const res = await fetch(`${baseUrl}/bodies`, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain; charset=utf-8" },
+      body: bytes,
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error?.message ?? "Storage error.");
+    if (json.hash !== hash) throw new Error("Storage stored a different body.");
+  },
+  get: (hash) => fetchBytes(`${baseUrl}/bodies/${hash}`),
+});
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+const base32 = (bytes) => {
+  let out = "";
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+};
+
+/**
+ * The CIDv1 of a body added to IPFS as a single raw block: the raw codec
+ * (0x55) and a sha2-256 multihash (0x12, 32 bytes) of the digest, in
+ * base32.
+ */
+export const bodyCid = (hash) =>
+  `b${base32(new Uint8Array([0x01, 0x55, 0x12, 0x20, ...getBytes(hash)]))}`;
+
+/**
+ * @returns {BodyStorage} reading through an IPFS HTTP gateway and, with
+ * `api`, adding bodies through a Kubo RPC API.
+ */
+export const createIpfsStorage = ({ gateway, api = null }) => ({
+  put: api
+    ? async (bytes, hash) => {
+        const form = new FormData();
+        form.append("file", new Blob([bytes]));
+        const res = await fetch(
+          `${api}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`,
+          { method: "POST", body: form }
+        );
+        if (!res.ok) throw new Error(`IPFS responded ${res.status}.`);
+        const { Hash } = await res.json();
+        if (Hash !== bodyCid(hash)) {
+          throw new Error("IPFS stored the body under an unexpected CID.");
+        }
+      }
+    : null,
+  get: (hash) => fetchBytes(`${gateway}/ipfs/${bodyCid(hash)}`),
+});
+
+const storage = IPFS_GATEWAY
+  ? createIpfsStorage({ gateway: IPFS_GATEWAY, api: IPFS_API })
+  : STORAGE_URL
+  ? createHttpStorage(STORAGE_URL)
+  : null;
+
+/** Whether long-form bodies can be read. */
+export const canReadBodies = () => Boolean(storage);
+
+/** Whether long-form posts can be written. */
+export const canStoreBodies = () => Boolean(storage?.put);
+
+/** Stores `text` as a long-form body and resolves to its digest. */
+export const storeBody = async (text) => {
+  if (!canStoreBodies()) throw new Error("No storage for long-form posts.");
+  const bytes = toUtf8Bytes(text);
+  const hash = sha256(bytes);
+  await storage.put(bytes, hash);
+  return hash;
+};
+
+const decoder = new TextDecoder();
+// Bodies never change under a digest, so each is fetched once per session.
+const bodies = new Map();
+
+/**
+ * Fetches the body stored under `hash` and checks it against the digest.
+ * Resolves to `{ text, verified }`; `text` is returned even when it doesn't
+ * match, so the UI can flag it. Rejects if the body can't be fetched.
+ */
+export const fetchBody = (hash) => {
+  if (!canReadBodies()) {
+    return Promise.reject(new Error("No storage for long-form posts."));
+  }
+  if (!bodies.has(hash)) {
+    const request = storage.get(hash).then((bytes) => ({
+      text: decoder.decode(bytes),
+      verified: sha256(bytes) === hash,
+    }));
+    // Let a failed fetch be retried.
+    request.catch(() => bodies.delete(hash));
+    bodies.set(hash, request);
+  }
+  return bodies.get(hash);
+};
+
+/**
+ * The on-chain preview of a long-form `text`: its start with whitespace
+ * collapsed, cut to fit `maxBytes` (and PREVIEW_LENGTH) with an ellipsis.
+ */
+export const makePreview = (text, maxBytes) => {
+  const limit = Math.min(PREVIEW_LENGTH, maxBytes);
+  const flat = text.replace(/\s+/g, " ").trim();
+  if (toUtf8Bytes(flat).length <= limit) return flat;
+
+  const ellipsis = "…";
+  let preview = "";
+  let size = toUtf8Bytes(ellipsis).length;
+  for (const char of flat) {
+    size += toUtf8Bytes(char).length;
+    if (size > limit) break;
+    preview += char;
+  }
+  return `${preview.trimEnd()}${ellipsis}`;
+};
@@ -0,0 +1,178 @@
+import { BrowserProvider } from "ethers";
+import { getChain, toHexChainId } from "../contract/chains.js";
+
+// MetaMask's "unrecognized chain" error for wallet_switchEthereumChain.
+const UNRECOGNIZED_CHAIN = 4902;
+
+// localStorage key holding the rdns of the wallet the user last connected.
+const STORAGE_KEY = "hambareum.wallet";
+
+// Stands in for wallets that only set `window.ethereum` and don't announce
+// themselves through EIP-6963.
+const INJECTED_INFO = {
+  uuid: "injected",
+  name: "Browser Wallet",
+  icon: null,
+  rdns: "injected",
+};
+
+/**
+ * @typedef {object} WalletConnector
+ * @property {{ uuid: string, name: string, icon: string | null, rdns: string }} info
+ *   EIP-6963 provider info; `rdns` identifies the wallet across page loads.
+ * @property {object} provider The wallet's EIP-1193 provider.
+ */
+
+/**
+ * Discovers installed wallets through EIP-6963 announcements and calls
+ * `onChange(connectors)` with the full list every time it grows. A plain
+ * `window.ethereum` that no announcement covers is listed last as a
+ * "Browser Wallet". Returns a function that stops listening.
+ */
+export const discoverWallets = (onChange) => {
+  const announced = new Map();
+
+  const notify = () => {
+    /** @type {WalletConnector[]} */
+    const connectors = [...announced.values()];
+    const injected = window.ethereum;
+    if (injected && !connectors.some((c) => c.provider === injected)) {
+      connectors.push({ info: INJECTED_INFO, provider: injected });
+    }
+    onChange(connectors);
+  };
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail;
+    if (announced.has(info.uuid)) return;
+    announced.set(info.uuid, { info, provider });
+    notify();
+  };
+
+  window.addEventListener("eip6963:announceProvider", handleAnnounce);
+  window.dispatchEvent(new Event("eip6963:requestProvider"));
+  notify();
+
+  return () =>
+    window.removeEventListener("eip6963:announceProvider", handleAnnounce);
+};
+
+/** rdns of the remembered wallet, or null. */
+export const getRememberedWallet = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+/** Remembers `rdns` as the wallet to reconnect on the next visit. */
+export const rememberWallet = (rdns) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, rdns);
+  } catch {
+    // Storage is unavailable (private mode); the choice just isn't kept.
+  }
+};
+
+export const forgetWallet = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // See rememberWallet.
+  }
+};
+
+/**
+ * Returns an ethers provider for the EIP-1193 `provider`. Pass `chainId` to
+ * pin it to a network, so calls fail instead of silently going to another
+ * chain if the wallet switches.
+ */
+export const getWalletProvider = (provider, chainId) =>
+  new BrowserProvider(
+    provider,
+    chainId === undefined ? undefined : Number(chainId)
+  );
+
+export const getSigner = (provider, chainId) =>
+  getWalletProvider(provider, chainId).getSigner();
+
+/** Accounts the wallet has already authorised, without prompting. */
+export const getAccounts = (provider) =>
+  provider.request({ method: "eth_accounts" });
+
+/** Prompts the wallet to connect and resolves to the authorised accounts. */
+export const requestAccounts = (provider) =>
+  provider.request({ method: "eth_requestAccounts" });
+
+/**
+ * Asks the wallet to drop this site's account permission. Not every wallet
+ * supports it, so failures are ignored; forgetting the wallet locally is
+ * what actually disconnects the app.
+ */
+export const revokeAccounts = async (provider) => {
+  try {
+    await provider.request({
+      method: "wallet_revokePermissions",
+      params: [{ eth_accounts: {} }],
+    });
+  } catch {
+    // Unsupported or rejected.
+  }
+};
+
+/** The wallet's current chain id as a hex string ("0x7a69"). */
+export const getWalletChainId = (provider) =>
+  provider.request({ method: "eth_chainId" });
+
+/**
+ * Listens for the wallet's `accountsChanged`, `chainChanged` and
+ * `disconnect` events and returns a function that removes the listeners.
+ */
+export const subscribeWallet = (
+  provider,
+  { onAccountsChanged, onChainChanged, onDisconnect }
+) => {
+  provider.on("accountsChanged", onAccountsChanged);
+  provider.on("chainChanged", onChainChanged);
+  provider.on("disconnect", onDisconnect);
+  return () => {
+    provider.removeListener("accountsChanged", onAccountsChanged);
+    provider.removeListener("chainChanged", onChainChanged);
+    provider.removeListener("disconnect", onDisconnect);
+  };
+};
+
+/**
+ * Asks the wallet to switch to `chainId`, registering the network first if
+ * the wallet doesn't know it. Resolves once the wallet has switched; the
+ * app picks up the change from the `chainChanged` event.
+ */
+export const switchChain = async (provider, chainId) => {
+  const chain = getChain(chainId);
+  if (!chain) throw new Error(`Unsupported chain ${chainId}.`);
+
+  const hexChainId = toHexChainId(chain.id);
+  try {
+    await provider.request({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: hexChainId }],
+    });
+  } catch (e) {
+    const code = e?.code ?? e?.data?.originalError?.code;
+    if (code !== UNRECOGNIZED_CHAIN) throw e;
+
+    await provider.request({
+      method: "wallet_addEthereumChain",
+      params: [
+        {
+          chainId: hexChainId,
+          chainName: chain.name,
+          rpcUrls: chain.rpcUrls,
+          nativeCurrency: chain.nativeCurrency,
+          blockExplorerUrls: chain.explorerUrl ? [chain.explorerUrl] : null,
+        },
+      ],
+    });
+  }
+};
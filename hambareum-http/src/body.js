@@ -0,0 +1,41 @@
+const { HttpError } = require("./errors");
+
+/**
+ * Reads the request body into a Buffer, up to `maxBytes`. Larger bodies are
+ * drained rather than cut off, so the client still gets the 413 response.
+ */
+const readBody = (req, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= maxBytes) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > maxBytes) {
+        reject(
+          new HttpError(
+            413,
+            "BODY_TOO_LARGE",
+            `Request bodies are limited to ${maxBytes} bytes.`
+          )
+        );
+        return;
+      }
+      resolve(Buffer.concat(chunks));
+    });
+    req.on("error", reject);
+  });
+
+/** Reads and parses a JSON request body of at most `maxBytes`. */
+const readJson = async (req, maxBytes) => {
+  const body = await readBody(req, maxBytes);
+  try {
+    return JSON.parse(body.toString("utf8"));
+  } catch {
+    throw new HttpError(400, "INVALID_JSON", "Request body is not JSON.");
+  }
+};
+
+module.exports = { readBody, readJson };
@@ -0,0 +1,15 @@
+/**
+ * An error that maps to an HTTP response. `code` is a SCREAMING_CASE
+ * identifier clients can branch on; `message` is safe to show to users.
+ * A `data` property set on it afterwards is sent along with them.
+ */
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,91 @@
+const { HttpError } = require("./errors");
+
+// Route parameters are percent-encoded; a bad escape is the client's error.
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, "INVALID_PATH", "Path is not validly encoded.");
+  }
+};
+
+// JSON for objects; Buffers go out as they are, as UTF-8 text.
+const send = (res, status, body, headers = {}) => {
+  if (Buffer.isBuffer(body)) {
+    res.writeHead(status, {
+      "Content-Type": "text/plain; charset=utf-8",
+      ...headers,
+    });
+    res.end(body);
+    return;
+  }
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Builds a request handler that answers CORS preflights and dispatches to
+ * `routes`, each `{ method, pattern, handle, headers? }`. `handle(req,
+ * params, url)` gets the decoded capture groups of `pattern` and resolves to
+ * the response body, sent with status 200 and any extra `headers`.
+ *
+ * Thrown HttpErrors become `{ error: { code, message, data? } }` with their
+ * status; anything else is logged and answered with a 500.
+ * `allowedHeaders` are the request headers browsers may send.
+ */
+const createRequestHandler = ({
+  routes,
+  allowedOrigin = "*",
+  allowedHeaders = ["Content-Type"],
+}) => {
+  const methods = [...new Set(routes.map(({ method }) => method))];
+
+  return async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+    res.setHeader(
+      "Access-Control-Allow-Methods",
+      [...methods, "OPTIONS"].join(", ")
+    );
+    res.setHeader("Access-Control-Allow-Headers", allowedHeaders.join(", "));
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    try {
+      const matching = routes
+        .map((route) => ({ route, match: route.pattern.exec(url.pathname) }))
+        .filter(({ match }) => match);
+      if (matching.length === 0) {
+        throw new HttpError(404, "NOT_FOUND", "Not found.");
+      }
+      const found = matching.find(({ route }) => route.method === req.method);
+      if (!found) {
+        throw new HttpError(405, "METHOD_NOT_ALLOWED", "Method not allowed.");
+      }
+
+      const params = found.match.slice(1).map(decodeParam);
+      const body = await found.route.handle(req, params, url);
+      send(res, 200, body, found.route.headers);
+    } catch (e) {
+      if (!(e instanceof HttpError)) {
+        console.error("Unhandled error:", e);
+      }
+      const error =
+        e instanceof HttpError
+          ? e
+          : new HttpError(500, "INTERNAL_ERROR", "Internal server error.");
+      send(res, error.status, {
+        error: {
+          code: error.code,
+          message: error.message,
+          ...(error.data && { data: error.data }),
+        },
+      });
+    }
+  };
+};
+
+module.exports = { createRequestHandler };
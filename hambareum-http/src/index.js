@@ -0,0 +1,5 @@
+const { readBody, readJson } = require("./body");
+const { HttpError } = require("./errors");
+const { createRequestHandler } = require("./handler");
+
+module.exports = { HttpError, createRequestHandler, readBody, readJson };
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { HttpError, createRequestHandler, readJson } = require("../src");
+
+describe("request handler", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const handler = createRequestHandler({
+      routes: [
+        {
+          method: "POST",
+          pattern: /^\/echo\/([^/]+)$/,
+          handle: async (req, [name]) => ({
+            name,
+            body: await readJson(req, 32),
+          }),
+        },
+        {
+          method: "GET",
+          pattern: /^\/text$/,
+          headers: { "Cache-Control": "no-store" },
+          handle: () => Buffer.from("plain ✨"),
+        },
+        {
+          method: "GET",
+          pattern: /^\/teapot$/,
+          handle: () => {
+            const error = new HttpError(418, "TEAPOT", "Short and stout.");
+            error.data = "0x1234";
+            throw error;
+          },
+        },
+        {
+          method: "GET",
+          pattern: /^\/broken$/,
+          handle: () => {
+            throw new Error("secret details");
+          },
+        },
+      ],
+      allowedHeaders: ["Content-Type", "Authorization"],
+    });
+    server = http.createServer(handler);
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  const post = (pathname, body) =>
+    fetch(`${baseUrl}${pathname}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+    });
+
+  it("passes decoded path parameters and the JSON body", async () => {
+    const res = await post("/echo/a%20b", JSON.stringify({ x: 1 }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { name: "a b", body: { x: 1 } });
+  });
+
+  it("sends Buffers as text with the route's headers", async () => {
+    const res = await fetch(`${baseUrl}/text`);
+    assert.equal(res.headers.get("content-type"), "text/plain; charset=utf-8");
+    assert.equal(res.headers.get("cache-control"), "no-store");
+    assert.equal(await res.text(), "plain ✨");
+  });
+
+  it("answers preflights with the routes' methods", async () => {
+    const res = await fetch(`${baseUrl}/text`, { method: "OPTIONS" });
+    assert.equal(res.status, 204);
+    assert.equal(
+      res.headers.get("access-control-allow-methods"),
+      "POST, GET, OPTIONS"
+    );
+    assert.equal(
+      res.headers.get("access-control-allow-headers"),
+      "Content-Type, Authorization"
+    );
+  });
+
+  it("maps errors to responses", async () => {
+    for (const [request, status, error] of [
+      [fetch(`${baseUrl}/nope`), 404, { code: "NOT_FOUND" }],
+      [fetch(`${baseUrl}/echo/x`), 405, { code: "METHOD_NOT_ALLOWED" }],
+      [post("/echo/%E0%A4%A", "{}"), 400, { code: "INVALID_PATH" }],
+      [post("/echo/x", "{"), 400, { code: "INVALID_JSON" }],
+      [post("/echo/x", "x".repeat(33)), 413, { code: "BODY_TOO_LARGE" }],
+      [
+        fetch(`${baseUrl}/teapot`),
+        418,
+        { code: "TEAPOT", message: "Short and stout.", data: "0x1234" },
+      ],
+      [
+        fetch(`${baseUrl}/broken`),
+        500,
+        { code: "INTERNAL_ERROR", message: "Internal server error." },
+      ],
+    ]) {
+      const res = await request;
+      assert.equal(res.status, status);
+      const body = await res.json();
+      for (const [key, value] of Object.entries(error)) {
+        assert.equal(body.error[key], value);
+      }
+    }
+  });
+});
@@ -0,0 +1,154 @@
+const { Contract, MaxUint256, ZeroHash } = require("ethers");
+
+// The only HambaPortal events the index is built from.
+const PORTAL_ABI = [
+  "event NewMessage(address indexed from, uint256 timestamp, string content, uint256 indexed id, uint256 parentId, uint256 indexed channelId, bytes32 bodyHash)",
+  "event MessageHidden(uint256 indexed index, address indexed moderator, string reason)",
+  "event MessageUnhidden(uint256 indexed index, address indexed moderator)",
+  "event MessageEdited(uint256 indexed id, address indexed sender, uint256 revision, string previousContent, bytes32 previousBodyHash, string content, bytes32 bodyHash, uint256 timestamp)",
+  "event MessageDeleted(uint256 indexed id, address indexed sender, string previousContent, bytes32 previousBodyHash, uint256 timestamp)",
+];
+
+const toBodyHash = (hash) => (hash === ZeroHash ? null : hash);
+
+const toMessage = (log) => ({
+  id: Number(log.args.id),
+  sender: log.args.from,
+  content: log.args.content,
+  timestamp: Number(log.args.timestamp),
+  parentId: log.args.parentId === MaxUint256 ? null : Number(log.args.parentId),
+  channelId: Number(log.args.channelId),
+  bodyHash: toBodyHash(log.args.bodyHash),
+  blockNumber: log.blockNumber,
+});
+
+const toModeration = (log, hidden) => ({
+  blockNumber: log.blockNumber,
+  logIndex: log.index,
+  messageId: Number(log.args.index),
+  hidden,
+});
+
+const toRevision = (log, deleted) => ({
+  blockNumber: log.blockNumber,
+  logIndex: log.index,
+  messageId: Number(log.args.id),
+  content: deleted ? "" : log.args.content,
+  bodyHash: deleted ? null : toBodyHash(log.args.bodyHash),
+  deleted,
+});
+
+/**
+ * Follows HambaPortal at `portalAddress` from `startBlock` (its deployment
+ * block) and writes messages, hides, edits and deletions into `store`.
+ *
+ * Every sync first re-checks the hashes of the last `reorgDepth` indexed
+ * blocks; if the chain has moved on from one of them, everything after the
+ * newest block that still matches is dropped and indexed again. Reorgs
+ * deeper than that are assumed not to happen. `portal` may be passed
+ * instead of `portalAddress`, which tests use to feed in logs.
+ */
+const createIndexer = ({
+  provider,
+  portalAddress,
+  portal = new Contract(portalAddress, PORTAL_ABI, provider),
+  store,
+  startBlock = 0,
+  reorgDepth = 12,
+  batchSize = 2000,
+}) => {
+  // Resolves to the block rewound to, or null when nothing changed.
+  const handleReorg = async () => {
+    const recent = store.recentBlocks(reorgDepth);
+    for (const block of recent) {
+      const current = await provider.getBlock(block.number);
+      if (current?.hash === block.hash) {
+        if (block === recent[0]) return null;
+        store.rewind(block.number);
+        return block.number;
+      }
+    }
+    if (recent.length === 0) return null;
+
+    const rewindTo = recent.at(-1).number - 1;
+    console.warn(
+      `No indexed block in the last ${reorgDepth} is still canonical; ` +
+        `reindexing from block ${rewindTo + 1}.`
+    );
+    store.rewind(rewindTo);
+    return rewindTo;
+  };
+
+  /** Indexes up to the current head; resolves to the last block indexed. */
+  const sync = async () => {
+    const rewoundTo = await handleReorg();
+    if (rewoundTo !== null) {
+      console.warn(`Reorg detected; rewound to block ${rewoundTo}.`);
+    }
+
+    const head = await provider.getBlockNumber();
+    let from = (store.getCursor() ?? startBlock - 1) + 1;
+    while (from <= head) {
+      const to = Math.min(from + batchSize - 1, head);
+      const [posted, hidden, unhidden, edited, deleted, tip] =
+        await Promise.all([
+          portal.queryFilter("NewMessage", from, to),
+          portal.queryFilter("MessageHidden", from, to),
+          portal.queryFilter("MessageUnhidden", from, to),
+          portal.queryFilter("MessageEdited", from, to),
+          portal.queryFilter("MessageDeleted", from, to),
+          provider.getBlock(to),
+        ]);
+
+      const logs = [...posted, ...hidden, ...unhidden, ...edited, ...deleted];
+      store.applyBatch({
+        messages: posted.map(toMessage),
+        moderation: [
+          ...hidden.map((log) => toModeration(log, true)),
+          ...unhidden.map((log) => toModeration(log, false)),
+        ],
+        revisions: [
+          ...edited.map((log) => toRevision(log, false)),
+          ...deleted.map((log) => toRevision(log, true)),
+        ],
+        blocks: [
+          ...logs.map((log) => ({
+            number: log.blockNumber,
+            hash: log.blockHash,
+          })),
+          { number: to, hash: tip.hash },
+        ],
+        cursor: to,
+        keepBlocksFrom: to - reorgDepth + 1,
+      });
+      from = to + 1;
+    }
+    return store.getCursor();
+  };
+
+  /**
+   * Syncs now and then every `pollIntervalMs` until the returned function
+   * is called. Failed syncs are logged and retried on the next tick.
+   */
+  const start = (pollIntervalMs) => {
+    let timer = null;
+    let stopped = false;
+    const tick = async () => {
+      try {
+        await sync();
+      } catch (e) {
+        console.error("Sync failed:", e);
+      }
+      if (!stopped) timer = setTimeout(tick, pollIntervalMs);
+    };
+    tick();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  };
+
+  return { sync, start };
+};
+
+module.exports = { createIndexer };
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { JsonRpcProvider, getAddress, isAddress } = require("ethers");
+const { HttpError, createRequestHandler } = require("hambareum-http");
+const { createIndexer } = require("./indexer");
+const { createSqliteStore } = require("./store");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+
+const invalid = (message) => new HttpError(400, "INVALID_PARAMETER", message);
+
+// Reads an optional non-negative integer parameter.
+const integerParam = (params, name) => {
+  const value = params.get(name);
+  if (value === null || value === "") return null;
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+    throw invalid(`${name} must be a non-negative integer.`);
+  }
+  return Number(value);
+};
+
+const parseMessageQuery = (params) => {
+  const q = params.get("q")?.trim() || null;
+  if (q && q.length > MAX_QUERY_LENGTH) {
+    throw invalid(`q must be at most ${MAX_QUERY_LENGTH} characters.`);
+  }
+
+  const sender = params.get("sender") || null;
+  if (sender && !isAddress(sender)) {
+    throw new HttpError(400, "INVALID_ADDRESS", `${sender} is not an address.`);
+  }
+
+  const limit = integerParam(params, "limit") ?? DEFAULT_PAGE_SIZE;
+  if (limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw invalid(`limit must be between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+
+  return {
+    q,
+    sender: sender && getAddress(sender),
+    channelId: integerParam(params, "channel"),
+    since: integerParam(params, "since"),
+    until: integerParam(params, "until"),
+    offset: integerParam(params, "offset") ?? 0,
+    limit,
+  };
+};
+
+/**
+ * Builds the indexer's request handler.
+ *
+ *   GET /status   -> { chainId, portal, lastBlock }
+ *   GET /messages -> { messages, total }
+ *
+ * /messages takes any of `q` (full-text, every word must match as a
+ * prefix), `sender`, `channel`, `since` and `until` (seconds, inclusive),
+ * plus `offset` and `limit` (at most 100) for paging, and returns matches
+ * newest first. Errors are `{ error: { code, message } }`.
+ */
+const createHandler = ({ store, chainId, portal, allowedOrigin = "*" }) => {
+  const routes = [
+    {
+      method: "GET",
+      pattern: /^\/status$/,
+      handle: () => ({ chainId, portal, lastBlock: store.getCursor() }),
+    },
+    {
+      method: "GET",
+      pattern: /^\/messages$/,
+      handle: (_req, _params, url) =>
+        store.queryMessages(parseMessageQuery(url.searchParams)),
+    },
+  ];
+
+  return createRequestHandler({ routes, allowedOrigin });
+};
+
+const main = async () => {
+  const {
+    PORT = "8789",
+    RPC_URL = "http://127.0.0.1:8545",
+    DEPLOYMENT_FILE = path.join(
+      __dirname,
+      "..",
+      "..",
+      "hambareum-blockchain",
+      "deployments",
+      "localhost.json"
+    ),
+    DATA_FILE = path.join(__dirname, "..", "data", "messages.db"),
+    REORG_DEPTH = "12",
+    POLL_INTERVAL_MS = "4000",
+    ALLOWED_ORIGIN = "*",
+  } = process.env;
+
+  const deployment = JSON.parse(fs.readFileSync(DEPLOYMENT_FILE, "utf8"));
+  const provider = new JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== deployment.chainId) {
+    throw new Error(
+      `${RPC_URL} is chain ${chainId}, but ${DEPLOYMENT_FILE} is for chain ${deployment.chainId}.`
+    );
+  }
+
+  const store = createSqliteStore(DATA_FILE, {
+    chainId: deployment.chainId,
+    portal: deployment.address,
+  });
+  const indexer = createIndexer({
+    provider,
+    portalAddress: deployment.address,
+    store,
+    startBlock: deployment.blockNumber,
+    reorgDepth: Number(REORG_DEPTH),
+  });
+  indexer.start(Number(POLL_INTERVAL_MS));
+
+  const handler = createHandler({
+    store,
+    chainId: deployment.chainId,
+    portal: deployment.address,
+    allowedOrigin: ALLOWED_ORIGIN,
+  });
+  http.createServer(handler).listen(Number(PORT), () => {
+    console.log(
+      `Indexing HambaPortal ${deployment.address} on chain ${deployment.chainId}`
+    );
+    console.log(`Indexer listening on http://localhost:${PORT}`);
+  });
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createHandler };
@@ -0,0 +1,343 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// Bumped whenever SCHEMA changes in a way existing databases can't pick up
+// (CREATE ... IF NOT EXISTS leaves their tables as they were); those have
+// to be rebuilt.
+const SCHEMA_VERSION = 2;
+
+// Senders compare case-insensitively, so checksummed and lowercase
+// addresses find the same rows.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY,
+    sender TEXT NOT NULL COLLATE NOCASE,
+    content TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    parent_id INTEGER,
+    channel_id INTEGER NOT NULL,
+    -- sha256 of a long-form body, whose preview is the content.
+    body_hash TEXT,
+    block_number INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS messages_by_sender ON messages (sender, id);
+  CREATE INDEX IF NOT EXISTS messages_by_channel ON messages (channel_id, id);
+  CREATE INDEX IF NOT EXISTS messages_by_parent ON messages (parent_id);
+  CREATE INDEX IF NOT EXISTS messages_by_block ON messages (block_number);
+
+  -- MessageHidden and MessageUnhidden in chain order; the latest one wins.
+  CREATE TABLE IF NOT EXISTS moderation (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    message_id INTEGER NOT NULL,
+    hidden INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS moderation_by_message
+    ON moderation (message_id, block_number, log_index);
+
+  -- MessageEdited and MessageDeleted in chain order; the latest one holds
+  -- a message's current content (empty once deleted).
+  CREATE TABLE IF NOT EXISTS revisions (
+    id INTEGER PRIMARY KEY,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    message_id INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    body_hash TEXT,
+    deleted INTEGER NOT NULL,
+    UNIQUE (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS revisions_by_message
+    ON revisions (message_id, block_number, log_index);
+
+  -- Hashes of recently indexed blocks, re-checked to spot reorgs.
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts
+    USING fts5(content, content = 'messages', content_rowid = 'id');
+  CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages
+  BEGIN
+    INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages
+  BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, content)
+      VALUES ('delete', old.id, old.content);
+  END;
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS revisions_fts
+    USING fts5(content, content = 'revisions', content_rowid = 'id');
+  CREATE TRIGGER IF NOT EXISTS revisions_fts_insert AFTER INSERT ON revisions
+  BEGIN
+    INSERT INTO revisions_fts (rowid, content) VALUES (new.id, new.content);
+  END;
+  CREATE TRIGGER IF NOT EXISTS revisions_fts_delete AFTER DELETE ON revisions
+  BEGIN
+    INSERT INTO revisions_fts (revisions_fts, rowid, content)
+      VALUES ('delete', old.id, old.content);
+  END;
+`;
+
+const HIDDEN = `
+  COALESCE((
+    SELECT hidden FROM moderation
+    WHERE message_id = m.id
+    ORDER BY block_number DESC, log_index DESC
+    LIMIT 1
+  ), 0)`;
+
+// Each message joined with its latest revision, if it has been edited or
+// deleted; `r` is null otherwise.
+const WITH_REVISION = `
+  messages m LEFT JOIN revisions r ON r.id = (
+    SELECT id FROM revisions
+    WHERE message_id = m.id
+    ORDER BY block_number DESC, log_index DESC
+    LIMIT 1
+  )`;
+
+/**
+ * Turns free text into an FTS5 query that matches messages containing every
+ * word, treating each as a prefix. Quoting each word keeps FTS5 operators
+ * and punctuation in user input from being parsed. Returns null when the
+ * text has no words.
+ */
+const toFtsQuery = (text) => {
+  const words = text.match(/[\p{L}\p{N}_]+/gu);
+  return words ? words.map((word) => `"${word}"*`).join(" ") : null;
+};
+
+/**
+ * @typedef {object} IndexedMessage
+ * @property {number} id
+ * @property {string} sender
+ * @property {string} content The latest revision; empty once deleted.
+ * @property {number} timestamp Block timestamp, in seconds.
+ * @property {boolean} hidden
+ * @property {number | null} parentId
+ * @property {number} replyCount
+ * @property {number} channelId
+ * @property {string | null} bodyHash Set for long-form posts, whose
+ *   `content` is then the preview.
+ * @property {boolean} edited
+ * @property {number} editCount
+ * @property {boolean} deleted
+ */
+
+const toMessage = (row) => ({
+  id: row.id,
+  sender: row.sender,
+  content: row.content,
+  timestamp: row.timestamp,
+  hidden: row.hidden === 1,
+  parentId: row.parent_id,
+  replyCount: row.reply_count,
+  channelId: row.channel_id,
+  bodyHash: row.body_hash,
+  edited: row.edit_count > 0,
+  editCount: row.edit_count,
+  deleted: row.deleted === 1,
+});
+
+/**
+ * Opens (or creates) the SQLite database at `file`; ":memory:" works for
+ * tests. The database belongs to one deployment: opening it for another
+ * `chainId` or `portal` throws rather than mixing their messages, as does
+ * opening one built with an older SCHEMA_VERSION.
+ */
+const createSqliteStore = (file, { chainId, portal }) => {
+  if (file !== ":memory:") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const getMeta = db.prepare("SELECT value FROM meta WHERE key = ?").pluck();
+  const setMeta = db.prepare(
+    "INSERT INTO meta (key, value) VALUES (?, ?) " +
+      "ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+  );
+
+  const deployment = `${chainId}:${portal.toLowerCase()}`;
+  const indexed = getMeta.get("deployment");
+  if (indexed && indexed !== deployment) {
+    throw new Error(
+      `${file} indexes ${indexed}, not ${deployment}. Use another DATA_FILE.`
+    );
+  }
+  const version = getMeta.get("schemaVersion");
+  if (indexed && version !== String(SCHEMA_VERSION)) {
+    throw new Error(
+      `${file} was built by an older indexer (schema ${version ?? 1}, ` +
+        `now ${SCHEMA_VERSION}). Delete it to reindex from scratch.`
+    );
+  }
+  setMeta.run("deployment", deployment);
+  setMeta.run("schemaVersion", String(SCHEMA_VERSION));
+
+  const insertMessage = db.prepare(`
+    INSERT OR IGNORE INTO messages
+      (id, sender, content, timestamp, parent_id, channel_id, body_hash,
+        block_number)
+    VALUES
+      (@id, @sender, @content, @timestamp, @parentId, @channelId, @bodyHash,
+        @blockNumber)
+  `);
+  const insertModeration = db.prepare(`
+    INSERT OR IGNORE INTO moderation (block_number, log_index, message_id, hidden)
+    VALUES (@blockNumber, @logIndex, @messageId, @hidden)
+  `);
+  const insertRevision = db.prepare(`
+    INSERT OR IGNORE INTO revisions
+      (block_number, log_index, message_id, content, body_hash, deleted)
+    VALUES
+      (@blockNumber, @logIndex, @messageId, @content, @bodyHash, @deleted)
+  `);
+  const upsertBlock = db.prepare(
+    "INSERT INTO blocks (number, hash) VALUES (@number, @hash) " +
+      "ON CONFLICT (number) DO UPDATE SET hash = excluded.hash"
+  );
+  const pruneBlocks = db.prepare("DELETE FROM blocks WHERE number < ?");
+  const deleteMessagesAfter = db.prepare(
+    "DELETE FROM messages WHERE block_number > ?"
+  );
+  const deleteModerationAfter = db.prepare(
+    "DELETE FROM moderation WHERE block_number > ?"
+  );
+  const deleteRevisionsAfter = db.prepare(
+    "DELETE FROM revisions WHERE block_number > ?"
+  );
+  const deleteBlocksAfter = db.prepare("DELETE FROM blocks WHERE number > ?");
+  const recentBlocks = db.prepare(
+    "SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?"
+  );
+
+  const getCursor = () => {
+    const value = getMeta.get("cursor");
+    return value === undefined ? null : Number(value);
+  };
+
+  return {
+    /** The last block indexed, or null before the first batch. */
+    getCursor,
+
+    /** Up to `limit` of the newest recorded block hashes, newest first. */
+    recentBlocks: (limit) => recentBlocks.all(limit),
+
+    /**
+     * Stores one batch of logs and moves the cursor to `cursor`, all in
+     * one transaction. Block hashes older than `keepBlocksFrom` are
+     * dropped; they're past the reorg window.
+     */
+    applyBatch: db.transaction(
+      ({ messages, moderation, revisions, blocks, cursor, keepBlocksFrom }) => {
+        messages.forEach((message) => insertMessage.run(message));
+        moderation.forEach((entry) =>
+          insertModeration.run({ ...entry, hidden: entry.hidden ? 1 : 0 })
+        );
+        revisions.forEach((revision) =>
+          insertRevision.run({ ...revision, deleted: revision.deleted ? 1 : 0 })
+        );
+        blocks.forEach((block) => upsertBlock.run(block));
+        pruneBlocks.run(keepBlocksFrom);
+        setMeta.run("cursor", String(cursor));
+      }
+    ),
+
+    /** Forgets everything indexed after `blockNumber`, for a reorg. */
+    rewind: db.transaction((blockNumber) => {
+      deleteMessagesAfter.run(blockNumber);
+      deleteModerationAfter.run(blockNumber);
+      deleteRevisionsAfter.run(blockNumber);
+      deleteBlocksAfter.run(blockNumber);
+      setMeta.run("cursor", String(blockNumber));
+    }),
+
+    /**
+     * Messages matching every given filter, newest first, with the total
+     * number of matches for paging. `q` is free text; `since` and `until`
+     * are inclusive bounds in seconds.
+     * @returns {{ messages: IndexedMessage[], total: number }}
+     */
+    queryMessages: ({
+      q = null,
+      sender = null,
+      channelId = null,
+      since = null,
+      until = null,
+      offset = 0,
+      limit = 20,
+    }) => {
+      const conditions = [];
+      const params = { offset, limit };
+      const ftsQuery = q && toFtsQuery(q);
+      if (q && !ftsQuery) return { messages: [], total: 0 };
+      if (ftsQuery) {
+        // Only a message's current content is searched.
+        conditions.push(
+          `CASE WHEN r.id IS NULL
+             THEN m.id IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH @q)
+             ELSE r.id IN (SELECT rowid FROM revisions_fts WHERE revisions_fts MATCH @q)
+           END`
+        );
+        params.q = ftsQuery;
+      }
+      if (sender !== null) {
+        conditions.push("m.sender = @sender");
+        params.sender = sender;
+      }
+      if (channelId !== null) {
+        conditions.push("m.channel_id = @channelId");
+        params.channelId = channelId;
+      }
+      if (since !== null) {
+        conditions.push("m.timestamp >= @since");
+        params.since = since;
+      }
+      if (until !== null) {
+        conditions.push("m.timestamp <= @until");
+        params.until = until;
+      }
+      const where = conditions.length
+        ? `WHERE ${conditions.join(" AND ")}`
+        : "";
+
+      const rows = db
+        .prepare(
+          `SELECT m.id, m.sender, COALESCE(r.content, m.content) AS content,
+             m.timestamp, m.parent_id, m.channel_id, ${HIDDEN} AS hidden,
+             CASE WHEN r.id IS NULL THEN m.body_hash ELSE r.body_hash END
+               AS body_hash,
+             (SELECT COUNT(*) FROM messages p WHERE p.parent_id = m.id)
+               AS reply_count,
+             (SELECT COUNT(*) FROM revisions e
+               WHERE e.message_id = m.id AND e.deleted = 0) AS edit_count,
+             COALESCE(r.deleted, 0) AS deleted
+           FROM ${WITH_REVISION} ${where}
+           ORDER BY m.id DESC LIMIT @limit OFFSET @offset`
+        )
+        .all(params);
+      const { offset: _offset, limit: _limit, ...countParams } = params;
+      const total = db
+        .prepare(`SELECT COUNT(*) FROM ${WITH_REVISION} ${where}`)
+        .pluck()
+        .get(countParams);
+      return { messages: rows.map(toMessage), total };
+    },
+
+    close: () => db.close(),
+  };
+};
+
+module.exports = { createSqliteStore, toFtsQuery };
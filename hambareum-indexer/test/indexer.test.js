@@ -0,0 +1,360 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { MaxUint256, Wallet, ZeroHash, id } = require("ethers");
+const { createHandler } = require("../src/server");
+const { createIndexer } = require("../src/indexer");
+const { createSqliteStore, toFtsQuery } = require("../src/store");
+
+const PORTAL = Wallet.createRandom().address;
+const ALICE = Wallet.createRandom().address;
+const BOB = Wallet.createRandom().address;
+
+// An in-memory chain of blocks holding portal logs, shaped like the
+// ethers EventLogs the indexer reads. `fork` drops the blocks from a height
+// on, so mining again replaces them as a reorg would.
+const createFakeChain = () => {
+  const blocks = [{ hash: id("genesis"), logs: [] }];
+  let nextMessageId = 0;
+
+  const mine = (logs = [], salt = "") => {
+    const number = blocks.length;
+    const hash = id(`${number}${salt}`);
+    blocks.push({
+      hash,
+      logs: logs.map((log, index) => ({
+        ...log,
+        blockNumber: number,
+        blockHash: hash,
+        index,
+      })),
+    });
+    return number;
+  };
+
+  const post = (
+    sender,
+    content,
+    { timestamp = 1000, parentId, channelId = 0, bodyHash = ZeroHash } = {}
+  ) => ({
+    eventName: "NewMessage",
+    args: {
+      from: sender,
+      timestamp: BigInt(timestamp),
+      content,
+      id: BigInt(nextMessageId++),
+      parentId: parentId === undefined ? MaxUint256 : BigInt(parentId),
+      channelId: BigInt(channelId),
+      bodyHash,
+    },
+  });
+
+  const hide = (messageId, hidden = true) => ({
+    eventName: hidden ? "MessageHidden" : "MessageUnhidden",
+    args: { index: BigInt(messageId) },
+  });
+
+  const edit = (messageId, content, bodyHash = ZeroHash) => ({
+    eventName: "MessageEdited",
+    args: { id: BigInt(messageId), content, bodyHash },
+  });
+
+  const remove = (messageId) => ({
+    eventName: "MessageDeleted",
+    args: { id: BigInt(messageId) },
+  });
+
+  const fork = (fromBlock) => {
+    const replaced = blocks.splice(fromBlock);
+    nextMessageId -= replaced
+      .flatMap((block) => block.logs)
+      .filter((log) => log.eventName === "NewMessage").length;
+  };
+
+  const provider = {
+    getBlockNumber: async () => blocks.length - 1,
+    getBlock: async (number) =>
+      blocks[number] ? { number, hash: blocks[number].hash } : null,
+  };
+  const portal = {
+    queryFilter: async (eventName, from, to) =>
+      blocks
+        .slice(from, to + 1)
+        .flatMap((block) => block.logs)
+        .filter((log) => log.eventName === eventName),
+  };
+
+  return { mine, post, hide, edit, remove, fork, provider, portal };
+};
+
+describe("toFtsQuery", () => {
+  it("quotes each word as a prefix and drops operators", () => {
+    assert.equal(toFtsQuery("gm fren"), '"gm"* "fren"*');
+    assert.equal(toFtsQuery('NEAR("x" OR y*)'), '"NEAR"* "x"* "OR"* "y"*');
+    assert.equal(toFtsQuery("?!"), null);
+  });
+});
+
+describe("indexer", () => {
+  let chain;
+  let store;
+  let indexer;
+
+  beforeEach(() => {
+    chain = createFakeChain();
+    store = createSqliteStore(":memory:", { chainId: 31337, portal: PORTAL });
+    indexer = createIndexer({
+      provider: chain.provider,
+      portal: chain.portal,
+      store,
+      startBlock: 1,
+      reorgDepth: 4,
+      batchSize: 2,
+    });
+  });
+
+  afterEach(() => store.close());
+
+  it("indexes messages in batches and tracks hides", async () => {
+    chain.mine([chain.post(ALICE, "gm everyone", { timestamp: 100 })]);
+    chain.mine();
+    chain.mine([
+      chain.post(BOB, "gm alice", { timestamp: 200, parentId: 0 }),
+      chain.post(BOB, "selling tokens", { timestamp: 300, channelId: 2 }),
+    ]);
+    chain.mine([chain.hide(2)]);
+
+    assert.equal(await indexer.sync(), 4);
+    const { messages, total } = store.queryMessages({});
+    assert.equal(total, 3);
+    assert.deepEqual(
+      messages.map((m) => [m.id, m.hidden, m.replyCount, m.parentId]),
+      [
+        [2, true, 0, null],
+        [1, false, 0, 0],
+        [0, false, 1, null],
+      ]
+    );
+
+    chain.mine([chain.hide(2, false)]);
+    await indexer.sync();
+    assert.equal(
+      store.queryMessages({ channelId: 2 }).messages[0].hidden,
+      false
+    );
+  });
+
+  it("filters by text, sender, channel and date, and pages", async () => {
+    chain.mine([
+      chain.post(ALICE, "gm everyone", { timestamp: 100 }),
+      chain.post(BOB, "GM from bob", { timestamp: 200 }),
+      chain.post(ALICE, "good night", { timestamp: 300, channelId: 1 }),
+    ]);
+    await indexer.sync();
+
+    const ids = (filters) =>
+      store.queryMessages(filters).messages.map((m) => m.id);
+    assert.deepEqual(ids({ q: "gm" }), [1, 0]);
+    assert.deepEqual(ids({ q: "go nig" }), [2]);
+    assert.deepEqual(ids({ sender: ALICE.toLowerCase() }), [2, 0]);
+    assert.deepEqual(ids({ channelId: 1 }), [2]);
+    assert.deepEqual(ids({ since: 150, until: 250 }), [1]);
+    assert.deepEqual(ids({ q: "?" }), []);
+
+    const page = store.queryMessages({ offset: 1, limit: 1 });
+    assert.deepEqual([page.messages[0].id, page.total], [1, 3]);
+  });
+
+  it("serves and searches the latest revision", async () => {
+    chain.mine([
+      chain.post(ALICE, "gm everyone"),
+      chain.post(BOB, "selling tokens"),
+    ]);
+    chain.mine([chain.edit(0, "gn everyone"), chain.remove(1)]);
+    chain.mine([chain.edit(0, "gn all")]);
+    await indexer.sync();
+
+    const { messages } = store.queryMessages({});
+    assert.deepEqual(
+      messages.map((m) => [m.id, m.content, m.editCount, m.deleted]),
+      [
+        [1, "", 0, true],
+        [0, "gn all", 2, false],
+      ]
+    );
+    assert.equal(messages[1].edited, true);
+    assert.equal(store.queryMessages({ q: "gm" }).total, 0);
+    assert.equal(store.queryMessages({ q: "everyone" }).total, 0);
+    assert.equal(store.queryMessages({ q: "tokens" }).total, 0);
+    assert.deepEqual(
+      store.queryMessages({ q: "gn all" }).messages.map((m) => m.id),
+      [0]
+    );
+
+    // Rewinding past an edit brings the previous revision back.
+    chain.fork(3);
+    chain.mine([], "fork");
+    await indexer.sync();
+    assert.equal(store.queryMessages({ q: "everyone" }).messages[0].id, 0);
+  });
+
+  it("serves the body hash of long-form posts and their revisions", async () => {
+    const first = id("first body");
+    const second = id("second body");
+    chain.mine([
+      chain.post(ALICE, "A long post…", { bodyHash: first }),
+      chain.post(BOB, "A short one"),
+      chain.post(BOB, "Another long one…", { bodyHash: first }),
+    ]);
+    chain.mine([
+      chain.edit(0, "An edited long post…", second),
+      chain.edit(1, "Now long…", first),
+      chain.remove(2),
+    ]);
+    await indexer.sync();
+
+    const bodyHashes = (q) =>
+      store.queryMessages({ q }).messages.map((m) => [m.id, m.bodyHash]);
+    assert.deepEqual(bodyHashes(null), [
+      [2, null],
+      [1, first],
+      [0, second],
+    ]);
+
+    chain.fork(2);
+    chain.mine([], "fork");
+    await indexer.sync();
+    assert.deepEqual(bodyHashes("long"), [
+      [2, first],
+      [0, first],
+    ]);
+  });
+
+  it("reindexes blocks replaced by a reorg", async () => {
+    chain.mine([chain.post(ALICE, "kept")]);
+    chain.mine([chain.post(ALICE, "orphaned")]);
+    chain.mine([chain.hide(0)]);
+    await indexer.sync();
+    assert.equal(store.queryMessages({}).total, 2);
+
+    chain.fork(2);
+    chain.mine([chain.post(BOB, "replacement")], "fork");
+    chain.mine([], "fork");
+    chain.mine([], "fork");
+
+    assert.equal(await indexer.sync(), 4);
+    const { messages } = store.queryMessages({});
+    assert.deepEqual(
+      messages.map((m) => [m.id, m.content, m.hidden]),
+      [
+        [1, "replacement", false],
+        [0, "kept", false],
+      ]
+    );
+    assert.equal(store.queryMessages({ q: "orphaned" }).total, 0);
+  });
+
+  it("refuses a database built for another deployment", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "hambareum-indexer-"));
+    const file = path.join(dir, "messages.db");
+    try {
+      createSqliteStore(file, { chainId: 1, portal: PORTAL }).close();
+      createSqliteStore(file, { chainId: 1, portal: PORTAL }).close();
+      assert.throws(
+        () => createSqliteStore(file, { chainId: 1, portal: ALICE }),
+        /indexes 1:0x/
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("refuses a database built with an older schema", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "hambareum-indexer-"));
+    const file = path.join(dir, "messages.db");
+    try {
+      createSqliteStore(file, { chainId: 1, portal: PORTAL }).close();
+      // Databases from before schema versions have no version at all.
+      const db = new Database(file);
+      db.prepare("DELETE FROM meta WHERE key = 'schemaVersion'").run();
+      db.close();
+      assert.throws(
+        () => createSqliteStore(file, { chainId: 1, portal: PORTAL }),
+        /older indexer \(schema 1, now 2\)\. Delete it/
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("indexer API", () => {
+  let server;
+  let baseUrl;
+  let store;
+
+  beforeEach(async () => {
+    const chain = createFakeChain();
+    chain.mine([
+      chain.post(ALICE, "gm everyone", { timestamp: 100 }),
+      chain.post(BOB, "gm from bob", { timestamp: 200 }),
+    ]);
+    store = createSqliteStore(":memory:", { chainId: 31337, portal: PORTAL });
+    await createIndexer({
+      provider: chain.provider,
+      portal: chain.portal,
+      store,
+      startBlock: 1,
+    }).sync();
+
+    server = http.createServer(
+      createHandler({ store, chainId: 31337, portal: PORTAL })
+    );
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    server.close();
+    store.close();
+  });
+
+  const get = async (pathname) => {
+    const res = await fetch(`${baseUrl}${pathname}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  it("reports what it indexes", async () => {
+    const { body } = await get("/status");
+    assert.deepEqual(body, { chainId: 31337, portal: PORTAL, lastBlock: 1 });
+  });
+
+  it("searches messages", async () => {
+    const { status, body } = await get(
+      `/messages?q=gm&sender=${BOB.toLowerCase()}&limit=10`
+    );
+    assert.equal(status, 200);
+    assert.equal(body.total, 1);
+    assert.equal(body.messages[0].content, "gm from bob");
+    assert.equal(body.messages[0].sender, BOB);
+  });
+
+  it("rejects bad parameters", async () => {
+    for (const [query, code] of [
+      ["sender=0x1234", "INVALID_ADDRESS"],
+      ["limit=0", "INVALID_PARAMETER"],
+      ["limit=101", "INVALID_PARAMETER"],
+      ["since=-1", "INVALID_PARAMETER"],
+      [`q=${"a".repeat(201)}`, "INVALID_PARAMETER"],
+    ]) {
+      const { status, body } = await get(`/messages?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.error.code, code);
+    }
+    assert.equal((await get("/nope")).status, 404);
+  });
+});
@@ -0,0 +1,112 @@
+const { getAddress, isAddress, verifyTypedData } = require("ethers");
+const { HttpError } = require("hambareum-http");
+
+// The frontend signs with the same domain and types (see
+// hambareum-frontend/src/services/profiles.js); change both together.
+const PROFILE_DOMAIN = { name: "Hambareum Profiles", version: "1" };
+
+const PROFILE_TYPES = {
+  Profile: [
+    { name: "account", type: "address" },
+    { name: "displayName", type: "string" },
+    { name: "avatarUrl", type: "string" },
+    { name: "issuedAt", type: "uint256" },
+  ],
+};
+
+const MAX_DISPLAY_NAME_LENGTH = 32;
+const MAX_AVATAR_URL_LENGTH = 256;
+// Tolerated clock skew between the signer's machine and the service.
+const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+const invalid = (message) => new HttpError(400, "INVALID_PROFILE", message);
+
+const isAvatarUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Checks the shape of an unsigned profile and returns it normalised
+ * (checksummed account, trimmed name). Throws INVALID_PROFILE.
+ */
+const validateProfile = (profile, now = Math.floor(Date.now() / 1000)) => {
+  if (!profile || typeof profile !== "object") {
+    throw invalid("Profile is missing.");
+  }
+  const { account, displayName, avatarUrl, issuedAt } = profile;
+
+  if (typeof account !== "string" || !isAddress(account)) {
+    throw invalid("Profile account is not an address.");
+  }
+  if (typeof displayName !== "string" || displayName !== displayName.trim()) {
+    throw invalid("Display name must not start or end with spaces.");
+  }
+  if (
+    displayName.length === 0 ||
+    displayName.length > MAX_DISPLAY_NAME_LENGTH
+  ) {
+    throw invalid(
+      `Display name must be 1 to ${MAX_DISPLAY_NAME_LENGTH} characters.`
+    );
+  }
+  if (
+    typeof avatarUrl !== "string" ||
+    avatarUrl.length > MAX_AVATAR_URL_LENGTH ||
+    (avatarUrl !== "" && !isAvatarUrl(avatarUrl))
+  ) {
+    throw invalid(
+      `Avatar must be empty or an http(s) URL of at most ${MAX_AVATAR_URL_LENGTH} characters.`
+    );
+  }
+  if (!Number.isSafeInteger(issuedAt) || issuedAt <= 0) {
+    throw invalid("issuedAt must be a timestamp in seconds.");
+  }
+  if (issuedAt > now + MAX_CLOCK_SKEW_SECONDS) {
+    throw invalid("issuedAt is in the future.");
+  }
+
+  return { account: getAddress(account), displayName, avatarUrl, issuedAt };
+};
+
+/**
+ * Validates `profile` and checks that `signature` is its EIP-712 signature
+ * by `profile.account`. Returns the normalised profile; throws
+ * INVALID_PROFILE or INVALID_SIGNATURE.
+ */
+const verifyProfile = (profile, signature) => {
+  const normalised = validateProfile(profile);
+
+  let signer;
+  try {
+    signer = verifyTypedData(
+      PROFILE_DOMAIN,
+      PROFILE_TYPES,
+      normalised,
+      signature
+    );
+  } catch {
+    throw new HttpError(400, "INVALID_SIGNATURE", "Signature is malformed.");
+  }
+  if (signer !== normalised.account) {
+    throw new HttpError(
+      400,
+      "INVALID_SIGNATURE",
+      "Profile was not signed by its account."
+    );
+  }
+  return normalised;
+};
+
+module.exports = {
+  PROFILE_DOMAIN,
+  PROFILE_TYPES,
+  MAX_DISPLAY_NAME_LENGTH,
+  MAX_AVATAR_URL_LENGTH,
+  validateProfile,
+  verifyProfile,
+};
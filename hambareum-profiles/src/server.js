@@ -0,0 +1,159 @@
+const http = require("http");
+const path = require("path");
+const { isAddress } = require("ethers");
+const { HttpError, createRequestHandler, readJson } = require("hambareum-http");
+const { verifyProfile } = require("./profile");
+const { createSessions } = require("./siwe");
+const { createFileStore } = require("./store");
+
+const MAX_BODY_BYTES = 16 * 1024;
+// Keeps batch lookup URLs a sane length.
+const MAX_ADDRESSES_PER_REQUEST = 100;
+
+const parseAddress = (value) => {
+  if (!isAddress(value)) {
+    throw new HttpError(400, "INVALID_ADDRESS", `${value} is not an address.`);
+  }
+  return value;
+};
+
+const bearerToken = (req) => {
+  const match = /^Bearer (\S+)$/.exec(req.headers.authorization ?? "");
+  return match ? match[1] : null;
+};
+
+/**
+ * Builds the profile service's request handler.
+ *
+ *   GET  /auth/nonce                 -> { nonce }
+ *   POST /auth/sign-in               { message, signature } -> { token, address, expiresAt }
+ *   GET  /profiles?addresses=a,b,... -> { profiles: { [lowercase address]: profile } }
+ *   GET  /profiles/:address          -> profile
+ *   PUT  /profiles/:address          { profile, signature } -> profile  (Bearer token)
+ *
+ * Stored profiles carry their EIP-712 signature, so clients can verify them
+ * without trusting this service. Errors are `{ error: { code, message } }`.
+ */
+const createHandler = ({ store, sessions, allowedOrigin = "*" }) => {
+  const routes = [
+    {
+      method: "GET",
+      pattern: /^\/auth\/nonce$/,
+      handle: () => ({ nonce: sessions.issueNonce() }),
+    },
+    {
+      method: "POST",
+      pattern: /^\/auth\/sign-in$/,
+      handle: async (req) => {
+        const { message, signature } = await readJson(req, MAX_BODY_BYTES);
+        return sessions.signIn(message, signature);
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/profiles$/,
+      handle: (_req, _params, url) => {
+        const addresses = (url.searchParams.get("addresses") ?? "")
+          .split(",")
+          .filter(Boolean);
+        if (addresses.length > MAX_ADDRESSES_PER_REQUEST) {
+          throw new HttpError(
+            400,
+            "TOO_MANY_ADDRESSES",
+            `At most ${MAX_ADDRESSES_PER_REQUEST} addresses per request.`
+          );
+        }
+        return { profiles: store.getMany(addresses.map(parseAddress)) };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/profiles\/([^/]+)$/,
+      handle: (_req, [address]) => {
+        const profile = store.get(parseAddress(address));
+        if (!profile) {
+          throw new HttpError(404, "PROFILE_NOT_FOUND", "No profile set.");
+        }
+        return profile;
+      },
+    },
+    {
+      method: "PUT",
+      pattern: /^\/profiles\/([^/]+)$/,
+      handle: async (req, [address]) => {
+        const signedIn = sessions.authenticate(bearerToken(req));
+        if (!signedIn) {
+          throw new HttpError(
+            401,
+            "NOT_SIGNED_IN",
+            "Sign in to edit profiles."
+          );
+        }
+        if (signedIn.toLowerCase() !== parseAddress(address).toLowerCase()) {
+          throw new HttpError(
+            403,
+            "FORBIDDEN",
+            "You can only edit your own profile."
+          );
+        }
+
+        const { profile, signature } = await readJson(req, MAX_BODY_BYTES);
+        const verified = verifyProfile(profile, signature);
+        if (verified.account !== signedIn) {
+          throw new HttpError(
+            403,
+            "FORBIDDEN",
+            "You can only edit your own profile."
+          );
+        }
+
+        // Stops an old signed profile from being replayed over a newer one.
+        const existing = store.get(verified.account);
+        if (existing && existing.issuedAt >= verified.issuedAt) {
+          throw new HttpError(
+            409,
+            "STALE_PROFILE",
+            "A newer profile has already been saved."
+          );
+        }
+        return store.put({ ...verified, signature });
+      },
+    },
+  ];
+
+  return createRequestHandler({
+    routes,
+    allowedOrigin,
+    allowedHeaders: ["Content-Type", "Authorization"],
+  });
+};
+
+const main = async () => {
+  const port = Number(process.env.PORT ?? 8787);
+  const dataFile =
+    process.env.DATA_FILE ??
+    path.join(__dirname, "..", "data", "profiles.json");
+
+  if (!process.env.SIWE_DOMAIN) {
+    throw new Error("Set SIWE_DOMAIN to the host the frontend is served from.");
+  }
+  const chainIds = process.env.SIWE_CHAIN_IDS?.split(",").map(Number) ?? null;
+
+  const handler = createHandler({
+    store: await createFileStore(dataFile),
+    sessions: createSessions({ domain: process.env.SIWE_DOMAIN, chainIds }),
+    allowedOrigin: process.env.ALLOWED_ORIGIN ?? "*",
+  });
+  http.createServer(handler).listen(port, () => {
+    console.log(`Profile service listening on http://localhost:${port}`);
+  });
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createHandler };
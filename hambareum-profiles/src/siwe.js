@@ -0,0 +1,168 @@
+const { randomBytes } = require("crypto");
+const { getAddress, isAddress, verifyMessage } = require("ethers");
+const { HttpError } = require("hambareum-http");
+
+const NONCE_TTL_MS = 10 * 60 * 1000;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+const FIELDS = {
+  URI: "uri",
+  Version: "version",
+  "Chain ID": "chainId",
+  Nonce: "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+};
+
+const unauthorized = (message) =>
+  new HttpError(401, "INVALID_SIGN_IN", message);
+
+// Host of a URI, or null if it isn't one.
+const hostOf = (uri) => {
+  try {
+    return new URL(uri).host;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parses an EIP-4361 (Sign-In with Ethereum) message into
+ * `{ domain, address, statement, uri, version, chainId, nonce, issuedAt,
+ * expirationTime }`. Only the fields Hambareum uses are recognised; throws
+ * INVALID_SIGN_IN if the message doesn't follow the format.
+ */
+const parseSiweMessage = (message) => {
+  if (typeof message !== "string") throw unauthorized("Message is missing.");
+  const lines = message.split("\n");
+
+  const [header, address, blank, ...rest] = lines;
+  if (!header?.endsWith(HEADER_SUFFIX) || blank !== "") {
+    throw unauthorized("Not a Sign-In with Ethereum message.");
+  }
+  if (!isAddress(address)) throw unauthorized("Message address is invalid.");
+
+  const parsed = {
+    domain: header.slice(0, -HEADER_SUFFIX.length),
+    address: getAddress(address),
+    statement: null,
+  };
+
+  // An optional statement line, followed by a blank line, precedes the fields.
+  let fields = rest;
+  if (rest.length > 1 && rest[1] === "" && !rest[0].includes(": ")) {
+    parsed.statement = rest[0];
+    fields = rest.slice(2);
+  }
+
+  for (const line of fields) {
+    const separator = line.indexOf(": ");
+    const key = FIELDS[line.slice(0, separator)];
+    if (separator < 0 || !key) {
+      throw unauthorized(`Unexpected line in message: "${line}".`);
+    }
+    parsed[key] = line.slice(separator + 2);
+  }
+
+  for (const key of ["uri", "version", "chainId", "nonce", "issuedAt"]) {
+    if (!parsed[key]) throw unauthorized(`Message is missing ${key}.`);
+  }
+  if (parsed.version !== "1") throw unauthorized("Unsupported SIWE version.");
+  if (!/^[1-9][0-9]*$/.test(parsed.chainId)) {
+    throw unauthorized("Message chain ID is invalid.");
+  }
+  parsed.chainId = Number(parsed.chainId);
+  // Date.parse gives NaN for these, which no expiry check would catch.
+  for (const key of ["issuedAt", "expirationTime"]) {
+    if (parsed[key] && Number.isNaN(Date.parse(parsed[key]))) {
+      throw unauthorized(`Message ${key} is not a valid time.`);
+    }
+  }
+  return parsed;
+};
+
+/**
+ * Issues single-use sign-in nonces and bearer tokens for accounts that
+ * signed a SIWE message with one. Everything lives in memory, so restarting
+ * the service signs everyone out.
+ *
+ * `domain` is the only host sign-in messages may name, in their header and
+ * their URI alike; there is no default, since accepting any domain would
+ * let other sites replay sign-ins. `chainIds`, when set, lists the chain
+ * ids they may name.
+ */
+const createSessions = ({ domain, chainIds = null, now = Date.now }) => {
+  if (!domain) throw new Error("A sign-in domain is required.");
+  const nonces = new Map();
+  const sessions = new Map();
+
+  const prune = () => {
+    const time = now();
+    for (const [nonce, expiresAt] of nonces) {
+      if (expiresAt <= time) nonces.delete(nonce);
+    }
+    for (const [token, session] of sessions) {
+      if (session.expiresAt <= time) sessions.delete(token);
+    }
+  };
+
+  return {
+    issueNonce: () => {
+      prune();
+      const nonce = randomBytes(12).toString("hex");
+      nonces.set(nonce, now() + NONCE_TTL_MS);
+      return nonce;
+    },
+
+    /**
+     * Verifies a signed SIWE message and returns a new session as
+     * `{ token, address, expiresAt }`. Throws INVALID_SIGN_IN.
+     */
+    signIn: (message, signature) => {
+      prune();
+      const parsed = parseSiweMessage(message);
+
+      if (parsed.domain !== domain) {
+        throw unauthorized(`Message is for ${parsed.domain}, not ${domain}.`);
+      }
+      if (hostOf(parsed.uri) !== domain) {
+        throw unauthorized(`Message URI is not on ${domain}.`);
+      }
+      if (chainIds && !chainIds.includes(parsed.chainId)) {
+        throw unauthorized(`Chain ${parsed.chainId} is not accepted.`);
+      }
+      if (!nonces.has(parsed.nonce)) {
+        throw unauthorized("Nonce is unknown, expired or already used.");
+      }
+      if (parsed.expirationTime && Date.parse(parsed.expirationTime) <= now()) {
+        throw unauthorized("Message has expired.");
+      }
+
+      let signer;
+      try {
+        signer = verifyMessage(message, signature);
+      } catch {
+        throw unauthorized("Signature is malformed.");
+      }
+      if (signer !== parsed.address) {
+        throw unauthorized("Message was not signed by its address.");
+      }
+
+      nonces.delete(parsed.nonce);
+      const token = randomBytes(32).toString("hex");
+      const session = { address: signer, expiresAt: now() + SESSION_TTL_MS };
+      sessions.set(token, session);
+      return { token, ...session };
+    },
+
+    /** The address signed in with `token`, or null. */
+    authenticate: (token) => {
+      const session = token && sessions.get(token);
+      if (!session || session.expiresAt <= now()) return null;
+      return session.address;
+    },
+  };
+};
+
+module.exports = { parseSiweMessage, createSessions };
@@ -0,0 +1,54 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Profiles keyed by lowercase address, kept in memory and persisted to a
+ * single JSON file. Writes replace the file atomically (write, then rename)
+ * and are queued so concurrent saves can't interleave.
+ */
+const createFileStore = async (file) => {
+  let profiles = {};
+  try {
+    profiles = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+
+  // Each write waits for the one before it, whether or not that failed;
+  // only the caller of a failed write sees its error. A change reaches
+  // `profiles` once it is on disk, so a failed write leaves no trace.
+  let writing = Promise.resolve();
+  const persist = (key, profile) => {
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        const next = { ...profiles, [key]: profile };
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(next, null, 2));
+        await fs.rename(tmp, file);
+        profiles = next;
+      });
+    return writing;
+  };
+
+  return {
+    get: (address) => profiles[address.toLowerCase()] ?? null,
+
+    /** Profiles for `addresses` that exist, keyed by lowercase address. */
+    getMany: (addresses) =>
+      Object.fromEntries(
+        addresses
+          .map((address) => address.toLowerCase())
+          .filter((key) => profiles[key])
+          .map((key) => [key, profiles[key]])
+      ),
+
+    put: async (profile) => {
+      await persist(profile.account.toLowerCase(), profile);
+      return profile;
+    },
+  };
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,359 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { Wallet } = require("ethers");
+const { createHandler } = require("../src/server");
+const { createSessions, parseSiweMessage } = require("../src/siwe");
+const { createFileStore } = require("../src/store");
+const { PROFILE_DOMAIN, PROFILE_TYPES } = require("../src/profile");
+
+const siweMessage = ({ address, nonce, domain = "localhost:5173" }) =>
+  [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Sign in to edit your Hambareum profile.",
+    "",
+    `URI: http://${domain}`,
+    "Version: 1",
+    "Chain ID: 31337",
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+  ].join("\n");
+
+const signProfile = async (wallet, fields) => {
+  const profile = {
+    account: wallet.address,
+    displayName: "alice",
+    avatarUrl: "",
+    issuedAt: Math.floor(Date.now() / 1000),
+    ...fields,
+  };
+  const signature = await wallet.signTypedData(
+    PROFILE_DOMAIN,
+    PROFILE_TYPES,
+    profile
+  );
+  return { profile, signature };
+};
+
+describe("profile service", () => {
+  let server;
+  let baseUrl;
+  let dataDir;
+
+  const request = async (method, pathname, { body, token } = {}) => {
+    const res = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const signIn = async (wallet) => {
+    const { body } = await request("GET", "/auth/nonce");
+    const message = siweMessage({ address: wallet.address, nonce: body.nonce });
+    const signature = await wallet.signMessage(message);
+    return request("POST", "/auth/sign-in", { body: { message, signature } });
+  };
+
+  before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "hambareum-profiles-"));
+  });
+
+  after(async () => {
+    server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    if (server) server.close();
+    const store = await createFileStore(
+      path.join(dataDir, `${Date.now()}-${Math.random()}.json`)
+    );
+    server = http.createServer(
+      createHandler({
+        store,
+        sessions: createSessions({ domain: "localhost:5173" }),
+      })
+    );
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  describe("sign-in", () => {
+    it("issues a session for a signed SIWE message", async () => {
+      const wallet = Wallet.createRandom();
+      const { status, body } = await signIn(wallet);
+      assert.equal(status, 200);
+      assert.equal(body.address, wallet.address);
+      assert.match(body.token, /^[0-9a-f]{64}$/);
+    });
+
+    it("rejects a reused nonce", async () => {
+      const wallet = Wallet.createRandom();
+      const { body } = await request("GET", "/auth/nonce");
+      const message = siweMessage({
+        address: wallet.address,
+        nonce: body.nonce,
+      });
+      const signature = await wallet.signMessage(message);
+
+      await request("POST", "/auth/sign-in", { body: { message, signature } });
+      const replay = await request("POST", "/auth/sign-in", {
+        body: { message, signature },
+      });
+      assert.equal(replay.status, 401);
+      assert.equal(replay.body.error.code, "INVALID_SIGN_IN");
+    });
+
+    it("rejects a message signed by another account", async () => {
+      const wallet = Wallet.createRandom();
+      const { body } = await request("GET", "/auth/nonce");
+      const message = siweMessage({
+        address: wallet.address,
+        nonce: body.nonce,
+      });
+      const signature = await Wallet.createRandom().signMessage(message);
+
+      const { status } = await request("POST", "/auth/sign-in", {
+        body: { message, signature },
+      });
+      assert.equal(status, 401);
+    });
+
+    it("requires a domain", () => {
+      assert.throws(() => createSessions({}), /domain is required/);
+    });
+
+    it("rejects messages for another domain", () => {
+      const sessions = createSessions({ domain: "hambareum.example" });
+      const message = siweMessage({
+        address: Wallet.createRandom().address,
+        nonce: sessions.issueNonce(),
+      });
+      assert.throws(() => sessions.signIn(message, "0x"), {
+        code: "INVALID_SIGN_IN",
+      });
+    });
+
+    it("rejects a URI on another host", async () => {
+      const wallet = Wallet.createRandom();
+      const sessions = createSessions({ domain: "localhost:5173" });
+      const message = siweMessage({
+        address: wallet.address,
+        nonce: sessions.issueNonce(),
+      }).replace("URI: http://localhost:5173", "URI: https://evil.example");
+      const signature = await wallet.signMessage(message);
+      assert.throws(() => sessions.signIn(message, signature), {
+        message: "Message URI is not on localhost:5173.",
+      });
+    });
+
+    it("rejects chains that aren't accepted", async () => {
+      const wallet = Wallet.createRandom();
+      const sessions = createSessions({
+        domain: "localhost:5173",
+        chainIds: [1],
+      });
+      const message = siweMessage({
+        address: wallet.address,
+        nonce: sessions.issueNonce(),
+      });
+      const signature = await wallet.signMessage(message);
+      assert.throws(() => sessions.signIn(message, signature), {
+        message: "Chain 31337 is not accepted.",
+      });
+    });
+
+    it("rejects times that don't parse", async () => {
+      const wallet = Wallet.createRandom();
+      const sessions = createSessions({ domain: "localhost:5173" });
+      const message = `${siweMessage({
+        address: wallet.address,
+        nonce: sessions.issueNonce(),
+      })}\nExpiration Time: someday`;
+      const signature = await wallet.signMessage(message);
+      assert.throws(() => sessions.signIn(message, signature), {
+        message: "Message expirationTime is not a valid time.",
+      });
+      assert.throws(
+        () =>
+          parseSiweMessage(
+            siweMessage({ address: wallet.address, nonce: "abc123" }).replace(
+              /Issued At: .*/,
+              "Issued At: yesterday"
+            )
+          ),
+        { message: "Message issuedAt is not a valid time." }
+      );
+    });
+
+    it("parses the statement and fields", () => {
+      const address = Wallet.createRandom().address;
+      const parsed = parseSiweMessage(
+        siweMessage({ address, nonce: "abc123" })
+      );
+      assert.equal(parsed.domain, "localhost:5173");
+      assert.equal(parsed.address, address);
+      assert.equal(parsed.statement, "Sign in to edit your Hambareum profile.");
+      assert.equal(parsed.chainId, 31337);
+      assert.equal(parsed.nonce, "abc123");
+    });
+  });
+
+  describe("profiles", () => {
+    it("saves a signed profile and serves it with its signature", async () => {
+      const wallet = Wallet.createRandom();
+      const { body: session } = await signIn(wallet);
+      const signed = await signProfile(wallet, { displayName: "Alice" });
+
+      const saved = await request("PUT", `/profiles/${wallet.address}`, {
+        body: signed,
+        token: session.token,
+      });
+      assert.equal(saved.status, 200);
+
+      const { body } = await request(
+        "GET",
+        `/profiles?addresses=${wallet.address},${Wallet.createRandom().address}`
+      );
+      assert.deepEqual(Object.keys(body.profiles), [
+        wallet.address.toLowerCase(),
+      ]);
+      assert.equal(
+        body.profiles[wallet.address.toLowerCase()].signature,
+        signed.signature
+      );
+    });
+
+    it("requires a session", async () => {
+      const wallet = Wallet.createRandom();
+      const { status, body } = await request(
+        "PUT",
+        `/profiles/${wallet.address}`,
+        { body: await signProfile(wallet) }
+      );
+      assert.equal(status, 401);
+      assert.equal(body.error.code, "NOT_SIGNED_IN");
+    });
+
+    it("rejects editing another account's profile", async () => {
+      const alice = Wallet.createRandom();
+      const bob = Wallet.createRandom();
+      const { body: session } = await signIn(alice);
+
+      const { status } = await request("PUT", `/profiles/${bob.address}`, {
+        body: await signProfile(bob),
+        token: session.token,
+      });
+      assert.equal(status, 403);
+    });
+
+    it("rejects a profile not signed by its account", async () => {
+      const wallet = Wallet.createRandom();
+      const { body: session } = await signIn(wallet);
+      const { profile } = await signProfile(wallet);
+      const { signature } = await signProfile(Wallet.createRandom(), {
+        account: wallet.address,
+      });
+
+      const { status, body } = await request(
+        "PUT",
+        `/profiles/${wallet.address}`,
+        { body: { profile, signature }, token: session.token }
+      );
+      assert.equal(status, 400);
+      assert.equal(body.error.code, "INVALID_SIGNATURE");
+    });
+
+    it("rejects an older profile replayed over a newer one", async () => {
+      const wallet = Wallet.createRandom();
+      const { body: session } = await signIn(wallet);
+      const now = Math.floor(Date.now() / 1000);
+      const older = await signProfile(wallet, { issuedAt: now - 60 });
+      const newer = await signProfile(wallet, { issuedAt: now });
+
+      await request("PUT", `/profiles/${wallet.address}`, {
+        body: newer,
+        token: session.token,
+      });
+      const { status, body } = await request(
+        "PUT",
+        `/profiles/${wallet.address}`,
+        { body: older, token: session.token }
+      );
+      assert.equal(status, 409);
+      assert.equal(body.error.code, "STALE_PROFILE");
+    });
+
+    it("validates the display name and avatar", async () => {
+      const wallet = Wallet.createRandom();
+      const { body: session } = await signIn(wallet);
+
+      for (const fields of [
+        { displayName: "" },
+        { displayName: "x".repeat(33) },
+        { avatarUrl: "javascript:alert(1)" },
+      ]) {
+        const { status, body } = await request(
+          "PUT",
+          `/profiles/${wallet.address}`,
+          { body: await signProfile(wallet, fields), token: session.token }
+        );
+        assert.equal(status, 400);
+        assert.equal(body.error.code, "INVALID_PROFILE");
+      }
+    });
+
+    it("returns 404 for an address without a profile", async () => {
+      const { status } = await request(
+        "GET",
+        `/profiles/${Wallet.createRandom().address}`
+      );
+      assert.equal(status, 404);
+    });
+
+    it("rejects a badly encoded address", async () => {
+      const { status, body } = await request("GET", "/profiles/%E0%A4%A");
+      assert.equal(status, 400);
+      assert.equal(body.error.code, "INVALID_PATH");
+    });
+  });
+
+  describe("store", () => {
+    it("persists profiles across restarts", async () => {
+      const file = path.join(dataDir, "persist.json");
+      const store = await createFileStore(file);
+      const account = Wallet.createRandom().address;
+      await store.put({ account, displayName: "carol", issuedAt: 1 });
+
+      const reopened = await createFileStore(file);
+      assert.equal(reopened.get(account).displayName, "carol");
+    });
+
+    it("keeps saving after a failed write", async () => {
+      const file = path.join(dataDir, "recover.json");
+      const store = await createFileStore(file);
+      const account = Wallet.createRandom().address;
+      // A directory in place of the temporary file makes the write fail.
+      await fs.mkdir(`${file}.tmp`);
+      await assert.rejects(
+        store.put({ account, displayName: "dave", issuedAt: 1 })
+      );
+      assert.equal(store.get(account), null);
+
+      await fs.rmdir(`${file}.tmp`);
+      await store.put({ account, displayName: "erin", issuedAt: 2 });
+      const reopened = await createFileStore(file);
+      assert.equal(reopened.get(account).displayName, "erin");
+    });
+  });
+});
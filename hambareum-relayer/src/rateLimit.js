@@ -0,0 +1,28 @@
+/**
+ * Fixed-window rate limiter: each key may be taken `limit` times per
+ * `windowMs`. `take(key)` records a use and returns 0 when allowed, or the
+ * milliseconds until the key's window resets when it isn't.
+ */
+const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const windows = new Map();
+
+  return {
+    take: (key) => {
+      const time = now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        // Drop stale windows so memory stays bounded by active keys.
+        for (const [k, w] of windows) {
+          if (w.resetAt <= time) windows.delete(k);
+        }
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+      if (window.count >= limit) return window.resetAt - time;
+      window.count++;
+      return 0;
+    },
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,141 @@
+const {
+  Contract,
+  Interface,
+  concat,
+  getAddress,
+  isAddress,
+  isHexString,
+} = require("ethers");
+const { HttpError } = require("hambareum-http");
+
+const REQUEST_TUPLE =
+  "(address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature)";
+const FORWARDER_ABI = [
+  `function verify(${REQUEST_TUPLE} request) view returns (bool)`,
+  `function execute(${REQUEST_TUPLE} request) payable`,
+];
+
+// The only calls the relayer pays for: posting a message or a reply, in the
+// general channel or any other.
+const portalInterface = new Interface([
+  "function sendMessage(string _message)",
+  "function sendMessage(string _message, uint256 _parentId)",
+  "function sendChannelMessage(uint256 _channelId, string _message, uint256 _parentId)",
+]);
+const RELAYABLE_SELECTORS = new Set(
+  portalInterface.fragments.map((fragment) => fragment.selector)
+);
+
+// Upper bound on the gas a request may ask for; a post uses well under this.
+const MAX_REQUEST_GAS = 500000n;
+
+const invalid = (message) => new HttpError(400, "INVALID_REQUEST", message);
+
+const toBigInt = (value, name) => {
+  try {
+    return BigInt(value);
+  } catch {
+    throw invalid(`${name} is not an integer.`);
+  }
+};
+
+/**
+ * Checks the shape of a signed ForwardRequestData as sent by the frontend
+ * (integers as decimal strings) and returns it with bigints. Only posts to
+ * `portalAddress` with no value and bounded gas are accepted.
+ */
+const parseRequest = (body, portalAddress) => {
+  const request = body?.request;
+  if (!request || typeof request !== "object") {
+    throw invalid("Request is missing.");
+  }
+  const { from, to, data, signature } = request;
+
+  if (!isAddress(from)) throw invalid("from is not an address.");
+  if (!isAddress(to) || getAddress(to) !== getAddress(portalAddress)) {
+    throw invalid("Requests must target the HambaPortal contract.");
+  }
+  if (!isHexString(data) || !isHexString(signature)) {
+    throw invalid("data and signature must be hex strings.");
+  }
+  if (!RELAYABLE_SELECTORS.has(data.slice(0, 10))) {
+    throw invalid("Only posts are relayed.");
+  }
+
+  const value = toBigInt(request.value, "value");
+  const gas = toBigInt(request.gas, "gas");
+  const deadline = toBigInt(request.deadline, "deadline");
+  if (value !== 0n) throw invalid("Relayed requests can't carry value.");
+  if (gas <= 0n || gas > MAX_REQUEST_GAS) {
+    throw invalid(`gas must be between 1 and ${MAX_REQUEST_GAS}.`);
+  }
+
+  return {
+    from: getAddress(from),
+    to: getAddress(to),
+    value,
+    gas,
+    deadline,
+    data,
+    signature,
+  };
+};
+
+/**
+ * Relays signed requests through the trusted forwarder from `signer`, which
+ * pays the gas. Use a NonceManager-wrapped signer so concurrent relays get
+ * distinct nonces.
+ */
+const createRelay = ({ signer, forwarderAddress, portalAddress }) => {
+  const forwarder = new Contract(forwarderAddress, FORWARDER_ABI, signer);
+
+  return {
+    config: async () => ({
+      chainId: Number((await signer.provider.getNetwork()).chainId),
+      forwarder: getAddress(forwarderAddress),
+      portal: getAddress(portalAddress),
+      relayer: await signer.getAddress(),
+    }),
+
+    /**
+     * Checks a request from parseRequest: its signature, nonce and deadline,
+     * and that the post itself would succeed. Throws INVALID_SIGNATURE or
+     * REVERTED (with the portal's revert `data`).
+     */
+    check: async (request) => {
+      if (!(await forwarder.verify(request))) {
+        throw new HttpError(
+          400,
+          "INVALID_SIGNATURE",
+          "Request signature, nonce or deadline is invalid."
+        );
+      }
+
+      // The forwarder hides the portal's revert reason behind FailedCall, so
+      // simulate the inner call to report cooldowns, bans and the like.
+      try {
+        await signer.provider.call({
+          from: forwarderAddress,
+          to: request.to,
+          data: concat([request.data, request.from]),
+          gasLimit: request.gas,
+        });
+      } catch (e) {
+        const error = new HttpError(400, "REVERTED", "The post would revert.");
+        error.data = e.data ?? e.info?.error?.data ?? null;
+        throw error;
+      }
+    },
+
+    /**
+     * Submits a checked request; resolves to `{ hash, nonce, relayer }` once
+     * the transaction is broadcast.
+     */
+    submit: async (request) => {
+      const tx = await forwarder.execute(request);
+      return { hash: tx.hash, nonce: tx.nonce, relayer: tx.from };
+    },
+  };
+};
+
+module.exports = { createRelay, parseRequest };
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { JsonRpcProvider, NonceManager, Wallet } = require("ethers");
+const { HttpError, createRequestHandler, readJson } = require("hambareum-http");
+const { createRateLimiter } = require("./rateLimit");
+const { createRelay, parseRequest } = require("./relay");
+
+const MAX_BODY_BYTES = 16 * 1024;
+const HOUR_MS = 60 * 60 * 1000;
+
+const rateLimited = (retryAfterMs) =>
+  new HttpError(
+    429,
+    "RATE_LIMITED",
+    `Too many gasless posts. Try again in ${Math.ceil(
+      retryAfterMs / 60000
+    )} min, or post with your own gas.`
+  );
+
+/**
+ * Builds the relayer's request handler.
+ *
+ *   GET  /config -> { chainId, forwarder, portal, relayer }
+ *   POST /relay  { request } -> { hash, nonce, relayer }
+ *
+ * `request` is an ERC2771Forwarder ForwardRequestData with integers as
+ * strings. Posts are limited per signer and per client IP. Errors are
+ * `{ error: { code, message, data? } }`; REVERTED errors carry the portal's
+ * revert data so the frontend can decode it like any other contract error.
+ */
+const createHandler = ({
+  relay,
+  portalAddress,
+  accountLimiter,
+  ipLimiter,
+  allowedOrigin = "*",
+}) => {
+  const routes = [
+    {
+      method: "GET",
+      pattern: /^\/config$/,
+      handle: () => relay.config(),
+    },
+    {
+      method: "POST",
+      pattern: /^\/relay$/,
+      handle: async (req) => {
+        const retryAfterIp = ipLimiter.take(req.socket.remoteAddress);
+        if (retryAfterIp) throw rateLimited(retryAfterIp);
+
+        const request = parseRequest(
+          await readJson(req, MAX_BODY_BYTES),
+          portalAddress
+        );
+        await relay.check(request);
+        // Counted only once the signature checks out, so nobody can use up
+        // another account's allowance.
+        const retryAfter = accountLimiter.take(request.from);
+        if (retryAfter) throw rateLimited(retryAfter);
+
+        return relay.submit(request);
+      },
+    },
+  ];
+
+  return createRequestHandler({ routes, allowedOrigin });
+};
+
+const main = async () => {
+  const {
+    PORT = "8788",
+    RPC_URL = "http://127.0.0.1:8545",
+    RELAYER_PRIVATE_KEY,
+    DEPLOYMENT_FILE = path.join(
+      __dirname,
+      "..",
+      "..",
+      "hambareum-blockchain",
+      "deployments",
+      "localhost.json"
+    ),
+    POSTS_PER_HOUR = "20",
+    IP_POSTS_PER_HOUR = "60",
+    ALLOWED_ORIGIN = "*",
+  } = process.env;
+
+  if (!RELAYER_PRIVATE_KEY) {
+    throw new Error("Set RELAYER_PRIVATE_KEY to the key that pays for gas.");
+  }
+  const deployment = JSON.parse(fs.readFileSync(DEPLOYMENT_FILE, "utf8"));
+  if (!deployment.forwarder) {
+    throw new Error(`${DEPLOYMENT_FILE} has no trusted forwarder.`);
+  }
+
+  const provider = new JsonRpcProvider(RPC_URL);
+  const signer = new NonceManager(new Wallet(RELAYER_PRIVATE_KEY, provider));
+  const relay = createRelay({
+    signer,
+    forwarderAddress: deployment.forwarder,
+    portalAddress: deployment.address,
+  });
+
+  const handler = createHandler({
+    relay,
+    portalAddress: deployment.address,
+    accountLimiter: createRateLimiter({
+      limit: Number(POSTS_PER_HOUR),
+      windowMs: HOUR_MS,
+    }),
+    ipLimiter: createRateLimiter({
+      limit: Number(IP_POSTS_PER_HOUR),
+      windowMs: HOUR_MS,
+    }),
+    allowedOrigin: ALLOWED_ORIGIN,
+  });
+
+  const config = await relay.config();
+  http.createServer(handler).listen(Number(PORT), () => {
+    console.log(
+      `Relaying for HambaPortal ${config.portal} on chain ${config.chainId} ` +
+        `from ${config.relayer}`
+    );
+    console.log(`Relayer listening on http://localhost:${PORT}`);
+  });
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createHandler };
@@ -0,0 +1,399 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync, spawn } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const {
+  Contract,
+  ContractFactory,
+  Interface,
+  JsonRpcProvider,
+  NonceManager,
+  Wallet,
+} = require("ethers");
+const { HttpError } = require("hambareum-http");
+const { createHandler } = require("../src/server");
+const { createRateLimiter } = require("../src/rateLimit");
+const { createRelay, parseRequest } = require("../src/relay");
+
+const PORTAL = Wallet.createRandom().address;
+const portalInterface = new Interface([
+  "function sendMessage(string _message, uint256 _parentId)",
+  "function sendChannelMessage(uint256 _channelId, string _message, uint256 _parentId)",
+  "function sendBoostedMessage(uint256 _channelId, string _message)",
+  "function hideMessage(uint256 _index, string _reason)",
+]);
+
+const postRequest = (overrides = {}) => ({
+  from: Wallet.createRandom().address,
+  to: PORTAL,
+  value: "0",
+  gas: "200000",
+  deadline: String(Math.floor(Date.now() / 1000) + 600),
+  data: portalInterface.encodeFunctionData("sendMessage", ["gm", 0]),
+  signature: "0x1234",
+  ...overrides,
+});
+
+describe("parseRequest", () => {
+  it("accepts a sendMessage request and converts integers", () => {
+    const request = parseRequest({ request: postRequest() }, PORTAL);
+    assert.equal(request.value, 0n);
+    assert.equal(request.gas, 200000n);
+  });
+
+  it("accepts posts to other channels", () => {
+    const data = portalInterface.encodeFunctionData("sendChannelMessage", [
+      2,
+      "gm",
+      0,
+    ]);
+    assert.equal(
+      parseRequest({ request: postRequest({ data }) }, PORTAL).data,
+      data
+    );
+  });
+
+  it("only relays posts to the portal", () => {
+    const hide = portalInterface.encodeFunctionData("hideMessage", [0, "x"]);
+    const boost = portalInterface.encodeFunctionData("sendBoostedMessage", [
+      0,
+      "gm",
+    ]);
+    for (const overrides of [
+      { to: Wallet.createRandom().address },
+      { data: hide },
+      { data: boost },
+      { value: "1" },
+      { gas: "10000000" },
+      { from: "0x1234" },
+    ]) {
+      assert.throws(
+        () => parseRequest({ request: postRequest(overrides) }, PORTAL),
+        { code: "INVALID_REQUEST" }
+      );
+    }
+  });
+});
+
+describe("createRateLimiter", () => {
+  it("allows `limit` uses per window", () => {
+    let time = 0;
+    const limiter = createRateLimiter({
+      limit: 2,
+      windowMs: 1000,
+      now: () => time,
+    });
+    assert.equal(limiter.take("a"), 0);
+    assert.equal(limiter.take("a"), 0);
+    assert.equal(limiter.take("a"), 1000);
+    assert.equal(limiter.take("b"), 0);
+
+    time = 1000;
+    assert.equal(limiter.take("a"), 0);
+  });
+});
+
+describe("relay endpoint", () => {
+  let server;
+  let baseUrl;
+  let submitted;
+  let checkError;
+
+  beforeEach(async () => {
+    submitted = [];
+    checkError = null;
+    const relay = {
+      config: async () => ({ chainId: 31337, portal: PORTAL }),
+      check: async () => {
+        if (checkError) throw checkError;
+      },
+      submit: async (request) => {
+        submitted.push(request);
+        return { hash: "0xabc", nonce: submitted.length, relayer: "0xdef" };
+      },
+    };
+    server = http.createServer(
+      createHandler({
+        relay,
+        portalAddress: PORTAL,
+        accountLimiter: createRateLimiter({ limit: 1, windowMs: 60000 }),
+        ipLimiter: createRateLimiter({ limit: 10, windowMs: 60000 }),
+      })
+    );
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => server.close());
+
+  const relayPost = async (request) => {
+    const res = await fetch(`${baseUrl}/relay`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ request }),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it("submits checked requests and rate-limits each signer", async () => {
+    const request = postRequest();
+    const first = await relayPost(request);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.hash, "0xabc");
+
+    const second = await relayPost(request);
+    assert.equal(second.status, 429);
+    assert.equal(second.body.error.code, "RATE_LIMITED");
+    assert.equal(submitted.length, 1);
+  });
+
+  it("doesn't count rejected requests against the signer", async () => {
+    const request = postRequest();
+    checkError = new HttpError(400, "INVALID_SIGNATURE", "bad");
+    assert.equal((await relayPost(request)).status, 400);
+
+    checkError = null;
+    assert.equal((await relayPost(request)).status, 200);
+  });
+
+  it("passes revert data through", async () => {
+    checkError = new HttpError(400, "REVERTED", "The post would revert.");
+    checkError.data = "0xdeadbeef";
+
+    const { status, body } = await relayPost(postRequest());
+    assert.equal(status, 400);
+    assert.deepEqual(body.error, {
+      code: "REVERTED",
+      message: "The post would revert.",
+      data: "0xdeadbeef",
+    });
+  });
+});
+
+// The real relay against the real contracts, on a Hardhat node started from
+// hambareum-blockchain (which needs `npm install` there).
+describe("relay against a Hardhat node", () => {
+  const BLOCKCHAIN_DIR = path.join(
+    __dirname,
+    "..",
+    "..",
+    "hambareum-blockchain"
+  );
+  const HARDHAT = path.join(BLOCKCHAIN_DIR, "node_modules", ".bin", "hardhat");
+  // Off the default 8545, so a node left running for development is fine.
+  const CHAIN_PORT = 8599;
+  const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "gas", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint48" },
+      { name: "data", type: "bytes" },
+    ],
+  };
+
+  let node;
+  let provider;
+  let relayer;
+  let portal;
+  let forwarder;
+  let server;
+  let baseUrl;
+
+  const readArtifact = (name) =>
+    JSON.parse(
+      fs.readFileSync(
+        path.join(
+          BLOCKCHAIN_DIR,
+          "artifacts",
+          "contracts",
+          `${name}.sol`,
+          `${name}.json`
+        )
+      )
+    );
+
+  const deploy = async (name, signer, ...args) => {
+    const { abi, bytecode } = readArtifact(name);
+    const contract = await new ContractFactory(abi, bytecode, signer).deploy(
+      ...args
+    );
+    return contract.waitForDeployment();
+  };
+
+  const startNode = () =>
+    new Promise((resolve, reject) => {
+      const child = spawn(HARDHAT, ["node", "--port", String(CHAIN_PORT)], {
+        cwd: BLOCKCHAIN_DIR,
+      });
+      child.stdout.on("data", (chunk) => {
+        if (chunk.toString().includes("Started HTTP")) resolve(child);
+      });
+      child.on("exit", (code) =>
+        reject(new Error(`hardhat node exited with code ${code}.`))
+      );
+    });
+
+  before(async () => {
+    execFileSync(HARDHAT, ["compile", "--quiet"], { cwd: BLOCKCHAIN_DIR });
+    node = await startNode();
+    provider = new JsonRpcProvider(`http://127.0.0.1:${CHAIN_PORT}`);
+
+    const deployer = await provider.getSigner(0);
+    forwarder = await deploy("HambaForwarder", deployer);
+    portal = await deploy(
+      "HambaPortal",
+      deployer,
+      await forwarder.getAddress()
+    );
+    relayer = new NonceManager(await provider.getSigner(1));
+
+    const portalAddress = await portal.getAddress();
+    server = http.createServer(
+      createHandler({
+        relay: createRelay({
+          signer: relayer,
+          forwarderAddress: await forwarder.getAddress(),
+          portalAddress,
+        }),
+        portalAddress,
+        accountLimiter: createRateLimiter({ limit: 10, windowMs: 60000 }),
+        ipLimiter: createRateLimiter({ limit: 100, windowMs: 60000 }),
+      })
+    );
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server?.close();
+    provider?.destroy();
+    node?.kill();
+  });
+
+  // Signs a forward request from `wallet` for `data` (a post by default),
+  // with the signature made by `signer` if one is given.
+  const signRequest = async (
+    wallet,
+    { data, deadline, signer = wallet } = {}
+  ) => {
+    const { timestamp } = await provider.getBlock("latest");
+    const request = {
+      from: wallet.address,
+      to: await portal.getAddress(),
+      value: 0n,
+      gas: 300000n,
+      nonce: await forwarder.nonces(wallet.address),
+      deadline: deadline ?? timestamp + 600,
+      data:
+        data ??
+        portal.interface.encodeFunctionData("sendMessage(string)", ["gm"]),
+    };
+    const { chainId } = await provider.getNetwork();
+    const signature = await signer.signTypedData(
+      {
+        name: "HambaForwarder",
+        version: "1",
+        chainId,
+        verifyingContract: await forwarder.getAddress(),
+      },
+      FORWARD_REQUEST_TYPES,
+      request
+    );
+    return {
+      from: request.from,
+      to: request.to,
+      value: "0",
+      gas: request.gas.toString(),
+      deadline: String(request.deadline),
+      data: request.data,
+      signature,
+    };
+  };
+
+  const relayPost = async (request) => {
+    const res = await fetch(`${baseUrl}/relay`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ request }),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  // What the relayer has spent so far: its nonce and balance.
+  const relayerState = async () => {
+    const address = await relayer.getAddress();
+    return [
+      await provider.getTransactionCount(address),
+      await provider.getBalance(address),
+    ];
+  };
+
+  it("relays a signed post as the signer", async () => {
+    const wallet = Wallet.createRandom();
+    const { status, body } = await relayPost(await signRequest(wallet));
+    assert.equal(status, 200);
+    assert.equal(body.relayer, await relayer.getAddress());
+
+    const receipt = await provider.waitForTransaction(body.hash);
+    assert.equal(receipt.status, 1);
+    const count = await portal.getMessageCount();
+    const message = await portal.messages(count - 1n);
+    assert.equal(message.sender, wallet.address);
+    assert.equal(message.content, "gm");
+  });
+
+  it("rejects calls other than posts", async () => {
+    const before = await relayerState();
+    const data = portal.interface.encodeFunctionData("hideMessage", [0, "x"]);
+    const { status, body } = await relayPost(
+      await signRequest(Wallet.createRandom(), { data })
+    );
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "INVALID_REQUEST");
+    assert.deepEqual(await relayerState(), before);
+  });
+
+  it("rejects expired and badly signed requests", async () => {
+    const before = await relayerState();
+    const wallet = Wallet.createRandom();
+    const { timestamp } = await provider.getBlock("latest");
+    for (const request of [
+      await signRequest(wallet, { deadline: timestamp - 1 }),
+      await signRequest(wallet, { signer: Wallet.createRandom() }),
+    ]) {
+      const { status, body } = await relayPost(request);
+      assert.equal(status, 400);
+      assert.equal(body.error.code, "INVALID_SIGNATURE");
+    }
+    assert.deepEqual(await relayerState(), before);
+  });
+
+  it("rejects posts that would revert before spending gas", async () => {
+    const wallet = Wallet.createRandom();
+    const first = await relayPost(await signRequest(wallet));
+    await provider.waitForTransaction(first.body.hash);
+
+    // A second post right away runs into the signer's cooldown.
+    const before = await relayerState();
+    const { status, body } = await relayPost(await signRequest(wallet));
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "REVERTED");
+    assert.equal(
+      portal.interface.parseError(body.error.data).name,
+      "CooldownActive"
+    );
+    assert.deepEqual(await relayerState(), before);
+  });
+});
@@ -0,0 +1,88 @@
+const http = require("http");
+const path = require("path");
+const { HttpError, createRequestHandler, readBody } = require("hambareum-http");
+const { createFileStore } = require("./store");
+
+const utf8 = new TextDecoder("utf-8", { fatal: true });
+
+const parseHash = (value) => {
+  if (!/^0x[0-9a-f]{64}$/.test(value)) {
+    throw new HttpError(
+      400,
+      "INVALID_HASH",
+      `${value} is not a lowercase 0x-prefixed sha256 digest.`
+    );
+  }
+  return value;
+};
+
+/**
+ * Builds the storage service's request handler.
+ *
+ *   POST /bodies        <UTF-8 text> -> { hash }
+ *   GET  /bodies/:hash  -> the stored text
+ *
+ * `hash` is the 0x-prefixed sha256 digest of the body's bytes, which is what
+ * long-form posts record on chain. Clients check every body they fetch
+ * against it, so nothing here needs to be trusted. Errors are
+ * `{ error: { code, message } }`.
+ */
+const createHandler = ({ store, maxBodyBytes, allowedOrigin = "*" }) => {
+  const routes = [
+    {
+      method: "POST",
+      pattern: /^\/bodies$/,
+      handle: async (req) => {
+        const bytes = await readBody(req, maxBodyBytes);
+        if (bytes.length === 0) {
+          throw new HttpError(400, "EMPTY_BODY", "The body is empty.");
+        }
+        try {
+          utf8.decode(bytes);
+        } catch {
+          throw new HttpError(400, "INVALID_BODY", "Bodies must be UTF-8.");
+        }
+        return { hash: await store.put(bytes) };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/bodies\/([^/]+)$/,
+      // A body never changes under its hash.
+      headers: { "Cache-Control": "public, max-age=31536000, immutable" },
+      handle: async (_req, [hash]) => {
+        const bytes = await store.get(parseHash(hash));
+        if (!bytes) {
+          throw new HttpError(404, "BODY_NOT_FOUND", "No body with that hash.");
+        }
+        return bytes;
+      },
+    },
+  ];
+
+  return createRequestHandler({ routes, allowedOrigin });
+};
+
+const main = () => {
+  const {
+    PORT = "8790",
+    DATA_DIR = path.join(__dirname, "..", "data", "bodies"),
+    MAX_BODY_BYTES = "65536",
+    ALLOWED_ORIGIN = "*",
+  } = process.env;
+
+  const handler = createHandler({
+    store: createFileStore(DATA_DIR),
+    maxBodyBytes: Number(MAX_BODY_BYTES),
+    allowedOrigin: ALLOWED_ORIGIN,
+  });
+  http.createServer(handler).listen(Number(PORT), () => {
+    console.log(`Storage service listening on http://localhost:${PORT}`);
+  });
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createHandler };
@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+/** The 0x-prefixed sha256 digest `bytes` are stored under. */
+const hashBody = (bytes) =>
+  `0x${crypto.createHash("sha256").update(bytes).digest("hex")}`;
+
+/**
+ * Bodies stored one file per body in `dir`, named by their sha256 digest.
+ * Content never changes under a name, so writing a body that is already
+ * stored does nothing; new files are written under a temporary name and
+ * renamed into place, so readers never see a partial body.
+ */
+const createFileStore = (dir) => {
+  const fileFor = (hash) => path.join(dir, hash.slice(2));
+
+  return {
+    /** Stores `bytes` and resolves to their digest. */
+    put: async (bytes) => {
+      const hash = hashBody(bytes);
+      const file = fileFor(hash);
+      try {
+        await fs.access(file);
+        return hash;
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(tmp, bytes);
+      await fs.rename(tmp, file);
+      return hash;
+    },
+
+    /** The body stored under `hash` as a Buffer, or null. */
+    get: async (hash) => {
+      try {
+        return await fs.readFile(fileFor(hash));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+  };
+};
+
+module.exports = { createFileStore };
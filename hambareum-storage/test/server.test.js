@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createHandler } = require("../src/server");
+const { createFileStore } = require("../src/store");
+
+const sha256 = (text) =>
+  `0x${crypto.createHash("sha256").update(text).digest("hex")}`;
+
+describe("storage API", () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "hambareum-storage-"));
+    server = http.createServer(
+      createHandler({ store: createFileStore(dir), maxBodyBytes: 64 })
+    );
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const post = (body) =>
+    fetch(`${baseUrl}/bodies`, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain; charset=utf-8" },
+      body,
+    });
+
+  it("stores bodies under their sha256 digest", async () => {
+    const body = "A long post, with ünïcode ✨";
+    const res = await post(body);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { hash: sha256(body) });
+
+    const fetched = await fetch(`${baseUrl}/bodies/${sha256(body)}`);
+    assert.equal(fetched.status, 200);
+    assert.equal(await fetched.text(), body);
+  });
+
+  it("treats storing the same body twice as a no-op", async () => {
+    await post("same");
+    const res = await post("same");
+    assert.deepEqual(await res.json(), { hash: sha256("same") });
+    assert.deepEqual(await fs.readdir(dir), [sha256("same").slice(2)]);
+  });
+
+  it("rejects empty, oversized and non-UTF-8 bodies", async () => {
+    for (const [body, status, code] of [
+      ["", 400, "EMPTY_BODY"],
+      ["x".repeat(65), 413, "BODY_TOO_LARGE"],
+      [new Uint8Array([0xff, 0xfe]), 400, "INVALID_BODY"],
+    ]) {
+      const res = await post(body);
+      assert.equal(res.status, status);
+      assert.equal((await res.json()).error.code, code);
+    }
+  });
+
+  it("reports missing bodies and malformed hashes", async () => {
+    const missing = await fetch(`${baseUrl}/bodies/${sha256("nope")}`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error.code, "BODY_NOT_FOUND");
+
+    const invalid = await fetch(`${baseUrl}/bodies/..%2Fsecret`);
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error.code, "INVALID_HASH");
+  });
+});